@@ -1,5 +1,19 @@
 // app.js (Entry Point - Main Thread)
-import { vertexShaderSource, fragmentShaderSource } from './shaders.js';
+import { GRID_CHANNEL, TAC_CHANNEL, SOFT_PROOF_CHANNEL, SPOT_CHANNEL, SEPARATION_NAIVE, SEPARATION_ICC } from './shaders.js';
+import { parseIccProfile, bakeSeparationLut, srgbToLab, labToSrgb } from './icc.js';
+import { ZipWriter } from './zip.js';
+import { encodeGrayscalePng, encodeCmykTiff } from './image_encoders.js';
+import { BLACK_GENERATION_PRESETS, BLACK_CURVE_POINTS, DEFAULT_BLACK_PRESET, blackGenerationFromPreset } from './black_generation.js';
+import { UPRIGHT, orientationFromTrackInfo, outputSize } from './frame_geometry.js';
+import { describeColorSpace } from './color_space.js';
+import { createRenderer, availableRenderers, RENDERER_AUTO } from './renderer.js';
+import { computeFrameStats, sortedFrames, statsToCsv, statsToJson } from './plate_stats.js';
+import { drawHistogram, drawTimeline } from './stats_charts.js';
+import { ClipAccumulator, measureTac, batchReportToCsv, batchReportToJson } from './batch_report.js';
+import { framePointAt, pixelAt, formatSample, drawLoupe, drawPinMarkers } from './inspector.js';
+import { CompareView, COMPARE_OFF, COMPARE_ONION } from './compare_view.js';
+import { PAPER_PRESETS, DEFAULT_PAPER_PRESET, REFERENCE_MAX_DENSITY, presetPaperWhite } from './dot_gain.js';
+import { PROCESS_INKS, MAX_SPOT_INKS, DEFAULT_SPOT_TOLERANCE, DEFAULT_SPOT_ANGLE, spotInkFromLab, spotInkFromRgb, hexToRgb, rgbToHex } from './inks.js';
 // import MP4Box from './lib/mp4box.all.min.js'; // Cannot import - file missing
 
 // --- DOM Elements ---
@@ -9,7 +23,81 @@ const processBtn = document.getElementById('processBtn');
 // Removed original canvas declaration: const canvas = document.getElementById('processedCanvas');
 const originalVideo = document.getElementById('originalVideo'); // Added
 const statusBar = document.getElementById('statusBar');
-const canvas = document.getElementById('processedCanvas'); // Declare canvas once, early
+const gridLabels = document.getElementById('gridLabels');
+const separationSelect = document.getElementById('separationSelect');
+const iccInput = document.getElementById('iccInput');
+const intentSelect = document.getElementById('intentSelect');
+const iccInfo = document.getElementById('iccInfo');
+const blackPresetSelect = document.getElementById('blackPresetSelect');
+const blackStartInput = document.getElementById('blackStartInput');
+const blackStartValue = document.getElementById('blackStartValue');
+const blackLimitInput = document.getElementById('blackLimitInput');
+const blackLimitValue = document.getElementById('blackLimitValue');
+const neutralOnlyInput = document.getElementById('neutralOnlyInput');
+const blackCurveInputs = document.getElementById('blackCurveInputs');
+const tacLimitInput = document.getElementById('tacLimitInput');
+const tacReadout = document.getElementById('tacReadout');
+const halftoneSelect = document.getElementById('halftoneSelect');
+const dotShapeSelect = document.getElementById('dotShapeSelect');
+const lpiInput = document.getElementById('lpiInput');
+const dpiInput = document.getElementById('dpiInput');
+const inkTintInput = document.getElementById('inkTintInput');
+const paperWhiteInput = document.getElementById('paperWhiteInput');
+const paperPresetSelect = document.getElementById('paperPresetSelect');
+const maxDensityInput = document.getElementById('maxDensityInput');
+const tviInputs = ['tviCInput', 'tviMInput', 'tviYInput', 'tviKInput'].map(id => document.getElementById(id));
+const compensateGainInput = document.getElementById('compensateGainInput');
+const showPrintedInput = document.getElementById('showPrintedInput');
+const spotInkList = document.getElementById('spotInkList');
+const addSpotBtn = document.getElementById('addSpotBtn');
+const angleInputs = ['angleCInput', 'angleMInput', 'angleYInput', 'angleKInput'].map(id => document.getElementById(id));
+const exportStartInput = document.getElementById('exportStartInput');
+const exportEndInput = document.getElementById('exportEndInput');
+const exportBitDepthSelect = document.getElementById('exportBitDepthSelect');
+const exportPngInput = document.getElementById('exportPngInput');
+const exportTiffInput = document.getElementById('exportTiffInput');
+const exportBtn = document.getElementById('exportBtn');
+const exportProgress = document.getElementById('exportProgress');
+const videoCodecSelect = document.getElementById('videoCodecSelect');
+const videoBitrateInput = document.getElementById('videoBitrateInput');
+const encodeBtn = document.getElementById('encodeBtn');
+const frameBudgetInput = document.getElementById('frameBudgetInput');
+const trackSelect = document.getElementById('trackSelect');
+const toneMapSelect = document.getElementById('toneMapSelect');
+const colorInfo = document.getElementById('colorInfo');
+const rendererSelect = document.getElementById('rendererSelect');
+const rendererInfo = document.getElementById('rendererInfo');
+const liveStatsInput = document.getElementById('liveStatsInput');
+const analyseBtn = document.getElementById('analyseBtn');
+const statsCsvBtn = document.getElementById('statsCsvBtn');
+const statsJsonBtn = document.getElementById('statsJsonBtn');
+const statsProgress = document.getElementById('statsProgress');
+const histogramCanvas = document.getElementById('histogramCanvas');
+const plateStatsTable = document.getElementById('plateStatsTable');
+const timelineCanvas = document.getElementById('timelineCanvas');
+const inspectorInput = document.getElementById('inspectorInput');
+const loupeZoomSelect = document.getElementById('loupeZoomSelect');
+const clearPinsBtn = document.getElementById('clearPinsBtn');
+const loupeCanvas = document.getElementById('loupeCanvas');
+const inspectorReadout = document.getElementById('inspectorReadout');
+const pinList = document.getElementById('pinList');
+const inspectorOverlay = document.getElementById('inspectorOverlay');
+const batchInput = document.getElementById('batchInput');
+const batchDropZone = document.getElementById('batchDropZone');
+const batchExportInput = document.getElementById('batchExportInput');
+const batchStartBtn = document.getElementById('batchStartBtn');
+const batchClearBtn = document.getElementById('batchClearBtn');
+const batchCsvBtn = document.getElementById('batchCsvBtn');
+const batchJsonBtn = document.getElementById('batchJsonBtn');
+const batchProgress = document.getElementById('batchProgress');
+const batchTable = document.getElementById('batchTable');
+const compareModeSelect = document.getElementById('compareModeSelect');
+const onionOpacityInput = document.getElementById('onionOpacityInput');
+const compareFitBtn = document.getElementById('compareFitBtn');
+const compareActualBtn = document.getElementById('compareActualBtn');
+const compareZoomReadout = document.getElementById('compareZoomReadout');
+const compareCanvas = document.getElementById('compareCanvas');
+let canvas = document.getElementById('processedCanvas'); // Replaced when the renderer changes, see newCanvas()
 if (!canvas) { // Check canvas early
     console.error("Initialization Error: Canvas element not found!");
     // Attempt to show error, though statusBar might not be ready
@@ -17,35 +105,76 @@ if (!canvas) { // Check canvas early
     else alert("Initialization Error: Canvas element not found!");
     throw new Error('Canvas element not found!'); // Stop execution
 }
-const gl = canvas.getContext('webgl'); // Initialize gl early
 
 // --- State ---
 let decoderWorker = null;
 let frameQueue = [];
 let currentFrameRequest = null;
-let glProgram = null;
-let positionLocation = null;
-let texCoordLocation = null;
-let textureLocation = null;
-let channelLocation = null;
-let positionBuffer = null;
-let texCoordBuffer = null;
-let videoTexture = null;
-let webglInitialized = false;
+let renderer = null; // Draws the plates, see setupRenderer() and renderer.js
+let rendererChoice = RENDERER_AUTO; // rendererSelect value the running renderer was started for
 let decodingFinished = false; // Track if worker signaled completion
 let lastRenderedTimestamp = -1; // Track last rendered frame timestamp (microseconds)
 let seeking = false; // Track if video is seeking
+let seekId = 0; // Latest seek sent to the worker; frames tagged with an older id are stale
+let playbackFlow = { paused: false }; // Whether decoderWorker has been told to pause, see regulateDecoder()
+let playbackOrientation = UPRIGHT; // Rotation/mirroring of the track being played, from 'trackInfo'
+let playbackColorSpace = null; // Container colour description of the track being played, from 'trackInfo'
+let presentingFrame = null; // Promise while a frame is being handed to the renderer, see presentFrame()
+let selectedTrackId = null; // Video track picked in trackSelect (null = the file's first video track)
 let currentObjectUrl = null; // To manage object URL lifecycle
+let iccProfile = null; // Parsed ICC output profile, null for device naive
+let iccLut = null; // Baked lookup table, handed to the renderer
+let blackGeneration = blackGenerationFromPreset(DEFAULT_BLACK_PRESET); // Current GCR/UCR settings
+let blackCurveSliders = []; // Range inputs for the custom curve points
+let spotInks = []; // Spot inks from the spot panel, see handleSpotInkInput()
+const spotInkReaders = new WeakMap(); // Spot ink row -> function reading its SpotInk
+let exportJob = null; // Running separation export, see startExport()
+let encodeJob = null; // Running MP4 re-encode of the displayed channel, see startEncode()
+let analysisJob = null; // Running whole-clip statistics pass, see startAnalysis()
+let batchQueue = []; // BatchItems added to the batch queue, see addBatchFiles()
+let batchJob = null; // Running batch, see startBatch()
+let plateSeries = new Map(); // FrameStats per timestamp (microseconds), from playback and clip analysis
+let timelineDrawnAt = 0; // performance.now() of the last timeline redraw
+let inspectorHover = null; // {point, raw, surface} under the pointer while inspecting, see handleInspectorPointer()
+let inspectorPins = []; // Frame points pinned by clicking, re-read on every frame
+const compareView = new CompareView(compareCanvas); // Split wipe / onion skin of the original and processed frames
+let compareDrag = null; // {pointerId, clientX, clientY, split} while dragging in the compare canvas
+
+// Plate names, in the order the shader packs them into RGBA
+const PLATE_NAMES = ['C', 'M', 'Y', 'K'];
+
+// File name labels for channelSelect values
+const PLATE_LABELS = { 0: 'C', 1: 'M', 2: 'Y', 3: 'K', [GRID_CHANNEL]: 'CMYK_grid', [TAC_CHANNEL]: 'TAC', [SOFT_PROOF_CHANNEL]: 'proof' };
+
+// Lab value of a newly added spot ink (a warm red)
+const NEW_SPOT_LAB = [48, 72, 45];
+
+// Frames handed to the encoder worker but not yet encoded, before we wait for it to catch up
+const MAX_ENCODER_IN_FLIGHT = 8;
+
+// Decoded frames allowed to wait on the main thread before the decoder worker is paused
+const DEFAULT_FRAME_BUDGET = 12;
+
+// TAC statistics are measured on a downscaled copy of the frame (long side in pixels)
+const TAC_STATS_MAX_SIZE = 720;
+
+// Plate statistics likewise (histograms converge long before full resolution)
+const PLATE_STATS_MAX_SIZE = 720;
+
+// Minimum time between timeline redraws during playback and analysis (ms)
+const TIMELINE_REDRAW_INTERVAL = 250;
+
+// File extensions the batch queue picks out of dropped folders
+const BATCH_EXTENSIONS = /\.(mp4|m4v|mov|webm)$/i;
+
+// A batch clip fails if its worker goes this long without a frame or message (ms)
+const BATCH_STALL_TIMEOUT = 60_000;
 
 // --- Check API Support ---
 if (!window.Worker) {
   updateStatus('Error: Web Workers not supported.');
   throw new Error('Web Workers not supported.');
 }
-if (!gl) {
-  updateStatus('Error: WebGL not supported.');
-  throw new Error('WebGL not supported.');
-}
 if (!window.VideoDecoder) {
   updateStatus('Error: WebCodecs API not supported.');
   throw new Error('WebCodecs API not supported.');
@@ -59,7 +188,7 @@ if (!window.FileReader) {
 // Wrap initialization in try...catch
 try {
     // --- Get REMAINING DOM Elements ---
-    // canvas and gl are already defined and checked
+    // canvas is already defined and checked
     // Ensure the duplicate declaration is truly gone
     const videoInput = document.getElementById('videoInput'); // Re-get elements inside try for safety? No, keep outside.
     const channelSelect = document.getElementById('channelSelect');
@@ -72,7 +201,6 @@ try {
 
     // --- Initialize Worker ---
     function initializeWorker() {
-      // Ensure gl is accessible if needed inside worker setup, though it isn't currently
       // Create as a classic worker (remove type: 'module')
       decoderWorker = new Worker('./decoder_worker.js');
   decoderWorker.onmessage = handleWorkerMessage;
@@ -84,6 +212,183 @@ try {
 
 // --- Event Listeners ---
 videoInput.addEventListener('change', handleFileSelect);
+channelSelect.addEventListener('change', () => {
+    updateGridLabels();
+    redrawLastFrame();
+    updateInspector(); // Markers move with the grid even before a frame is drawn
+});
+separationSelect.addEventListener('change', redrawLastFrame);
+tacLimitInput.addEventListener('input', redrawLastFrame);
+toneMapSelect.addEventListener('change', redrawLastFrame);
+encodeBtn.addEventListener('click', () => {
+    if (encodeJob) {
+        cancelEncode('MP4 encode cancelled.');
+    } else {
+        startEncode();
+    }
+});
+exportBtn.addEventListener('click', () => {
+    if (exportJob) {
+        cancelExport('Export cancelled.');
+    } else {
+        startExport();
+    }
+});
+[halftoneSelect, dotShapeSelect].forEach(select => select.addEventListener('change', redrawLastFrame));
+inkTintInput.addEventListener('change', redrawLastFrame);
+paperPresetSelect.addEventListener('change', () => applyPaperPreset(paperPresetSelect.value));
+[paperWhiteInput, maxDensityInput, ...tviInputs].forEach(input => input.addEventListener('input', () => {
+    // Editing the paper turns the preset into a custom one
+    paperPresetSelect.value = 'custom';
+    redrawLastFrame();
+}));
+[compensateGainInput, showPrintedInput].forEach(input => input.addEventListener('change', redrawLastFrame));
+addSpotBtn.addEventListener('click', () => {
+    addSpotInkRow(spotInkFromLab(`Spot ${spotInkList.children.length + 1}`, NEW_SPOT_LAB));
+    handleSpotInkInput();
+});
+[lpiInput, dpiInput, ...angleInputs].forEach(input => input.addEventListener('input', redrawLastFrame));
+blackPresetSelect.addEventListener('change', () => applyBlackPreset(blackPresetSelect.value));
+blackStartInput.addEventListener('input', handleBlackGenerationInput);
+blackLimitInput.addEventListener('input', handleBlackGenerationInput);
+neutralOnlyInput.addEventListener('change', handleBlackGenerationInput);
+iccInput.addEventListener('change', handleIccSelect);
+intentSelect.addEventListener('change', bakeIccLut);
+frameBudgetInput.addEventListener('change', () => regulateDecoder(decoderWorker, playbackFlow, frameQueue.length));
+trackSelect.addEventListener('change', () => requestWorkerTrack(parseInt(trackSelect.value, 10)));
+rendererSelect.addEventListener('change', switchRenderer);
+liveStatsInput.addEventListener('change', redrawLastFrame);
+analyseBtn.addEventListener('click', () => {
+    if (analysisJob) {
+        cancelAnalysis('Analysis cancelled.');
+    } else {
+        startAnalysis();
+    }
+});
+statsCsvBtn.addEventListener('click', () => exportPlateStats('csv'));
+statsJsonBtn.addEventListener('click', () => exportPlateStats('json'));
+timelineCanvas.addEventListener('click', (event) => {
+    // Seek to the clicked time; the timeline spans the whole clip
+    if (!Number.isFinite(originalVideo.duration)) return;
+    const rect = timelineCanvas.getBoundingClientRect();
+    originalVideo.currentTime = (event.clientX - rect.left) / rect.width * originalVideo.duration;
+});
+originalVideo.addEventListener('timeupdate', () => refreshTimeline(false));
+// The canvas is replaced with the renderer, so its pointer events are taken from the wrapper
+for (const surface of [canvas.parentElement, originalVideo]) {
+    surface.addEventListener('pointermove', handleInspectorPointer);
+    surface.addEventListener('pointerleave', () => {
+        inspectorHover = null;
+        updateInspector();
+    });
+    surface.addEventListener('click', (event) => {
+        if (!inspectorInput.checked) return;
+        event.preventDefault(); // Don't toggle video playback while pinning
+        handleInspectorPointer(event);
+        if (!inspectorHover) return;
+        inspectorPins.push(inspectorHover.point);
+        updateInspector();
+    });
+}
+inspectorInput.addEventListener('change', () => {
+    inspectorHover = null;
+    updateInspector();
+});
+loupeZoomSelect.addEventListener('change', updateInspector);
+loupeCanvas.addEventListener('wheel', (event) => {
+    event.preventDefault();
+    const index = loupeZoomSelect.selectedIndex + (event.deltaY < 0 ? 1 : -1);
+    loupeZoomSelect.selectedIndex = Math.min(Math.max(index, 0), loupeZoomSelect.options.length - 1);
+    updateInspector();
+});
+batchInput.addEventListener('change', () => {
+    addBatchFiles(Array.from(batchInput.files, file => ({ file, path: file.name })));
+    batchInput.value = ''; // Allow adding the same files again
+});
+batchDropZone.addEventListener('dragover', (event) => {
+    event.preventDefault();
+    batchDropZone.classList.add('drag-over');
+});
+batchDropZone.addEventListener('dragleave', () => batchDropZone.classList.remove('drag-over'));
+batchDropZone.addEventListener('drop', async (event) => {
+    event.preventDefault();
+    batchDropZone.classList.remove('drag-over');
+    // Entries must be taken before the handler yields; the DataTransfer is emptied afterwards
+    const entries = Array.from(event.dataTransfer.items, item => item.webkitGetAsEntry && item.webkitGetAsEntry()).filter(Boolean);
+    const files = entries.length
+        ? (await Promise.all(entries.map(readDroppedEntry))).flat()
+        : Array.from(event.dataTransfer.files, file => ({ file, path: file.name }));
+    addBatchFiles(files.filter(({ file }) => BATCH_EXTENSIONS.test(file.name)));
+});
+batchStartBtn.addEventListener('click', () => {
+    if (batchJob) {
+        cancelBatch('Batch cancelled.');
+    } else {
+        startBatch();
+    }
+});
+batchClearBtn.addEventListener('click', () => {
+    // The running clip stays in the queue until it finishes
+    batchQueue = batchQueue.filter(item => item.status === 'running');
+    renderBatchTable();
+});
+batchCsvBtn.addEventListener('click', () => exportBatchReport('csv'));
+batchJsonBtn.addEventListener('click', () => exportBatchReport('json'));
+clearPinsBtn.addEventListener('click', () => {
+    inspectorPins = [];
+    updateInspector();
+});
+window.addEventListener('resize', () => {
+    if (inspectorInput.checked) updateInspector(); // Keep the pin markers over the resized canvas
+    drawComparison();
+});
+compareModeSelect.addEventListener('change', () => {
+    const mode = compareModeSelect.value;
+    compareCanvas.hidden = mode === COMPARE_OFF;
+    onionOpacityInput.disabled = mode !== COMPARE_ONION;
+    if (mode !== COMPARE_OFF) compareView.mode = mode;
+    drawComparison();
+});
+onionOpacityInput.addEventListener('input', () => {
+    compareView.opacity = parseInt(onionOpacityInput.value, 10) / 100;
+    drawComparison();
+});
+compareFitBtn.addEventListener('click', () => {
+    compareView.fit();
+    drawComparison();
+});
+compareActualBtn.addEventListener('click', () => {
+    compareView.actualPixels();
+    drawComparison();
+});
+compareCanvas.addEventListener('wheel', (event) => {
+    event.preventDefault();
+    compareView.zoomAt(event.clientX, event.clientY, Math.pow(2, -event.deltaY / 300));
+    drawComparison();
+});
+compareCanvas.addEventListener('pointerdown', (event) => {
+    compareCanvas.setPointerCapture(event.pointerId);
+    compareDrag = { pointerId: event.pointerId, clientX: event.clientX, clientY: event.clientY, split: compareView.onSplitHandle(event.clientX) };
+});
+compareCanvas.addEventListener('pointermove', (event) => {
+    if (!compareDrag || event.pointerId !== compareDrag.pointerId) {
+        compareCanvas.style.cursor = compareView.onSplitHandle(event.clientX) ? 'col-resize' : 'grab';
+        return;
+    }
+    if (compareDrag.split) {
+        compareView.moveSplit(event.clientX);
+    } else {
+        compareView.panBy(event.clientX - compareDrag.clientX, event.clientY - compareDrag.clientY);
+    }
+    compareDrag.clientX = event.clientX;
+    compareDrag.clientY = event.clientY;
+    drawComparison();
+});
+for (const type of ['pointerup', 'pointercancel']) {
+    compareCanvas.addEventListener(type, () => {
+        compareDrag = null;
+    });
+}
 processBtn.addEventListener('click', () => {
     processVideo();
     // Start the original video playback automatically after processing
@@ -103,10 +408,8 @@ originalVideo.addEventListener('pause', () => {
 originalVideo.addEventListener('seeking', () => {
     updateStatus('Seeking...');
     seeking = true;
-    // Clear queue? Or let render loop handle finding the right frame?
-    // For simplicity, let render loop find the frame. Might cause jumpiness.
-    // A better approach might involve signaling the worker to seek.
     lastRenderedTimestamp = -1; // Reset last rendered to force update
+    requestWorkerSeek(originalVideo.currentTime);
 });
 originalVideo.addEventListener('seeked', () => {
     updateStatus('Seek complete.');
@@ -151,6 +454,234 @@ function updateStatus(message) {
   statusBar.textContent = message;
 }
 
+// Human-readable byte count for progress messages
+function formatBytes(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(2)} GB`;
+  if (bytes >= 1024 ** 2) return `${(bytes / 1024 ** 2).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+// ", N skipped, M failed" for a result message, when a decode run lost samples
+function decodeShortfall(counts) {
+  if (!counts || !(counts.skippedSamples + counts.errorSamples)) return '';
+  return `, ${counts.skippedSamples} sample(s) skipped, ${counts.errorSamples} failed to decode`;
+}
+
+// Match the canvas to the oriented frame size (a no-op when it already matches)
+function resizeCanvas({ width, height }) {
+  if (!renderer || (canvas.width === width && canvas.height === height)) return;
+  console.log(`Main: Resizing canvas to ${width}x${height}`);
+  renderer.resize(width, height);
+}
+
+// Show the C/M/Y/K quadrant labels only while the grid view is selected
+function updateGridLabels() {
+  if (!gridLabels) return;
+  gridLabels.hidden = parseInt(channelSelect.value, 10) !== GRID_CHANNEL;
+}
+
+function handleIccSelect(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  updateStatus(`Reading ICC profile: ${file.name}`);
+  file.arrayBuffer().then(buffer => {
+    iccProfile = parseIccProfile(buffer);
+    const { header, description } = iccProfile;
+    iccInfo.textContent = `${description || file.name} (${header.deviceClass.trim()}, PCS ${header.pcs}, v${header.version})`;
+    // Start from the profile's own default intent
+    intentSelect.value = String(Math.min(header.renderingIntent, 3));
+    separationSelect.querySelector(`option[value="${SEPARATION_ICC}"]`).disabled = false;
+    separationSelect.value = String(SEPARATION_ICC);
+    bakeIccLut();
+  }).catch(err => {
+    console.error('ICC profile error:', err);
+    updateStatus(`Error loading ICC profile: ${err.message}`);
+    iccProfile = null;
+    iccLut = null;
+    if (renderer) renderer.setIccLut(null);
+    iccInfo.textContent = 'No profile loaded';
+    separationSelect.querySelector(`option[value="${SEPARATION_ICC}"]`).disabled = true;
+    separationSelect.value = String(SEPARATION_NAIVE);
+  });
+}
+
+// (Re)build the RGB->CMYK lookup table for the selected rendering intent
+function bakeIccLut() {
+  if (!iccProfile) return;
+  const intent = parseInt(intentSelect.value, 10);
+  const start = performance.now();
+  iccLut = bakeSeparationLut(iccProfile, intent);
+  console.log(`ICC lookup table (${iccLut.size}^3, intent ${intent}) baked in ${(performance.now() - start).toFixed(1)} ms`);
+  if (renderer) {
+    renderer.setIccLut(iccLut);
+    redrawLastFrame();
+  }
+  updateStatus(`ICC profile ready: ${intentSelect.options[intentSelect.selectedIndex].text} intent.`);
+}
+
+// Build the preset list and the custom curve sliders
+function setupBlackGenerationPanel() {
+  for (const [name, preset] of Object.entries(BLACK_GENERATION_PRESETS)) {
+    blackPresetSelect.add(new Option(preset.label, name));
+  }
+  blackPresetSelect.add(new Option('Custom curve', 'custom'));
+
+  for (let i = 0; i < BLACK_CURVE_POINTS; i++) {
+    const label = document.createElement('label');
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = '0';
+    slider.max = '100';
+    slider.addEventListener('input', () => {
+      // Editing a curve point turns the current settings into a custom curve
+      blackPresetSelect.value = 'custom';
+      handleBlackGenerationInput();
+    });
+    label.append(slider, `${Math.round(i * 100 / (BLACK_CURVE_POINTS - 1))}%`);
+    blackCurveInputs.append(label);
+    blackCurveSliders.push(slider);
+  }
+
+  blackPresetSelect.value = DEFAULT_BLACK_PRESET;
+  applyBlackPreset(DEFAULT_BLACK_PRESET);
+}
+
+// --- Paper ---
+function setupPaperPresets() {
+  for (const [name, preset] of Object.entries(PAPER_PRESETS)) {
+    paperPresetSelect.add(new Option(preset.label, name));
+  }
+  paperPresetSelect.add(new Option('Custom', 'custom'));
+  paperPresetSelect.value = DEFAULT_PAPER_PRESET;
+  applyPaperPreset(DEFAULT_PAPER_PRESET);
+}
+
+// Load a paper preset into the controls ('custom' keeps the current values)
+function applyPaperPreset(name) {
+  const preset = PAPER_PRESETS[name];
+  if (preset) {
+    paperWhiteInput.value = rgbToHex(presetPaperWhite(preset));
+    maxDensityInput.value = preset.maxDensity;
+    tviInputs.forEach((input, i) => { input.value = preset.tvi[i] * 100; });
+  }
+  redrawLastFrame();
+}
+
+// --- Spot Inks ---
+/**
+ * Add a row of controls for one spot ink. The ink is defined by whichever of its sRGB swatch or
+ * its Lab values was edited last; the other follows.
+ * @param {import('./inks.js').SpotInk} ink
+ */
+function addSpotInkRow(ink) {
+  const row = document.createElement('div');
+  row.className = 'spot-ink';
+  row.dataset.definedBy = 'lab';
+  const numberInput = (value, min, max, step) => {
+    const input = document.createElement('input');
+    input.type = 'number';
+    Object.assign(input, { min, max, step, value });
+    return input;
+  };
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.value = ink.name;
+  const colourInput = document.createElement('input');
+  colourInput.type = 'color';
+  colourInput.value = rgbToHex(ink.colour);
+  const labInputs = [numberInput(ink.lab[0].toFixed(1), 0, 100, 0.1), numberInput(ink.lab[1].toFixed(1), -128, 127, 0.1), numberInput(ink.lab[2].toFixed(1), -128, 127, 0.1)];
+  const toleranceInput = numberInput(ink.tolerance, 0.1, 100, 0.5);
+  const angleInput = numberInput(Math.round(ink.angle * 180 / Math.PI), -90, 90, 1);
+  const removeButton = document.createElement('button');
+  removeButton.textContent = 'Remove';
+
+  colourInput.addEventListener('input', () => {
+    row.dataset.definedBy = 'rgb';
+    srgbToLab(hexToRgb(colourInput.value)).forEach((value, i) => { labInputs[i].value = value.toFixed(1); });
+    handleSpotInkInput();
+  });
+  for (const input of labInputs) {
+    input.addEventListener('input', () => {
+      row.dataset.definedBy = 'lab';
+      colourInput.value = rgbToHex(labToSrgb(labInputs.map(labInput => parseFloat(labInput.value) || 0)));
+      handleSpotInkInput();
+    });
+  }
+  [nameInput, toleranceInput, angleInput].forEach(input => input.addEventListener('input', handleSpotInkInput));
+  removeButton.addEventListener('click', () => {
+    row.remove();
+    handleSpotInkInput();
+  });
+
+  const labelled = (text, ...inputs) => {
+    const label = document.createElement('label');
+    label.append(text, ...inputs);
+    return label;
+  };
+  row.append(labelled('Name', nameInput), labelled('sRGB', colourInput), labelled('L*a*b*', ...labInputs),
+    labelled('Tolerance', toleranceInput), labelled('Angle', angleInput), removeButton);
+  spotInkReaders.set(row, () => {
+    const tolerance = parseFloat(toleranceInput.value) || DEFAULT_SPOT_TOLERANCE;
+    const angle = Number.isFinite(parseFloat(angleInput.value)) ? parseFloat(angleInput.value) : DEFAULT_SPOT_ANGLE;
+    const name = nameInput.value.trim() || 'Spot';
+    return row.dataset.definedBy === 'rgb'
+      ? spotInkFromRgb(name, hexToRgb(colourInput.value), tolerance, angle)
+      : spotInkFromLab(name, labInputs.map(input => parseFloat(input.value) || 0), tolerance, angle);
+  });
+  spotInkList.append(row);
+}
+
+// Read the spot inks back from their rows and list their plates in channelSelect
+function handleSpotInkInput() {
+  spotInks = Array.from(spotInkList.children, row => spotInkReaders.get(row)());
+  addSpotBtn.disabled = spotInks.length >= MAX_SPOT_INKS;
+
+  const selected = parseInt(channelSelect.value, 10);
+  for (const option of Array.from(channelSelect.options)) {
+    if (parseInt(option.value, 10) >= SPOT_CHANNEL) option.remove();
+  }
+  spotInks.forEach((ink, i) => channelSelect.add(new Option(`Spot: ${ink.name}`, String(SPOT_CHANNEL + i))));
+  // A removed spot ink's plate falls back to cyan
+  channelSelect.value = selected < SPOT_CHANNEL + spotInks.length ? String(selected) : '0';
+  updateGridLabels();
+  redrawLastFrame();
+}
+
+// File name label for a channelSelect value
+function channelLabel(channel) {
+  if (channel >= SPOT_CHANNEL) {
+    const ink = spotInks[channel - SPOT_CHANNEL];
+    return ink ? ink.name.replace(/[^\w-]+/g, '_') : 'spot';
+  }
+  return PLATE_LABELS[channel] || 'channel';
+}
+
+// Load a built-in strategy into the controls ('custom' keeps the current values)
+function applyBlackPreset(name) {
+  if (name !== 'custom') {
+    blackGeneration = blackGenerationFromPreset(name);
+    blackStartInput.value = String(Math.round(blackGeneration.blackStart * 100));
+    blackLimitInput.value = String(Math.round(blackGeneration.blackLimit * 100));
+    neutralOnlyInput.checked = blackGeneration.neutralOnly;
+    blackGeneration.curve.forEach((k, i) => { blackCurveSliders[i].value = String(Math.round(k * 100)); });
+  }
+  handleBlackGenerationInput();
+}
+
+// Read the black generation controls back into blackGeneration
+function handleBlackGenerationInput() {
+  blackGeneration = {
+    curve: blackCurveSliders.map(slider => parseInt(slider.value, 10) / 100),
+    blackStart: parseInt(blackStartInput.value, 10) / 100,
+    blackLimit: parseInt(blackLimitInput.value, 10) / 100,
+    neutralOnly: neutralOnlyInput.checked
+  };
+  blackStartValue.textContent = `${blackStartInput.value}%`;
+  blackLimitValue.textContent = `${blackLimitInput.value}%`;
+  redrawLastFrame();
+}
+
 function handleFileSelect(event) {
   const file = event.target.files[0];
   if (!file) return;
@@ -163,6 +694,11 @@ function handleFileSelect(event) {
   }
 
   updateStatus(`Selected file: ${file.name}`);
+  selectedTrackId = null; // Track IDs belong to the previous file
+  colorInfo.textContent = 'Process the file to read its colour space';
+  resetTrackSelect();
+  clearPlateStats(); // The series belongs to the previous file
+  inspectorPins = [];
 
   // Set source for original video playback
   currentObjectUrl = URL.createObjectURL(file);
@@ -199,7 +735,6 @@ function processVideo(selectedFile = null) {
   // Create a new worker
   initializeWorker();
   
-  updateStatus('Reading file...');
   // Reset state for new file
   frameQueue = [];
   decodingFinished = false;
@@ -208,29 +743,129 @@ function processVideo(selectedFile = null) {
       currentFrameRequest = null;
   }
   // Clear canvas and reset video state
-  gl.clear(gl.COLOR_BUFFER_BIT);
+  if (setupRenderer()) renderer.clear();
   originalVideo.pause();
   // originalVideo.currentTime = 0; // Reset time? Maybe not needed if src is reset.
   lastRenderedTimestamp = -1;
   seeking = false;
+  seekId = 0;
+  playbackFlow = { paused: false }; // The new worker starts unpaused
 
 
-    // Clone the buffer for the worker, keep original for potential re-read?
-    // Or rely on the file object which should persist.
-    // Let's assume the worker gets its own copy via postMessage transfer.
-    file.arrayBuffer().then(buffer => {
-    updateStatus('Sending file to worker for demuxing/decoding...');
-    // Cannot pass MP4Box library as it's missing
-    decoderWorker.postMessage({
-        type: 'initialize',
-        fileBuffer: buffer
-        // mp4boxLib: MP4Box // Cannot pass
-    }, [buffer]);
-    // Setup WebGL here or wait for worker confirmation
-    setupWebGL();
-  }).catch(err => {
-    updateStatus(`Error reading file: ${err.message}`);
-  });
+  // The worker reads the File in ranges itself, so the file is never held in memory whole
+  updateStatus('Sending file to worker for demuxing/decoding...');
+  decoderWorker.postMessage({ type: 'initialize', file, trackId: selectedTrackId });
+}
+
+/**
+ * Ask the worker to restart decoding at the given time. It decodes from the preceding
+ * sync sample and posts frames from the one presented at that time onwards.
+ * @param {number} time - Seconds
+ */
+function requestWorkerSeek(time) {
+  restartWorkerDecoding({ type: 'seek', time: Math.round(time * 1_000_000) });
+}
+
+/**
+ * Switch the worker to another video track at the preview's current position
+ * @param {number} trackId
+ */
+function requestWorkerTrack(trackId) {
+  if (!Number.isFinite(trackId)) return;
+  selectedTrackId = trackId;
+  syncPreviewTrack(trackId);
+  updateStatus(`Switching to video track ${trackId}...`);
+  restartWorkerDecoding({ type: 'selectTrack', trackId, time: Math.round(originalVideo.currentTime * 1_000_000) });
+}
+
+// Send a message that restarts decoding somewhere else; frames already queued are stale
+function restartWorkerDecoding(message) {
+  if (!decoderWorker) return;
+  seekId++;
+  // Everything queued belongs to the old position
+  frameQueue.forEach(item => item.frame.close());
+  frameQueue = [];
+  decodingFinished = false;
+  decoderWorker.postMessage({ ...message, seekId });
+  regulateDecoder(decoderWorker, playbackFlow, frameQueue.length);
+}
+
+/**
+ * Show the same track in the <video> preview, where the browser exposes video tracks
+ * (HTMLMediaElement.videoTracks is not available everywhere; the preview then keeps its default)
+ * @param {number} trackId
+ */
+function syncPreviewTrack(trackId) {
+  const tracks = originalVideo.videoTracks;
+  if (!tracks) return;
+  for (let i = 0; i < tracks.length; i++) {
+    // For MP4 and WebM the id is the container's track ID / track number
+    if (tracks[i].id === String(trackId)) tracks[i].selected = true;
+  }
+}
+
+/**
+ * Fill the track picker from the worker's 'tracks' message
+ * @param {{tracks: Array<Object>, selectedId: number}} data
+ */
+function populateTrackSelect({ tracks, selectedId }) {
+  trackSelect.replaceChildren(...tracks.map(track => {
+    const option = document.createElement('option');
+    option.value = String(track.id);
+    option.textContent = formatTrackLabel(track);
+    return option;
+  }));
+  trackSelect.value = String(selectedId);
+  trackSelect.disabled = tracks.length < 2;
+  selectedTrackId = selectedId;
+  syncPreviewTrack(selectedId);
+}
+
+function resetTrackSelect() {
+  const option = document.createElement('option');
+  option.textContent = 'Process a file to list its tracks';
+  trackSelect.replaceChildren(option);
+  trackSelect.disabled = true;
+}
+
+// e.g. "#2 avc1.640028, 1920×1080, 25 fps, 8.2 Mb/s, 1:02"
+function formatTrackLabel(track) {
+  const parts = [`#${track.id}${track.name ? ` ${track.name}` : ''}`, track.codec, `${track.width}×${track.height}`];
+  if (track.frameRate) parts.push(`${+track.frameRate.toFixed(3)} fps`);
+  if (track.bitrate) {
+    parts.push(track.bitrate >= 1_000_000 ? `${(track.bitrate / 1_000_000).toFixed(1)} Mb/s` : `${Math.round(track.bitrate / 1000)} kb/s`);
+  }
+  if (track.duration) {
+    const seconds = Math.round(track.duration);
+    parts.push(`${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`);
+  }
+  return parts.join(', ');
+}
+
+// Frame budget from the UI (decoded frames allowed to wait on the main thread)
+function frameBudget() {
+  const budget = parseInt(frameBudgetInput.value, 10);
+  return Number.isFinite(budget) && budget >= 2 ? budget : DEFAULT_FRAME_BUDGET;
+}
+
+/**
+ * Pause a decoder worker once `queued` frames reach the frame budget, and resume it when
+ * they have drained to half of it (so it is not toggled on every frame). Frames already
+ * inside the decoder still arrive after a pause, so the budget can be overshot by those.
+ * @param {Worker} worker
+ * @param {{paused: boolean}} flow - Pause state of that worker
+ * @param {number} queued - Decoded frames currently waiting
+ */
+function regulateDecoder(worker, flow, queued) {
+  if (!worker) return;
+  const budget = frameBudget();
+  if (!flow.paused && queued >= budget) {
+    flow.paused = true;
+    worker.postMessage({ type: 'pause' });
+  } else if (flow.paused && queued <= Math.floor(budget / 2)) {
+    flow.paused = false;
+    worker.postMessage({ type: 'resume' });
+  }
 }
 
 function handleWorkerMessage(event) {
@@ -239,15 +874,25 @@ function handleWorkerMessage(event) {
     case 'status':
       updateStatus(`Worker: ${data.message}`);
       break;
+    case 'tracks':
+      populateTrackSelect(data);
+      break;
     case 'trackInfo':
-      // Handle track info (dimensions, etc.), maybe resize canvas
+      // Sent for the first track and again after a track switch, which may change the size
       console.log('Track Info:', data);
-      canvas.width = data.codedWidth;
-      canvas.height = data.codedHeight;
-      gl.viewport(0, 0, canvas.width, canvas.height);
+      // Shaped like the <video> element; frames correct this if their display size differs
+      playbackOrientation = orientationFromTrackInfo(data);
+      playbackColorSpace = data.colorSpace;
+      resizeCanvas(outputSize(data.displayWidth, data.displayHeight, playbackOrientation));
       break;
     case 'newFrame':
       console.log(`Main: Received new frame from worker, timestamp: ${data.timestamp}`);
+
+      // Decoded for a position we have since seeked away from
+      if (data.seekId !== seekId) {
+          data.frame.close();
+          break;
+      }
       
       // Add received VideoFrame with its timestamp to the queue
       frameQueue.push({ frame: data.frame, timestamp: data.frame.timestamp });
@@ -255,6 +900,7 @@ function handleWorkerMessage(event) {
       frameQueue.sort((a, b) => a.timestamp - b.timestamp);
       
       console.log(`Main: Frame queue size: ${frameQueue.length}`);
+      regulateDecoder(decoderWorker, playbackFlow, frameQueue.length);
 
       // Ensure rendering loop is running if video is playing or seeking
       if (!currentFrameRequest && (!originalVideo.paused || seeking)) {
@@ -262,12 +908,19 @@ function handleWorkerMessage(event) {
           startRenderingLoop();
       }
       break;
+    case 'progress':
+      updateStatus(`Read ${formatBytes(data.bytesRead)} of ${formatBytes(data.totalBytes)}, ${data.samplesDemuxed} samples demuxed, ${data.samplesQueued} queued for decoding`);
+      break;
     case 'error':
       updateStatus(`Worker Error: ${data.message}`);
       // Stop processing?
       break;
     case 'decodeComplete':
-        updateStatus('Worker finished decoding.');
+        if (data && !data.interrupted) {
+          updateStatus(`Decoding finished: ${data.postedFrames} frames from ${data.queuedSamples} of ${data.expectedSamples} samples${decodeShortfall(data)}.`);
+        } else {
+          updateStatus('Worker finished decoding.');
+        }
         decodingFinished = true;
         // The render loop will stop itself when the queue is empty
         break;
@@ -276,123 +929,1275 @@ function handleWorkerMessage(event) {
   }
 }
 
-function setupWebGL() {
-  if (webglInitialized) return;
-  updateStatus('Setting up WebGL...');
-
-  // --- Compile Shaders ---
-  const vertexShader = createShader(gl, gl.VERTEX_SHADER, vertexShaderSource);
-  const fragmentShader = createShader(gl, gl.FRAGMENT_SHADER, fragmentShaderSource);
-  if (!vertexShader || !fragmentShader) return; // Error handled in createShader
-
-  // --- Link Program ---
-  glProgram = createProgram(gl, vertexShader, fragmentShader);
-  if (!glProgram) return; // Error handled in createProgram
-  gl.useProgram(glProgram);
-
-  // --- Get Attribute & Uniform Locations ---
-  positionLocation = gl.getAttribLocation(glProgram, 'a_position');
-  texCoordLocation = gl.getAttribLocation(glProgram, 'a_texCoord');
-  textureLocation = gl.getUniformLocation(glProgram, 'u_texture');
-  channelLocation = gl.getUniformLocation(glProgram, 'u_channel');
-
-  // --- Create Buffers for Quad ---
-  // Positions (covers entire clip space)
-  positionBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
-    -1, -1, // bottom left
-     1, -1, // bottom right
-    -1,  1, // top left
-     1,  1, // top right
-  ]), gl.STATIC_DRAW);
-
-  // Texture Coordinates (maps texture to quad)
-  texCoordBuffer = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([
-    0, 0, // bottom left
-    1, 0, // bottom right
-    0, 1, // top left
-    1, 1, // top right
-  ]), gl.STATIC_DRAW);
-
-  // --- Create Texture ---
-  videoTexture = createTexture(gl);
-
-  // --- Configure Attributes ---
-  gl.enableVertexAttribArray(positionLocation);
-  gl.bindBuffer(gl.ARRAY_BUFFER, positionBuffer);
-  gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0);
-
-  gl.enableVertexAttribArray(texCoordLocation);
-  gl.bindBuffer(gl.ARRAY_BUFFER, texCoordBuffer);
-  gl.vertexAttribPointer(texCoordLocation, 2, gl.FLOAT, false, 0, 0);
-
-  // --- Initial GL State ---
-  gl.viewport(0, 0, gl.canvas.width, gl.canvas.height); // Set initial viewport
-  gl.clearColor(0.1, 0.1, 0.1, 1); // Dark background
-  gl.uniform1i(textureLocation, 0); // Use texture unit 0
-
-  updateStatus('WebGL setup complete.');
-  webglInitialized = true;
-}
-
-// --- WebGL Helper Functions ---
-function createShader(gl, type, source) {
-  const shader = gl.createShader(type);
-  gl.shaderSource(shader, source);
-  gl.compileShader(shader);
-  const success = gl.getShaderParameter(shader, gl.COMPILE_STATUS);
-  if (success) {
-    return shader;
-  }
-  const errorLog = gl.getShaderInfoLog(shader);
-  updateStatus(`Shader Compile Error (${type === gl.VERTEX_SHADER ? 'Vertex' : 'Fragment'}): ${errorLog}`);
-  console.error('Shader Compile Error:', errorLog);
-  gl.deleteShader(shader);
-  return null;
-}
-
-function createProgram(gl, vertexShader, fragmentShader) {
-  const program = gl.createProgram();
-  gl.attachShader(program, vertexShader);
-  gl.attachShader(program, fragmentShader);
-  gl.linkProgram(program);
-  const success = gl.getProgramParameter(program, gl.LINK_STATUS);
-  if (success) {
-    return program;
-  }
-  const errorLog = gl.getProgramInfoLog(program);
-  updateStatus(`Program Link Error: ${errorLog}`);
-  console.error('Program Link Error:', errorLog);
-  gl.deleteProgram(program);
-  return null;
-}
-
-function createTexture(gl) {
-    const texture = gl.createTexture();
-    gl.bindTexture(gl.TEXTURE_2D, texture);
-    // Basic texture settings - might need adjustment
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR); // or NEAREST
-    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR); // or NEAREST
-
-    // Placeholder pixel until first frame arrives
-    const level = 0;
-    const internalFormat = gl.RGBA;
-    const width = 1;
-    const height = 1;
-    const border = 0;
-    const srcFormat = gl.RGBA;
-    const srcType = gl.UNSIGNED_BYTE;
-    const pixel = new Uint8Array([0, 0, 0, 255]); // Black
-    gl.texImage2D(gl.TEXTURE_2D, level, internalFormat, width, height, border, srcFormat, srcType, pixel);
-
-    return texture;
+// --- Separation Export ---
+// Exports run on their own decoder worker so every frame in the range is processed,
+// independent of playback. Frames arrive through the same 'newFrame' messages as playback.
+function startExport() {
+  const file = videoInput.files[0];
+  if (!file) {
+    updateStatus('No video file selected.');
+    return;
+  }
+  const bitDepth = parseInt(exportBitDepthSelect.value, 10);
+  const startSeconds = parseFloat(exportStartInput.value) || 0;
+  const endSeconds = parseFloat(exportEndInput.value);
+  const png = exportPngInput.checked;
+  const tiff = exportTiffInput.checked;
+  if (!png && !tiff) {
+    updateStatus('Export: choose PNG and/or TIFF output.');
+    return;
+  }
+  if (Number.isFinite(endSeconds) && endSeconds <= startSeconds) {
+    updateStatus('Export: the end time must be after the start time.');
+    return;
+  }
+
+  if (!setupRenderer()) {
+    updateStatus('Export: no renderer could start.');
+    return;
+  }
+
+  const worker = new Worker('./decoder_worker.js');
+  exportJob = {
+    worker,
+    file,
+    baseName: file.name.replace(/\.[^.]+$/, ''),
+    bitDepth,
+    png,
+    tiff,
+    startUs: startSeconds * 1_000_000,
+    endUs: Number.isFinite(endSeconds) ? endSeconds * 1_000_000 : Infinity,
+    orientation: UPRIGHT, // From the worker's 'trackInfo'
+    colorSpace: null, // Container colour description, also from 'trackInfo'
+    zip: new ZipWriter(),
+    frameCount: 0, // Frames accepted into the export (and numbered)
+    exportedCount: 0, // Frames written to the archive
+    pending: Promise.resolve(), // Frames are encoded one after another
+    backlog: 0, // Frames received but not yet written
+    flow: { paused: false }, // Decoder worker pause state, see regulateDecoder()
+    decodeSummary: null, // Sample counts from the worker's 'decodeComplete'
+    finishing: false
+  };
+  worker.onmessage = (event) => handleExportWorkerMessage(exportJob, event);
+  worker.onerror = (err) => cancelExport(`Export worker error: ${err.message}`);
+
+  exportBtn.textContent = 'Cancel export';
+  exportProgress.textContent = 'Reading file...';
+  worker.postMessage({ type: 'initialize', file, trackId: selectedTrackId });
+}
+
+function handleExportWorkerMessage(job, event) {
+  const { type, data } = event.data;
+  if (job !== exportJob) {
+    // A late message from a cancelled export
+    if (type === 'newFrame') data.frame.close();
+    return;
+  }
+  switch (type) {
+    case 'newFrame': {
+      const frame = data.frame;
+      if (job.finishing || frame.timestamp < job.startUs) {
+        frame.close();
+        return;
+      }
+      if (frame.timestamp > job.endUs) {
+        // Frames come out in presentation order, so the range is done
+        frame.close();
+        finishExport(job);
+        return;
+      }
+      const frameNumber = ++job.frameCount;
+      job.backlog++;
+      regulateDecoder(job.worker, job.flow, job.backlog);
+      job.pending = job.pending
+        .then(() => exportFrame(job, frame, frameNumber))
+        .then(() => {
+          job.backlog--;
+          regulateDecoder(job.worker, job.flow, job.backlog);
+        })
+        .catch(err => {
+          console.error('Export error:', err);
+          cancelExport(`Export failed: ${err.message}`);
+        });
+      break;
+    }
+    case 'decodeComplete':
+      // Interrupted (decoder error, reset): the ZIP would be missing the rest of the range
+      if (data && data.interrupted) {
+        if (!job.finishing) cancelExport('Export failed: decoding stopped before the end of the clip.');
+        break;
+      }
+      job.decodeSummary = data;
+      finishExport(job);
+      break;
+    case 'error':
+      console.warn(`Export worker: ${data.message}`);
+      break;
+    case 'trackInfo':
+      job.orientation = orientationFromTrackInfo(data);
+      job.colorSpace = data.colorSpace;
+      break;
+    case 'status':
+    case 'progress':
+    case 'tracks':
+      break;
+    default:
+      console.warn('Unknown message from export worker:', event.data);
+  }
+}
+
+async function exportFrame(job, frame, frameNumber) {
+  if (job !== exportJob) {
+    frame.close();
+    return;
+  }
+  let separated;
+  try {
+    separated = await readSeparatedFrame(frame, job.bitDepth, job);
+  } finally {
+    frame.close();
+  }
+
+  await addSeparationFiles(job, separated, frameNumber);
+  job.exportedCount++;
+  exportProgress.textContent = `Exported ${job.exportedCount} frame(s), last at ${(separated.timestamp / 1_000_000).toFixed(3)}s`;
+}
+
+/**
+ * Write one frame's plates into an export archive
+ * @param {{zip: ZipWriter, baseName: string, bitDepth: number, png: boolean, tiff: boolean}} job
+ * @param {{width: number, height: number, cmyk: Uint8Array|Uint16Array}} separated
+ * @param {number} frameNumber - From 1
+ */
+async function addSeparationFiles(job, { width, height, cmyk }, frameNumber) {
+  const number = String(frameNumber).padStart(6, '0');
+  if (job.png) {
+    for (let plate = 0; plate < 4; plate++) {
+      const samples = extractPlate(cmyk, plate);
+      const pngData = await encodeGrayscalePng(samples, width, height, job.bitDepth);
+      await job.zip.addFile(`${PLATE_NAMES[plate]}/${job.baseName}_${PLATE_NAMES[plate]}_${number}.png`, pngData, true);
+    }
+  }
+  if (job.tiff) {
+    await job.zip.addFile(`CMYK/${job.baseName}_CMYK_${number}.tif`, encodeCmykTiff(cmyk, width, height, job.bitDepth));
+  }
+}
+
+/**
+ * Separate a frame with the current settings and read the plates back
+ * @param {VideoFrame} frame
+ * @param {number} bitDepth - 8 or 16
+ * @param {{orientation: Object, colorSpace: Object|null}} track - Orientation and colour description of the source track
+ * @returns {Promise<{width: number, height: number, timestamp: number, cmyk: Uint8Array|Uint16Array}>} - Interleaved C, M, Y, K, top row first
+ */
+async function readSeparatedFrame(frame, bitDepth, track) {
+  const plates = await renderer.readPlates(frame, track, renderSettings(), bitDepth);
+  return { ...plates, timestamp: frame.timestamp };
+}
+
+/**
+ * Render a frame exactly as the processed canvas would show it (selected channel, grid, TAC, halftone)
+ * @param {VideoFrame} frame
+ * @param {{orientation: Object, colorSpace: Object|null}} track - Orientation and colour description of the source track
+ * @param {{width: number, height: number}} size - Frame size the encoder was configured with
+ * @returns {Promise<VideoFrame>} - New RGBA frame with the source's timestamp and duration
+ */
+async function renderDisplayedFrame(frame, track, size) {
+  const pixels = await renderer.renderDisplayed(frame, track, renderSettings(), size);
+  return new VideoFrame(pixels, {
+    format: 'RGBA',
+    codedWidth: size.width,
+    codedHeight: size.height,
+    timestamp: frame.timestamp,
+    duration: frame.duration ?? undefined
+  });
+}
+
+// Pull one plate out of interleaved CMYK samples
+function extractPlate(cmyk, plate) {
+  const samples = new cmyk.constructor(cmyk.length / 4);
+  for (let i = 0; i < samples.length; i++) {
+    samples[i] = cmyk[i * 4 + plate];
+  }
+  return samples;
+}
+
+function finishExport(job) {
+  if (job.finishing) return;
+  job.finishing = true;
+  stopExportWorker(job);
+  job.pending.then(() => {
+    if (job !== exportJob) return; // Cancelled while encoding
+    exportJob = null;
+    exportBtn.textContent = 'Export ZIP';
+    if (job.exportedCount === 0) {
+      exportProgress.textContent = 'No frames in the selected range.';
+      return;
+    }
+    const archive = job.zip.finish();
+    downloadBlob(archive, `${job.baseName}_separations.zip`);
+    exportProgress.textContent = `Exported ${job.exportedCount} frame(s) (${(archive.size / 1_048_576).toFixed(1)} MB)${decodeShortfall(job.decodeSummary)}.`;
+    updateStatus('Export complete.');
+  });
+}
+
+function cancelExport(message) {
+  const job = exportJob;
+  if (!job) return;
+  exportJob = null;
+  job.finishing = true;
+  stopExportWorker(job);
+  exportBtn.textContent = 'Export ZIP';
+  exportProgress.textContent = message;
+  updateStatus(message);
+}
+
+function stopExportWorker(job) {
+  try {
+    job.worker.postMessage({ type: 'stop' });
+  } catch (e) {
+    console.warn('Error stopping export worker:', e);
+  }
+  job.worker.terminate();
+}
+
+// --- Plate Statistics ---
+// Displayed frames are measured as they are drawn; "Analyse whole clip" decodes every frame on
+// its own worker, like the export, so the series covers frames playback skipped.
+function startAnalysis() {
+  const file = videoInput.files[0];
+  if (!file) {
+    updateStatus('No video file selected.');
+    return;
+  }
+  if (!setupRenderer()) {
+    updateStatus('Analysis: no renderer could start.');
+    return;
+  }
+
+  const worker = new Worker('./decoder_worker.js');
+  analysisJob = {
+    worker,
+    settings: renderSettings(), // Fixed for the run, so every frame is separated the same way
+    orientation: UPRIGHT, // From the worker's 'trackInfo'
+    colorSpace: null, // Container colour description, also from 'trackInfo'
+    frameCount: 0,
+    pending: Promise.resolve(), // Frames are measured one after another
+    backlog: 0, // Frames received but not yet measured
+    flow: { paused: false }, // Decoder worker pause state, see regulateDecoder()
+    decodeSummary: null, // Sample counts from the worker's 'decodeComplete'
+    finishing: false
+  };
+  const job = analysisJob;
+  worker.onmessage = (event) => handleAnalysisWorkerMessage(job, event);
+  worker.onerror = (err) => cancelAnalysis(`Analysis worker error: ${err.message}`);
+
+  clearPlateStats();
+  analyseBtn.textContent = 'Cancel analysis';
+  statsProgress.textContent = 'Reading file...';
+  worker.postMessage({ type: 'initialize', file, trackId: selectedTrackId });
+}
+
+function handleAnalysisWorkerMessage(job, event) {
+  const { type, data } = event.data;
+  if (job !== analysisJob) {
+    // A late message from a cancelled analysis
+    if (type === 'newFrame') data.frame.close();
+    return;
+  }
+  switch (type) {
+    case 'newFrame': {
+      const frame = data.frame;
+      if (job.finishing) {
+        frame.close();
+        return;
+      }
+      job.backlog++;
+      regulateDecoder(job.worker, job.flow, job.backlog);
+      job.pending = job.pending
+        .then(() => analyseFrame(job, frame))
+        .then(() => {
+          job.backlog--;
+          regulateDecoder(job.worker, job.flow, job.backlog);
+        })
+        .catch(err => {
+          console.error('Analysis error:', err);
+          cancelAnalysis(`Analysis failed: ${err.message}`);
+        });
+      break;
+    }
+    case 'decodeComplete':
+      if (data && data.interrupted) {
+        if (!job.finishing) cancelAnalysis('Analysis failed: decoding stopped before the end of the clip.');
+        break;
+      }
+      job.decodeSummary = data;
+      finishAnalysis(job);
+      break;
+    case 'error':
+      console.warn(`Analysis worker: ${data.message}`);
+      break;
+    case 'trackInfo':
+      job.orientation = orientationFromTrackInfo(data);
+      job.colorSpace = data.colorSpace;
+      break;
+    case 'status':
+    case 'progress':
+    case 'tracks':
+      break;
+    default:
+      console.warn('Unknown message from analysis worker:', event.data);
+  }
+}
+
+async function analyseFrame(job, frame) {
+  try {
+    if (job !== analysisJob) return;
+    const size = outputSize(frame.displayWidth, frame.displayHeight, job.orientation);
+    const scale = Math.min(1, PLATE_STATS_MAX_SIZE / Math.max(size.width, size.height));
+    const statsSize = { width: Math.max(1, Math.round(size.width * scale)), height: Math.max(1, Math.round(size.height * scale)) };
+    const { cmyk } = await renderer.readPlates(frame, job, job.settings, 8, statsSize);
+    plateSeries.set(frame.timestamp, computeFrameStats(cmyk, frame.timestamp));
+    job.frameCount++;
+    statsProgress.textContent = `Analysed ${job.frameCount} frame(s), last at ${(frame.timestamp / 1_000_000).toFixed(3)}s`;
+    refreshTimeline(false);
+  } finally {
+    frame.close();
+  }
+}
+
+function finishAnalysis(job) {
+  if (job.finishing) return;
+  job.finishing = true;
+  stopAnalysisWorker(job);
+  job.pending.then(() => {
+    if (job !== analysisJob) return; // Cancelled meanwhile
+    analysisJob = null;
+    analyseBtn.textContent = 'Analyse whole clip';
+    statsProgress.textContent = `Analysed ${job.frameCount} frame(s)${decodeShortfall(job.decodeSummary)}.`;
+    refreshTimeline(true);
+    updateStatus('Analysis complete.');
+  });
+}
+
+function cancelAnalysis(message) {
+  const job = analysisJob;
+  if (!job) return;
+  analysisJob = null;
+  job.finishing = true;
+  stopAnalysisWorker(job);
+  analyseBtn.textContent = 'Analyse whole clip';
+  statsProgress.textContent = message;
+  updateStatus(message);
+}
+
+function stopAnalysisWorker(job) {
+  try {
+    job.worker.postMessage({ type: 'stop' });
+  } catch (e) {
+    console.warn('Error stopping analysis worker:', e);
+  }
+  job.worker.terminate();
+}
+
+function clearPlateStats() {
+  plateSeries = new Map();
+  showFrameStats(null);
+  refreshTimeline(true);
+}
+
+// Live histogram and the mean/median/P95 table for one frame (null clears them)
+function showFrameStats(stats) {
+  drawHistogram(histogramCanvas, stats);
+  const body = plateStatsTable.tBodies[0];
+  body.replaceChildren(...PLATE_NAMES.map((name, plate) => {
+    const row = document.createElement('tr');
+    const values = stats ? [stats.plates[plate].mean, stats.plates[plate].median, stats.plates[plate].p95] : [];
+    row.append(...[name, ...values.map(value => `${value.toFixed(1)}%`)].map(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      return cell;
+    }));
+    return row;
+  }));
+}
+
+// Redraw the timeline, at most every TIMELINE_REDRAW_INTERVAL unless forced
+function refreshTimeline(force) {
+  const now = performance.now();
+  if (!force && now - timelineDrawnAt < TIMELINE_REDRAW_INTERVAL) return;
+  timelineDrawnAt = now;
+  drawTimeline(timelineCanvas, sortedFrames(plateSeries), originalVideo.duration, originalVideo.currentTime);
 }
 
+// Download the per-frame series collected so far
+function exportPlateStats(format) {
+  if (plateSeries.size === 0) {
+    statsProgress.textContent = 'No statistics yet: play the clip or analyse it first.';
+    return;
+  }
+  const frames = sortedFrames(plateSeries);
+  const file = videoInput.files[0];
+  const baseName = file ? file.name.replace(/\.[^.]+$/, '') : 'plates';
+  if (format === 'csv') {
+    downloadBlob(new Blob([statsToCsv(frames)], { type: 'text/csv' }), `${baseName}_plate_stats.csv`);
+  } else {
+    const settings = renderSettings();
+    const info = {
+      file: file ? file.name : null,
+      separation: settings.separation === SEPARATION_ICC ? (iccProfile && iccProfile.description) || 'ICC profile' : 'device naive',
+      blackGeneration: settings.blackGeneration,
+      renderer: renderer ? renderer.description : null
+    };
+    downloadBlob(new Blob([statsToJson(frames, info)], { type: 'application/json' }), `${baseName}_plate_stats.json`);
+  }
+  statsProgress.textContent = `Exported statistics for ${frames.length} frame(s).`;
+}
+
+// --- Batch Queue ---
+// Clips run one after another on their own decoder worker, like the whole-clip analysis, all
+// with the settings in force when the batch started. Each clip is summarised for the report
+// and, if asked, exported like the separation export.
+
+/**
+ * @typedef {Object} BatchItem
+ * @property {File} file
+ * @property {string} path - Name, with its folder path when dropped as a folder
+ * @property {string} status - 'queued', 'running', 'done', 'failed' or 'cancelled'
+ * @property {string} progress
+ * @property {string|null} error
+ * @property {import('./batch_report.js').ClipSummary|null} summary
+ */
+
+/**
+ * Add files to the queue
+ * @param {Array<{file: File, path: string}>} files
+ */
+function addBatchFiles(files) {
+  for (const { file, path } of files) {
+    batchQueue.push({ file, path, status: 'queued', progress: '', error: null, summary: null });
+  }
+  if (!files.length) batchProgress.textContent = 'No video files found in the selection.';
+  renderBatchTable();
+}
+
+/**
+ * Files under a dropped entry, with their paths (folders are read recursively)
+ * @param {FileSystemEntry} entry
+ * @returns {Promise<Array<{file: File, path: string}>>}
+ */
+async function readDroppedEntry(entry) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ file, path: entry.fullPath.replace(/^\//, '') }];
+  }
+  const reader = entry.createReader();
+  const children = [];
+  // readEntries() returns the folder in chunks, then an empty list
+  for (;;) {
+    const chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (!chunk.length) break;
+    children.push(...chunk);
+  }
+  children.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+  return (await Promise.all(children.map(readDroppedEntry))).flat();
+}
+
+function startBatch() {
+  const items = batchQueue.filter(item => item.status === 'queued');
+  if (!items.length) {
+    batchProgress.textContent = 'Add files to the queue first.';
+    return;
+  }
+  if (!setupRenderer()) {
+    batchProgress.textContent = 'Batch: no renderer could start.';
+    return;
+  }
+  const png = exportPngInput.checked;
+  const tiff = exportTiffInput.checked;
+  const exportZip = batchExportInput.checked;
+  if (exportZip && !png && !tiff) {
+    batchProgress.textContent = 'Batch: choose PNG and/or TIFF output for the separation export.';
+    return;
+  }
+
+  batchJob = {
+    settings: renderSettings(), // Fixed for the whole batch
+    exportZip,
+    bitDepth: parseInt(exportBitDepthSelect.value, 10),
+    png,
+    tiff,
+    current: null // Clip being processed, see processBatchFile()
+  };
+  batchStartBtn.textContent = 'Cancel batch';
+  runBatch(batchJob, items);
+}
+
+async function runBatch(batch, items) {
+  for (const [index, item] of items.entries()) {
+    if (batch !== batchJob) return;
+    batchProgress.textContent = `Processing ${index + 1} of ${items.length}: ${item.path}`;
+    item.status = 'running';
+    item.progress = 'Reading file...';
+    renderBatchTable();
+    try {
+      item.summary = await processBatchFile(batch, item);
+      item.status = 'done';
+      item.progress = `${item.summary.frames} frame(s), ${item.summary.durationSeconds.toFixed(1)}s${decodeShortfall(item.summary)}`;
+    } catch (e) {
+      item.status = batch === batchJob ? 'failed' : 'cancelled';
+      item.error = e.message;
+      console.error(`Batch: ${item.path}:`, e);
+    }
+    renderBatchTable();
+  }
+  if (batch !== batchJob) return;
+  batchJob = null;
+  batchStartBtn.textContent = 'Start batch';
+  const failed = items.filter(item => item.status === 'failed').length;
+  batchProgress.textContent = `Batch complete: ${items.length - failed} clip(s) processed${failed ? `, ${failed} failed` : ''}.`;
+  updateStatus('Batch complete.');
+  exportBatchReport('csv');
+}
+
+/**
+ * Decode, measure (and export) one clip
+ * @param {Object} batch - batchJob
+ * @param {BatchItem} item
+ * @returns {Promise<import('./batch_report.js').ClipSummary>} - Rejects when the clip fails or the batch is cancelled
+ */
+function processBatchFile(batch, item) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker('./decoder_worker.js');
+    const job = {
+      batch,
+      item,
+      worker,
+      baseName: item.file.name.replace(/\.[^.]+$/, ''),
+      bitDepth: batch.bitDepth,
+      png: batch.png,
+      tiff: batch.tiff,
+      zip: batch.exportZip ? new ZipWriter() : null,
+      orientation: UPRIGHT, // From the worker's 'trackInfo'
+      colorSpace: null, // Container colour description, also from 'trackInfo'
+      clip: new ClipAccumulator(),
+      pending: Promise.resolve(), // Frames are processed one after another
+      backlog: 0, // Frames received but not yet processed
+      flow: { paused: false }, // Decoder worker pause state, see regulateDecoder()
+      readPercent: 0,
+      decodeSummary: null, // Sample counts from the worker's 'decodeComplete'
+      lastError: null, // Last error the worker reported, for the failure message
+      lastActivity: performance.now(),
+      watchdog: null,
+      settled: false,
+      resolve,
+      reject
+    };
+    batch.current = job;
+    worker.onmessage = (event) => handleBatchWorkerMessage(job, event);
+    worker.onerror = (err) => failBatchFile(job, `Worker error: ${err.message}`);
+    job.watchdog = setInterval(() => {
+      if (job.backlog === 0 && performance.now() - job.lastActivity > BATCH_STALL_TIMEOUT) {
+        failBatchFile(job, job.lastError || `No progress for ${BATCH_STALL_TIMEOUT / 1000}s`);
+      }
+    }, 5000);
+    worker.postMessage({ type: 'initialize', file: item.file, trackId: null }); // The first video track
+  });
+}
+
+function handleBatchWorkerMessage(job, event) {
+  const { type, data } = event.data;
+  if (job.settled) {
+    // A late message from a finished or failed clip
+    if (type === 'newFrame') data.frame.close();
+    return;
+  }
+  job.lastActivity = performance.now();
+  switch (type) {
+    case 'newFrame': {
+      const frame = data.frame;
+      job.backlog++;
+      regulateDecoder(job.worker, job.flow, job.backlog);
+      job.pending = job.pending
+        .then(() => processBatchFrame(job, frame))
+        .then(() => {
+          job.backlog--;
+          job.lastActivity = performance.now();
+          regulateDecoder(job.worker, job.flow, job.backlog);
+        })
+        .catch(err => failBatchFile(job, err.message));
+      break;
+    }
+    case 'decodeComplete':
+      if (data && data.interrupted) {
+        if (!job.finishing) failBatchFile(job, job.lastError || 'Decoding stopped before the end of the clip');
+        break;
+      }
+      job.decodeSummary = data;
+      finishBatchFile(job);
+      break;
+    case 'error':
+      job.lastError = data.message;
+      console.warn(`Batch worker: ${data.message}`);
+      break;
+    case 'trackInfo':
+      job.orientation = orientationFromTrackInfo(data);
+      job.colorSpace = data.colorSpace;
+      break;
+    case 'progress':
+      job.readPercent = data.totalBytes ? data.bytesRead / data.totalBytes * 100 : 0;
+      break;
+    case 'status':
+    case 'tracks':
+      break;
+    default:
+      console.warn('Unknown message from batch worker:', event.data);
+  }
+}
+
+async function processBatchFrame(job, frame) {
+  let plates;
+  try {
+    if (job.settled) return;
+    const settings = job.batch.settings;
+    if (job.zip) {
+      // Full-size plates for the archive; the statistics are taken from them too
+      plates = await renderer.readPlates(frame, job, settings, job.bitDepth);
+      await addSeparationFiles(job, plates, job.clip.frames + 1);
+    } else {
+      const size = outputSize(frame.displayWidth, frame.displayHeight, job.orientation);
+      const scale = Math.min(1, PLATE_STATS_MAX_SIZE / Math.max(size.width, size.height));
+      const statsSize = { width: Math.max(1, Math.round(size.width * scale)), height: Math.max(1, Math.round(size.height * scale)) };
+      plates = await renderer.readPlates(frame, job, settings, 8, statsSize);
+    }
+    job.clip.addFrame(computeFrameStats(plates.cmyk, frame.timestamp), measureTac(plates.cmyk, settings.tacLimit), frame.duration ?? 0);
+    job.item.progress = `${job.clip.frames} frame(s), read ${job.readPercent.toFixed(0)}%`;
+    updateBatchRow(job.item);
+  } finally {
+    frame.close();
+  }
+}
+
+function finishBatchFile(job) {
+  if (job.settled || job.finishing) return;
+  job.finishing = true;
+  stopBatchWorker(job);
+  job.pending.then(() => {
+    if (job.settled) return; // Failed or cancelled meanwhile
+    job.settled = true;
+    clearInterval(job.watchdog);
+    if (job.clip.frames === 0) {
+      job.reject(new Error(job.lastError || 'No frames could be decoded'));
+      return;
+    }
+    if (job.zip) downloadBlob(job.zip.finish(), `${job.baseName}_separations.zip`);
+    job.resolve({
+      ...job.clip.summary(),
+      skippedSamples: job.decodeSummary ? job.decodeSummary.skippedSamples : 0,
+      errorSamples: job.decodeSummary ? job.decodeSummary.errorSamples : 0
+    });
+  });
+}
+
+function failBatchFile(job, message) {
+  if (job.settled) return;
+  job.settled = true;
+  clearInterval(job.watchdog);
+  stopBatchWorker(job);
+  job.reject(new Error(message));
+}
+
+function cancelBatch(message) {
+  const batch = batchJob;
+  if (!batch) return;
+  batchJob = null;
+  if (batch.current) failBatchFile(batch.current, message);
+  batchStartBtn.textContent = 'Start batch';
+  batchProgress.textContent = message;
+  updateStatus(message);
+}
+
+function stopBatchWorker(job) {
+  try {
+    job.worker.postMessage({ type: 'stop' });
+  } catch (e) {
+    console.warn('Error stopping batch worker:', e);
+  }
+  job.worker.terminate();
+}
+
+// Rebuild the queue table, one row per clip
+function renderBatchTable() {
+  const body = batchTable.tBodies[0];
+  body.replaceChildren(...batchQueue.map(item => {
+    item.row = document.createElement('tr');
+    updateBatchRow(item);
+    return item.row;
+  }));
+  if (!batchJob && batchQueue.length) {
+    const queued = batchQueue.filter(item => item.status === 'queued').length;
+    batchProgress.textContent = `${batchQueue.length} clip(s) in the queue, ${queued} waiting`;
+  } else if (!batchQueue.length) {
+    batchProgress.textContent = 'No files queued';
+  }
+}
+
+// Refresh one clip's row in place
+function updateBatchRow(item) {
+  const summary = item.summary;
+  const cells = [
+    item.path,
+    item.status,
+    item.error || item.progress,
+    summary ? `${summary.maxTac.toFixed(0)}%` : '',
+    summary ? `${summary.framesOverLimit}` : '',
+    ...(summary ? summary.plates.map(plate => `${plate.mean.toFixed(1)}%`) : ['', '', '', ''])
+  ];
+  item.row.className = item.status === 'failed' ? 'failed' : '';
+  item.row.replaceChildren(...cells.map(text => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    return cell;
+  }));
+}
+
+// Download the summary of every clip in the queue
+function exportBatchReport(format) {
+  const entries = batchQueue
+    .filter(item => item.status !== 'running')
+    .map(({ path, status, error, summary }) => ({ file: path, status, error, summary }));
+  if (!entries.some(entry => entry.summary || entry.error)) {
+    batchProgress.textContent = 'No processed clips to report yet.';
+    return;
+  }
+  if (format === 'csv') {
+    downloadBlob(new Blob([batchReportToCsv(entries)], { type: 'text/csv' }), 'batch_report.csv');
+  } else {
+    const settings = renderSettings();
+    const info = {
+      separation: settings.separation === SEPARATION_ICC ? (iccProfile && iccProfile.description) || 'ICC profile' : 'device naive',
+      blackGeneration: settings.blackGeneration,
+      tacLimit: settings.tacLimit * 100,
+      renderer: renderer ? renderer.description : null
+    };
+    downloadBlob(new Blob([batchReportToJson(entries, info)], { type: 'application/json' }), 'batch_report.json');
+  }
+}
+
+// --- MP4 Re-encode ---
+// Same decode path as the image export, but each frame is rendered as displayed and
+// handed to encoder_worker.js, which encodes, muxes and copies the source audio.
+function startEncode() {
+  const file = videoInput.files[0];
+  if (!file) {
+    updateStatus('No video file selected.');
+    return;
+  }
+  if (!window.VideoEncoder) {
+    updateStatus('Error: VideoEncoder (WebCodecs) is not supported in this browser.');
+    return;
+  }
+  const startSeconds = parseFloat(exportStartInput.value) || 0;
+  const endSeconds = parseFloat(exportEndInput.value);
+  if (Number.isFinite(endSeconds) && endSeconds <= startSeconds) {
+    updateStatus('Encode: the end time must be after the start time.');
+    return;
+  }
+  const bitrate = Math.round((parseFloat(videoBitrateInput.value) || 8) * 1_000_000);
+
+  if (!setupRenderer()) {
+    updateStatus('Encode: no renderer could start.');
+    return;
+  }
+
+  const job = {
+    decoder: new Worker('./decoder_worker.js'),
+    encoder: new Worker('./encoder_worker.js'),
+    file,
+    baseName: file.name.replace(/\.[^.]+$/, ''),
+    codec: videoCodecSelect.value,
+    bitrate,
+    startUs: startSeconds * 1_000_000,
+    endUs: Number.isFinite(endSeconds) ? endSeconds * 1_000_000 : Infinity,
+    orientation: UPRIGHT, // From the worker's 'trackInfo'
+    colorSpace: null, // Container colour description, also from 'trackInfo'
+    size: null, // Encoded frame size, set with the orientation
+    frameRate: 30,
+    droppedAudio: null, // Why the source audio is not in the MP4, from 'encoderReady'
+    frameCount: 0, // Frames sent to the encoder
+    inFlight: 0, // Sent but not yet encoded
+    droppedFrames: 0, // Sent but refused by the encoder worker ('frameDropped')
+    encoderInitialized: false, // Set once the frame size is known and the encoder worker has the file
+    encoderReady: null, // Resolves once the encoder worker is configured
+    drained: null, // Resolves when inFlight drops below MAX_ENCODER_IN_FLIGHT
+    pending: Promise.resolve(),
+    backlog: 0, // Frames received but not yet sent to the encoder
+    flow: { paused: false }, // Decoder worker pause state, see regulateDecoder()
+    decodeSummary: null, // Sample counts from the worker's 'decodeComplete'
+    finishing: false
+  };
+  job.encoderReady = new Promise(resolve => { job.resolveEncoderReady = resolve; });
+  encodeJob = job;
+
+  job.decoder.onmessage = (event) => handleEncodeDecoderMessage(job, event);
+  job.decoder.onerror = (err) => cancelEncode(`Encode: decoder worker error: ${err.message}`);
+  job.encoder.onmessage = (event) => handleEncoderMessage(job, event);
+  job.encoder.onerror = (err) => cancelEncode(`Encode: encoder worker error: ${err.message}`);
+
+  encodeBtn.textContent = 'Cancel encode';
+  exportProgress.textContent = 'Reading file...';
+  job.decoder.postMessage({ type: 'initialize', file, trackId: selectedTrackId });
+}
+
+function handleEncodeDecoderMessage(job, event) {
+  const { type, data } = event.data;
+  if (job !== encodeJob) {
+    if (type === 'newFrame') data.frame.close();
+    return;
+  }
+  switch (type) {
+    case 'trackInfo':
+      // Configure the encoder for the decoded frame size; frames wait for 'encoderReady'
+      // The encoder worker reads the source's timescale and audio track from the same File
+      if (!job.encoderInitialized) {
+        job.encoderInitialized = true;
+        job.orientation = orientationFromTrackInfo(data);
+        job.colorSpace = data.colorSpace;
+        // Oriented display size, rounded down to even dimensions for 4:2:0 encoders
+        const size = outputSize(data.displayWidth, data.displayHeight, job.orientation);
+        job.size = { width: size.width & ~1, height: size.height & ~1 };
+        job.encoder.postMessage({
+          type: 'initialize',
+          file: job.file,
+          settings: {
+            codec: job.codec,
+            bitrate: job.bitrate,
+            width: job.size.width,
+            height: job.size.height,
+            startUs: job.startUs,
+            endUs: Number.isFinite(job.endUs) ? job.endUs : null,
+            trackId: data.trackId // Timing comes from the track being decoded
+          }
+        });
+      }
+      break;
+    case 'newFrame': {
+      const frame = data.frame;
+      if (job.finishing || frame.timestamp < job.startUs) {
+        frame.close();
+        return;
+      }
+      if (frame.timestamp > job.endUs) {
+        frame.close();
+        finishEncode(job);
+        return;
+      }
+      job.backlog++;
+      regulateDecoder(job.decoder, job.flow, job.backlog);
+      job.pending = job.pending
+        .then(() => encodeFrame(job, frame))
+        .then(() => {
+          job.backlog--;
+          regulateDecoder(job.decoder, job.flow, job.backlog);
+        })
+        .catch(err => {
+          console.error('Encode error:', err);
+          cancelEncode(`Encode failed: ${err.message}`);
+        });
+      break;
+    }
+    case 'decodeComplete':
+      // Interrupted (decoder error, reset): the MP4 would end early
+      if (data && data.interrupted) {
+        if (!job.finishing) cancelEncode('Encode failed: decoding stopped before the end of the clip.');
+        break;
+      }
+      job.decodeSummary = data;
+      finishEncode(job);
+      break;
+    case 'error':
+      console.warn(`Encode decoder: ${data.message}`);
+      break;
+    case 'status':
+    case 'progress':
+    case 'tracks':
+      break;
+    default:
+      console.warn('Unknown message from encode decoder worker:', event.data);
+  }
+}
+
+function handleEncoderMessage(job, event) {
+  const { type, data } = event.data;
+  if (job !== encodeJob) return;
+  switch (type) {
+    case 'encoderReady':
+      job.frameRate = data.frameRate;
+      job.droppedAudio = data.droppedAudio;
+      if (job.droppedAudio) {
+        updateStatus(`Encode: ${job.droppedAudio}; the MP4 will have no audio.`);
+      }
+      job.resolveEncoderReady();
+      break;
+    case 'frameEncoded':
+      frameSettled(job);
+      exportProgress.textContent = `Encoded ${data.encodedCount} frame(s), at ${(data.timestamp / 1_000_000).toFixed(3)}s`;
+      break;
+    case 'frameDropped':
+      job.droppedFrames++;
+      frameSettled(job);
+      break;
+    case 'encodeFailed':
+      // Flush, muxing or the encoder itself failed: no 'encodeComplete' will follow
+      cancelEncode(`Encode failed: ${data.message}`);
+      break;
+    case 'encodeComplete': {
+      encodeJob = null;
+      stopEncodeWorkers(job);
+      encodeBtn.textContent = 'Encode MP4';
+      const blob = new Blob([data.buffer], { type: 'video/mp4' });
+      downloadBlob(blob, `${job.baseName}_${channelLabel(parseInt(channelSelect.value, 10))}.mp4`);
+      exportProgress.textContent = `Encoded ${data.encodedCount} frame(s) (${(blob.size / 1_048_576).toFixed(1)} MB)${job.droppedFrames ? `, ${job.droppedFrames} frame(s) dropped by the encoder` : ''}${job.droppedAudio ? ', without audio' : ''}${decodeShortfall(job.decodeSummary)}.`;
+      updateStatus(job.droppedAudio ? `MP4 encode complete, without audio (${job.droppedAudio}).` : 'MP4 encode complete.');
+      break;
+    }
+    case 'error':
+      // Initialization failures leave the encoder closed; later fatal errors arrive as 'encodeFailed'
+      if (!job.finishing && job.frameCount === 0) {
+        cancelEncode(`Encode failed: ${data.message}`);
+      } else {
+        exportProgress.textContent = `Encoder: ${data.message}`;
+      }
+      break;
+    case 'status':
+      console.log(`Encoder: ${data.message}`);
+      break;
+    default:
+      console.warn('Unknown message from encoder worker:', event.data);
+  }
+}
+
+// A frame sent to the encoder worker came back encoded or dropped: wake encodeFrame() if it waits
+function frameSettled(job) {
+  job.inFlight--;
+  if (job.drained && job.inFlight < MAX_ENCODER_IN_FLIGHT) {
+    job.drained.resolve();
+    job.drained = null;
+  }
+}
+
+async function encodeFrame(job, frame) {
+  try {
+    await job.encoderReady;
+    // Let the encoder catch up instead of piling frames into its queue
+    if (job.inFlight >= MAX_ENCODER_IN_FLIGHT) {
+      await new Promise(resolve => { job.drained = { resolve }; });
+    }
+    if (job !== encodeJob) return;
+
+    const rendered = await renderDisplayedFrame(frame, job, job.size);
+    // Key frame every two seconds
+    const keyFrameInterval = Math.max(1, Math.round(job.frameRate * 2));
+    const keyFrame = job.frameCount % keyFrameInterval === 0;
+    job.frameCount++;
+    job.inFlight++;
+    job.encoder.postMessage({ type: 'frame', frame: rendered, keyFrame }, [rendered]);
+  } finally {
+    frame.close();
+  }
+}
+
+function finishEncode(job) {
+  if (job.finishing) return;
+  job.finishing = true;
+  try {
+    job.decoder.postMessage({ type: 'stop' });
+  } catch (e) {
+    console.warn('Error stopping encode decoder worker:', e);
+  }
+  job.decoder.terminate();
+  job.pending.then(() => {
+    if (job !== encodeJob) return;
+    if (job.frameCount === 0) {
+      cancelEncode('No frames in the selected range.');
+      return;
+    }
+    exportProgress.textContent = 'Finishing MP4...';
+    job.encoder.postMessage({ type: 'finish' });
+  });
+}
+
+function cancelEncode(message) {
+  const job = encodeJob;
+  if (!job) return;
+  encodeJob = null;
+  job.finishing = true;
+  // Release frames still waiting in the chain
+  job.resolveEncoderReady();
+  if (job.drained) job.drained.resolve();
+  stopEncodeWorkers(job);
+  encodeBtn.textContent = 'Encode MP4';
+  exportProgress.textContent = message;
+  updateStatus(message);
+}
+
+function stopEncodeWorkers(job) {
+  for (const worker of [job.decoder, job.encoder]) {
+    try {
+      worker.postMessage({ type: 'stop' });
+    } catch (e) {
+      console.warn('Error stopping encode worker:', e);
+    }
+    worker.terminate();
+  }
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Give the download a moment to start before releasing the blob
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// --- Renderer ---
+/**
+ * Start the renderer picked in rendererSelect (or the best one available) if none is running
+ * @returns {boolean} Whether a renderer is ready
+ */
+function setupRenderer() {
+  if (renderer) return true;
+  try {
+    rendererChoice = rendererSelect.value;
+    const { renderer: started, failures } = createRenderer(rendererChoice, newCanvas);
+    renderer = started;
+    if (iccLut) renderer.setIccLut(iccLut); // In case a profile was loaded before the renderer started
+    rendererInfo.textContent = failures.length ? `${renderer.description} (${failures.join('; ')})` : renderer.description;
+    updateStatus(`Renderer ready: ${renderer.description}`);
+    return true;
+  } catch (e) {
+    console.error('Renderer error:', e);
+    rendererInfo.textContent = e.message;
+    updateStatus(`Error: ${e.message}`);
+    return false;
+  }
+}
+
+// Put a context-free copy of the processed canvas in its place (a canvas keeps its first context type)
+function newCanvas() {
+  const fresh = canvas.cloneNode(false);
+  canvas.replaceWith(fresh);
+  canvas = fresh;
+  return fresh;
+}
+
+// Restart on the renderer picked in rendererSelect. The last frame only lived in the old
+// renderer, so playback is asked for it again.
+function switchRenderer() {
+  if (exportJob || encodeJob || analysisJob || batchJob) {
+    rendererSelect.value = rendererChoice;
+    updateStatus('Finish or cancel the running export before switching renderers.');
+    return;
+  }
+  if (!renderer) return; // Started with the new choice on first use
+  const size = { width: canvas.width, height: canvas.height };
+  renderer.destroy();
+  renderer = null;
+  if (!setupRenderer()) return;
+  renderer.resize(size.width, size.height);
+  renderer.clear();
+  if (decoderWorker && lastRenderedTimestamp >= 0) {
+    lastRenderedTimestamp = -1;
+    requestWorkerSeek(originalVideo.currentTime);
+  }
+}
+
+// Mark the renderers this browser cannot start
+function populateRendererSelect() {
+  const available = availableRenderers();
+  for (const option of rendererSelect.options) {
+    if (option.value !== RENDERER_AUTO && !available.has(option.value)) {
+      option.disabled = true;
+      option.textContent += ' (unavailable)';
+    }
+  }
+}
+
+/**
+ * Separation, display and screening settings from the UI
+ * @returns {RenderSettings}
+ */
+function renderSettings() {
+  // Total ink limit, entered in percent
+  const tacLimitPercent = parseFloat(tacLimitInput.value);
+  // Halftone screening: one canvas pixel is one device pixel at the output DPI
+  const lpi = parseFloat(lpiInput.value);
+  const dpi = parseFloat(dpiInput.value);
+  const cellSize = lpi > 0 && dpi > 0 ? dpi / lpi : 16;
+  return {
+    channel: parseInt(channelSelect.value, 10),
+    // Fall back to the naive formula until a profile has been baked
+    separation: iccLut ? parseInt(separationSelect.value, 10) : SEPARATION_NAIVE,
+    blackGeneration,
+    tacLimit: (Number.isFinite(tacLimitPercent) ? tacLimitPercent : 300) / 100,
+    halftone: parseInt(halftoneSelect.value, 10),
+    dotShape: parseInt(dotShapeSelect.value, 10),
+    cellSize: Math.max(cellSize, 1),
+    screenAngles: angleInputs.map(input => (parseFloat(input.value) || 0) * Math.PI / 180),
+    inkTint: inkTintInput.checked,
+    paperWhite: hexToRgb(paperWhiteInput.value),
+    inkColours: PROCESS_INKS.map(ink => ink.colour),
+    spotInks,
+    dotGain: {
+      tvi: tviInputs.map(input => (parseFloat(input.value) || 0) / 100),
+      compensate: compensateGainInput.checked,
+      showPrinted: showPrintedInput.checked
+    },
+    maxDensity: parseFloat(maxDensityInput.value) || REFERENCE_MAX_DENSITY,
+    toneMap: parseInt(toneMapSelect.value, 10),
+    orientation: playbackOrientation
+  };
+}
+
+// Draw the playback frame with the current settings, and measure TAC while the heatmap is shown
+function drawPlates() {
+  const settings = renderSettings();
+  renderer.draw(settings);
+
+  if (settings.channel === TAC_CHANNEL) {
+    const { maxTac, overPercent } = renderer.measureTac(settings, TAC_STATS_MAX_SIZE);
+    const summary = `Max TAC ${maxTac.toFixed(0)}%, ${overPercent.toFixed(2)}% of pixels over ${tacLimitInput.value}%`;
+    tacReadout.textContent = summary;
+    updateStatus(`Frame ${(lastRenderedTimestamp / 1_000_000).toFixed(3)}s: ${summary}`);
+  } else {
+    tacReadout.textContent = 'Select the TAC heatmap to measure coverage';
+  }
+
+  if (liveStatsInput.checked) {
+    const { cmyk } = renderer.measurePlates(settings, PLATE_STATS_MAX_SIZE);
+    const stats = computeFrameStats(cmyk, lastRenderedTimestamp);
+    plateSeries.set(stats.timestamp, stats);
+    showFrameStats(stats);
+    refreshTimeline(false);
+  }
+  updateInspector();
+  drawComparison();
+}
+
+// --- Pixel Inspector ---
+// Track the frame point under the pointer on the video or the processed canvas
+function handleInspectorPointer(event) {
+  if (!inspectorInput.checked) return;
+  const onVideo = event.currentTarget === originalVideo;
+  const element = onVideo ? originalVideo : canvas;
+  const rect = element.getBoundingClientRect();
+  const grid = !onVideo && parseInt(channelSelect.value, 10) === GRID_CHANNEL;
+  const point = framePointAt(rect, event.clientX, event.clientY, grid);
+  inspectorHover = point ? { point, raw: framePointAt(rect, event.clientX, event.clientY, false), surface: onVideo ? 'video' : 'canvas' } : null;
+  updateInspector();
+}
+
+// Read the hovered and pinned points from the renderer and redraw the loupe, readouts and markers
+function updateInspector() {
+  const enabled = inspectorInput.checked;
+  syncInspectorOverlay();
+  drawPinMarkers(inspectorOverlay, enabled ? inspectorPins : [], parseInt(channelSelect.value, 10) === GRID_CHANNEL);
+  if (!enabled) {
+    inspectorReadout.textContent = 'Hover the video or the processed canvas';
+    pinList.replaceChildren();
+    return;
+  }
+  if (!renderer || lastRenderedTimestamp < 0) {
+    inspectorReadout.textContent = 'Play or seek the video to inspect its pixels';
+    return;
+  }
+
+  const points = inspectorHover ? [inspectorHover.point, ...inspectorPins] : inspectorPins;
+  const pixels = points.map(point => pixelAt(point, canvas.width, canvas.height));
+  const samples = renderer.inspect(renderSettings(), pixels);
+  const spotNames = spotInks.map(ink => ink.name);
+
+  if (inspectorHover) {
+    const { x, y } = pixels[0];
+    inspectorReadout.textContent = `(${x}, ${y}) ${formatSample(samples[0], spotNames)}`;
+    const zoom = parseInt(loupeZoomSelect.value, 10);
+    if (inspectorHover.surface === 'video') {
+      const { videoWidth, videoHeight } = originalVideo;
+      drawLoupe(loupeCanvas, originalVideo, videoWidth, videoHeight, pixelAt(inspectorHover.raw, videoWidth, videoHeight), zoom);
+    } else {
+      drawLoupe(loupeCanvas, canvas, canvas.width, canvas.height, pixelAt(inspectorHover.raw, canvas.width, canvas.height), zoom);
+    }
+  }
+
+  const pinSamples = inspectorHover ? samples.slice(1) : samples;
+  const pinPixels = inspectorHover ? pixels.slice(1) : pixels;
+  pinList.replaceChildren(...pinSamples.map((sample, i) => {
+    const item = document.createElement('li');
+    const remove = document.createElement('button');
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => {
+      inspectorPins.splice(i, 1);
+      updateInspector();
+    });
+    item.append(`(${pinPixels[i].x}, ${pinPixels[i].y}) ${formatSample(sample, spotNames)} `, remove);
+    return item;
+  }));
+}
+
+// Lay the marker overlay exactly over the processed canvas' content box
+function syncInspectorOverlay() {
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  inspectorOverlay.style.left = `${canvas.offsetLeft + canvas.clientLeft}px`;
+  inspectorOverlay.style.top = `${canvas.offsetTop + canvas.clientTop}px`;
+  inspectorOverlay.style.width = `${width}px`;
+  inspectorOverlay.style.height = `${height}px`;
+  if (inspectorOverlay.width !== width) inspectorOverlay.width = width;
+  if (inspectorOverlay.height !== height) inspectorOverlay.height = height;
+}
+
+// --- Comparison ---
+// Redraw the compare canvas from the video and the processed canvas, if it is shown
+function drawComparison() {
+  if (compareCanvas.hidden) return;
+  compareView.draw(originalVideo, canvas);
+  compareZoomReadout.textContent = compareView.zoomLabel();
+}
+
+// Re-draw the last uploaded frame after a settings change (e.g. while paused).
+// The VideoFrame itself is closed by then, but the renderer keeps its pixels.
+function redrawLastFrame() {
+  if (!renderer || lastRenderedTimestamp < 0) return;
+  drawPlates();
+}
+
+/**
+ * Hand a frame to the renderer (asynchronously, the pixels are copied out) and draw it, then close it
+ * @param {VideoFrame} frame
+ */
+async function presentFrame(frame) {
+  try {
+    // Log frame details before rendering
+    console.log(`Main: Frame details - type: ${frame.type}, format: ${frame.format}, size: ${frame.codedWidth}x${frame.codedHeight}`);
+    const { colorSpace, yuv } = await renderer.uploadFrame(frame, playbackColorSpace);
+
+    // Size the canvas from the frame's visible area at its display aspect, oriented like the track
+    resizeCanvas(outputSize(frame.displayWidth, frame.displayHeight, playbackOrientation));
+    console.log(`Main: Selected CMYK channel: ${channelSelect.value}`);
+    drawPlates();
+    console.log(`Main: Frame rendered successfully`);
+
+    const described = describeColorSpace(colorSpace) + (yuv ? '' : ' (converted by the browser)');
+    if (colorInfo.textContent !== described) colorInfo.textContent = described;
+  } catch (error) {
+    console.error(`Main: Error rendering frame: ${error.message}`);
+    console.error(error.stack);
+  } finally {
+    frame.close();
+  }
+}
 
 function startRenderingLoop() {
   if (currentFrameRequest) {
@@ -429,101 +2234,36 @@ function startRenderingLoop() {
       }
 
       if (frameToRender) {
-          if (!webglInitialized || !glProgram) {
-              console.warn("WebGL not ready for rendering.");
+          if (!renderer) {
+              console.warn("Renderer not ready for rendering.");
               // Don't close the frame yet, try again next loop
-          } else {
+          } else if (!presentingFrame) {
               // --- Render the selected frame ---
               console.log(`Main: Rendering frame ${frameToRender.timestamp} for video time ${videoTimeMicro}`);
-              
-              try {
-                  gl.activeTexture(gl.TEXTURE0);
-                  gl.bindTexture(gl.TEXTURE_2D, videoTexture);
-                  
-                  // Log frame details before rendering
-                  console.log(`Main: Frame details - type: ${frameToRender.type}, format: ${frameToRender.format}, size: ${frameToRender.codedWidth}x${frameToRender.codedHeight}`);
-                  
-                  // Check if we need to resize the canvas to match the frame
-                  if (canvas.width !== frameToRender.codedWidth || canvas.height !== frameToRender.codedHeight) {
-                      console.log(`Main: Resizing canvas to match frame: ${frameToRender.codedWidth}x${frameToRender.codedHeight}`);
-                      canvas.width = frameToRender.codedWidth;
-                      canvas.height = frameToRender.codedHeight;
-                      gl.viewport(0, 0, canvas.width, canvas.height);
-                  }
-                  
-                  // Try different approaches to render the VideoFrame to WebGL
+
+              // --- Clean up queue ---
+              // Close any older frames; the selected one is closed once it has been drawn
+              for (let i = 0; i < frameIndex; i++) {
                   try {
-                    // Approach 1: Try to use the VideoFrame directly with WebGL
-                    // This might work in some browsers but fail in others
-                    try {
-                      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, frameToRender);
-                      console.log("Main: Successfully used VideoFrame directly with WebGL");
-                    } catch (directError) {
-                      console.log("Main: Could not use VideoFrame directly with WebGL, trying canvas approach");
-                      
-                      // Approach 2: Create a temporary canvas to convert the VideoFrame
-                      const tempCanvas = document.createElement('canvas');
-                      tempCanvas.width = frameToRender.codedWidth;
-                      tempCanvas.height = frameToRender.codedHeight;
-                      const tempCtx = tempCanvas.getContext('2d');
-                      
-                      // Draw the VideoFrame to the temporary canvas
-                      tempCtx.drawImage(frameToRender, 0, 0);
-                      
-                      // Now use the temporary canvas as the source for the WebGL texture
-                      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, tempCanvas);
-                      console.log("Main: Successfully used canvas approach for VideoFrame");
-                    }
-                  } catch (error) {
-                    console.error("Main: All VideoFrame rendering approaches failed:", error);
-                    throw error; // Re-throw to be caught by the outer try/catch
-                  }
-                  
-                  // Set the selected CMYK channel
-                  const selectedChannel = parseInt(channelSelect.value, 10);
-                  console.log(`Main: Selected CMYK channel: ${selectedChannel}`);
-                  gl.uniform1i(channelLocation, selectedChannel);
-                  
-                  // Clear and draw
-                  gl.clear(gl.COLOR_BUFFER_BIT);
-                  gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-                  
-                  console.log(`Main: Frame rendered successfully`);
-                  
-                  lastRenderedTimestamp = frameToRender.timestamp;
-                  
-                  // --- Clean up queue ---
-                  // Close the rendered frame and any older frames
-                  for (let i = 0; i <= frameIndex; i++) {
-                      try {
-                          frameQueue[i].frame.close();
-                      } catch (e) {
-                          console.warn(`Main: Error closing frame: ${e.message}`);
-                      }
-                  }
-                  // Remove the closed frames from the queue
-                  frameQueue.splice(0, frameIndex + 1);
-                  console.log(`Main: Queue cleaned up, new size: ${frameQueue.length}`);
-              } catch (error) {
-                  console.error(`Main: Error rendering frame: ${error.message}`);
-                  console.error(error.stack);
-                  
-                  // If we encounter an error with this frame, close it and remove it from the queue
-                  if (frameIndex >= 0) {
-                      try {
-                          frameQueue[frameIndex].frame.close();
-                          frameQueue.splice(frameIndex, 1);
-                      } catch (e) {
-                          console.warn(`Main: Error cleaning up after render failure: ${e.message}`);
-                      }
+                      frameQueue[i].frame.close();
+                  } catch (e) {
+                      console.warn(`Main: Error closing frame: ${e.message}`);
                   }
               }
+              // Remove the frames from the queue
+              frameQueue.splice(0, frameIndex + 1);
+              console.log(`Main: Queue cleaned up, new size: ${frameQueue.length}`);
+              regulateDecoder(decoderWorker, playbackFlow, frameQueue.length);
+
+              lastRenderedTimestamp = frameToRender.timestamp;
+              presentingFrame = presentFrame(frameToRender).finally(() => { presentingFrame = null; });
           }
+          // Otherwise the previous frame is still being handed to the renderer; try again next loop
       } else {
           // console.log(`No suitable frame found for video time ${videoTimeMicro}. Queue size: ${frameQueue.length}`);
           // If seeking, might want to clear canvas to avoid showing stale frame
-          if (seeking) {
-             gl.clear(gl.COLOR_BUFFER_BIT);
+          if (seeking && renderer) {
+             renderer.clear();
           }
       }
 
@@ -538,6 +2278,11 @@ function startRenderingLoop() {
 
 
     // --- Initial Status ---
+    setupBlackGenerationPanel();
+    populateRendererSelect();
+    showFrameStats(null);
+    setupPaperPresets();
+    updateGridLabels();
     updateStatus('Ready. Select a video file.');
 
 } catch (error) { // Add catch block
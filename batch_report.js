@@ -0,0 +1,155 @@
+// batch_report.js
+// Per-clip summaries for the batch queue and the report they are collected into: peak total
+// area coverage, how much of the clip goes over the ink limit, and coverage per plate.
+// Coverages are in percent, like plate_stats.js.
+
+const PLATES = ['C', 'M', 'Y', 'K'];
+
+/**
+ * @typedef {Object} ClipSummary
+ * @property {number} frames - Frames measured
+ * @property {number} durationSeconds - Up to the end of the last frame
+ * @property {number} maxTac - Highest TAC of any pixel, percent (0-400)
+ * @property {number} maxTacTime - Where it occurs, seconds
+ * @property {number} framesOverLimit - Frames with any pixel over the ink limit
+ * @property {number} worstOverPercent - Largest share of a frame's pixels over the limit
+ * @property {Array<{mean: number, peakP95: number}>} plates - Per C, M, Y, K: mean coverage over
+ *   the clip and the highest 95th percentile of any frame
+ * @property {number} [skippedSamples] - Samples the decoder skipped (no key frame yet, after a reset)
+ * @property {number} [errorSamples] - Samples that could not be read or decoded
+ */
+
+/**
+ * @typedef {Object} BatchReportEntry
+ * @property {string} file - File name (with its folder path, if dropped as a folder)
+ * @property {string} status - 'done', 'failed', 'cancelled' or 'queued'
+ * @property {string|null} error
+ * @property {ClipSummary|null} summary
+ */
+
+/**
+ * TAC of one frame's plates
+ * @param {Uint8Array|Uint16Array|Float32Array} cmyk - Interleaved C, M, Y, K: 0-255, 0-65535 or 0-1
+ * @param {number} tacLimit - Fraction (3 = 300%)
+ * @returns {{maxTac: number, overPercent: number}} - Max TAC in percent and share of pixels over the limit
+ */
+export function measureTac(cmyk, tacLimit) {
+  const full = cmyk instanceof Float32Array ? 1 : cmyk instanceof Uint16Array ? 65535 : 255;
+  const limit = tacLimit * full;
+  let max = 0;
+  let over = 0;
+  for (let i = 0; i < cmyk.length; i += 4) {
+    const tac = cmyk[i] + cmyk[i + 1] + cmyk[i + 2] + cmyk[i + 3];
+    if (tac > max) max = tac;
+    if (tac > limit) over++;
+  }
+  const count = cmyk.length / 4;
+  return { maxTac: max / full * 100, overPercent: count ? over / count * 100 : 0 };
+}
+
+/**
+ * Collects one clip's frames into a ClipSummary
+ */
+export class ClipAccumulator {
+  constructor() {
+    this.frames = 0;
+    this.endUs = 0;
+    this.maxTac = 0;
+    this.maxTacUs = 0;
+    this.framesOverLimit = 0;
+    this.worstOverPercent = 0;
+    this.meanSums = [0, 0, 0, 0];
+    this.peakP95 = [0, 0, 0, 0];
+  }
+
+  /**
+   * @param {import('./plate_stats.js').FrameStats} stats
+   * @param {{maxTac: number, overPercent: number}} tac - From measureTac()
+   * @param {number} [durationUs] - The frame's duration, if known
+   */
+  addFrame(stats, tac, durationUs = 0) {
+    this.frames++;
+    this.endUs = Math.max(this.endUs, stats.timestamp + durationUs);
+    if (tac.maxTac > this.maxTac) {
+      this.maxTac = tac.maxTac;
+      this.maxTacUs = stats.timestamp;
+    }
+    if (tac.overPercent > 0) this.framesOverLimit++;
+    this.worstOverPercent = Math.max(this.worstOverPercent, tac.overPercent);
+    stats.plates.forEach((plate, i) => {
+      this.meanSums[i] += plate.mean;
+      this.peakP95[i] = Math.max(this.peakP95[i], plate.p95);
+    });
+  }
+
+  /**
+   * @returns {ClipSummary}
+   */
+  summary() {
+    return {
+      frames: this.frames,
+      durationSeconds: this.endUs / 1_000_000,
+      maxTac: this.maxTac,
+      maxTacTime: this.maxTacUs / 1_000_000,
+      framesOverLimit: this.framesOverLimit,
+      worstOverPercent: this.worstOverPercent,
+      plates: this.meanSums.map((sum, i) => ({ mean: this.frames ? sum / this.frames : 0, peakP95: this.peakP95[i] }))
+    };
+  }
+}
+
+/**
+ * One row per clip
+ * @param {BatchReportEntry[]} entries
+ * @returns {string}
+ */
+export function batchReportToCsv(entries) {
+  const header = ['file', 'status', 'error', 'frames', 'duration_s', 'max_tac', 'max_tac_time_s', 'frames_over_limit',
+    'worst_over_percent', ...PLATES.flatMap(plate => [`${plate}_mean`, `${plate}_peak_p95`]), 'skipped_samples', 'error_samples'];
+  const rows = entries.map(({ file, status, error, summary }) => [
+    csvField(file),
+    status,
+    csvField(error || ''),
+    ...(summary
+      ? [
+        summary.frames,
+        summary.durationSeconds.toFixed(3),
+        summary.maxTac.toFixed(1),
+        summary.maxTacTime.toFixed(3),
+        summary.framesOverLimit,
+        summary.worstOverPercent.toFixed(3),
+        ...summary.plates.flatMap(plate => [plate.mean.toFixed(3), plate.peakP95.toFixed(3)]),
+        summary.skippedSamples ?? '',
+        summary.errorSamples ?? ''
+      ]
+      : new Array(header.length - 3).fill(''))
+  ]);
+  return [header, ...rows].map(row => row.join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * The report with the settings it was made with
+ * @param {BatchReportEntry[]} entries
+ * @param {Object} info - Describes the settings (separation, ink limit, renderer, ...)
+ * @returns {string}
+ */
+export function batchReportToJson(entries, info) {
+  return JSON.stringify({
+    ...info,
+    units: 'percent coverage',
+    clips: entries.map(({ file, status, error, summary }) => ({
+      file,
+      status,
+      error,
+      summary: summary && {
+        ...summary,
+        plates: Object.fromEntries(summary.plates.map((plate, i) => [PLATES[i], plate]))
+      }
+    }))
+  }, null, 1);
+}
+
+// Quote a CSV field if it needs it
+function csvField(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
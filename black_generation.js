@@ -0,0 +1,83 @@
+// black_generation.js
+// Black generation (GCR/UCR) settings for the device naive separation.
+//
+// The gray component of a pixel is 1 - max(r, g, b): the most black that could
+// replace the CMY mixture. Black generation decides how much of it actually
+// goes to K:
+//   t = clamp((gray - blackStart) / (1 - blackStart), 0, 1)
+//   K = min(curve(t), blackLimit, gray)   (scaled down for chromatic colours when neutralOnly)
+// C, M and Y are then reduced by the K they no longer have to carry.
+
+// Number of control points in a black generation curve (at t = 0, 25, 50, 75, 100%)
+export const BLACK_CURVE_POINTS = 5;
+
+/**
+ * @typedef {Object} BlackGenerationSettings
+ * @property {number[]} curve - K at evenly spaced gray component steps (BLACK_CURVE_POINTS values, 0..1)
+ * @property {number} blackStart - Gray component (0..1) below which no black is generated
+ * @property {number} blackLimit - Maximum K (0..1)
+ * @property {boolean} neutralOnly - Only generate black in neutral colours (UCR)
+ */
+
+// Built-in strategies. 'maximum' reproduces the original formula (K = gray component).
+export const BLACK_GENERATION_PRESETS = {
+  maximum: {
+    label: 'Maximum GCR (100%)',
+    curve: [0, 0.25, 0.5, 0.75, 1],
+    blackStart: 0,
+    blackLimit: 1,
+    neutralOnly: false
+  },
+  heavy: {
+    label: 'Heavy GCR',
+    curve: [0, 0.2, 0.45, 0.7, 0.95],
+    blackStart: 0,
+    blackLimit: 0.95,
+    neutralOnly: false
+  },
+  medium: {
+    label: 'Medium GCR',
+    curve: [0, 0.12, 0.32, 0.58, 0.9],
+    blackStart: 0.1,
+    blackLimit: 0.9,
+    neutralOnly: false
+  },
+  light: {
+    label: 'Light GCR',
+    curve: [0, 0.05, 0.18, 0.42, 0.8],
+    blackStart: 0.25,
+    blackLimit: 0.85,
+    neutralOnly: false
+  },
+  ucr: {
+    label: 'UCR only',
+    curve: [0, 0.1, 0.35, 0.65, 0.9],
+    blackStart: 0.5,
+    blackLimit: 0.9,
+    neutralOnly: true
+  },
+  none: {
+    label: 'No black (CMY only)',
+    curve: [0, 0, 0, 0, 0],
+    blackStart: 0,
+    blackLimit: 0,
+    neutralOnly: false
+  }
+};
+
+export const DEFAULT_BLACK_PRESET = 'maximum';
+
+/**
+ * Copy a preset's settings so callers can tweak them without touching the preset
+ * @param {string} name - Key of BLACK_GENERATION_PRESETS
+ * @returns {BlackGenerationSettings}
+ */
+export function blackGenerationFromPreset(name) {
+  const preset = BLACK_GENERATION_PRESETS[name] || BLACK_GENERATION_PRESETS[DEFAULT_BLACK_PRESET];
+  return {
+    curve: preset.curve.slice(),
+    blackStart: preset.blackStart,
+    blackLimit: preset.blackLimit,
+    neutralOnly: preset.neutralOnly
+  };
+}
@@ -0,0 +1,431 @@
+#!/usr/bin/env node
+// cmyk_cli.js
+// Headless separation for CI and render farms: reads Y4M (or raw RGB/Y'CbCr) frames from a file
+// or stdin, separates them with the CPU renderer's port of the shader (the same per-source-pixel
+// code the app runs), and writes per-plate Y4M or PGM files plus a JSON stats summary. Plates
+// are written as ink coverage (full ink = white), like the PNG plates of the separation export.
+//
+//   ffmpeg -i clip.mp4 -f yuv4mpegpipe -pix_fmt yuv420p - | node cmyk_cli.js -o out -
+//
+// Run with --help for the options.
+
+import { createReadStream } from 'node:fs';
+import { mkdir, open, readFile, writeFile } from 'node:fs/promises';
+import { basename, extname, join } from 'node:path';
+import { parseArgs } from 'node:util';
+
+import { separateSource, sourceFromPlanes, sourceFromRgb } from './cpu_renderer.js';
+import { Y4mReader, ChunkReader, monoY4mHeader, monoY4mFrame } from './y4m.js';
+import { planeLayout } from './frame_planes.js';
+import { resolveColorSpace, describeColorSpace, TONE_MAP_CLIP, TONE_MAP_REINHARD, TONE_MAP_HABLE } from './color_space.js';
+import { parseIccProfile, bakeSeparationLut, RenderingIntent } from './icc.js';
+import { SEPARATION_NAIVE, SEPARATION_ICC } from './shaders.js';
+import { BLACK_GENERATION_PRESETS, DEFAULT_BLACK_PRESET, blackGenerationFromPreset } from './black_generation.js';
+import { PAPER_PRESETS, DEFAULT_PAPER_PRESET } from './dot_gain.js';
+import { MAX_SPOT_INKS, spotInkFromLab, spotInkFromRgb, hexToRgb } from './inks.js';
+import { computeFrameStats, statsToJson } from './plate_stats.js';
+import { ClipAccumulator, measureTac } from './batch_report.js';
+import { encodePgm } from './image_encoders.js';
+
+const PLATE_NAMES = ['C', 'M', 'Y', 'K'];
+
+// Raw input formats (ffmpeg pix_fmt names) by the planeLayout() format they are stored as;
+// rgb24 and rgb48le are packed R, G, B
+const RAW_FORMATS = {
+  yuv420p: 'I420',
+  yuv422p: 'I422',
+  yuv444p: 'I444',
+  yuv420p10le: 'I420P10',
+  yuv422p10le: 'I422P10',
+  yuv444p10le: 'I444P10',
+  yuv420p12le: 'I420P12',
+  yuv422p12le: 'I422P12',
+  yuv444p12le: 'I444P12',
+  nv12: 'NV12'
+};
+const RAW_RGB_BYTES = { rgb24: 1, rgb48le: 2 };
+
+const INTENTS = {
+  perceptual: RenderingIntent.PERCEPTUAL,
+  relative: RenderingIntent.RELATIVE_COLORIMETRIC,
+  saturation: RenderingIntent.SATURATION,
+  absolute: RenderingIntent.ABSOLUTE_COLORIMETRIC
+};
+const TONE_MAPS = { clip: TONE_MAP_CLIP, reinhard: TONE_MAP_REINHARD, hable: TONE_MAP_HABLE };
+
+const USAGE = `Usage: node cmyk_cli.js [options] [INPUT]
+
+Separates Y4M frames (or raw frames with --raw) into C, M, Y and K plates.
+INPUT is a file, or - (the default) for stdin.
+
+Output:
+  -o, --output DIR        Directory for the plates and stats (default: separations)
+  --format y4m|pgm        One Y4M stream per plate, or one PGM per plate and frame (default: y4m)
+  --bit-depth 8|16        Plate sample depth (default: 8)
+  --stats FILE            Stats JSON path, - for stdout (default: DIR/NAME_stats.json)
+  --frames N              Stop after N frames
+
+Raw input:
+  --raw FORMAT            ${[...Object.keys(RAW_FORMATS), ...Object.keys(RAW_RGB_BYTES)].join(', ')}
+  --size WxH              Frame size (required with --raw)
+  --rate N[/D]            Frame rate for the timestamps (default: 25)
+
+Source colour (Y'CbCr input; RGB input is taken as sRGB):
+  --matrix NAME           bt709, bt470bg, smpte170m, bt2020-ncl or rgb
+  --primaries NAME        bt709, bt470bg, smpte170m, bt2020 or smpte432
+  --transfer NAME         bt709, smpte170m, iec61966-2-1, linear, pq or hlg
+  --range full|limited    Overrides the Y4M XCOLORRANGE tag
+  --tone-map clip|reinhard|hable   For PQ/HLG sources (default: reinhard)
+  Unset values default as in the app: BT.601 below 720 lines, BT.709 from there on, limited range.
+
+Separation:
+  --icc FILE              Separate through an ICC output profile instead of the naive formula
+  --intent NAME           perceptual, relative, saturation or absolute (default: perceptual)
+  --black PRESET          ${Object.keys(BLACK_GENERATION_PRESETS).join(', ')} (default: ${DEFAULT_BLACK_PRESET})
+  --tac-limit PERCENT     Ink limit for the stats (default: 300)
+  --paper PRESET          ${Object.keys(PAPER_PRESETS).join(', ')}: dot gain for --compensate (default: ${DEFAULT_PAPER_PRESET})
+  --compensate            Pre-compensate the plates for the paper's dot gain
+  --spot NAME=L,a,b[,TOL] Extract a spot plate by CIELAB (D50) value; NAME=#rrggbb[,TOL] for sRGB.
+                          Up to ${MAX_SPOT_INKS}, repeat the option for each.
+  -h, --help
+`;
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o', default: 'separations' },
+  format: { type: 'string', default: 'y4m' },
+  'bit-depth': { type: 'string', default: '8' },
+  stats: { type: 'string' },
+  frames: { type: 'string' },
+  raw: { type: 'string' },
+  size: { type: 'string' },
+  rate: { type: 'string', default: '25' },
+  matrix: { type: 'string' },
+  primaries: { type: 'string' },
+  transfer: { type: 'string' },
+  range: { type: 'string' },
+  'tone-map': { type: 'string', default: 'reinhard' },
+  icc: { type: 'string' },
+  intent: { type: 'string', default: 'perceptual' },
+  black: { type: 'string', default: DEFAULT_BLACK_PRESET },
+  'tac-limit': { type: 'string', default: '300' },
+  paper: { type: 'string', default: DEFAULT_PAPER_PRESET },
+  compensate: { type: 'boolean', default: false },
+  spot: { type: 'string', multiple: true, default: [] },
+  help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * Thrown for bad command-line options; reported with the usage hint
+ */
+class UsageError extends Error {}
+
+/**
+ * Options validated and turned into what the separation needs
+ * @param {Object} values - From parseArgs()
+ * @param {string} input
+ * @returns {Promise<Object>}
+ */
+async function parseOptions(values, input) {
+  const choice = (name, table) => {
+    const value = values[name];
+    if (!Object.hasOwn(table, value)) throw new UsageError(`--${name} must be one of ${Object.keys(table).join(', ')}`);
+    return table[value];
+  };
+  if (values.format !== 'y4m' && values.format !== 'pgm') throw new UsageError('--format must be y4m or pgm');
+  const bitDepth = choice('bit-depth', { 8: 8, 16: 16 });
+  const maxFrames = values.frames === undefined ? Infinity : parseInt(values.frames, 10);
+  if (!(maxFrames > 0)) throw new UsageError('--frames must be a positive number');
+  const tacLimit = parseFloat(values['tac-limit']);
+  if (!(tacLimit > 0)) throw new UsageError('--tac-limit must be a positive percentage');
+  if (values.range !== undefined && values.range !== 'full' && values.range !== 'limited') {
+    throw new UsageError('--range must be full or limited');
+  }
+
+  let raw = null;
+  if (values.raw !== undefined) {
+    if (!Object.hasOwn(RAW_FORMATS, values.raw) && !Object.hasOwn(RAW_RGB_BYTES, values.raw)) {
+      throw new UsageError(`--raw must be one of ${[...Object.keys(RAW_FORMATS), ...Object.keys(RAW_RGB_BYTES)].join(', ')}`);
+    }
+    const size = /^(\d+)x(\d+)$/.exec(values.size || '');
+    if (!size || !(+size[1] > 0 && +size[2] > 0)) throw new UsageError('--raw needs --size WxH');
+    const rate = /^(\d+(?:\.\d+)?)(?:\/(\d+))?$/.exec(values.rate);
+    if (!rate || !(+rate[1] > 0) || rate[2] === '0') throw new UsageError('--rate must be N or N/D');
+    // Y4M wants whole numbers: 29.97 is written as 29970/1000
+    const scale = Number.isInteger(+rate[1]) ? 1 : 1000;
+    const frameRate = [Math.round(+rate[1] * scale), +(rate[2] || 1) * scale];
+    raw = { format: values.raw, width: +size[1], height: +size[2], frameRate };
+  }
+
+  let lut = null;
+  let profileDescription = null;
+  if (values.icc !== undefined) {
+    const bytes = await readFile(values.icc);
+    const profile = parseIccProfile(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength));
+    lut = bakeSeparationLut(profile, choice('intent', INTENTS));
+    profileDescription = profile.description || basename(values.icc);
+  }
+
+  const spotInks = values.spot.map(parseSpot);
+  if (spotInks.length > MAX_SPOT_INKS) throw new UsageError(`At most ${MAX_SPOT_INKS} spot inks`);
+  const paper = choice('paper', PAPER_PRESETS);
+  choice('black', BLACK_GENERATION_PRESETS);
+
+  return {
+    input,
+    name: input === '-' ? 'stdin' : basename(input, extname(input)),
+    output: values.output,
+    format: values.format,
+    bitDepth,
+    statsPath: values.stats,
+    maxFrames,
+    raw,
+    // Container-style colour description, completed by resolveColorSpace()
+    colorSpace: {
+      matrix: values.matrix ?? null,
+      primaries: values.primaries ?? null,
+      transfer: values.transfer ?? null,
+      fullRange: values.range === undefined ? null : values.range === 'full'
+    },
+    profileDescription,
+    lut,
+    // The RenderSettings fields the plates depend on
+    settings: {
+      separation: lut ? SEPARATION_ICC : SEPARATION_NAIVE,
+      blackGeneration: blackGenerationFromPreset(values.black),
+      toneMap: choice('tone-map', TONE_MAPS),
+      spotInks,
+      dotGain: { tvi: paper.tvi.slice(), compensate: values.compensate, showPrinted: false },
+      tacLimit: tacLimit / 100
+    }
+  };
+}
+
+/**
+ * A --spot value: NAME=L,a,b[,TOLERANCE] or NAME=#rrggbb[,TOLERANCE]
+ * @param {string} text
+ * @returns {import('./inks.js').SpotInk}
+ */
+function parseSpot(text) {
+  const match = /^([^=]+)=(#[0-9a-f]{6}|-?[\d.]+,-?[\d.]+,-?[\d.]+)(?:,([\d.]+))?$/i.exec(text);
+  if (!match) throw new UsageError(`Bad --spot value '${text}'; expected NAME=L,a,b[,TOL] or NAME=#rrggbb[,TOL]`);
+  const [, name, colour, tolerance] = match;
+  const tol = tolerance === undefined ? undefined : parseFloat(tolerance);
+  return colour.startsWith('#')
+    ? spotInkFromRgb(name, hexToRgb(colour), tol)
+    : spotInkFromLab(name, colour.split(',').map(Number), tol);
+}
+
+/**
+ * Frames of the input as sources for separateSource(), with the stream's description
+ * @param {Object} options
+ * @returns {Promise<{width: number, height: number, frameRate: number[], description: string, next: function(): Promise<Object|null>}>}
+ */
+async function openInput(options) {
+  const stream = options.input === '-' ? process.stdin : createReadStream(options.input, { highWaterMark: 1 << 20 });
+  const { raw } = options;
+
+  if (raw && Object.hasOwn(RAW_RGB_BYTES, raw.format)) {
+    const bytesPerSample = RAW_RGB_BYTES[raw.format];
+    const reader = new ChunkReader(stream);
+    const colorSpace = { primaries: 'bt709', transfer: 'iec61966-2-1', matrix: 'rgb', fullRange: true };
+    const count = raw.width * raw.height * 3;
+    return {
+      ...raw,
+      description: `raw ${raw.format}`,
+      next: async () => {
+        const bytes = await reader.readBytes(count * bytesPerSample);
+        if (!bytes) return null;
+        const rgb = new Float32Array(count);
+        const view = new DataView(bytes.buffer);
+        for (let i = 0; i < count; i++) {
+          rgb[i] = bytesPerSample === 1 ? bytes[i] / 255 : view.getUint16(i * 2, true) / 65535;
+        }
+        return sourceFromRgb(rgb, raw.width, raw.height, colorSpace);
+      }
+    };
+  }
+
+  let width, height, frameRate, layout, fullRange, readFrame, description;
+  if (raw) {
+    ({ width, height, frameRate } = raw);
+    layout = planeLayout(RAW_FORMATS[raw.format], width, height);
+    const reader = new ChunkReader(stream);
+    readFrame = () => reader.readBytes(layout.byteLength);
+    fullRange = null;
+    description = `raw ${raw.format}`;
+  } else {
+    const reader = new Y4mReader(stream);
+    const header = await reader.open();
+    ({ width, height, frameRate, fullRange } = header);
+    layout = reader.layout;
+    readFrame = () => reader.readFrame();
+    description = `Y4M C${header.chroma}`;
+  }
+  // Command-line values win over the stream's range tag
+  const stated = { ...options.colorSpace, fullRange: options.colorSpace.fullRange ?? fullRange };
+  const colorSpace = resolveColorSpace(null, stated, height);
+  return {
+    width,
+    height,
+    frameRate,
+    description: `${description}, ${describeColorSpace(colorSpace)}`,
+    next: async () => {
+      const samples = await readFrame();
+      return samples ? sourceFromPlanes(samples, layout, width, height, colorSpace) : null;
+    }
+  };
+}
+
+/**
+ * Writes each plate as a Y4M stream or a PGM per frame
+ */
+class PlateWriter {
+  /**
+   * @param {Object} options
+   * @param {string[]} plateNames - Process plates, then spot inks
+   * @param {{width: number, height: number, frameRate: number[]}} input
+   */
+  constructor(options, plateNames, input) {
+    this.options = options;
+    this.plateNames = plateNames;
+    this.input = input;
+    this.files = null; // Open Y4M streams, one per plate
+  }
+
+  async open() {
+    const { output, name, format } = this.options;
+    await mkdir(output, { recursive: true });
+    if (format === 'pgm') {
+      await Promise.all(this.plateNames.map(plate => mkdir(join(output, fileSafe(plate)), { recursive: true })));
+      return;
+    }
+    const header = monoY4mHeader(this.input.width, this.input.height, this.input.frameRate, this.options.bitDepth);
+    this.files = await Promise.all(this.plateNames.map(async (plate) => {
+      const file = await open(join(output, `${name}_${fileSafe(plate)}.y4m`), 'w');
+      await file.write(header);
+      return file;
+    }));
+  }
+
+  /**
+   * @param {Array<Uint8Array|Uint16Array>} planes - One per plate
+   * @param {number} frameNumber - From 1
+   */
+  async write(planes, frameNumber) {
+    const { output, name, bitDepth } = this.options;
+    if (this.files) {
+      for (let plate = 0; plate < planes.length; plate++) await this.files[plate].write(monoY4mFrame(planes[plate]));
+      return;
+    }
+    const number = String(frameNumber).padStart(6, '0');
+    for (let plate = 0; plate < planes.length; plate++) {
+      const plateName = fileSafe(this.plateNames[plate]);
+      const path = join(output, plateName, `${name}_${plateName}_${number}.pgm`);
+      await writeFile(path, encodePgm(planes[plate], this.input.width, this.input.height, bitDepth));
+    }
+  }
+
+  async close() {
+    if (this.files) await Promise.all(this.files.map(file => file.close()));
+  }
+}
+
+// Spot ink names as file name parts
+function fileSafe(name) {
+  return name.replace(/[^\w.-]+/g, '_');
+}
+
+async function run(options) {
+  const input = await openInput(options);
+  const { settings, bitDepth } = options;
+  const full = bitDepth === 16 ? 65535 : 255;
+  const count = input.width * input.height;
+  const plateNames = [...PLATE_NAMES, ...settings.spotInks.map(ink => ink.name)];
+  const writer = new PlateWriter(options, plateNames, input);
+  await writer.open();
+
+  const frameDurationUs = 1_000_000 * input.frameRate[1] / input.frameRate[0];
+  const frames = [];
+  const clip = new ClipAccumulator();
+  const progress = process.stderr.isTTY;
+  try {
+    for (let frameNumber = 1; frameNumber <= options.maxFrames; frameNumber++) {
+      const source = await input.next();
+      if (!source) break;
+      const plates = separateSource(source, settings, options.lut);
+      // Quantised like CpuRenderer.readPlates() at the display size
+      const cmyk = bitDepth === 16 ? new Uint16Array(count * 4) : new Uint8Array(count * 4);
+      for (let i = 0; i < cmyk.length; i++) cmyk[i] = Math.round(plates[i] * full);
+      const planes = plateNames.map(() => (bitDepth === 16 ? new Uint16Array(count) : new Uint8Array(count)));
+      for (let i = 0; i < count; i++) {
+        for (let plate = 0; plate < 4; plate++) planes[plate][i] = cmyk[i * 4 + plate];
+        for (let s = 0; s < settings.spotInks.length; s++) planes[4 + s][i] = Math.round(source.spots[i * 4 + s] * full);
+      }
+      await writer.write(planes, frameNumber);
+
+      const timestamp = Math.round((frameNumber - 1) * frameDurationUs);
+      const stats = computeFrameStats(cmyk, timestamp);
+      frames.push(stats);
+      clip.addFrame(stats, measureTac(cmyk, settings.tacLimit), frameDurationUs);
+      if (progress) process.stderr.write(`\rFrame ${frameNumber}`);
+    }
+  } finally {
+    await writer.close();
+    if (progress) process.stderr.write('\n');
+  }
+  if (!frames.length) throw new Error('The input has no frames');
+
+  const info = {
+    file: options.input === '-' ? null : basename(options.input),
+    source: input.description,
+    width: input.width,
+    height: input.height,
+    separation: options.profileDescription ? `ICC: ${options.profileDescription}` : 'device naive',
+    blackGeneration: settings.blackGeneration,
+    tacLimit: settings.tacLimit * 100,
+    dotGainCompensation: settings.dotGain.compensate ? settings.dotGain.tvi.map(tvi => tvi * 100) : null,
+    spotInks: settings.spotInks.map(({ name, lab, tolerance }) => ({ name, lab, tolerance })),
+    renderer: 'CLI (CPU renderer port of the shader)',
+    bitDepth,
+    summary: clip.summary()
+  };
+  const json = statsToJson(frames, info);
+  if (options.statsPath === '-') {
+    process.stdout.write(json + '\n');
+  } else {
+    await writeFile(options.statsPath ?? join(options.output, `${options.name}_stats.json`), json);
+  }
+  console.error(`Separated ${frames.length} frame(s) of ${input.width}x${input.height} into ${options.output}`);
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (e) {
+    console.error(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (parsed.values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (parsed.positionals.length > 1) {
+    console.error(`Only one input can be given\n\n${USAGE}`);
+    return 2;
+  }
+  try {
+    const options = await parseOptions(parsed.values, parsed.positionals[0] ?? '-');
+    await run(options);
+    return 0;
+  } catch (e) {
+    if (e instanceof UsageError) {
+      console.error(`${e.message}\n\n${USAGE}`);
+      return 2;
+    }
+    console.error(`cmyk_cli: ${e.message}`);
+    return 1;
+  }
+}
+
+process.exitCode = await main();
@@ -0,0 +1,51 @@
+// color_math.js
+// The shared separation math: transfer curves, HDR tone mapping, black generation, channel
+// selection, the dot gain curves and spot colour matching. The definitions are GLSL, in
+// color_math_definitions.js; the fragment shader in shaders.js gets them as COLOR_MATH_GLSL, and
+// the CPU renderer and the command-line tool call the JS generated from them. The ICC table
+// lookup is not here, as the GPU does half of it in its texture filtering.
+
+import { COLOR_MATH_DEFINITIONS } from './color_math_definitions.js';
+
+/**
+ * GLSL source of one definition
+ * @param {import('./glsl_subset.js').GlslDefinition} definition
+ * @returns {string}
+ */
+function toGlsl({ name, doc, returns, params, body }) {
+  const parameters = params.map(([type, param]) => {
+    const array = /^(\w+)\[(\d+)\]$/.exec(type);
+    return array ? `${array[1]} ${param}[${array[2]}]` : `${type} ${param}`;
+  });
+  return `// ${doc}\n${returns} ${name}(${parameters.join(', ')}) {${reindent(body)}\n}\n`;
+}
+
+// Bodies are written indented for their file; generated code is indented by four spaces
+function reindent(body) {
+  return body.replace(/\n {6}/g, '\n    ');
+}
+
+/** Every definition as GLSL ES 1.00, for the fragment shader */
+export const COLOR_MATH_GLSL = COLOR_MATH_DEFINITIONS.map(toGlsl).join('\n');
+
+/** Names of the shared functions, in definition order */
+export const COLOR_MATH_FUNCTIONS = COLOR_MATH_DEFINITIONS.map(({ name }) => name);
+
+// The JS implementations. Vectors are arrays; curve is an array of BLACK_CURVE_POINTS values.
+export {
+  srgbToLinear,
+  linearToSrgb,
+  pqToLinear,
+  hlgToScene,
+  hlgToLinear,
+  hable,
+  toneMap,
+  blackCurve,
+  rgbToCmyk,
+  selectChannel,
+  printedTone,
+  compensatedTone,
+  labCurve,
+  srgbToLab,
+  spotMatch
+} from './color_math_generated.js';
@@ -0,0 +1,209 @@
+// color_math_definitions.js
+// The separation math, written once as GLSL: color_math.js hands it to the fragment shader, and
+// generate_color_math.js translates it to the JS the CPU renderer and the command-line tool run
+// (color_math_generated.js). Run `npm run generate` after changing a definition;
+// test/color_math.test.js fails while the generated JS is out of date.
+//
+// Bodies are in the subset of GLSL ES 1.00 glsl_subset.js can translate (see there): typed
+// locals, if/for/return, scalar arithmetic, vectors built with vec2/3/4(...) and read by index.
+// Float literals keep their decimal point (1.0, not 1), as GLSL does not convert ints.
+// Each definition may call the ones before it.
+
+import { SDR_WHITE_NITS } from './color_space.js';
+
+const PQ_PEAK = 10000 / SDR_WHITE_NITS; // PQ signal 1.0 (10000 cd/m2) relative to SDR white
+
+/** @type {import('./glsl_subset.js').GlslDefinition[]} */
+export const COLOR_MATH_DEFINITIONS = [
+  {
+    name: 'srgbToLinear',
+    doc: 'sRGB transfer curve to linear light',
+    returns: 'float',
+    params: [['float', 'c']],
+    body: `
+      return c < 0.04045 ? c / 12.92 : pow((c + 0.055) / 1.055, 2.4);`
+  },
+  {
+    name: 'linearToSrgb',
+    doc: 'Linear light to the sRGB transfer curve',
+    returns: 'float',
+    params: [['float', 'c']],
+    body: `
+      return c < 0.0031308 ? c * 12.92 : 1.055 * pow(c, 1.0 / 2.4) - 0.055;`
+  },
+  {
+    name: 'pqToLinear',
+    doc: 'SMPTE ST 2084 EOTF, relative to SDR white (10000 cd/m2 peak over SDR_WHITE_NITS)',
+    returns: 'float',
+    params: [['float', 'e']],
+    body: `
+      const float m1 = 0.1593017578125;
+      const float m2 = 78.84375;
+      const float c1 = 0.8359375;
+      const float c2 = 18.8515625;
+      const float c3 = 18.6875;
+      float p = pow(e, 1.0 / m2);
+      return pow(max(p - c1, 0.0) / (c2 - c3 * p), 1.0 / m1) * ${glslFloat(PQ_PEAK)};`
+  },
+  {
+    name: 'hlgToScene',
+    doc: 'HLG inverse OETF: signal to relative scene light',
+    returns: 'float',
+    params: [['float', 'e']],
+    body: `
+      const float a = 0.17883277;
+      const float b = 0.28466892;
+      const float c = 0.55991073;
+      return e < 0.5 ? e * e / 3.0 : (exp((e - c) / a) + b) / 12.0;`
+  },
+  {
+    name: 'hlgToLinear',
+    doc: 'HLG signal to display light for a display at the peak (system gamma 1.2), relative to SDR white',
+    returns: 'vec3',
+    params: [['vec3', 'e'], ['float', 'peak']],
+    body: `
+      vec3 scene = vec3(hlgToScene(e[0]), hlgToScene(e[1]), hlgToScene(e[2]));
+      float luminance = 0.2627 * scene[0] + 0.6780 * scene[1] + 0.0593 * scene[2]; // BT.2020
+      float gain = pow(max(luminance, 0.000001), 0.2) * peak;
+      return vec3(scene[0] * gain, scene[1] * gain, scene[2] * gain);`
+  },
+  {
+    name: 'hable',
+    doc: "Hable's filmic curve (shoulder and toe), with the usual exposure bias of 2",
+    returns: 'float',
+    params: [['float', 'value']],
+    body: `
+      float x = value * 2.0;
+      return ((x * (0.15 * x + 0.05) + 0.004) / (x * (0.15 * x + 0.5) + 0.06)) - 0.02 / 0.3;`
+  },
+  {
+    name: 'toneMap',
+    doc: 'Bring HDR linear light into 0..1 on luminance, so hues are kept (mode: 0=clip, 1=Reinhard, 2=Hable)',
+    returns: 'vec3',
+    params: [['vec3', 'rgb'], ['int', 'mode'], ['float', 'peak']],
+    body: `
+      if (mode == 0) {
+        return vec3(min(rgb[0], 1.0), min(rgb[1], 1.0), min(rgb[2], 1.0));
+      }
+      float luminance = 0.2126 * rgb[0] + 0.7152 * rgb[1] + 0.0722 * rgb[2];
+      if (luminance <= 0.0) {
+        return rgb;
+      }
+      float mapped = mode == 1
+        ? luminance * (1.0 + luminance / (peak * peak)) / (1.0 + luminance)
+        : hable(luminance) / hable(peak);
+      float scale = mapped / luminance;
+      return vec3(rgb[0] * scale, rgb[1] * scale, rgb[2] * scale);`
+  },
+  {
+    name: 'blackCurve',
+    doc: 'Piecewise-linear black generation curve through BLACK_CURVE_POINTS points',
+    returns: 'float',
+    params: [['float', 't'], ['float[5]', 'curve']],
+    body: `
+      float x = t * 4.0;
+      float k = curve[0];
+      for (int i = 0; i < 4; i++) {
+        if (x >= float(i)) {
+          k = mix(curve[i], curve[i + 1], clamp(x - float(i), 0.0, 1.0));
+        }
+      }
+      return k;`
+  },
+  {
+    name: 'rgbToCmyk',
+    doc: 'The device naive separation with black generation (see black_generation.js)',
+    returns: 'vec4',
+    params: [['vec3', 'rgb'], ['float[5]', 'curve'], ['float', 'blackStart'], ['float', 'blackLimit'], ['bool', 'neutralOnly']],
+    body: `
+      float maxRgb = max(max(rgb[0], rgb[1]), rgb[2]);
+      // Gray component: the most black that could replace the CMY mixture (100% GCR)
+      float gray = 1.0 - maxRgb;
+      float t = clamp((gray - blackStart) / max(1.0 - blackStart, 0.00001), 0.0, 1.0);
+      float k = min(min(blackCurve(t, curve), blackLimit), gray);
+      if (neutralOnly) {
+        // UCR: fade black out as the colour gets more saturated
+        float chroma = maxRgb - min(min(rgb[0], rgb[1]), rgb[2]);
+        k *= 1.0 - smoothstep(0.0, 0.3, chroma);
+      }
+      // Avoid division by zero if K is 1 (pure black)
+      float invK = 1.0 / max(1.0 - k, 0.00001);
+      return vec4(
+        clamp((1.0 - rgb[0] - k) * invK, 0.0, 1.0),
+        clamp((1.0 - rgb[1] - k) * invK, 0.0, 1.0),
+        clamp((1.0 - rgb[2] - k) * invK, 0.0, 1.0),
+        k);`
+  },
+  {
+    name: 'selectChannel',
+    doc: 'Pick a single plate out of the CMYK vector (0=C, 1=M, 2=Y, 3=K)',
+    returns: 'float',
+    params: [['vec4', 'cmyk'], ['int', 'channel']],
+    body: `
+      if (channel == 0) {
+        return cmyk[0];
+      } else if (channel == 1) {
+        return cmyk[1];
+      } else if (channel == 2) {
+        return cmyk[2];
+      }
+      return cmyk[3];`
+  },
+  {
+    name: 'printedTone',
+    doc: 'Tone value a plate value prints at with dot gain: 1 - (1 - a)^g (see dot_gain.js)',
+    returns: 'float',
+    params: [['float', 'value'], ['float', 'exponent']],
+    body: `
+      return 1.0 - pow(1.0 - clamp(value, 0.0, 1.0), exponent);`
+  },
+  {
+    name: 'compensatedTone',
+    doc: 'Plate value that prints at a tone value (the inverse of printedTone)',
+    returns: 'float',
+    params: [['float', 'tone'], ['float', 'exponent']],
+    body: `
+      return 1.0 - pow(1.0 - clamp(tone, 0.0, 1.0), 1.0 / exponent);`
+  },
+  {
+    name: 'labCurve',
+    doc: 'CIELAB f(t) of a white-relative XYZ component',
+    returns: 'float',
+    params: [['float', 't']],
+    body: `
+      return t > 216.0 / 24389.0 ? pow(t, 1.0 / 3.0) : (24389.0 / 27.0 * t + 16.0) / 116.0;`
+  },
+  {
+    name: 'srgbToLab',
+    doc: 'sRGB to CIELAB, D50 like the ICC PCS (Bradford-adapted matrix, as icc.js)',
+    returns: 'vec3',
+    params: [['vec3', 'rgb']],
+    body: `
+      float r = srgbToLinear(rgb[0]);
+      float g = srgbToLinear(rgb[1]);
+      float b = srgbToLinear(rgb[2]);
+      vec3 t = vec3(
+        (0.4360747 * r + 0.3850649 * g + 0.1430804 * b) / 0.9642,
+        0.2225045 * r + 0.7168786 * g + 0.0606169 * b,
+        (0.0139322 * r + 0.0971045 * g + 0.7141733 * b) / 0.8249);
+      vec3 f = vec3(labCurve(t[0]), labCurve(t[1]), labCurve(t[2]));
+      return vec3(116.0 * f[1] - 16.0, 500.0 * (f[0] - f[1]), 200.0 * (f[1] - f[2]));`
+  },
+  {
+    name: 'spotMatch',
+    doc: 'How strongly a colour matches a spot ink: 1 at its Lab value, 0 at the tolerance (CIE76 delta E)',
+    returns: 'float',
+    params: [['vec3', 'lab'], ['vec3', 'inkLab'], ['float', 'tolerance']],
+    body: `
+      float dl = lab[0] - inkLab[0];
+      float da = lab[1] - inkLab[1];
+      float db = lab[2] - inkLab[2];
+      return clamp(1.0 - sqrt(dl * dl + da * da + db * db) / tolerance, 0.0, 1.0);`
+  }
+];
+
+// A number as a GLSL float literal
+function glslFloat(value) {
+  const text = String(value);
+  return /[.e]/.test(text) ? text : `${text}.0`;
+}
@@ -0,0 +1,162 @@
+// color_math_generated.js
+// Generated by generate_color_math.js from the GLSL in color_math_definitions.js: do not edit,
+// change the definition and run `npm run generate`. color_math.js re-exports these.
+
+function clamp(x, low, high) {
+  return Math.min(Math.max(x, low), high);
+}
+
+function mix(x, y, a) {
+  return x * (1 - a) + y * a;
+}
+
+function step(edge, x) {
+  return x < edge ? 0 : 1;
+}
+
+function smoothstep(edge0, edge1, x) {
+  const t = clamp((x - edge0) / (edge1 - edge0), 0, 1);
+  return t * t * (3 - 2 * t);
+}
+
+/** sRGB transfer curve to linear light */
+export function srgbToLinear(c) {
+  return c < 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/** Linear light to the sRGB transfer curve */
+export function linearToSrgb(c) {
+  return c < 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1.0 / 2.4) - 0.055;
+}
+
+/** SMPTE ST 2084 EOTF, relative to SDR white (10000 cd/m2 peak over SDR_WHITE_NITS) */
+export function pqToLinear(e) {
+  const m1 = 0.1593017578125;
+  const m2 = 78.84375;
+  const c1 = 0.8359375;
+  const c2 = 18.8515625;
+  const c3 = 18.6875;
+  let p = Math.pow(e, 1.0 / m2);
+  return Math.pow(Math.max(p - c1, 0.0) / (c2 - c3 * p), 1.0 / m1) * 49.26108374384236;
+}
+
+/** HLG inverse OETF: signal to relative scene light */
+export function hlgToScene(e) {
+  const a = 0.17883277;
+  const b = 0.28466892;
+  const c = 0.55991073;
+  return e < 0.5 ? e * e / 3.0 : (Math.exp((e - c) / a) + b) / 12.0;
+}
+
+/** HLG signal to display light for a display at the peak (system gamma 1.2), relative to SDR white */
+export function hlgToLinear(e, peak) {
+  let scene = [hlgToScene(e[0]), hlgToScene(e[1]), hlgToScene(e[2])];
+  let luminance = 0.2627 * scene[0] + 0.6780 * scene[1] + 0.0593 * scene[2]; // BT.2020
+  let gain = Math.pow(Math.max(luminance, 0.000001), 0.2) * peak;
+  return [scene[0] * gain, scene[1] * gain, scene[2] * gain];
+}
+
+/** Hable's filmic curve (shoulder and toe), with the usual exposure bias of 2 */
+export function hable(value) {
+  let x = value * 2.0;
+  return ((x * (0.15 * x + 0.05) + 0.004) / (x * (0.15 * x + 0.5) + 0.06)) - 0.02 / 0.3;
+}
+
+/** Bring HDR linear light into 0..1 on luminance, so hues are kept (mode: 0=clip, 1=Reinhard, 2=Hable) */
+export function toneMap(rgb, mode, peak) {
+  if (mode === 0) {
+    return [Math.min(rgb[0], 1.0), Math.min(rgb[1], 1.0), Math.min(rgb[2], 1.0)];
+  }
+  let luminance = 0.2126 * rgb[0] + 0.7152 * rgb[1] + 0.0722 * rgb[2];
+  if (luminance <= 0.0) {
+    return rgb.slice();
+  }
+  let mapped = mode === 1
+    ? luminance * (1.0 + luminance / (peak * peak)) / (1.0 + luminance)
+    : hable(luminance) / hable(peak);
+  let scale = mapped / luminance;
+  return [rgb[0] * scale, rgb[1] * scale, rgb[2] * scale];
+}
+
+/** Piecewise-linear black generation curve through BLACK_CURVE_POINTS points */
+export function blackCurve(t, curve) {
+  let x = t * 4.0;
+  let k = curve[0];
+  for (let i = 0; i < 4; i++) {
+    if (x >= Number(i)) {
+      k = mix(curve[i], curve[i + 1], clamp(x - Number(i), 0.0, 1.0));
+    }
+  }
+  return k;
+}
+
+/** The device naive separation with black generation (see black_generation.js) */
+export function rgbToCmyk(rgb, curve, blackStart, blackLimit, neutralOnly) {
+  let maxRgb = Math.max(Math.max(rgb[0], rgb[1]), rgb[2]);
+  // Gray component: the most black that could replace the CMY mixture (100% GCR)
+  let gray = 1.0 - maxRgb;
+  let t = clamp((gray - blackStart) / Math.max(1.0 - blackStart, 0.00001), 0.0, 1.0);
+  let k = Math.min(Math.min(blackCurve(t, curve), blackLimit), gray);
+  if (neutralOnly) {
+    // UCR: fade black out as the colour gets more saturated
+    let chroma = maxRgb - Math.min(Math.min(rgb[0], rgb[1]), rgb[2]);
+    k *= 1.0 - smoothstep(0.0, 0.3, chroma);
+  }
+  // Avoid division by zero if K is 1 (pure black)
+  let invK = 1.0 / Math.max(1.0 - k, 0.00001);
+  return [
+    clamp((1.0 - rgb[0] - k) * invK, 0.0, 1.0),
+    clamp((1.0 - rgb[1] - k) * invK, 0.0, 1.0),
+    clamp((1.0 - rgb[2] - k) * invK, 0.0, 1.0),
+    k
+  ];
+}
+
+/** Pick a single plate out of the CMYK vector (0=C, 1=M, 2=Y, 3=K) */
+export function selectChannel(cmyk, channel) {
+  if (channel === 0) {
+    return cmyk[0];
+  } else if (channel === 1) {
+    return cmyk[1];
+  } else if (channel === 2) {
+    return cmyk[2];
+  }
+  return cmyk[3];
+}
+
+/** Tone value a plate value prints at with dot gain: 1 - (1 - a)^g (see dot_gain.js) */
+export function printedTone(value, exponent) {
+  return 1.0 - Math.pow(1.0 - clamp(value, 0.0, 1.0), exponent);
+}
+
+/** Plate value that prints at a tone value (the inverse of printedTone) */
+export function compensatedTone(tone, exponent) {
+  return 1.0 - Math.pow(1.0 - clamp(tone, 0.0, 1.0), 1.0 / exponent);
+}
+
+/** CIELAB f(t) of a white-relative XYZ component */
+export function labCurve(t) {
+  return t > 216.0 / 24389.0 ? Math.pow(t, 1.0 / 3.0) : (24389.0 / 27.0 * t + 16.0) / 116.0;
+}
+
+/** sRGB to CIELAB, D50 like the ICC PCS (Bradford-adapted matrix, as icc.js) */
+export function srgbToLab(rgb) {
+  let r = srgbToLinear(rgb[0]);
+  let g = srgbToLinear(rgb[1]);
+  let b = srgbToLinear(rgb[2]);
+  let t = [
+    (0.4360747 * r + 0.3850649 * g + 0.1430804 * b) / 0.9642,
+    0.2225045 * r + 0.7168786 * g + 0.0606169 * b,
+    (0.0139322 * r + 0.0971045 * g + 0.7141733 * b) / 0.8249
+  ];
+  let f = [labCurve(t[0]), labCurve(t[1]), labCurve(t[2])];
+  return [116.0 * f[1] - 16.0, 500.0 * (f[0] - f[1]), 200.0 * (f[1] - f[2])];
+}
+
+/** How strongly a colour matches a spot ink: 1 at its Lab value, 0 at the tolerance (CIE76 delta E) */
+export function spotMatch(lab, inkLab, tolerance) {
+  let dl = lab[0] - inkLab[0];
+  let da = lab[1] - inkLab[1];
+  let db = lab[2] - inkLab[2];
+  return clamp(1.0 - Math.sqrt(dl * dl + da * da + db * db) / tolerance, 0.0, 1.0);
+}
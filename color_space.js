@@ -0,0 +1,214 @@
+// color_space.js
+// Colour metadata of the source and the matrices the shader needs to turn its Y'CbCr samples
+// into the separation's working RGB (sRGB: BT.709 primaries, sRGB curve, D65).
+//
+// Colour spaces use the WebCodecs names (VideoColorSpaceInit): primaries, transfer, matrix, fullRange.
+// Values come from the decoded frame first, then the container (colr / Matroska Colour), then
+// the usual defaults for the frame size.
+
+// Values of u_transfer
+export const TRANSFER_SDR = 0; // bt709, smpte170m, iec61966-2-1: display-referred, decoded with the sRGB curve as browsers do
+export const TRANSFER_PQ = 1; // SMPTE ST 2084
+export const TRANSFER_HLG = 2; // ARIB STD-B67
+export const TRANSFER_LINEAR = 3;
+
+// Values of u_toneMap (HDR sources only)
+export const TONE_MAP_CLIP = 0;
+export const TONE_MAP_REINHARD = 1; // Extended Reinhard on luminance, white at the assumed peak
+export const TONE_MAP_HABLE = 2; // Hable's filmic curve, normalised to the assumed peak
+
+// Nominal diffuse white of HDR signals (ITU-R BT.2408) and the peak assumed for PQ/HLG masters
+export const SDR_WHITE_NITS = 203;
+export const HDR_PEAK_NITS = 1000;
+
+// CIE 1931 xy chromaticities of the red, green and blue primaries; all use the D65 white point
+const PRIMARIES = {
+  bt709: [[0.64, 0.33], [0.30, 0.60], [0.15, 0.06]],
+  bt470bg: [[0.64, 0.33], [0.29, 0.60], [0.15, 0.06]],
+  smpte170m: [[0.630, 0.340], [0.310, 0.595], [0.155, 0.070]],
+  bt2020: [[0.708, 0.292], [0.170, 0.797], [0.131, 0.046]],
+  smpte432: [[0.680, 0.320], [0.265, 0.690], [0.150, 0.060]] // Display P3
+};
+const D65 = [0.3127, 0.3290];
+
+// Luma coefficients (Kr, Kb) of the Y'CbCr matrices
+const LUMA_COEFFICIENTS = {
+  bt709: [0.2126, 0.0722],
+  bt470bg: [0.299, 0.114],
+  smpte170m: [0.299, 0.114],
+  'bt2020-ncl': [0.2627, 0.0593]
+};
+
+/**
+ * @typedef {Object} SourceColorSpace
+ * @property {string} primaries - 'bt709', 'bt470bg', 'smpte170m', 'bt2020' or 'smpte432'
+ * @property {string} transfer - 'bt709', 'smpte170m', 'iec61966-2-1', 'linear', 'pq' or 'hlg'
+ * @property {string} matrix - 'rgb', 'bt709', 'bt470bg', 'smpte170m' or 'bt2020-ncl'
+ * @property {boolean} fullRange
+ */
+
+/**
+ * Combine the frame's colour space with the container's, falling back to the defaults for
+ * the frame size (BT.601 below 720 lines, BT.709 from there on; limited range)
+ * @param {VideoColorSpace|Object|null} frameColorSpace - VideoFrame.colorSpace (fields may be null)
+ * @param {Object|null} trackColorSpace - From the worker's 'trackInfo'
+ * @param {number} height - Coded or display height of the frame
+ * @returns {SourceColorSpace}
+ */
+export function resolveColorSpace(frameColorSpace, trackColorSpace, height) {
+  const pick = (field) => {
+    const fromFrame = frameColorSpace ? frameColorSpace[field] : null;
+    if (fromFrame !== null && fromFrame !== undefined) return fromFrame;
+    const fromTrack = trackColorSpace ? trackColorSpace[field] : null;
+    return fromTrack !== null && fromTrack !== undefined ? fromTrack : null;
+  };
+  const hd = height >= 720;
+  const primaries = pick('primaries');
+  const transfer = pick('transfer');
+  const matrix = pick('matrix');
+  const fullRange = pick('fullRange');
+  return {
+    primaries: PRIMARIES[primaries] ? primaries : (hd ? 'bt709' : 'smpte170m'),
+    transfer: transfer || 'bt709',
+    matrix: matrix === 'rgb' || LUMA_COEFFICIENTS[matrix] ? matrix : (hd ? 'bt709' : 'smpte170m'),
+    fullRange: fullRange === null ? false : Boolean(fullRange)
+  };
+}
+
+/**
+ * u_transfer value for a transfer characteristic
+ * @param {string} transfer
+ * @returns {number}
+ */
+export function transferCode(transfer) {
+  if (transfer === 'pq') return TRANSFER_PQ;
+  if (transfer === 'hlg') return TRANSFER_HLG;
+  if (transfer === 'linear') return TRANSFER_LINEAR;
+  return TRANSFER_SDR;
+}
+
+/**
+ * Whether the source needs converting at all before the separation (anything but
+ * SDR BT.709/sRGB colour, which already is the working RGB)
+ * @param {SourceColorSpace} colorSpace
+ * @returns {boolean}
+ */
+export function needsColorConversion(colorSpace) {
+  return colorSpace.primaries !== 'bt709' || transferCode(colorSpace.transfer) !== TRANSFER_SDR;
+}
+
+/**
+ * Affine Y'CbCr -> R'G'B' conversion for normalised samples (code value / (2^bits - 1)):
+ * rgb = matrix * yuv + offset. Range scaling and chroma centring are folded in.
+ * @param {SourceColorSpace} colorSpace
+ * @param {number} bitDepth - Bits per sample (8, 10 or 12)
+ * @returns {{matrix: Float32Array, offset: Float32Array}} Column-major mat3 and vec3
+ */
+export function yuvToRgb(colorSpace, bitDepth) {
+  const maxCode = 2 ** bitDepth - 1;
+  const step = 2 ** (bitDepth - 8); // One 8-bit code value at this depth
+  // Normalised sample -> Y' (0..1) and Cb/Cr (-0.5..0.5)
+  let lumaScale, lumaOffset, chromaScale, chromaOffset;
+  if (colorSpace.fullRange) {
+    lumaScale = 1;
+    lumaOffset = 0;
+    chromaScale = 1;
+    chromaOffset = -(2 ** (bitDepth - 1)) / maxCode;
+  } else {
+    lumaScale = maxCode / (219 * step);
+    lumaOffset = -16 / 219;
+    chromaScale = maxCode / (224 * step);
+    chromaOffset = -128 / 224;
+  }
+
+  let rows;
+  if (colorSpace.matrix === 'rgb') {
+    // GBR stored in the Y, U, V planes
+    rows = [[0, 0, 1], [1, 0, 0], [0, 1, 0]];
+    chromaScale = lumaScale;
+    chromaOffset = lumaOffset;
+  } else {
+    const [kr, kb] = LUMA_COEFFICIENTS[colorSpace.matrix];
+    const kg = 1 - kr - kb;
+    rows = [
+      [1, 0, 2 * (1 - kr)],
+      [1, -2 * kb * (1 - kb) / kg, -2 * kr * (1 - kr) / kg],
+      [1, 2 * (1 - kb), 0]
+    ];
+  }
+
+  const scale = [lumaScale, chromaScale, chromaScale];
+  const bias = [lumaOffset, chromaOffset, chromaOffset];
+  const matrix = new Float32Array(9);
+  const offset = new Float32Array(3);
+  for (let row = 0; row < 3; row++) {
+    for (let col = 0; col < 3; col++) {
+      matrix[col * 3 + row] = rows[row][col] * scale[col];
+      offset[row] += rows[row][col] * bias[col];
+    }
+  }
+  return { matrix, offset };
+}
+
+/**
+ * Linear-light conversion from the source primaries to the working (BT.709) primaries
+ * @param {string} primaries
+ * @returns {Float32Array} Column-major mat3
+ */
+export function primariesToWorking(primaries) {
+  const toXyz = rgbToXyz(PRIMARIES[primaries] || PRIMARIES.bt709);
+  const fromXyz = invert3(rgbToXyz(PRIMARIES.bt709));
+  const rows = multiply3(fromXyz, toXyz);
+  return new Float32Array([
+    rows[0][0], rows[1][0], rows[2][0],
+    rows[0][1], rows[1][1], rows[2][1],
+    rows[0][2], rows[1][2], rows[2][2]
+  ]);
+}
+
+/**
+ * Short description for the UI, e.g. "BT.2020 PQ, BT.2020 matrix, limited range"
+ * @param {SourceColorSpace} colorSpace
+ * @returns {string}
+ */
+export function describeColorSpace(colorSpace) {
+  const primaries = {
+    bt709: 'BT.709', bt470bg: 'BT.601 (625)', smpte170m: 'BT.601 (525)', bt2020: 'BT.2020', smpte432: 'Display P3'
+  }[colorSpace.primaries];
+  const transfer = { [TRANSFER_SDR]: 'SDR', [TRANSFER_PQ]: 'PQ', [TRANSFER_HLG]: 'HLG', [TRANSFER_LINEAR]: 'linear' }[transferCode(colorSpace.transfer)];
+  const matrix = {
+    rgb: 'RGB', bt709: 'BT.709', bt470bg: 'BT.601', smpte170m: 'BT.601', 'bt2020-ncl': 'BT.2020'
+  }[colorSpace.matrix];
+  return `${primaries} ${transfer}, ${matrix} matrix, ${colorSpace.fullRange ? 'full' : 'limited'} range`;
+}
+
+// Normalised primary matrix: linear RGB -> XYZ for the given primaries and D65
+function rgbToXyz(primaries) {
+  const xyz = ([x, y]) => [x / y, 1, (1 - x - y) / y];
+  const columns = primaries.map(xyz);
+  const m = [0, 1, 2].map(row => columns.map(column => column[row]));
+  const white = xyz(D65);
+  const s = multiplyVector(invert3(m), white); // Scale each primary so RGB = 1 is the white point
+  return m.map(row => row.map((value, col) => value * s[col]));
+}
+
+function multiply3(a, b) {
+  return a.map(row => [0, 1, 2].map(col => row[0] * b[0][col] + row[1] * b[1][col] + row[2] * b[2][col]));
+}
+
+function multiplyVector(m, v) {
+  return m.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+}
+
+function invert3(m) {
+  const [[a, b, c], [d, e, f], [g, h, i]] = m;
+  const A = e * i - f * h;
+  const B = -(d * i - f * g);
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  return [
+    [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+    [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+    [C / det, -(a * h - b * g) / det, (a * e - b * d) / det]
+  ];
+}
@@ -0,0 +1,197 @@
+// compare_view.js
+// Comparison viewer: the original frame and the processed canvas drawn into one canvas, either
+// side by side across a draggable split (wipe) or blended over each other (onion skin). Both
+// layers share one view transform, so zooming and panning always moves them together.
+
+export const COMPARE_OFF = 'off';
+export const COMPARE_SPLIT = 'split';
+export const COMPARE_ONION = 'onion';
+
+const MIN_SCALE = 1 / 16;
+const MAX_SCALE = 64;
+const SPLIT_HANDLE_SLOP = 8; // CSS pixels either side of the split line that grab it
+const SPLIT_COLOUR = '#ff2d55';
+
+/**
+ * View state and drawing for the comparison canvas. Positions are kept in frame pixels (the
+ * processed canvas' pixels), so the view survives resizes and new frames.
+ */
+export class CompareView {
+  /**
+   * @param {HTMLCanvasElement} canvas - Sized by CSS; the backing store follows its box
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.mode = COMPARE_SPLIT;
+    this.split = 0.5; // Wipe position across the canvas, 0-1; the original is on the left
+    this.opacity = 0.5; // Weight of the processed layer in onion-skin mode
+    this.fitted = true; // Re-fit on every draw until the user zooms
+    this.scale = 1; // Device pixels per frame pixel
+    this.centreX = 0; // Frame pixel at the middle of the canvas
+    this.centreY = 0;
+    this.frameWidth = 0;
+    this.frameHeight = 0;
+  }
+
+  /** Zoom to show the whole frame, following later resizes */
+  fit() {
+    this.fitted = true;
+  }
+
+  /** One frame pixel per device pixel, around the current centre */
+  actualPixels() {
+    this.fitted = false;
+    this.scale = 1;
+  }
+
+  /**
+   * Zoom by a factor, keeping the frame pixel under the pointer in place
+   * @param {number} clientX
+   * @param {number} clientY
+   * @param {number} factor - Above 1 zooms in
+   */
+  zoomAt(clientX, clientY, factor) {
+    const { x, y } = this.devicePoint(clientX, clientY);
+    const before = this.toFrame(x, y);
+    this.fitted = false;
+    this.scale = Math.min(Math.max(this.scale * factor, MIN_SCALE), MAX_SCALE);
+    const after = this.toFrame(x, y);
+    this.centreX += before.x - after.x;
+    this.centreY += before.y - after.y;
+  }
+
+  /**
+   * Move the view with a pointer drag
+   * @param {number} dx - Pointer movement in CSS pixels
+   * @param {number} dy
+   */
+  panBy(dx, dy) {
+    const ratio = this.deviceRatio();
+    this.fitted = false;
+    this.centreX -= dx * ratio / this.scale;
+    this.centreY -= dy * ratio / this.scale;
+  }
+
+  /**
+   * Whether a pointer is over the split line (and a drag should move it rather than pan)
+   * @param {number} clientX
+   * @returns {boolean}
+   */
+  onSplitHandle(clientX) {
+    if (this.mode !== COMPARE_SPLIT) return false;
+    const rect = this.canvas.getBoundingClientRect();
+    return Math.abs(clientX - rect.left - this.split * rect.width) <= SPLIT_HANDLE_SLOP;
+  }
+
+  /**
+   * Move the split line under the pointer
+   * @param {number} clientX
+   */
+  moveSplit(clientX) {
+    const rect = this.canvas.getBoundingClientRect();
+    this.split = Math.min(Math.max((clientX - rect.left) / rect.width, 0), 1);
+  }
+
+  /**
+   * Zoom as a label: 'Fit', '1:1' or a percentage of device pixels
+   * @returns {string}
+   */
+  zoomLabel() {
+    if (this.fitted) return `Fit (${Math.round(this.scale * 100)}%)`;
+    if (this.scale === 1) return '1:1';
+    return `${Math.round(this.scale * 100)}%`;
+  }
+
+  /**
+   * Draw both layers. The original is stretched over the processed frame's size, which is the
+   * oriented display size it was rendered at.
+   * @param {CanvasImageSource} original - The video element
+   * @param {HTMLCanvasElement} processed - The renderer's canvas
+   */
+  draw(original, processed) {
+    this.syncSize();
+    const { canvas, context } = this;
+    const frameChanged = processed.width !== this.frameWidth || processed.height !== this.frameHeight;
+    this.frameWidth = processed.width;
+    this.frameHeight = processed.height;
+    if (this.fitted || frameChanged) this.fitFrame();
+
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.fillStyle = '#222';
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    if (!this.frameWidth || !this.frameHeight) return;
+
+    // Nearest-neighbour when magnified, so 1:1 and above show real pixels
+    context.imageSmoothingEnabled = this.scale < 1;
+    const left = canvas.width / 2 - this.centreX * this.scale;
+    const top = canvas.height / 2 - this.centreY * this.scale;
+    const width = this.frameWidth * this.scale;
+    const height = this.frameHeight * this.scale;
+
+    drawLayer(context, original, left, top, width, height);
+    if (this.mode === COMPARE_ONION) {
+      context.globalAlpha = this.opacity;
+      drawLayer(context, processed, left, top, width, height);
+      context.globalAlpha = 1;
+      return;
+    }
+
+    const splitX = Math.round(this.split * canvas.width);
+    context.save();
+    context.beginPath();
+    context.rect(splitX, 0, canvas.width - splitX, canvas.height);
+    context.clip();
+    context.fillStyle = '#222';
+    context.fillRect(splitX, 0, canvas.width - splitX, canvas.height);
+    drawLayer(context, processed, left, top, width, height);
+    context.restore();
+
+    context.fillStyle = SPLIT_COLOUR;
+    context.fillRect(splitX - this.deviceRatio(), 0, 2 * this.deviceRatio(), canvas.height);
+  }
+
+  // Match the backing store to the CSS box at the device pixel ratio
+  syncSize() {
+    const ratio = this.deviceRatio();
+    const width = Math.round(this.canvas.clientWidth * ratio);
+    const height = Math.round(this.canvas.clientHeight * ratio);
+    if (this.canvas.width !== width) this.canvas.width = width;
+    if (this.canvas.height !== height) this.canvas.height = height;
+  }
+
+  fitFrame() {
+    this.fitted = true;
+    this.centreX = this.frameWidth / 2;
+    this.centreY = this.frameHeight / 2;
+    if (!this.frameWidth || !this.frameHeight) return;
+    this.scale = Math.min(this.canvas.width / this.frameWidth, this.canvas.height / this.frameHeight);
+  }
+
+  deviceRatio() {
+    return window.devicePixelRatio || 1;
+  }
+
+  // Client coordinates to backing-store pixels
+  devicePoint(clientX, clientY) {
+    const rect = this.canvas.getBoundingClientRect();
+    const ratio = this.deviceRatio();
+    return { x: (clientX - rect.left) * ratio, y: (clientY - rect.top) * ratio };
+  }
+
+  // Backing-store pixel to frame pixel
+  toFrame(x, y) {
+    return {
+      x: this.centreX + (x - this.canvas.width / 2) / this.scale,
+      y: this.centreY + (y - this.canvas.height / 2) / this.scale
+    };
+  }
+}
+
+function drawLayer(context, source, left, top, width, height) {
+  try {
+    context.drawImage(source, left, top, width, height);
+  } catch (e) {
+    // Nothing to draw yet (e.g. the video has no frame)
+  }
+}
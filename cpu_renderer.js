@@ -0,0 +1,592 @@
+// cpu_renderer.js
+// The fragment shader in shaders.js ported to plain JS and drawn with Canvas 2D (see renderer.js
+// for the interface), for machines where WebGL is disabled. The separation math is shared with
+// the shader in color_math.js. It produces the same plates as the
+// WebGL renderers, only far slower, so the per-source-pixel work (colour conversion and
+// separation) is kept between redraws and only the per-output-pixel shading is redone.
+// Sources are sampled nearest-neighbour: at the display size every output pixel lands on a
+// source pixel centre, where the GPU's linear filtering returns that pixel too.
+// The per-source-pixel work needs no canvas, so the command-line tool (cmyk_cli.js) uses it too.
+
+import { GRID_CHANNEL, TAC_CHANNEL, SOFT_PROOF_CHANNEL, SPOT_CHANNEL, SEPARATION_NAIVE, SEPARATION_ICC, HALFTONE_OFF, HALFTONE_PLATE, HALFTONE_COMPOSITE, DOT_ELLIPTICAL, DOT_SQUARE } from './shaders.js';
+import { outputSize, orientationMatrix } from './frame_geometry.js';
+import { resolveColorSpace, transferCode, needsColorConversion, yuvToRgb, primariesToWorking, TRANSFER_PQ, TRANSFER_HLG, TRANSFER_LINEAR, HDR_PEAK_NITS, SDR_WHITE_NITS } from './color_space.js';
+import { planeLayout } from './frame_planes.js';
+import { spotMatch } from './inks.js';
+import { gainExponent, inkDensityScale } from './dot_gain.js';
+import { srgbToLinear, linearToSrgb, pqToLinear, hlgToLinear, toneMap, rgbToCmyk, printedTone, compensatedTone, srgbToLab } from './color_math.js';
+
+const HDR_PEAK = HDR_PEAK_NITS / SDR_WHITE_NITS; // u_hdrPeak
+
+export class CpuRenderer {
+  /**
+   * @param {HTMLCanvasElement} canvas - A canvas without a context yet
+   * @throws {Error} If the canvas has no 2D context
+   */
+  constructor(canvas) {
+    const context = canvas.getContext('2d');
+    if (!context) throw new Error('Canvas 2D is not available');
+    this.canvas = canvas;
+    this.context = context;
+    this.kind = 'cpu';
+    this.description = 'CPU (Canvas 2D)';
+    this.lut = null; // Baked ICC table, see iccLookup()
+    this.playbackSource = null; // The playback frame, kept for redraws (see readSource())
+    this.buffer = null; // Reused copyTo() destination
+    this.scratchCanvas = null; // For frames the browser converts to RGB
+  }
+
+  /**
+   * @param {Object|null} lut - From bakeSeparationLut(), null to fall back to the naive separation
+   */
+  setIccLut(lut) {
+    this.lut = lut;
+    if (this.playbackSource) this.playbackSource.platesKey = null;
+  }
+
+  /**
+   * Keep the playback frame's pixels for redraws after the frame is closed
+   * @param {VideoFrame} frame
+   * @param {Object|null} trackColorSpace
+   * @returns {Promise<{colorSpace: Object, yuv: boolean}>}
+   */
+  async uploadFrame(frame, trackColorSpace) {
+    this.playbackSource = await this.readSource(frame, trackColorSpace);
+    return { colorSpace: this.playbackSource.colorSpace, yuv: this.playbackSource.yuv };
+  }
+
+  resize(width, height) {
+    if (this.canvas.width === width && this.canvas.height === height) return;
+    this.canvas.width = width;
+    this.canvas.height = height;
+  }
+
+  clear() {
+    this.context.fillStyle = 'rgb(26, 26, 26)'; // The WebGL renderers' clear colour
+    this.context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  /**
+   * Draw the playback frame onto the canvas
+   * @param {RenderSettings} settings
+   */
+  draw(settings) {
+    if (!this.playbackSource) {
+      this.clear();
+      return;
+    }
+    const { width, height } = this.canvas;
+    const image = this.context.createImageData(width, height);
+    shade(this.playbackSource, this.plates(this.playbackSource, settings), settings, settings.orientation,
+      width, height, false, image.data);
+    this.context.putImageData(image, 0, 0);
+  }
+
+  /**
+   * TAC of the playback frame, sampled like the WebGL statistics pass
+   * @param {RenderSettings} settings
+   * @param {number} maxSize - Long side of the measured copy in pixels
+   * @returns {{maxTac: number, overPercent: number}} - Max TAC in percent (0-400) and share of pixels over the limit
+   */
+  measureTac(settings, maxSize) {
+    if (!this.playbackSource) return { maxTac: 0, overPercent: 0 };
+    const { cmyk } = this.measurePlates(settings, maxSize);
+    let max = 0;
+    let over = 0;
+    for (let i = 0; i < cmyk.length; i += 4) {
+      const tac = cmyk[i] + cmyk[i + 1] + cmyk[i + 2] + cmyk[i + 3];
+      if (tac > max) max = tac;
+      if (tac > settings.tacLimit) over++;
+    }
+    return { maxTac: max * 100, overPercent: over / (cmyk.length / 4) * 100 };
+  }
+
+  /**
+   * Plates of the playback frame on a downscaled copy, sampled like the WebGL statistics passes
+   * @param {RenderSettings} settings
+   * @param {number} maxSize - Long side of the measured copy in pixels
+   * @returns {{width: number, height: number, cmyk: Float32Array}} - Interleaved C, M, Y, K (0-1)
+   */
+  measurePlates(settings, maxSize) {
+    const scale = Math.min(1, maxSize / Math.max(this.canvas.width, this.canvas.height));
+    const width = Math.max(1, Math.round(this.canvas.width * scale));
+    const height = Math.max(1, Math.round(this.canvas.height * scale));
+    const cmyk = new Float32Array(width * height * 4);
+    const source = this.playbackSource;
+    if (!source) return { width, height, cmyk };
+    const plates = this.plates(source, settings);
+    const m = orientationMatrix(settings.orientation);
+    let out = 0;
+    for (let y = 0; y < height; y++) {
+      const v = 1 - (y + 0.5) / height;
+      for (let x = 0; x < width; x++) {
+        const i = sourceIndex(source, m, (x + 0.5) / width, v) * 4;
+        for (let plate = 0; plate < 4; plate++) cmyk[out++] = plates[i + plate];
+      }
+    }
+    return { width, height, cmyk };
+  }
+
+  /**
+   * Working RGB and plates of the playback frame at single canvas pixels
+   * @param {RenderSettings} settings
+   * @param {Array<{x: number, y: number}>} points - Canvas pixels, top row first
+   * @returns {Array<{rgb: number[], cmyk: number[], spots: number[]}>} - 0-1 values per point
+   */
+  inspect(settings, points) {
+    const source = this.playbackSource;
+    const noSpots = settings.spotInks.map(() => 0);
+    if (!source) return points.map(() => ({ rgb: [0, 0, 0], cmyk: [0, 0, 0, 0], spots: noSpots }));
+    const plates = this.plates(source, settings);
+    const m = orientationMatrix(settings.orientation);
+    const { width, height } = this.canvas;
+    return points.map(({ x, y }) => {
+      const i = sourceIndex(source, m, (x + 0.5) / width, 1 - (y + 0.5) / height);
+      const rgb = Array.from(source.rgb.subarray(i * 3, i * 3 + 3));
+      if (source.convert.colour) toWorkingRgb(rgb, source.convert, settings.toneMap);
+      const spots = source.spots ? Array.from(source.spots.subarray(i * 4, i * 4 + noSpots.length)) : noSpots;
+      return { rgb, cmyk: Array.from(plates.subarray(i * 4, i * 4 + 4)), spots };
+    });
+  }
+
+  /**
+   * Separate a frame and return the plates
+   * @param {VideoFrame} frame
+   * @param {SourceTrack} track
+   * @param {RenderSettings} settings
+   * @param {number} bitDepth - 8 or 16
+   * @param {{width: number, height: number}} [size] - Output size; defaults to the oriented display size
+   * @returns {Promise<{width: number, height: number, cmyk: Uint8Array|Uint16Array}>} - Interleaved C, M, Y, K, top row first
+   */
+  async readPlates(frame, track, settings, bitDepth, size = outputSize(frame.displayWidth, frame.displayHeight, track.orientation)) {
+    const source = await this.readSource(frame, track.colorSpace);
+    const { width, height } = size;
+    const plates = this.plates(source, settings);
+    const m = orientationMatrix(track.orientation);
+    const full = bitDepth === 16 ? 65535 : 255;
+    const cmyk = bitDepth === 16 ? new Uint16Array(width * height * 4) : new Uint8Array(width * height * 4);
+    let out = 0;
+    for (let y = 0; y < height; y++) {
+      const v = 1 - (y + 0.5) / height;
+      for (let x = 0; x < width; x++) {
+        const i = sourceIndex(source, m, (x + 0.5) / width, v) * 4;
+        for (let plate = 0; plate < 4; plate++) {
+          cmyk[out++] = Math.round(plates[i + plate] * full);
+        }
+      }
+    }
+    return { width, height, cmyk };
+  }
+
+  /**
+   * Render a frame exactly as draw() would show it (selected channel, grid, TAC, halftone)
+   * @param {VideoFrame} frame
+   * @param {SourceTrack} track
+   * @param {RenderSettings} settings
+   * @param {{width: number, height: number}} size - Output size
+   * @returns {Promise<Uint8Array>} - RGBA, top row first
+   */
+  async renderDisplayed(frame, track, settings, size) {
+    const source = await this.readSource(frame, track.colorSpace);
+    const pixels = new Uint8Array(size.width * size.height * 4);
+    // Drawn the way the WebGL offscreen passes are, so screens line up with gl_FragCoord there
+    shade(source, this.plates(source, settings), settings, track.orientation, size.width, size.height, true, pixels);
+    return pixels;
+  }
+
+  destroy() {
+    this.playbackSource = null;
+    this.buffer = null;
+  }
+
+  /**
+   * Read a frame into R'G'B' samples at its visible size. Planar Y'CbCr frames are copied out with
+   * copyTo() and converted with the same matrix as the shader; anything else is converted by the browser.
+   * @param {VideoFrame} frame
+   * @param {Object|null} trackColorSpace - Container colour description from 'trackInfo'
+   * @returns {Promise<Object>} - {width, height, rgb: Float32Array, colorSpace, yuv, convert, plates, platesKey}
+   */
+  async readSource(frame, trackColorSpace) {
+    const rect = frame.visibleRect;
+    const layout = rect ? planeLayout(frame.format, rect.width, rect.height) : null;
+    const colorSpace = resolveColorSpace(frame.colorSpace, trackColorSpace, frame.displayHeight);
+    if (layout) {
+      try {
+        if (!this.buffer || this.buffer.byteLength < layout.byteLength) {
+          this.buffer = new Uint8Array(layout.byteLength);
+        }
+        await frame.copyTo(this.buffer, {
+          rect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+          layout: layout.planes.map(({ offset, stride }) => ({ offset, stride }))
+        });
+        return sourceFromPlanes(this.buffer, layout, rect.width, rect.height, colorSpace);
+      } catch (e) {
+        console.warn(`Renderer: Could not read ${frame.format} planes, letting the browser convert the frame: ${e.message}`);
+      }
+    }
+
+    // Browser-converted RGB at the display size, as the WebGL upload gets it
+    const width = frame.displayWidth;
+    const height = frame.displayHeight;
+    if (!this.scratchCanvas) this.scratchCanvas = document.createElement('canvas');
+    this.scratchCanvas.width = width;
+    this.scratchCanvas.height = height;
+    const context = this.scratchCanvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(frame, 0, 0, width, height);
+    const data = context.getImageData(0, 0, width, height).data;
+    const rgb = new Float32Array(width * height * 3);
+    for (let i = 0, o = 0; i < data.length; i += 4) {
+      rgb[o++] = data[i] / 255;
+      rgb[o++] = data[i + 1] / 255;
+      rgb[o++] = data[i + 2] / 255;
+    }
+    return sourceFromRgb(rgb, width, height, colorSpace);
+  }
+
+  /**
+   * CMYK for every source pixel with this renderer's ICC table, see separateSource()
+   * @param {Object} source - From readSource()
+   * @param {RenderSettings} settings
+   * @returns {Float32Array} - C, M, Y, K per source pixel
+   */
+  plates(source, settings) {
+    return separateSource(source, settings, this.lut);
+  }
+}
+
+/**
+ * A source (as CpuRenderer.readSource() returns) from Y'CbCr planes
+ * @param {Uint8Array} buffer - Samples laid out as planeLayout() describes
+ * @param {import('./frame_planes.js').PlaneLayout} layout
+ * @param {number} width
+ * @param {number} height
+ * @param {import('./color_space.js').SourceColorSpace} colorSpace
+ * @returns {Object}
+ */
+export function sourceFromPlanes(buffer, layout, width, height, colorSpace) {
+  const source = emptySource(colorSpace);
+  source.width = width;
+  source.height = height;
+  source.rgb = planesToRgb(buffer, layout, width, height, yuvToRgb(colorSpace, layout.bits));
+  source.yuv = true;
+  return source;
+}
+
+/**
+ * A source from R'G'B' samples that are already display RGB (no colour conversion)
+ * @param {Float32Array} rgb - R, G, B per pixel, 0-1, top row first
+ * @param {number} width
+ * @param {number} height
+ * @param {import('./color_space.js').SourceColorSpace} colorSpace - Reported only
+ * @returns {Object}
+ */
+export function sourceFromRgb(rgb, width, height, colorSpace) {
+  const source = emptySource(colorSpace);
+  source.width = width;
+  source.height = height;
+  source.rgb = rgb;
+  source.convert.colour = false;
+  return source;
+}
+
+/**
+ * CMYK for every source pixel, converted to the working RGB and separated (cached per settings).
+ * The spot plates are extracted in the same pass, into source.spots.
+ * @param {Object} source - From readSource(), sourceFromPlanes() or sourceFromRgb()
+ * @param {RenderSettings} settings
+ * @param {Object|null} lut - From bakeSeparationLut(), null for the naive separation
+ * @returns {Float32Array} - C, M, Y, K per source pixel
+ */
+export function separateSource(source, settings, lut) {
+  const separation = lut ? settings.separation : SEPARATION_NAIVE;
+  const spotInks = settings.spotInks;
+  const compensation = settings.dotGain.compensate ? settings.dotGain.tvi.map(gainExponent) : null;
+  const key = JSON.stringify([separation, settings.blackGeneration, source.convert.colour ? settings.toneMap : 0, spotInks, compensation]);
+  if (source.platesKey === key) return source.plates;
+
+  const count = source.width * source.height;
+  const plates = source.plates && source.plates.length === count * 4 ? source.plates : new Float32Array(count * 4);
+  let spots = null;
+  if (spotInks.length) {
+    spots = source.spots && source.spots.length === count * 4 ? source.spots : new Float32Array(count * 4);
+  }
+  const { curve, blackStart, blackLimit, neutralOnly } = settings.blackGeneration;
+  const rgb = [0, 0, 0];
+  let cmyk = [0, 0, 0, 0];
+  for (let i = 0; i < count; i++) {
+    rgb[0] = source.rgb[i * 3];
+    rgb[1] = source.rgb[i * 3 + 1];
+    rgb[2] = source.rgb[i * 3 + 2];
+    if (source.convert.colour) toWorkingRgb(rgb, source.convert, settings.toneMap);
+    if (separation === SEPARATION_ICC) {
+      iccLookup(lut, rgb, cmyk);
+    } else {
+      cmyk = rgbToCmyk(rgb, curve, blackStart, blackLimit, neutralOnly);
+    }
+    if (compensation) {
+      for (let plate = 0; plate < 4; plate++) cmyk[plate] = compensatedTone(cmyk[plate], compensation[plate]);
+    }
+    plates.set(cmyk, i * 4);
+    if (spots) {
+      const lab = srgbToLab(rgb);
+      for (let s = 0; s < spotInks.length; s++) spots[i * 4 + s] = spotMatch(lab, spotInks[s]);
+    }
+  }
+  source.plates = plates;
+  source.spots = spots;
+  source.platesKey = key;
+  return plates;
+}
+
+function emptySource(colorSpace) {
+  return {
+    width: 0,
+    height: 0,
+    rgb: null,
+    colorSpace,
+    yuv: false,
+    convert: {
+      colour: needsColorConversion(colorSpace),
+      transfer: transferCode(colorSpace.transfer),
+      primaries: primariesToWorking(colorSpace.primaries)
+    },
+    plates: null, // CMYK per source pixel for the settings in platesKey, see separateSource()
+    spots: null, // Spot plates per source pixel (four per pixel), null without spot inks
+    platesKey: null
+  };
+}
+
+// Convert copied planes to clamped R'G'B' (sourceRgb() before the colour conversion).
+// Chroma is picked like the shader's NEAREST lookup at each luma pixel centre.
+function planesToRgb(buffer, layout, width, height, { matrix, offset }) {
+  const [luma, cb, cr] = layout.planes;
+  const wide = layout.bits > 8;
+  const maxCode = 2 ** layout.bits - 1;
+  const sample = (plane, x, y) => {
+    const at = plane.offset + y * plane.stride + x * (wide ? 2 : 1);
+    return wide ? (buffer[at] | (buffer[at + 1] << 8)) / maxCode : buffer[at] / 255;
+  };
+  const rgb = new Float32Array(width * height * 3);
+  let out = 0;
+  for (let y = 0; y < height; y++) {
+    const chromaY = Math.floor((y + 0.5) * cb.height / height);
+    for (let x = 0; x < width; x++) {
+      const chromaX = Math.floor((x + 0.5) * cb.width / width);
+      const Y = sample(luma, x, y);
+      let U;
+      let V;
+      if (layout.interleaved) {
+        const at = cb.offset + chromaY * cb.stride + chromaX * 2;
+        U = buffer[at] / 255;
+        V = buffer[at + 1] / 255;
+      } else {
+        U = sample(cb, chromaX, chromaY);
+        V = sample(cr, chromaX, chromaY);
+      }
+      for (let c = 0; c < 3; c++) {
+        rgb[out++] = clamp01(matrix[c] * Y + matrix[3 + c] * U + matrix[6 + c] * V + offset[c]);
+      }
+    }
+  }
+  return rgb;
+}
+
+// Index of the source pixel shown at output position (u, v) (0..1, v up) through u_orientation
+function sourceIndex(source, m, u, v) {
+  const tx = m[0] * u + m[3] * v + m[6];
+  const ty = m[1] * u + m[4] * v + m[7];
+  const x = Math.min(Math.max(Math.floor(tx * source.width), 0), source.width - 1);
+  const y = Math.min(Math.max(Math.floor(ty * source.height), 0), source.height - 1);
+  return y * source.width + x;
+}
+
+/**
+ * The shader's main() for every output pixel of the displayed channel
+ * @param {Object} source
+ * @param {Float32Array} plates - From CpuRenderer.plates()
+ * @param {RenderSettings} settings
+ * @param {Object} orientation
+ * @param {number} width
+ * @param {number} height
+ * @param {boolean} flipped - Drawn like an offscreen pass (gl_FragCoord.y counts from the top row)
+ * @param {Uint8Array|Uint8ClampedArray} out - RGBA, top row first
+ */
+function shade(source, plates, settings, orientation, width, height, flipped, out) {
+  const m = orientationMatrix(orientation);
+  const inks = linearInks(settings);
+  const color = [0, 0, 0];
+  let o = 0;
+  for (let y = 0; y < height; y++) {
+    const fragY = flipped ? y + 0.5 : height - y - 0.5;
+    for (let x = 0; x < width; x++) {
+      const fragX = x + 0.5;
+      let u = fragX / width;
+      let v = fragY / height;
+      if (flipped) v = 1 - v;
+      let channel = settings.channel;
+      if (channel === GRID_CHANNEL) {
+        // Top row is C | M, bottom row is Y | K
+        const right = u >= 0.5;
+        channel = v >= 0.5 ? (right ? 1 : 0) : (right ? 3 : 2);
+        u = u * 2 - Math.floor(u * 2);
+        v = v * 2 - Math.floor(v * 2);
+      }
+      const i = sourceIndex(source, m, u, v) * 4;
+      shadePixel(plates, source.spots, i, channel, settings, inks, fragX, fragY, color);
+      out[o++] = Math.round(color[0] * 255);
+      out[o++] = Math.round(color[1] * 255);
+      out[o++] = Math.round(color[2] * 255);
+      out[o++] = 255;
+    }
+  }
+}
+
+// Colour of one output pixel from the plates (and spot plates, if any) at index i
+function shadePixel(plates, spots, i, channel, settings, inks, fragX, fragY, color) {
+  if (channel === TAC_CHANNEL) {
+    const tac = plates[i] + plates[i + 1] + plates[i + 2] + plates[i + 3];
+    if (tac > settings.tacLimit) {
+      // Magenta/white stripes over the limit
+      const white = (fragX + fragY) % 8 >= 4;
+      color[0] = 1;
+      color[1] = white ? 1 : 0;
+      color[2] = 1;
+    } else {
+      heatmap(tac / 4, color);
+    }
+    return;
+  }
+  if (settings.halftone === HALFTONE_COMPOSITE || channel === SOFT_PROOF_CHANNEL) {
+    // Recombined plates: the soft proof, or the screened composite (the soft proof of the dots)
+    // As printed: dots are screened at their gained size
+    const coverage = [0, 1, 2, 3].map(plate => {
+      const printed = printedTone(plates[i + plate], inks.gain[plate]);
+      return settings.halftone === HALFTONE_OFF ? printed : screenPlate(printed, settings.screenAngles[plate], fragX, fragY, settings);
+    });
+    const spotCoverage = settings.spotInks.map((ink, s) => settings.halftone === HALFTONE_OFF
+      ? spots[i + s]
+      : screenPlate(spots[i + s], ink.angle, fragX, fragY, settings));
+    inkOnPaper(inks, [...coverage, ...spotCoverage], color);
+    return;
+  }
+  const spot = channel >= SPOT_CHANNEL;
+  const plate = spot ? channel - SPOT_CHANNEL : channel;
+  let value = spot ? (spots ? spots[i + plate] : 0) : plates[i + plate];
+  if (!spot && settings.dotGain.showPrinted) value = printedTone(value, inks.gain[plate]);
+  if (settings.halftone === HALFTONE_PLATE) {
+    const angle = spot ? (settings.spotInks[plate] ? settings.spotInks[plate].angle : 0) : settings.screenAngles[plate];
+    value = screenPlate(value, angle, fragX, fragY, settings);
+  }
+  if (settings.inkTint) {
+    const coverage = new Array(inks.inks.length).fill(0);
+    coverage[spot ? 4 + plate : plate] = value;
+    inkOnPaper(inks, coverage, color);
+    return;
+  }
+  color[0] = color[1] = color[2] = value;
+}
+
+// Paper and ink filters in linear light at the stock's density, for inkOnPaper(): C, M, Y, K,
+// then the spot inks. Also the dot gain exponents of the process plates.
+function linearInks(settings) {
+  const density = inkDensityScale(settings.maxDensity);
+  return {
+    paper: settings.paperWhite.map(srgbToLinear),
+    inks: [...settings.inkColours, ...settings.spotInks.map(ink => ink.colour)]
+      .map(colour => colour.map(c => srgbToLinear(c) ** density)),
+    gain: settings.dotGain.tvi.map(gainExponent)
+  };
+}
+
+// Inks printed on the paper, spot inks last: each one filters the light by its coverage (in linear light)
+function inkOnPaper({ paper, inks }, coverage, color) {
+  for (let c = 0; c < 3; c++) {
+    let light = paper[c];
+    for (let plate = 0; plate < inks.length; plate++) light *= 1 + (inks[plate][c] - 1) * coverage[plate];
+    color[c] = linearToSrgb(light);
+  }
+}
+
+// False-colour ramp for coverage: blue -> cyan -> green -> yellow -> red
+function heatmap(t, color) {
+  color[0] = clamp01(1.5 - Math.abs(4 * t - 3));
+  color[1] = clamp01(1.5 - Math.abs(4 * t - 2));
+  color[2] = clamp01(1.5 - Math.abs(4 * t - 1));
+}
+
+// Screen one plate: each output pixel is one device pixel
+function screenPlate(coverage, angle, fragX, fragY, settings) {
+  if (coverage <= 0) return 0;
+  if (coverage >= 1) return 1;
+  const s = Math.sin(angle);
+  const c = Math.cos(angle);
+  const px = fragX / settings.cellSize;
+  const py = fragY / settings.cellSize;
+  const cellX = c * px + s * py;
+  const cellY = -s * px + c * py;
+  const fx = cellX - Math.floor(cellX) - 0.5;
+  const fy = cellY - Math.floor(cellY) - 0.5;
+  if (settings.dotShape === DOT_SQUARE) {
+    return Math.max(Math.abs(fx), Math.abs(fy)) < Math.sqrt(coverage) * 0.5 ? 1 : 0;
+  }
+  return ellipticalDot(fx, fy, coverage, settings.dotShape === DOT_ELLIPTICAL ? 0.7 : 1);
+}
+
+// Area-preserving round (aspect 1) or elliptical (aspect < 1) dot; a hole shrinks around the corners past 50%
+function ellipticalDot(fx, fy, coverage, aspect) {
+  if (coverage <= 0.5) {
+    const radius = Math.sqrt(coverage / (Math.PI * aspect));
+    return Math.hypot(fx, fy / aspect) < radius ? 1 : 0;
+  }
+  const holeRadius = Math.sqrt((1 - coverage) / (Math.PI * aspect));
+  return Math.hypot(0.5 - Math.abs(fx), (0.5 - Math.abs(fy)) / aspect) < holeRadius ? 0 : 1;
+}
+
+// Trilinear lookup in the baked ICC table (the shader's two bilinear texture reads and a mix)
+function iccLookup(lut, rgb, cmyk) {
+  const size = lut.size;
+  const last = size - 1;
+  const [r, g, b] = rgb.map(value => clamp01(value) * last);
+  const r0 = Math.floor(r);
+  const g0 = Math.floor(g);
+  const b0 = Math.floor(b);
+  const r1 = Math.min(r0 + 1, last);
+  const g1 = Math.min(g0 + 1, last);
+  const b1 = Math.min(b0 + 1, last);
+  const fr = r - r0;
+  const fg = g - g0;
+  const fb = b - b0;
+  const texel = (ri, gi, bi, plate) => lut.data[(gi * lut.width + bi * size + ri) * 4 + plate] / 255;
+  for (let plate = 0; plate < 4; plate++) {
+    const slice = (bi) => {
+      const low = texel(r0, g0, bi, plate) * (1 - fr) + texel(r1, g0, bi, plate) * fr;
+      const high = texel(r0, g1, bi, plate) * (1 - fr) + texel(r1, g1, bi, plate) * fr;
+      return low * (1 - fg) + high * fg;
+    };
+    cmyk[plate] = slice(b0) * (1 - fb) + slice(b1) * fb;
+  }
+}
+
+// sourceRgb() after the Y'CbCr matrix: linearise, convert the primaries, tone map, re-encode
+function toWorkingRgb(rgb, convert, toneMapMode) {
+  let linear;
+  if (convert.transfer === TRANSFER_PQ) {
+    linear = rgb.map(pqToLinear);
+  } else if (convert.transfer === TRANSFER_HLG) {
+    linear = hlgToLinear(rgb, HDR_PEAK);
+  } else if (convert.transfer === TRANSFER_LINEAR) {
+    linear = rgb.slice();
+  } else {
+    linear = rgb.map(srgbToLinear);
+  }
+  const p = convert.primaries;
+  const converted = [0, 1, 2].map(c => Math.max(p[c] * linear[0] + p[3 + c] * linear[1] + p[6 + c] * linear[2], 0));
+  const mapped = convert.transfer === TRANSFER_PQ || convert.transfer === TRANSFER_HLG
+    ? toneMap(converted, toneMapMode, HDR_PEAK)
+    : converted;
+  for (let c = 0; c < 3; c++) rgb[c] = linearToSrgb(clamp01(mapped[c]));
+}
+
+function clamp01(value) {
+  return Math.min(Math.max(value, 0), 1);
+}
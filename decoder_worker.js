@@ -3,6 +3,16 @@ console.log("Worker script started."); // Log entry point
 
 // Import demuxer library (e.g., mp4box.js)
 importScripts('./lib/mp4box.all.min.js'); // Updated path to lib directory
+importScripts('./source_reader.js'); // Ranged reads of the source File
+importScripts('./webm_demuxer.js'); // WebM/Matroska demuxer
+
+const MAX_DECODE_QUEUE_SIZE = 16; // Chunks queued in the decoder before feeding waits
+const PROGRESS_INTERVAL_MS = 250; // Minimum time between 'progress' messages
+
+// ISO/IEC 23091-2 code points (MP4 colr 'nclx' and Matroska Colour) -> WebCodecs colour space names
+const CICP_PRIMARIES = { 1: 'bt709', 5: 'bt470bg', 6: 'smpte170m', 7: 'smpte170m', 9: 'bt2020', 12: 'smpte432' };
+const CICP_TRANSFER = { 1: 'bt709', 6: 'smpte170m', 8: 'linear', 13: 'iec61966-2-1', 14: 'bt709', 15: 'bt709', 16: 'pq', 18: 'hlg' };
+const CICP_MATRIX = { 0: 'rgb', 1: 'bt709', 5: 'bt470bg', 6: 'smpte170m', 9: 'bt2020-ncl' };
 
 /**
  * @typedef {Object} TrackInfo
@@ -10,20 +20,52 @@ importScripts('./lib/mp4box.all.min.js'); // Updated path to lib directory
  * @property {number} codedWidth - The width of the video in pixels
  * @property {number} codedHeight - The height of the video in pixels
  * @property {Uint8Array} [description] - Optional codec-specific description data
+ * @property {number} trackId - The track the configuration is for
+ * @property {number} [displayAspectWidth] - Display aspect ratio from the pixel aspect ratio (pasp / DisplayWidth)
+ * @property {number} [displayAspectHeight]
+ * @property {number} displayWidth - Expected frame display width, before rotation
+ * @property {number} displayHeight - Expected frame display height, before rotation
+ * @property {number} rotation - Clockwise degrees (0, 90, 180, 270) from the tkhd matrix
+ * @property {boolean} mirror - The tkhd matrix flips the frame horizontally (before rotating)
+ * @property {VideoColorSpaceInit|null} colorSpace - From the container (colr / Colour); null members are unknown
+ */
+
+/**
+ * @typedef {Object} TrackSummary
+ * @property {number} id - Track ID (MP4) or track number (WebM)
+ * @property {string} name - Handler name, if the file has one
+ * @property {string} codec
+ * @property {number} width
+ * @property {number} height
+ * @property {number|null} duration - Seconds
+ * @property {number|null} frameRate - Frames per second, averaged over the track
+ * @property {number|null} bitrate - Bits per second, averaged over the track
  */
 
 // Global state
 let videoDecoder = null;
 let mp4boxfile = null;
 let videoTrack = null;
+let videoTracks = []; // Every decodable video track in the file; videoTrack is one of them
+let requestedTrackId = null; // Track chosen on the main thread (null = the first one)
+let videoSamples = null; // The video track's sample table (offset, size, cts, is_sync), growing while parsing
+let container = 'mp4'; // 'mp4' or 'webm', from the file header
 let isProcessingComplete = false; // Flag to track if processing is complete
-let lastSampleTime = 0; // Track the time of the last sample received
-let sampleCount = 0; // Count of samples received
+let isDemuxComplete = false; // The whole file has been parsed, so the sample table is final
+let sourceFile = null; // The File being decoded; sample data is read from it on demand
+let bytesRead = 0; // Bytes of the file handed to the demuxer so far
+let sampleCount = 0; // Samples read from the file and queued for decoding (counted across seeks)
+let lastProgressTime = 0; // When the last 'progress' message was posted
 let abortController = null; // For explicit resource cleanup
 let keyframeReceived = false; // Track if we've received a keyframe
 let decoderResetAttempts = 0; // Track number of decoder reset attempts
 let processingId = Date.now(); // Correlation ID for tracing processing sessions
-let checkIntervals = []; // Track all interval IDs for proper cleanup
+let decodeGeneration = 0; // Bumped on every seek; batches from an older generation stop themselves
+let currentSeekId = 0; // Seek request the posted frames belong to (0 = initial pass)
+let seekDropBeforeUs = -Infinity; // Frames before the seek target are decoded but not posted
+let isPaused = false; // The main thread has enough frames queued; stop feeding the decoder
+let pausedBatch = null; // The batch to run on 'resume'
+let runStats = newRunStats(0); // Frame counts for the current decode run
 
 // Structured logging levels
 const LogLevel = {
@@ -34,11 +76,36 @@ const LogLevel = {
 };
 
 self.onmessage = async (event) => {
-  const { type, fileBuffer } = event.data;
+  const { type, file } = event.data;
+
+  if (type === 'selectTrack') {
+    await selectTrack(event.data.trackId, event.data.time, event.data.seekId);
+    return;
+  }
+
+  if (type === 'seek') {
+    await seekTo(event.data.time, event.data.seekId);
+    return;
+  }
+
+  if (type === 'pause') {
+    // Frames already in the decoder still come out; no new samples go in
+    isPaused = true;
+    return;
+  }
+
+  if (type === 'resume') {
+    isPaused = false;
+    const batch = pausedBatch;
+    pausedBatch = null;
+    if (batch) await batch();
+    return;
+  }
 
   if (type === 'stop') {
     // Handle explicit stop request from main thread
     log(LogLevel.INFO, `[${processingId}] Received stop command from main thread`);
+    decodeGeneration++; // Stop feeding samples
     if (!isProcessingComplete) {
       isProcessingComplete = true;
       await closeDecoder();
@@ -48,19 +115,26 @@ self.onmessage = async (event) => {
   
   if (type === 'initialize') {
     processingId = Date.now(); // Generate new correlation ID for this processing session
-    log(LogLevel.INFO, `[${processingId}] Worker received file. Initializing demuxer...`);
+    const sessionId = processingId;
+    log(LogLevel.INFO, `[${processingId}] Worker received file (${file.size} bytes). Initializing demuxer...`);
 
     // Reset state for new processing
     isProcessingComplete = false;
-    lastSampleTime = Date.now(); // Reset to current time
+    isDemuxComplete = false;
+    sourceFile = file;
+    requestedTrackId = event.data.trackId != null ? event.data.trackId : null;
+    videoTracks = [];
+    bytesRead = 0;
     sampleCount = 0;
+    lastProgressTime = 0;
+    decodeGeneration++;
+    currentSeekId = 0;
+    seekDropBeforeUs = -Infinity;
+    isPaused = false;
+    pausedBatch = null;
     keyframeReceived = false; // Reset keyframe tracking
     decoderResetAttempts = 0; // Reset decoder reset attempts counter
 
-    // Clean up any existing intervals
-    checkIntervals.forEach(intervalId => clearInterval(intervalId));
-    checkIntervals = [];
-    
     // Create a new abort controller for this processing session
     if (abortController) {
       abortController.abort();
@@ -69,7 +143,7 @@ self.onmessage = async (event) => {
     const signal = abortController.signal;
 
     // Reset existing demuxer if it exists
-    if (mp4boxfile) {
+    if (mp4boxfile || videoTrack) {
       log(LogLevel.INFO, `[${processingId}] Resetting existing demuxer`);
       // Ensure previous decoding is finished
       if (videoDecoder && videoDecoder.state !== 'closed') {
@@ -78,159 +152,200 @@ self.onmessage = async (event) => {
         // Ensure decoder is null even if it was already closed
         videoDecoder = null;
       }
-      mp4boxfile.stop();
+      if (mp4boxfile) mp4boxfile.stop();
       mp4boxfile = null;
       videoTrack = null;
+      videoSamples = null;
     }
 
     try {
-      // --- Demuxer Initialization (mp4box.js) ---
-      // Check if MP4Box is defined
-      if (typeof MP4Box === 'undefined') {
-        throw new Error('MP4Box library not loaded. Check the import path.');
-      }
-      
-      mp4boxfile = MP4Box.createFile(); // Create file after verifying MP4Box exists
-
-      // --- Start of mp4box logic ---
-      mp4boxfile.onReady = (info) => {
-        log(LogLevel.INFO, `[${processingId}] Demuxer ready`);
-        videoTrack = info.videoTracks[0]; // Assume first video track
+      // The container is recognised from the file's first bytes, not its extension
+      container = await detectContainer(file);
+      log(LogLevel.INFO, `[${processingId}] Reading ${container === 'webm' ? 'WebM/Matroska' : 'MP4'} file...`);
+      const onProgress = (read) => {
+        bytesRead = read;
+        postProgress(false);
+      };
+      const completed = container === 'webm'
+        ? await demuxWebm(file, signal, onProgress)
+        : await demuxMp4(file, signal, onProgress);
+      if (completed) {
+        log(LogLevel.INFO, `[${processingId}] File read; ${videoSamples ? videoSamples.length : 0} video samples demuxed`);
+        // Frame rate and bitrate from the complete sample tables (fragmented files grow after onReady)
+        if (videoTracks.length > 0) postTrackList();
         if (!videoTrack) {
-          log(LogLevel.ERROR, `[${processingId}] No video track found in the file`);
-          return;
+          log(LogLevel.ERROR, `[${processingId}] No playable video track found`);
         }
+      }
+    } catch (err) {
+      log(LogLevel.ERROR, `[${processingId}] Demuxer initialization failed: ${err.message}`);
+      await closeDecoder(); // Also try to close decoder on init error
+    } finally {
+      // Whether or not it succeeded, the sample table will not grow any more
+      // (unless a newer file has already taken over)
+      if (sessionId === processingId) {
+        isDemuxComplete = true;
+        postProgress(true);
+      }
+    }
+  }
+};
 
-        const trackInfo = {
-          codec: videoTrack.codec, // e.g., 'avc1.42E01E'
-          codedWidth: videoTrack.track_width,
-          codedHeight: videoTrack.track_height,
-          description: extractCodecDescription(videoTrack) // Updated to handle multiple codecs
-        };
-        self.postMessage({ type: 'trackInfo', data: trackInfo });
+/**
+ * Demux an MP4 with mp4box.js, reading the file range by range; only the box structure stays in memory
+ * @param {File} file
+ * @param {AbortSignal} signal
+ * @param {function(number, number):void} onProgress
+ * @returns {Promise<boolean>} true once the whole file has been parsed
+ */
+async function demuxMp4(file, signal, onProgress) {
+  // Check if MP4Box is defined
+  if (typeof MP4Box === 'undefined') {
+    throw new Error('MP4Box library not loaded. Check the import path.');
+  }
+  
+  mp4boxfile = MP4Box.createFile(); // Create file after verifying MP4Box exists
 
-        // Initialize decoder
-        initializeDecoder(trackInfo);
+  mp4boxfile.onReady = (info) => {
+    log(LogLevel.INFO, `[${processingId}] Demuxer ready`);
+    if (info.videoTracks.length === 0) {
+      log(LogLevel.ERROR, `[${processingId}] No video track found in the file`);
+      return;
+    }
+    startVideoTracks(info.videoTracks);
+  };
 
-        // Configure extraction - removed nbSamples to allow full processing
-        mp4boxfile.setExtractionOptions(videoTrack.id, null, {});
-        log(LogLevel.INFO, `[${processingId}] Starting demuxing...`);
-        mp4boxfile.start();
-      };
+  mp4boxfile.onError = (error) => {
+    log(LogLevel.ERROR, `[${processingId}] Demuxer error: ${error}`);
+  };
 
-      mp4boxfile.onError = (error) => {
-        log(LogLevel.ERROR, `[${processingId}] Demuxer error: ${error}`);
-      };
+  return streamIntoMp4Box(mp4boxfile, file, { signal, onProgress });
+}
 
-      // Add an onComplete handler to detect end of file
-      mp4boxfile.onComplete = () => {
-        log(LogLevel.INFO, `[${processingId}] MP4Box processing complete`);
-        // Signal that we've reached the end of the file
-        if (!isProcessingComplete) {
-          // Wait a bit to ensure all samples have been processed
-          setTimeout(async () => {
-            if (!isProcessingComplete) {
-              isProcessingComplete = true;
-              await closeDecoder();
-            }
-          }, 1000);
-        }
-      };
+/**
+ * Demux a WebM/Matroska file with the EBML demuxer
+ * @param {File} file
+ * @param {AbortSignal} signal
+ * @param {function(number, number):void} onProgress
+ * @returns {Promise<boolean>} true once the whole file has been parsed
+ */
+async function demuxWebm(file, signal, onProgress) {
+  return streamWebm(file, {
+    signal,
+    onProgress,
+    onReady: (info) => {
+      log(LogLevel.INFO, `[${processingId}] Demuxer ready`);
+      if (info.videoTracks.length === 0) {
+        log(LogLevel.ERROR, `[${processingId}] No supported video track found in the file`);
+        return;
+      }
+      startVideoTracks(info.videoTracks);
+    }
+  });
+}
 
-      mp4boxfile.onSamples = (track_id, user, samples) => {
-        // This callback receives the raw encoded samples (chunks)
-        if (track_id !== videoTrack.id) return;
-        
-        log(LogLevel.DEBUG, `[${processingId}] Received ${samples.length} samples for track ${track_id}`);
-        
-        // Count keyframes for debugging
-        const keyframeCount = samples.filter(s => s.is_sync).length;
-        log(LogLevel.INFO, `[${processingId}] Batch contains ${keyframeCount} keyframes out of ${samples.length} samples`);
-        
-        // Update sample tracking for decoder lifecycle management
-        lastSampleTime = Date.now();
-        sampleCount += samples.length;
-        
-        // Keep track of samples for debugging
-        let processedSamples = 0;
-        let errorSamples = 0;
-        
-        // Process each sample with yield points for large batches
-        // We need to call this asynchronously since we can't await in this callback
-        setTimeout(async () => {
-          await processSamplesBatch(samples, 0, processedSamples, errorSamples);
-        }, 0);
-      };
+/**
+ * Announce the video tracks to the main thread and start decoding the requested one from the
+ * first sample, while the rest of the file is still being parsed
+ * @param {Array<Object>} tracks - Video track descriptions (mp4box info tracks, or the WebM equivalent)
+ */
+function startVideoTracks(tracks) {
+  videoTracks = tracks;
+  let track = tracks.find(candidate => candidate.id === requestedTrackId);
+  if (!track) {
+    if (requestedTrackId !== null) {
+      log(LogLevel.WARNING, `[${processingId}] Track ${requestedTrackId} not found; using track ${tracks[0].id}`);
+    }
+    track = tracks[0];
+  }
+  videoTrack = track;
+  videoSamples = samplesFor(track);
+  postTrackList();
+  self.postMessage({ type: 'trackInfo', data: trackInfoFor(videoTrack) });
 
-      // Append the received buffer
-      log(LogLevel.INFO, `[${processingId}] Appending buffer to demuxer...`);
-      // Create a copy of the buffer to avoid direct modification
-      const buffer = fileBuffer.slice(0);
-      buffer.fileStart = 0; // Required property by mp4box.js
-      mp4boxfile.appendBuffer(buffer);
-      log(LogLevel.INFO, `[${processingId}] Buffer appended. Flushing demuxer...`);
-      mp4boxfile.flush(); // Signal end of initial buffer
-
-      // Set up a check that periodically looks for inactivity
-      // but doesn't automatically close the decoder after a fixed time
-      const checkInterval = setInterval(() => {
-        if (signal.aborted) {
-          clearInterval(checkInterval);
-          const intervalIndex = checkIntervals.indexOf(checkInterval);
-          if (intervalIndex !== -1) {
-            checkIntervals.splice(intervalIndex, 1);
-          }
-          return;
-        }
+  log(LogLevel.INFO, `[${processingId}] Starting decoding of track ${track.id}...`);
+  startDecodeRun(0, -Infinity, 0);
+}
 
-        const now = Date.now();
-        const timeSinceLastSample = now - lastSampleTime;
-        
-        // If we haven't received any samples in a while and we've processed at least some samples,
-        // we can assume processing is complete
-        if (timeSinceLastSample > 5000 && sampleCount > 0) {
-          log(LogLevel.INFO, `[${processingId}] No new samples received for 5 seconds. Processing appears complete.`);
-          clearInterval(checkInterval);
-          const intervalIndex = checkIntervals.indexOf(checkInterval);
-          if (intervalIndex !== -1) {
-            checkIntervals.splice(intervalIndex, 1);
-          }
-          
-          // Only close if we're not still actively processing
-          if (!isProcessingComplete) {
-            isProcessingComplete = true;
-            (async () => {
-              await closeDecoder();
-            })();
-          }
-        }
-      }, 1000); // Check every second
-      
-      // Add to our list of intervals for cleanup
-      checkIntervals.push(checkInterval);
+/**
+ * Switch decoding to another video track, continuing from the given time. Every video track's
+ * sample table is built while parsing, so no part of the file has to be read again.
+ * @param {number} trackId
+ * @param {number} time - Microseconds
+ * @param {number} seekId - Seek request the frames of the new track belong to
+ */
+async function selectTrack(trackId, time, seekId) {
+  const track = videoTracks.find(candidate => candidate.id === trackId);
+  if (!track) {
+    log(LogLevel.ERROR, `[${processingId}] Cannot select track ${trackId}: not a decodable video track`);
+    return;
+  }
+  requestedTrackId = trackId;
+  if (track === videoTrack) {
+    await seekTo(time, seekId);
+    return;
+  }
+  videoTrack = track;
+  videoSamples = samplesFor(track);
+  decoderResetAttempts = 0;
+  log(LogLevel.INFO, `[${processingId}] Switching to track ${track.id} (${track.codec})`);
+  self.postMessage({ type: 'trackInfo', data: trackInfoFor(videoTrack) });
+  await seekTo(time, seekId);
+}
 
-      // Add event listener for abort signal
-      signal.addEventListener('abort', () => {
-        log(LogLevel.INFO, `[${processingId}] Processing aborted`);
-        
-        // Clear all intervals
-        checkIntervals.forEach(intervalId => clearInterval(intervalId));
-        checkIntervals = [];
-        
-        if (!isProcessingComplete) {
-          isProcessingComplete = true;
-          (async () => {
-            await closeDecoder();
-          })();
-        }
-      });
+/**
+ * The live sample table of a track (the demuxer keeps appending to it as the file is parsed)
+ * @param {Object} track
+ * @returns {Array}
+ */
+function samplesFor(track) {
+  return container === 'webm' ? track.samples : mp4boxfile.getTrackById(track.id).samples;
+}
 
-    } catch (err) {
-      log(LogLevel.ERROR, `[${processingId}] Demuxer initialization failed: ${err.message}`);
-      await closeDecoder(); // Also try to close decoder on init error
+/**
+ * Post the list of video tracks for the track picker
+ */
+function postTrackList() {
+  self.postMessage({
+    type: 'tracks',
+    data: {
+      tracks: videoTracks.map(summarizeTrack),
+      selectedId: videoTrack ? videoTrack.id : null
+    }
+  });
+}
+
+/**
+ * Describe a track for the picker; rates are averaged over the samples parsed so far
+ * @param {Object} track
+ * @returns {TrackSummary}
+ */
+function summarizeTrack(track) {
+  const samples = samplesFor(track);
+  const duration = track.duration && track.timescale ? track.duration / track.timescale : null;
+  let frameRate = null;
+  let bitrate = track.bitrate || null; // mp4box computes it from the sample sizes
+  if (duration && samples.length > 1) {
+    frameRate = samples.length / duration;
+    if (!bitrate) {
+      let bytes = 0;
+      for (const sample of samples) bytes += sample.size;
+      bitrate = bytes * 8 / duration;
     }
+  } else if (track.defaultDuration) {
+    frameRate = track.timescale / track.defaultDuration; // WebM DefaultDuration, in ticks
   }
-};
+  return {
+    id: track.id,
+    name: track.name || '',
+    codec: track.codec,
+    width: track.track_width,
+    height: track.track_height,
+    duration,
+    frameRate,
+    bitrate
+  };
+}
 
 /**
  * Calculate optimal batch size based on video resolution and system capabilities
@@ -258,12 +373,17 @@ function calculateOptimalBatchSize(track) {
 
 /**
  * Process samples in batches to avoid blocking the thread
- * @param {Array} samples - Array of samples to process
+ * @param {Array} samples - The video track's sample table (it may still grow while the file is parsed)
  * @param {number} startIndex - Starting index in the samples array
  * @param {number} processedCount - Running count of processed samples
  * @param {number} errorCount - Running count of error samples
+ * @param {number} generation - decodeGeneration the run was started under
  */
-async function processSamplesBatch(samples, startIndex, processedCount, errorCount) {
+async function processSamplesBatch(samples, startIndex, processedCount, errorCount, generation) {
+  if (generation !== decodeGeneration) {
+    // A seek (or a new file) has replaced this run
+    return;
+  }
   const batchSize = calculateOptimalBatchSize(videoTrack);
   const endIndex = Math.min(startIndex + batchSize, samples.length);
   
@@ -274,38 +394,22 @@ async function processSamplesBatch(samples, startIndex, processedCount, errorCou
     // Try to initialize decoder if it's not ready
     if (videoTrack) {
       log(LogLevel.INFO, `[${processingId}] Decoder not ready before batch processing, initializing...`);
-      const trackInfo = {
-        codec: videoTrack.codec,
-        codedWidth: videoTrack.track_width,
-        codedHeight: videoTrack.track_height,
-        description: extractCodecDescription(videoTrack)
-      };
       
       try {
         // Initialize decoder and wait for it to be ready
-        await initializeDecoder(trackInfo);
+        await initializeDecoder(trackInfoFor(videoTrack));
         
         // Check if decoder is now ready
         if (videoDecoder && videoDecoder.state === 'configured') {
           log(LogLevel.INFO, `[${processingId}] Decoder initialized, retrying batch`);
-          await processSamplesBatch(samples, startIndex, processedCount, errorCount);
+          await processSamplesBatch(samples, startIndex, processedCount, errorCount, generation);
         } else {
           log(LogLevel.ERROR, `[${processingId}] Failed to initialize decoder, skipping batch`);
-        // Schedule next batch if there are more samples
-        if (endIndex < samples.length) {
-          setTimeout(async () => {
-            await processSamplesBatch(samples, endIndex, processedCount, errorCount);
-          }, 0); // Yield to the event loop
-        }
+          continueBatches(samples, endIndex, processedCount, errorCount, generation);
         }
       } catch (error) {
         log(LogLevel.ERROR, `[${processingId}] Error initializing decoder: ${error.message}`);
-        // Schedule next batch if there are more samples
-        if (endIndex < samples.length) {
-          setTimeout(async () => {
-            await processSamplesBatch(samples, endIndex, processedCount, errorCount);
-          }, 0);
-        }
+        continueBatches(samples, endIndex, processedCount, errorCount, generation);
       }
       return; // Exit this function call, will retry after initialization
     } else {
@@ -313,6 +417,18 @@ async function processSamplesBatch(samples, startIndex, processedCount, errorCou
       // Continue processing to log errors for each sample
     }
   }
+
+  // Paused by the main thread: park this batch until 'resume'
+  if (isPaused) {
+    pausedBatch = () => processSamplesBatch(samples, startIndex, processedCount, errorCount, generation);
+    return;
+  }
+
+  // Backpressure: let the decoder work through its queue before reading more of the file
+  if (videoDecoder && videoDecoder.decodeQueueSize > MAX_DECODE_QUEUE_SIZE) {
+    setTimeout(() => processSamplesBatch(samples, startIndex, processedCount, errorCount, generation), 10);
+    return;
+  }
   
       // First scan for keyframes if we haven't received one yet
       if (!keyframeReceived) {
@@ -321,7 +437,7 @@ async function processSamplesBatch(samples, startIndex, processedCount, errorCou
         for (let i = startIndex; i < endIndex; i++) {
           if (samples[i].is_sync) {
             keyframeIndex = i;
-            log(LogLevel.INFO, `[${processingId}] Found keyframe at index ${i}, sample size: ${samples[i].data.byteLength}`);
+            log(LogLevel.INFO, `[${processingId}] Found keyframe at index ${i}, sample size: ${samples[i].size}`);
             break;
           }
         }
@@ -336,7 +452,7 @@ async function processSamplesBatch(samples, startIndex, processedCount, errorCou
             log(LogLevel.WARNING, `[${processingId}] Processed over 100 samples without finding a keyframe.`);
             
             // Validate the sample before forcing it as a keyframe
-            if (startIndex < samples.length && samples[startIndex].data && samples[startIndex].data.byteLength > 0) {
+            if (startIndex < samples.length && samples[startIndex].size > 0) {
               log(LogLevel.WARNING, `[${processingId}] Forcing sample at index ${startIndex} as keyframe.`);
               keyframeReceived = true; // Force processing to continue
             } else {
@@ -344,12 +460,7 @@ async function processSamplesBatch(samples, startIndex, processedCount, errorCou
             }
           }
           
-          // Schedule next batch if there are more samples
-          if (endIndex < samples.length) {
-            setTimeout(async () => {
-              await processSamplesBatch(samples, endIndex, processedCount, errorCount);
-            }, 0);
-          }
+          continueBatches(samples, endIndex, processedCount, errorCount, generation);
           return;
         } else {
           // Found a keyframe, start processing from there
@@ -358,16 +469,28 @@ async function processSamplesBatch(samples, startIndex, processedCount, errorCou
           startIndex = keyframeIndex;
         }
       }
+
+  // Read this batch's sample data from the file
+  let payloads;
+  try {
+    payloads = await readSampleData(sourceFile, samples, startIndex, endIndex);
+  } catch (e) {
+    log(LogLevel.ERROR, `[${processingId}] Error reading samples ${startIndex}-${endIndex-1}: ${e.message}`);
+    continueBatches(samples, endIndex, processedCount, errorCount + (endIndex - startIndex), generation);
+    return;
+  }
+  if (generation !== decodeGeneration) return;
   
   for (let i = startIndex; i < endIndex; i++) {
     try {
       const sample = samples[i];
+      const data = payloads[i - startIndex];
       // Log sample details for debugging
       const isKeyFrame = sample.is_sync;
       const timestamp = sample.cts * (1_000_000 / videoTrack.timescale);
       const duration = sample.duration * (1_000_000 / videoTrack.timescale);
       
-      log(LogLevel.DEBUG, `[${processingId}] Processing sample - keyframe: ${isKeyFrame}, timestamp: ${timestamp}, size: ${sample.data.byteLength}`);
+      log(LogLevel.DEBUG, `[${processingId}] Processing sample - keyframe: ${isKeyFrame}, timestamp: ${timestamp}, size: ${data.byteLength}`);
       
       // Create the encoded chunk
       // Force the first sample after keyframeReceived is set to be a keyframe
@@ -376,11 +499,10 @@ async function processSamplesBatch(samples, startIndex, processedCount, errorCou
       
       // Only force keyframe if decoder is in a valid state and the sample is valid
       if (forceKeyFrame) {
-        if (videoDecoder && videoDecoder.state === 'configured' && 
-            sample.data && sample.data.byteLength > 0) {
+        if (videoDecoder && videoDecoder.state === 'configured' && data.byteLength > 0) {
           log(LogLevel.WARNING, `[${processingId}] Forcing sample at index ${i} to be treated as keyframe`);
         } else {
-          log(LogLevel.ERROR, `[${processingId}] Cannot force keyframe - decoder state: ${videoDecoder ? videoDecoder.state : 'null'}, sample valid: ${sample.data && sample.data.byteLength > 0}`);
+          log(LogLevel.ERROR, `[${processingId}] Cannot force keyframe - decoder state: ${videoDecoder ? videoDecoder.state : 'null'}, sample valid: ${data.byteLength > 0}`);
         }
       }
       
@@ -388,8 +510,9 @@ async function processSamplesBatch(samples, startIndex, processedCount, errorCou
         type: (isKeyFrame || (forceKeyFrame && videoDecoder && videoDecoder.state === 'configured')) ? 'key' : 'delta',
         timestamp: timestamp, // Microseconds
         duration: duration, // Microseconds
-        data: sample.data
+        data: data
       });
+      sampleCount++;
       
       // Queue the chunk for the decoder
       if (videoDecoder && videoDecoder.state === 'configured') {
@@ -416,11 +539,7 @@ async function processSamplesBatch(samples, startIndex, processedCount, errorCou
             }, backoffDelay);
             
             // Skip the rest of this batch after a reset
-            if (endIndex < samples.length) {
-              setTimeout(async () => {
-                await processSamplesBatch(samples, endIndex, processedCount, errorCount);
-              }, backoffDelay + 100); // Give a little extra time after the reset
-            }
+            continueBatches(samples, endIndex, processedCount, errorCount, generation, backoffDelay + 100); // Give a little extra time after the reset
             return;
           }
         }
@@ -435,15 +554,284 @@ async function processSamplesBatch(samples, startIndex, processedCount, errorCou
   }
   
   log(LogLevel.DEBUG, `[${processingId}] Processed ${processedCount}/${samples.length} samples, ${errorCount} errors`);
-  
-  // If there are more samples to process, schedule the next batch
-  if (endIndex < samples.length) {
+  postProgress(false);
+  continueBatches(samples, endIndex, processedCount, errorCount, generation);
+}
+
+/**
+ * Schedule the next batch of a run, or finish the run once the sample table is exhausted
+ * @param {Array} samples - The video track's sample table
+ * @param {number} nextIndex - First sample of the next batch
+ * @param {number} processedCount - Running count of processed samples
+ * @param {number} errorCount - Running count of error samples
+ * @param {number} generation - decodeGeneration the run was started under
+ * @param {number} [delay] - Milliseconds to wait before the next batch
+ */
+function continueBatches(samples, nextIndex, processedCount, errorCount, generation, delay = 0) {
+  if (generation !== decodeGeneration) return;
+  runStats.queuedSamples = processedCount;
+  runStats.errorSamples = errorCount;
+  if (nextIndex < samples.length) {
     setTimeout(async () => {
-      await processSamplesBatch(samples, endIndex, processedCount, errorCount);
-    }, 0); // Yield to the event loop
+      await processSamplesBatch(samples, nextIndex, processedCount, errorCount, generation);
+    }, delay); // Yield to the event loop
+  } else if (!isDemuxComplete) {
+    // Caught up with the parser (e.g. fragmented files): wait for more of the sample table
+    setTimeout(() => continueBatches(samples, nextIndex, processedCount, errorCount, generation), 50);
+  } else {
+    finishDecodeRun(generation, processedCount, errorCount);
   }
 }
 
+/**
+ * Start feeding the decoder from a sample of the video track, with a fresh decoder
+ * @param {number} startIndex - Sample (in decode order) to start from; should be a sync sample
+ * @param {number} dropBeforeUs - Frames presented before this are decoded but not posted
+ * @param {number} seekId - Echoed on every posted frame
+ */
+async function startDecodeRun(startIndex, dropBeforeUs, seekId) {
+  const generation = ++decodeGeneration;
+
+  // Close the old decoder before anything is awaited: close() discards its pending output,
+  // so no frame from the previous position can be posted under the new seek id
+  if (videoDecoder && videoDecoder.state !== 'closed') {
+    videoDecoder.close();
+  }
+  videoDecoder = null;
+
+  currentSeekId = seekId;
+  seekDropBeforeUs = dropBeforeUs;
+  runStats = newRunStats(startIndex);
+
+  // Fresh decoder for the new position
+  keyframeReceived = false;
+  await initializeDecoder(trackInfoFor(videoTrack));
+  if (generation !== decodeGeneration) return; // Superseded by a newer seek
+
+  await processSamplesBatch(videoSamples, startIndex, 0, 0, generation);
+}
+
+/**
+ * Seek: decode from the sync sample preceding the target and post frames from the target on
+ * @param {number} time - Target presentation time in microseconds
+ * @param {number} seekId - Echoed on every frame so the main thread can drop stale ones
+ */
+async function seekTo(time, seekId) {
+  if (!videoTrack || !videoSamples) {
+    log(LogLevel.WARNING, `[${processingId}] Seek ignored: no track loaded yet`);
+    return;
+  }
+
+  const table = videoSamples;
+  if (table.length === 0) {
+    log(LogLevel.ERROR, `[${processingId}] Seek failed: sample table is empty`);
+    return;
+  }
+
+  // Target: the sample presented at the time (largest cts not after it), found in decode order
+  const targetCts = time * videoTrack.timescale / 1_000_000;
+  let targetIndex = -1;
+  for (let i = 0; i < table.length; i++) {
+    if (table[i].cts <= targetCts && (targetIndex === -1 || table[i].cts > table[targetIndex].cts)) {
+      targetIndex = i;
+    }
+  }
+  if (targetIndex === -1) targetIndex = 0; // Before the first frame: show the first one
+
+  // Decoding has to start at the preceding sync sample
+  let keyIndex = targetIndex;
+  while (keyIndex > 0 && !table[keyIndex].is_sync) keyIndex--;
+
+  const dropBeforeUs = Math.trunc(table[targetIndex].cts * 1_000_000 / videoTrack.timescale);
+  log(LogLevel.INFO, `[${processingId}] Seek ${seekId} to ${(time / 1_000_000).toFixed(3)}s: sample ${targetIndex}, sync sample ${keyIndex}`);
+  await startDecodeRun(keyIndex, dropBeforeUs, seekId);
+}
+
+/**
+ * Frame counters for a decode run
+ * @param {number} startIndex - First sample of the run
+ */
+function newRunStats(startIndex) {
+  return {
+    startIndex,
+    queuedSamples: 0, // Handed to decode()
+    errorSamples: 0, // Failed to read or queue
+    decodedFrames: 0, // Output by the decoder
+    postedFrames: 0, // Transferred to the main thread
+    droppedFrames: 0 // Decoded only as references for a seek target
+  };
+}
+
+/**
+ * End-of-stream summary for 'decodeComplete'
+ * @param {boolean} interrupted - The run was cut short (stop, error, new file)
+ */
+function decodeSummary(interrupted) {
+  const { queuedSamples, errorSamples } = runStats;
+  const expectedSamples = videoSamples ? Math.max(0, videoSamples.length - runStats.startIndex) : 0;
+  return {
+    expectedSamples,
+    queuedSamples,
+    errorSamples,
+    // Skipped while looking for a key frame, or after a decoder reset (or not reached)
+    skippedSamples: Math.max(0, expectedSamples - queuedSamples - errorSamples),
+    decodedFrames: runStats.decodedFrames,
+    postedFrames: runStats.postedFrames,
+    droppedFrames: runStats.droppedFrames,
+    interrupted
+  };
+}
+
+/**
+ * End of a run: every sample of the (final) sample table has been queued or accounted for.
+ * Flush so the decoder emits its remaining frames (each is posted from the output callback
+ * before flush() resolves), then report the counts.
+ * @param {number} generation - decodeGeneration of the run
+ * @param {number} processedCount - Samples queued for decoding in this run
+ * @param {number} errorCount - Samples that could not be queued
+ */
+async function finishDecodeRun(generation, processedCount, errorCount) {
+  let interrupted = false;
+  if (videoDecoder && videoDecoder.state === 'configured') {
+    try {
+      await videoDecoder.flush();
+    } catch (e) {
+      // Reset or closed while flushing; a newer run (if any) reports for itself
+      log(LogLevel.WARNING, `[${processingId}] Flush at end of stream failed: ${e.message}`);
+      interrupted = true;
+    }
+  } else {
+    log(LogLevel.WARNING, `[${processingId}] Decoder not configured at end of stream`);
+    interrupted = true;
+  }
+  if (generation !== decodeGeneration) return;
+
+  runStats.queuedSamples = processedCount;
+  runStats.errorSamples = errorCount;
+  const summary = decodeSummary(interrupted);
+  if (container === 'mp4' && videoTrack.nb_samples && videoSamples.length !== videoTrack.nb_samples) {
+    log(LogLevel.WARNING, `[${processingId}] Sample table has ${videoSamples.length} samples, track header says ${videoTrack.nb_samples}`);
+  }
+  log(LogLevel.INFO, `[${processingId}] Decoding finished: ${summary.postedFrames} frames from ${summary.queuedSamples}/${summary.expectedSamples} samples (${summary.skippedSamples} skipped, ${summary.errorSamples} errors)`);
+  postProgress(true);
+  self.postMessage({ type: 'decodeComplete', data: summary });
+}
+
+/**
+ * Report reading and demuxing progress, at most every PROGRESS_INTERVAL_MS unless forced
+ * @param {boolean} force - Post even if the last report was recent
+ */
+function postProgress(force) {
+  const now = Date.now();
+  if (!force && now - lastProgressTime < PROGRESS_INTERVAL_MS) return;
+  lastProgressTime = now;
+  self.postMessage({
+    type: 'progress',
+    data: {
+      bytesRead,
+      totalBytes: sourceFile ? sourceFile.size : 0,
+      samplesDemuxed: videoSamples ? videoSamples.length : 0,
+      samplesQueued: sampleCount
+    }
+  });
+}
+
+/**
+ * Build the decoder configuration input for a track
+ * @param {Object} track - mp4box track info
+ * @returns {TrackInfo}
+ */
+function trackInfoFor(track) {
+  const info = {
+    trackId: track.id,
+    codec: track.codec,
+    codedWidth: track.track_width,
+    codedHeight: track.track_height,
+    // WebM tracks carry their CodecPrivate; MP4 descriptions come from the sample entry
+    description: container === 'webm' ? track.description : extractCodecDescription(track),
+    rotation: 0,
+    mirror: false,
+    colorSpace: null
+  };
+
+  if (container === 'webm') {
+    // DisplayWidth/DisplayHeight default to the pixel size; Projection (pose roll) is not read
+    if (track.display_width && track.display_height) {
+      info.displayAspectWidth = track.display_width;
+      info.displayAspectHeight = track.display_height;
+    }
+    if (track.colour) {
+      const { primaries, transfer, matrix, range } = track.colour;
+      info.colorSpace = colorSpaceFromCicp(primaries, transfer, matrix, range === 0 || range === 3 ? null : range === 2);
+    }
+  } else {
+    const trak = mp4boxfile.getTrackById(track.id);
+    // tkhd width/height are the presentation size; the sample entry has the coded size
+    const entry = trak.mdia.minf.stbl.stsd.entries[0];
+    if (entry && entry.width && entry.height) {
+      info.codedWidth = entry.width;
+      info.codedHeight = entry.height;
+    }
+    const pasp = entry && (entry.pasp || (entry.boxes || []).find(box => box.type === 'pasp'));
+    if (pasp && pasp.hSpacing && pasp.vSpacing && pasp.hSpacing !== pasp.vSpacing) {
+      info.displayAspectWidth = info.codedWidth * pasp.hSpacing;
+      info.displayAspectHeight = info.codedHeight * pasp.vSpacing;
+    }
+    Object.assign(info, orientationFromMatrix(trak.tkhd.matrix));
+    const colr = entry && (entry.boxes || []).find(box => box.type === 'colr' && box.colour_type === 'nclx');
+    if (colr) {
+      info.colorSpace = colorSpaceFromCicp(colr.colour_primaries, colr.transfer_characteristics,
+        colr.matrix_coefficients, Boolean(colr.full_range_flag));
+    }
+  }
+
+  // Same rule as the decoder: keep the height and stretch the width to the aspect ratio
+  info.displayWidth = info.displayAspectWidth
+    ? Math.round(info.codedHeight * info.displayAspectWidth / info.displayAspectHeight)
+    : info.codedWidth;
+  info.displayHeight = info.codedHeight;
+  return info;
+}
+
+/**
+ * Translate ISO/IEC 23091-2 code points; unspecified or unsupported values stay null
+ * @param {number} primaries
+ * @param {number} transfer
+ * @param {number} matrix
+ * @param {boolean|null} fullRange
+ * @returns {VideoColorSpaceInit|null} null when nothing is specified
+ */
+function colorSpaceFromCicp(primaries, transfer, matrix, fullRange) {
+  const colorSpace = {
+    primaries: CICP_PRIMARIES[primaries] || null,
+    transfer: CICP_TRANSFER[transfer] || null,
+    matrix: matrix in CICP_MATRIX ? CICP_MATRIX[matrix] : null,
+    fullRange
+  };
+  return Object.values(colorSpace).some(value => value !== null) ? colorSpace : null;
+}
+
+/**
+ * Reduce a tkhd matrix to quarter turns and a mirror flag (other angles snap to the nearest quarter turn)
+ * @param {Int32Array|number[]} [matrix] - 9 values; a, b, c, d are 16.16 fixed point
+ * @returns {{rotation: number, mirror: boolean}}
+ */
+function orientationFromMatrix(matrix) {
+  if (!matrix) return { rotation: 0, mirror: false };
+  let a = matrix[0];
+  let b = matrix[1];
+  const c = matrix[3];
+  const d = matrix[4];
+  const mirror = a * d - b * c < 0;
+  if (mirror) {
+    // Undo the horizontal flip so only the rotation is left
+    a = -a;
+    b = -b;
+  }
+  const quarterTurns = Math.round(Math.atan2(b, a) / (Math.PI / 2));
+  return { rotation: ((quarterTurns % 4) + 4) % 4 * 90, mirror };
+}
+
 /**
  * Initialize the video decoder with the appropriate configuration
  * @param {TrackInfo} trackInfo - Information about the video track
@@ -569,6 +957,17 @@ async function processSamplesBatch(samples, startIndex, processedCount, errorCou
         return;
       }
       
+      // The container's colour description wins over the bitstream's (frames carry it in colorSpace)
+      if (trackInfo.colorSpace) {
+        configToUse.colorSpace = trackInfo.colorSpace;
+      }
+
+      // Frames then report displayWidth/displayHeight at the track's pixel aspect ratio
+      if (trackInfo.displayAspectWidth && trackInfo.displayAspectHeight) {
+        configToUse.displayAspectWidth = trackInfo.displayAspectWidth;
+        configToUse.displayAspectHeight = trackInfo.displayAspectHeight;
+      }
+
       log(LogLevel.INFO, `[${processingId}] Using decoder config: ${JSON.stringify(configToUse)}, hardware acceleration: ${hardwareAcceleration}`);
       
       videoDecoder = new VideoDecoder({
@@ -621,12 +1020,7 @@ async function resetDecoder(track) {
     keyframeReceived = false;
     
     // Reinitialize with the same track info
-    const trackInfo = {
-      codec: track.codec,
-      codedWidth: track.track_width,
-      codedHeight: track.track_height,
-      description: extractCodecDescription(track)
-    };
+    const trackInfo = trackInfoFor(track);
     
     // Check if codec is supported before attempting to initialize
     try {
@@ -660,13 +1054,25 @@ async function resetDecoder(track) {
 function handleFrame(frame) {
   // Log frame details for debugging
   log(LogLevel.DEBUG, `[${processingId}] Decoded frame received, timestamp: ${frame.timestamp}, size: ${frame.codedWidth}x${frame.codedHeight}`);
+
+  runStats.decodedFrames++;
+
+  // After a seek, frames between the sync sample and the target are only needed as references
+  // (1 µs of slack for the integer timestamps WebCodecs stores)
+  if (frame.timestamp < seekDropBeforeUs - 1) {
+    runStats.droppedFrames++;
+    frame.close();
+    return;
+  }
   
+  runStats.postedFrames++;
   // Transfer frame ownership to main thread
   self.postMessage({ 
     type: 'newFrame', 
     data: { 
       frame: frame,
-      timestamp: frame.timestamp 
+      timestamp: frame.timestamp,
+      seekId: currentSeekId
     }
   }, [frame]);
 }
@@ -836,15 +1242,11 @@ async function closeDecoder() {
      abortController = null;
    }
    
-   // Clear all intervals
-   checkIntervals.forEach(intervalId => clearInterval(intervalId));
-   checkIntervals = [];
-   
    // Reset state
    keyframeReceived = false;
    decoderResetAttempts = 0;
    
-   // Signal completion
-   self.postMessage({ type: 'decodeComplete' });
+   // Signal completion; the run did not reach the end of its sample table
+   self.postMessage({ type: 'decodeComplete', data: decodeSummary(true) });
    videoDecoder = null; // Ensure decoder is nullified
 }
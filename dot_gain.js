@@ -0,0 +1,70 @@
+// dot_gain.js
+// Dot gain (tone value increase) and paper presets for the simulated print. A plate's tone
+// value a prints as 1 - (1 - a)^g: a power curve through the chosen TVI at 50% that, like the
+// ISO 12647 curves, gains most in the midtones and little at the ends, and inverts exactly
+// for compensation.
+
+import { labToSrgb } from './icc.js';
+
+// Solid density the ink colours in inks.js print at (coated stock); other max densities
+// lighten or darken every ink relative to it
+export const REFERENCE_MAX_DENSITY = 1.8;
+
+// Largest TVI at 50% the curve can model (0.5 would print 50% as a solid)
+const MAX_TVI = 0.45;
+
+/**
+ * @typedef {Object} PaperPreset
+ * @property {string} label
+ * @property {number[]} paperLab - Paper white, CIELAB (D50)
+ * @property {number[]} tvi - Tone value increase at 50% per C, M, Y, K, as fractions
+ * @property {number} maxDensity - Solid ink density the stock reaches
+ */
+
+/** @type {Object<string, PaperPreset>} */
+export const PAPER_PRESETS = {
+  ideal: { label: 'Ideal (no dot gain)', paperLab: [100, 0, 0], tvi: [0, 0, 0, 0], maxDensity: REFERENCE_MAX_DENSITY },
+  coated: { label: 'Coated (ISO 12647-2 PC1)', paperLab: [95, 0, -2], tvi: [0.13, 0.13, 0.13, 0.16], maxDensity: 1.8 },
+  uncoated: { label: 'Uncoated (ISO 12647-2 PC5)', paperLab: [95, 0, -2], tvi: [0.18, 0.18, 0.18, 0.20], maxDensity: 1.5 },
+  newsprint: { label: 'Newsprint (ISO 12647-3)', paperLab: [82, 0, 3], tvi: [0.26, 0.26, 0.26, 0.26], maxDensity: 1.1 }
+};
+
+export const DEFAULT_PAPER_PRESET = 'ideal';
+
+/**
+ * @typedef {Object} DotGainSettings
+ * @property {number[]} tvi - Tone value increase at 50% per C, M, Y, K, as fractions
+ * @property {boolean} compensate - Pre-compensate the plates so they print at the separated tone values
+ * @property {boolean} showPrinted - Show single plates at their printed tone values
+ */
+
+/**
+ * Paper white of a preset as sRGB
+ * @param {PaperPreset} preset
+ * @returns {number[]} - sRGB 0-1
+ */
+export function presetPaperWhite(preset) {
+  return labToSrgb(preset.paperLab);
+}
+
+/**
+ * Exponent g of the printed tone curve 1 - (1 - a)^g for a TVI at 50%
+ * @param {number} tvi - Fraction, 0 for no gain
+ * @returns {number}
+ */
+export function gainExponent(tvi) {
+  const clamped = Math.min(Math.max(tvi, 0), MAX_TVI);
+  return Math.log(0.5 - clamped) / Math.log(0.5);
+}
+
+// The tone curves themselves are shared with the shader
+export { printedTone, compensatedTone } from './color_math.js';
+
+/**
+ * Exponent applied to each ink's linear filter colour for a solid density
+ * @param {number} maxDensity
+ * @returns {number}
+ */
+export function inkDensityScale(maxDensity) {
+  return maxDensity > 0 ? maxDensity / REFERENCE_MAX_DENSITY : 1;
+}
@@ -0,0 +1,484 @@
+// encoder_worker.js
+console.log("Encoder worker script started."); // Log entry point
+
+// Muxer library (mp4box.js), also used to read the source's timing and audio track
+importScripts('./lib/mp4box.all.min.js');
+importScripts('./source_reader.js'); // Ranged reads of the source File
+importScripts('./webm_demuxer.js'); // Timing and Opus audio of WebM/Matroska sources
+
+const AUDIO_READ_BATCH = 64; // Audio samples read from the source per batch
+const OPUS_SAMPLE_RATE = 48000; // Opus always decodes at 48 kHz; also the MP4 track timescale
+
+/**
+ * @typedef {Object} EncodeSettings
+ * @property {string} codec - WebCodecs codec string (e.g. 'avc1.640033', 'hvc1.1.6.L153.B0')
+ * @property {number} bitrate - Target bitrate in bits per second
+ * @property {number} width - Frame width in pixels
+ * @property {number} height - Frame height in pixels
+ * @property {number} startUs - Start of the exported range (microseconds); audio outside it is dropped
+ * @property {number|null} endUs - End of the exported range, null for the end of the file
+ * @property {number} [trackId] - Source video track being re-encoded (default: the first)
+ */
+
+// Global state
+let videoEncoder = null;
+let outputFile = null; // mp4box ISOFile being written
+let outputVideoTrackId = null; // Added once the encoder reports its decoder config
+let sourceInfo = null; // Timescale, frame rate and audio samples read from the source file
+let encodedCount = 0; // Chunks written to the output
+let processingId = Date.now(); // Correlation ID for tracing encode sessions
+
+// Structured logging levels
+const LogLevel = {
+  INFO: 'info',
+  ERROR: 'error',
+  WARNING: 'warning',
+  DEBUG: 'debug'
+};
+
+self.onmessage = async (event) => {
+  const { type } = event.data;
+
+  switch (type) {
+    case 'initialize':
+      processingId = Date.now();
+      await initializeEncoder(event.data.file, event.data.settings);
+      break;
+    case 'frame': {
+      const { frame, keyFrame } = event.data;
+      // Every frame is answered with 'frameEncoded' or 'frameDropped' so the main thread's in-flight count settles
+      if (!videoEncoder || videoEncoder.state !== 'configured') {
+        log(LogLevel.WARNING, `[${processingId}] Encoder not ready, frame ${frame.timestamp} dropped`);
+        self.postMessage({ type: 'frameDropped', data: { timestamp: frame.timestamp } });
+        frame.close();
+        return;
+      }
+      try {
+        videoEncoder.encode(frame, { keyFrame });
+      } catch (e) {
+        log(LogLevel.ERROR, `[${processingId}] Encode error: ${e.message}`);
+        self.postMessage({ type: 'frameDropped', data: { timestamp: frame.timestamp } });
+      } finally {
+        frame.close();
+      }
+      break;
+    }
+    case 'finish':
+      await finishEncoding();
+      break;
+    case 'stop':
+      log(LogLevel.INFO, `[${processingId}] Received stop command from main thread`);
+      closeEncoder();
+      break;
+    default:
+      log(LogLevel.WARNING, `[${processingId}] Unknown message type: ${type}`);
+  }
+};
+
+/**
+ * Read the source file's timing and audio, then configure the VideoEncoder
+ * @param {File} file - The original file
+ * @param {EncodeSettings} settings - Codec, bitrate and frame size
+ */
+async function initializeEncoder(file, settings) {
+  closeEncoder();
+  encodedCount = 0;
+  outputVideoTrackId = null;
+
+  try {
+    if (typeof MP4Box === 'undefined') {
+      throw new Error('MP4Box library not loaded. Check the import path.');
+    }
+    sourceInfo = await readSource(file, settings);
+    log(LogLevel.INFO, `[${processingId}] Source: timescale ${sourceInfo.timescale}, ${sourceInfo.frameRate.toFixed(3)} fps, ${sourceInfo.audio ? `audio ${sourceInfo.audio.codec} (${sourceInfo.audio.samples.length} samples)` : 'no audio'}`);
+
+    const config = {
+      codec: settings.codec,
+      width: settings.width,
+      height: settings.height,
+      bitrate: settings.bitrate,
+      framerate: sourceInfo.frameRate,
+      latencyMode: 'quality'
+    };
+    if (settings.codec.startsWith('avc1') || settings.codec.startsWith('avc3')) {
+      config.avc = { format: 'avc' }; // Length-prefixed NALUs plus an avcC description, as MP4 wants
+    } else if (settings.codec.startsWith('hvc1') || settings.codec.startsWith('hev1')) {
+      config.hevc = { format: 'hevc' };
+    }
+
+    const support = await VideoEncoder.isConfigSupported(config);
+    if (!support.supported) {
+      throw new Error(`Encoder configuration not supported: ${settings.codec} at ${settings.width}x${settings.height}`);
+    }
+
+    outputFile = MP4Box.createFile();
+    videoEncoder = new VideoEncoder({
+      output: handleChunk,
+      error: (e) => {
+        // The encoder is closed now: queued frames will never come out, so the encode cannot finish
+        log(LogLevel.ERROR, `[${processingId}] Encoder error: ${e.message}`);
+        self.postMessage({ type: 'encodeFailed', data: { message: e.message } });
+        closeEncoder();
+      }
+    });
+    videoEncoder.configure(config);
+    log(LogLevel.INFO, `[${processingId}] Encoder configured: ${JSON.stringify(config)}`);
+
+    self.postMessage({ type: 'encoderReady', data: { frameRate: sourceInfo.frameRate, droppedAudio: sourceInfo.droppedAudio } });
+  } catch (err) {
+    log(LogLevel.ERROR, `[${processingId}] Encoder initialization failed: ${err.message}`);
+    closeEncoder();
+  }
+}
+
+/**
+ * Demux the source file once to find the video timescale/frame rate and collect audio samples
+ * @param {File} file
+ * @param {EncodeSettings} settings - Only the range is used here
+ * @returns {Promise<{timescale: number, frameRate: number, audio: Object|null, droppedAudio: string|null}>}
+ *   droppedAudio says why the source's audio cannot be carried over
+ */
+async function readSource(file, settings) {
+  const result = { timescale: 1_000_000, frameRate: 30, audio: null, droppedAudio: null };
+  if (await detectContainer(file) === 'webm') {
+    return readWebmSource(file, settings, result);
+  }
+
+  const sourceFile = MP4Box.createFile();
+  let audioTrack = null;
+  let audioEntry = null;
+
+  sourceFile.onError = (error) => {
+    log(LogLevel.ERROR, `[${processingId}] Source demuxer error: ${error}`);
+  };
+  sourceFile.onReady = (info) => {
+    const videoTrack = pickVideoTrack(info.videoTracks, settings.trackId);
+    if (videoTrack) {
+      result.timescale = videoTrack.timescale;
+      if (videoTrack.nb_samples && videoTrack.duration) {
+        result.frameRate = videoTrack.nb_samples / (videoTrack.duration / videoTrack.timescale);
+      }
+    }
+
+    audioTrack = info.audioTracks[0] || null;
+    if (!audioTrack) return;
+    audioEntry = sourceFile.getTrackById(audioTrack.id).mdia.minf.stbl.stsd.entries[0];
+    if (!BoxParser[`${audioEntry.type}SampleEntry`]) {
+      result.droppedAudio = `'${audioEntry.type}' audio cannot be written to MP4`;
+      log(LogLevel.WARNING, `[${processingId}] Audio sample entry '${audioEntry.type}' cannot be written; audio will be dropped`);
+      audioTrack = null;
+    }
+  };
+
+  // Only the box structure is kept; the audio payloads are read by offset afterwards
+  await streamIntoMp4Box(sourceFile, file);
+  sourceFile.stop();
+  if (!audioTrack) return result;
+
+  result.audio = {
+    codec: audioTrack.codec,
+    type: audioEntry.type,
+    timescale: audioTrack.timescale,
+    sampleRate: audioTrack.audio.sample_rate,
+    channelCount: audioTrack.audio.channel_count,
+    sampleSize: audioTrack.audio.sample_size,
+    language: audioTrack.language,
+    // Child boxes (esds, dOps, ...) copied byte for byte from the source
+    boxes: await Promise.all((audioEntry.boxes || []).map(box => copyRawBox(file, box))),
+    samples: await readAudioSamples(file, sourceFile.getTrackById(audioTrack.id).samples, settings, 1)
+  };
+  return result;
+}
+
+/**
+ * Timing and audio of a WebM source. Opus is carried over (an 'Opus' sample entry with a dOps
+ * box made from the OpusHead); MP4 has no mapping for Vorbis, so that audio is dropped.
+ * @param {File} file
+ * @param {EncodeSettings} settings - Track ID and range
+ * @param {{timescale: number, frameRate: number, audio: null, droppedAudio: null}} result - Defaults to fill in
+ * @returns {Promise<{timescale: number, frameRate: number, audio: Object|null, droppedAudio: string|null}>}
+ */
+async function readWebmSource(file, settings, result) {
+  let videoTrack = null;
+  let audioTrack = null;
+  await streamWebm(file, {
+    keepAudio: true,
+    onReady: (info) => {
+      videoTrack = pickVideoTrack(info.videoTracks, settings.trackId);
+      audioTrack = info.audioTracks[0] || null;
+    }
+  });
+  if (videoTrack) {
+    result.timescale = Math.max(1, Math.round(videoTrack.timescale)); // MP4 timescales are integers
+    if (videoTrack.nb_samples && videoTrack.duration) {
+      result.frameRate = videoTrack.nb_samples / (videoTrack.duration / videoTrack.timescale);
+    }
+  }
+  if (!audioTrack) return result;
+
+  const opusHead = audioTrack.codecId === 'A_OPUS' ? parseOpusHead(audioTrack.codecPrivate) : null;
+  if (!opusHead) {
+    result.droppedAudio = `${audioTrack.codecId} audio cannot be written to MP4`;
+    log(LogLevel.WARNING, `[${processingId}] Audio codec ${audioTrack.codecId} cannot be written to MP4; audio will be dropped`);
+    return result;
+  }
+  result.audio = {
+    codec: 'opus',
+    type: 'Opus',
+    timescale: OPUS_SAMPLE_RATE,
+    sampleRate: OPUS_SAMPLE_RATE,
+    channelCount: opusHead.channelCount,
+    sampleSize: 16,
+    language: 'und',
+    boxes: [opusSpecificBox(opusHead)],
+    // Matroska ticks to 48 kHz samples
+    samples: await readAudioSamples(file, audioTrack.samples, settings, OPUS_SAMPLE_RATE / audioTrack.timescale)
+  };
+  return result;
+}
+
+/**
+ * Read the audio samples that play during the exported range, on their original timeline
+ * @param {File} file
+ * @param {Array} table - The audio track's sample table (offset, size, cts, dts, duration, timescale)
+ * @param {EncodeSettings} settings - Only the range is used here
+ * @param {number} scale - Output timescale ticks per source tick
+ * @returns {Promise<Array<{data: Uint8Array, duration: number, dts: number, cts: number, is_sync: boolean}>>}
+ */
+async function readAudioSamples(file, table, settings, scale) {
+  const inRange = table.filter(sample => {
+    const timeUs = sample.cts * 1_000_000 / sample.timescale;
+    const endUs = timeUs + sample.duration * 1_000_000 / sample.timescale;
+    return endUs > settings.startUs && (settings.endUs === null || timeUs <= settings.endUs);
+  });
+  // Rounded from the start and end times, so durations do not drift from the timestamps
+  const ticks = (time) => (scale === 1 ? time : Math.round(time * scale));
+  const samples = [];
+  // In batches, so only a few ranges of the file are in memory at once
+  for (let start = 0; start < inRange.length; start += AUDIO_READ_BATCH) {
+    const end = Math.min(start + AUDIO_READ_BATCH, inRange.length);
+    const payloads = await readSampleData(file, inRange, start, end);
+    for (let i = start; i < end; i++) {
+      const sample = inRange[i];
+      samples.push({
+        data: payloads[i - start].slice(), // Copy, so the range read from the file can be released
+        duration: ticks(sample.cts + sample.duration) - ticks(sample.cts),
+        dts: ticks(sample.dts),
+        cts: ticks(sample.cts),
+        is_sync: sample.is_sync
+      });
+    }
+  }
+  return samples;
+}
+
+/**
+ * Parse the OpusHead a WebM Opus track carries as its CodecPrivate (RFC 7845, section 5.1)
+ * @param {Uint8Array|null} bytes
+ * @returns {{channelCount: number, preSkip: number, inputSampleRate: number, outputGain: number,
+ *   mappingFamily: number, mappingTable: Uint8Array}|null} - null if it is not an OpusHead
+ */
+function parseOpusHead(bytes) {
+  if (!bytes || bytes.length < 19 || new TextDecoder().decode(bytes.subarray(0, 8)) !== 'OpusHead') return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return {
+    channelCount: bytes[9],
+    preSkip: view.getUint16(10, true),
+    inputSampleRate: view.getUint32(12, true),
+    outputGain: view.getInt16(16, true),
+    mappingFamily: bytes[18],
+    // Stream count, coupled count and channel mapping, for mapping families other than 0
+    mappingTable: bytes[18] === 0 ? new Uint8Array(0) : bytes.slice(19, 21 + bytes[9])
+  };
+}
+
+/**
+ * The OpusSpecificBox ('dOps', Opus in ISOBMFF, section 4.3.2): the OpusHead fields, big-endian
+ * @param {Object} head - From parseOpusHead()
+ * @returns {BoxParser.Box}
+ */
+function opusSpecificBox(head) {
+  const data = new Uint8Array(11 + head.mappingTable.length);
+  const view = new DataView(data.buffer);
+  view.setUint8(0, 0); // Version
+  view.setUint8(1, head.channelCount);
+  view.setUint16(2, head.preSkip);
+  view.setUint32(4, head.inputSampleRate);
+  view.setInt16(8, head.outputGain);
+  view.setUint8(10, head.mappingFamily);
+  data.set(head.mappingTable, 11);
+  const box = new BoxParser.Box('dOps', 8 + data.length);
+  box.data = data;
+  return box;
+}
+
+/**
+ * The video track with the given ID, or the file's first video track
+ * @param {Array<Object>} tracks
+ * @param {number} [trackId]
+ * @returns {Object|null}
+ */
+function pickVideoTrack(tracks, trackId) {
+  return tracks.find(track => track.id === trackId) || tracks[0] || null;
+}
+
+// A plain Box whose payload is the original bytes after the 8-byte header, so it writes back unchanged
+async function copyRawBox(file, box) {
+  const copy = new BoxParser.Box(box.type, box.size);
+  copy.data = await readByteRange(file, box.start + 8, box.start + box.size);
+  return copy;
+}
+
+/**
+ * Handle an encoded chunk: add the video track on the first one, then append the sample
+ * @param {EncodedVideoChunk} chunk
+ * @param {Object} metadata - EncodedVideoChunkMetadata
+ */
+function handleChunk(chunk, metadata) {
+  if (!outputFile) return;
+
+  if (outputVideoTrackId === null) {
+    const decoderConfig = metadata && metadata.decoderConfig;
+    if (!decoderConfig || !decoderConfig.description) {
+      log(LogLevel.ERROR, `[${processingId}] First encoded chunk carries no decoder configuration; cannot write the MP4 track`);
+      return;
+    }
+    try {
+      outputVideoTrackId = addVideoTrack(decoderConfig, decoderConfig.description);
+    } catch (e) {
+      log(LogLevel.ERROR, `[${processingId}] ${e.message}`);
+      return;
+    }
+  }
+
+  const data = new Uint8Array(chunk.byteLength);
+  chunk.copyTo(data);
+
+  // Back to the source's timescale so the original timestamps survive the round trip
+  const toTimescale = (us) => Math.round(us * sourceInfo.timescale / 1_000_000);
+  const time = toTimescale(chunk.timestamp);
+  const duration = chunk.duration ? toTimescale(chunk.duration) : Math.round(sourceInfo.timescale / sourceInfo.frameRate);
+  outputFile.addSample(outputVideoTrackId, data, {
+    duration,
+    dts: time,
+    cts: time,
+    is_sync: chunk.type === 'key'
+  });
+
+  encodedCount++;
+  self.postMessage({ type: 'frameEncoded', data: { encodedCount, timestamp: chunk.timestamp } });
+}
+
+function addVideoTrack(decoderConfig, description) {
+  const codec = decoderConfig.codec;
+  const options = {
+    timescale: sourceInfo.timescale,
+    width: decoderConfig.codedWidth,
+    height: decoderConfig.codedHeight,
+    hdlr: 'vide'
+  };
+  if (codec.startsWith('avc')) {
+    options.type = 'avc1';
+    options.avcDecoderConfigRecord = description;
+  } else if (codec.startsWith('hvc1') || codec.startsWith('hev1')) {
+    options.type = codec.slice(0, 4);
+    const hvcC = new BoxParser.Box('hvcC');
+    hvcC.data = new Uint8Array(description);
+    options.description = hvcC;
+  } else {
+    throw new Error(`Muxing ${codec} into MP4 is not supported`);
+  }
+  const trackId = outputFile.addTrack(options);
+  log(LogLevel.INFO, `[${processingId}] Output video track ${trackId} added (${codec})`);
+  return trackId;
+}
+
+function addAudioTrack(audio) {
+  const trackId = outputFile.addTrack({
+    type: audio.type,
+    hdlr: 'soun',
+    timescale: audio.timescale,
+    samplerate: audio.sampleRate,
+    channel_count: audio.channelCount,
+    samplesize: audio.sampleSize,
+    language: audio.language,
+    description_boxes: audio.boxes
+  });
+  for (const sample of audio.samples) {
+    outputFile.addSample(trackId, sample.data, {
+      duration: sample.duration,
+      dts: sample.dts,
+      cts: sample.cts,
+      is_sync: sample.is_sync
+    });
+  }
+  log(LogLevel.INFO, `[${processingId}] Audio track ${trackId} copied (${audio.samples.length} samples)`);
+}
+
+/**
+ * Flush the encoder, add the audio and send the finished file to the main thread
+ */
+async function finishEncoding() {
+  if (!videoEncoder || videoEncoder.state === 'closed') {
+    log(LogLevel.ERROR, `[${processingId}] Nothing to finish: encoder is not running`);
+    self.postMessage({ type: 'encodeFailed', data: { message: 'the encoder is not running' } });
+    return;
+  }
+  try {
+    log(LogLevel.INFO, `[${processingId}] Flushing encoder...`);
+    await videoEncoder.flush();
+    if (outputVideoTrackId === null) {
+      throw new Error('No frames were encoded');
+    }
+    if (sourceInfo.audio) {
+      addAudioTrack(sourceInfo.audio);
+    }
+    const buffer = outputFile.getBuffer();
+    log(LogLevel.INFO, `[${processingId}] MP4 written: ${encodedCount} video frames, ${buffer.byteLength} bytes`);
+    self.postMessage({ type: 'encodeComplete', data: { buffer, encodedCount } }, [buffer]);
+  } catch (e) {
+    log(LogLevel.ERROR, `[${processingId}] Error finishing MP4: ${e.message}`);
+    self.postMessage({ type: 'encodeFailed', data: { message: e.message } });
+  } finally {
+    closeEncoder();
+  }
+}
+
+function closeEncoder() {
+  if (videoEncoder && videoEncoder.state !== 'closed') {
+    try {
+      videoEncoder.close();
+    } catch (e) {
+      log(LogLevel.WARNING, `[${processingId}] Error closing encoder: ${e.message}`);
+    }
+  }
+  videoEncoder = null;
+  outputFile = null;
+  sourceInfo = null;
+}
+
+/**
+ * Structured logging function
+ * @param {string} level - Log level (info, error, warning, debug)
+ * @param {string} message - Log message
+ */
+function log(level, message) {
+  switch (level) {
+    case LogLevel.ERROR:
+      console.error(`Encoder: ${message}`);
+      break;
+    case LogLevel.WARNING:
+      console.warn(`Encoder: ${message}`);
+      break;
+    default:
+      console.log(`Encoder: ${message}`);
+      break;
+  }
+
+  // Only send info and error messages to the main thread
+  if (level === LogLevel.INFO) {
+    self.postMessage({ type: 'status', data: { message } });
+  } else if (level === LogLevel.ERROR) {
+    self.postMessage({ type: 'error', data: { message } });
+  }
+}
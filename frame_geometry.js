@@ -0,0 +1,62 @@
+// frame_geometry.js
+// How a decoded frame is laid out on the output: the track's orientation (quarter turns
+// from the MP4 tkhd matrix, possibly mirrored) applied to its display size (the visible
+// rect scaled to the pixel aspect ratio), so the processed canvas matches the <video> element.
+
+/**
+ * @typedef {Object} Orientation
+ * @property {number} rotation - Clockwise degrees: 0, 90, 180 or 270
+ * @property {boolean} mirror - The frame is flipped horizontally before it is rotated
+ */
+
+export const UPRIGHT = Object.freeze({ rotation: 0, mirror: false });
+
+/**
+ * Orientation carried by the worker's 'trackInfo' message
+ * @param {{rotation?: number, mirror?: boolean}} trackInfo
+ * @returns {Orientation}
+ */
+export function orientationFromTrackInfo(trackInfo) {
+  return { rotation: trackInfo.rotation || 0, mirror: Boolean(trackInfo.mirror) };
+}
+
+/**
+ * Size of the oriented output
+ * @param {number} displayWidth - Frame display width (VideoFrame.displayWidth)
+ * @param {number} displayHeight - Frame display height (VideoFrame.displayHeight)
+ * @param {Orientation} orientation
+ * @returns {{width: number, height: number}}
+ */
+export function outputSize(displayWidth, displayHeight, orientation) {
+  const quarterTurn = orientation.rotation % 180 !== 0;
+  return quarterTurn
+    ? { width: displayHeight, height: displayWidth }
+    : { width: displayWidth, height: displayHeight };
+}
+
+/**
+ * Matrix for the u_orientation uniform: maps a position on the output (0..1, y up) to the
+ * texture coordinate to sample (0..1, first row = top of the frame)
+ * @param {Orientation} orientation
+ * @returns {Float32Array} Column-major mat3
+ */
+export function orientationMatrix(orientation) {
+  const radians = orientation.rotation * Math.PI / 180;
+  const cos = Math.round(Math.cos(radians));
+  const sin = Math.round(Math.sin(radians));
+  // Display-from-frame matrix in tkhd form (row vectors, y down): [a b; c d]
+  let a = cos;
+  let b = sin;
+  const c = -sin;
+  const d = cos;
+  if (orientation.mirror) {
+    a = -a;
+    b = -b;
+  }
+  // Its transpose takes centred output coordinates back to the frame; the output's y runs up
+  return new Float32Array([
+    a, c, 0,
+    -b, -d, 0,
+    0.5 * (1 - a + b), 0.5 * (1 - c + d), 1
+  ]);
+}
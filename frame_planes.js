@@ -0,0 +1,57 @@
+// frame_planes.js
+// Tightly packed plane layouts for copying a VideoFrame's Y'CbCr samples out with copyTo(),
+// so each plane can be uploaded as a WebGL1 texture: 8-bit samples as LUMINANCE, 10/12-bit
+// samples (16-bit little-endian) as LUMINANCE_ALPHA with the low byte in L and the high byte in A.
+
+// Planar formats by name: chroma subsampling (x, y), alpha plane, bits per sample
+const PLANAR_FORMATS = {};
+for (const [family, subsampling] of [['I420', [2, 2]], ['I422', [2, 1]], ['I444', [1, 1]]]) {
+  for (const alpha of [false, true]) {
+    for (const bits of [8, 10, 12]) {
+      const name = `${family}${alpha ? 'A' : ''}${bits > 8 ? `P${bits}` : ''}`;
+      PLANAR_FORMATS[name] = { subsampling, alpha, bits, interleaved: false };
+    }
+  }
+}
+PLANAR_FORMATS.NV12 = { subsampling: [2, 2], alpha: false, bits: 8, interleaved: true };
+
+/**
+ * @typedef {Object} PlaneLayout
+ * @property {number} bits - Bits per sample
+ * @property {boolean} interleaved - Cb and Cr share the second plane (NV12)
+ * @property {Array<{width: number, height: number, bytesPerTexel: number, offset: number, stride: number}>} planes -
+ *   Y, then Cb and Cr (or CbCr), then alpha if the format has it
+ * @property {number} byteLength - Size of the buffer to copy into
+ */
+
+/**
+ * Layout for copying the given area of a frame; null for formats the shader cannot convert
+ * (RGB formats, or frames without a readable format) - those are uploaded as RGB instead
+ * @param {string|null} format - VideoFrame.format
+ * @param {number} width - Width of the copied rect (visibleRect)
+ * @param {number} height
+ * @returns {PlaneLayout|null}
+ */
+export function planeLayout(format, width, height) {
+  const spec = format ? PLANAR_FORMATS[format] : null;
+  if (!spec) return null;
+  const sampleBytes = spec.bits > 8 ? 2 : 1;
+  const chromaWidth = Math.ceil(width / spec.subsampling[0]);
+  const chromaHeight = Math.ceil(height / spec.subsampling[1]);
+
+  const sizes = [[width, height, sampleBytes]];
+  if (spec.interleaved) {
+    sizes.push([chromaWidth, chromaHeight, 2]); // CbCr pairs
+  } else {
+    sizes.push([chromaWidth, chromaHeight, sampleBytes], [chromaWidth, chromaHeight, sampleBytes]);
+  }
+  if (spec.alpha) sizes.push([width, height, sampleBytes]);
+
+  let offset = 0;
+  const planes = sizes.map(([planeWidth, planeHeight, bytesPerTexel]) => {
+    const plane = { width: planeWidth, height: planeHeight, bytesPerTexel, offset, stride: planeWidth * bytesPerTexel };
+    offset += plane.stride * planeHeight;
+    return plane;
+  });
+  return { bits: spec.bits, interleaved: spec.interleaved, planes, byteLength: offset };
+}
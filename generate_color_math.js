@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// generate_color_math.js
+// Writes color_math_generated.js, the JS side of the shared colour math, from the GLSL
+// definitions in color_math_definitions.js. Run from the repository root after changing one:
+//   npm run generate
+
+import { writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+import { COLOR_MATH_DEFINITIONS } from './color_math_definitions.js';
+import { glslToJsModule } from './glsl_subset.js';
+
+const OUTPUT = new URL('./color_math_generated.js', import.meta.url);
+
+const HEADER = `// color_math_generated.js
+// Generated by generate_color_math.js from the GLSL in color_math_definitions.js: do not edit,
+// change the definition and run \`npm run generate\`. color_math.js re-exports these.
+`;
+
+/**
+ * Source of color_math_generated.js
+ * @returns {string}
+ */
+export function colorMathJs() {
+  return glslToJsModule(COLOR_MATH_DEFINITIONS, HEADER);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  await writeFile(OUTPUT, colorMathJs());
+  console.log(`Wrote ${fileURLToPath(OUTPUT)}`);
+}
@@ -0,0 +1,362 @@
+// glsl_subset.js
+// Translates GLSL function definitions to JS source, so the colour math is written once (in
+// color_math_definitions.js) and both the fragment shader and the CPU renderer run it. The JS is
+// written to a module by generate_color_math.js rather than compiled at run time, so it runs at
+// full speed and needs no eval (nothing for a Content-Security-Policy to block).
+//
+// Only a small subset of GLSL ES 1.00 is understood, and anything else is an error:
+// - statements: typed local declarations ('float k = ...;', 'const float a = ...;'), assignment
+//   (=, +=, -=, *=, /=) to a local, if/else and for (int i = a; i < b; i++) with braces,
+//   return, { blocks }
+// - expressions: numbers, names, + - * / (binary and unary minus), comparisons, &&, ||, !,
+//   ?:, calls, and indexing (rgb[0], curve[i + 1]); JS gives these the same precedence
+// - vectors are built with vec2/3/4(...) and read by index, never used in arithmetic or
+//   assigned to by component; in JS they are arrays
+// - no integer division: GLSL truncates it, JS would not
+// - the calls are the GLSL built-ins in BUILTINS and the functions defined before
+
+/**
+ * @typedef {Object} GlslDefinition
+ * @property {string} name
+ * @property {string} doc - One line; becomes the comment above the function
+ * @property {string} returns - GLSL return type
+ * @property {Array<string[]>} params - [GLSL type, name]; arrays as 'float[5]'
+ * @property {string} body - Statements, without the enclosing braces
+ */
+
+// GLSL built-ins the bodies may call, as JS: a Math function, or a helper from BUILTIN_HELPERS
+const BUILTINS = {
+  min: 'Math.min',
+  max: 'Math.max',
+  pow: 'Math.pow',
+  exp: 'Math.exp',
+  sqrt: 'Math.sqrt',
+  abs: 'Math.abs',
+  floor: 'Math.floor',
+  clamp: 'clamp',
+  mix: 'mix',
+  step: 'step',
+  smoothstep: 'smoothstep',
+  float: 'Number',
+  int: 'Math.trunc'
+};
+
+// GLSL's definitions of the built-ins Math lacks, written into the generated module
+const BUILTIN_HELPERS = `function clamp(x, low, high) {
+  return Math.min(Math.max(x, low), high);
+}
+
+function mix(x, y, a) {
+  return x * (1 - a) + y * a;
+}
+
+function step(edge, x) {
+  return x < edge ? 0 : 1;
+}
+
+function smoothstep(edge0, edge1, x) {
+  const t = clamp((x - edge0) / (edge1 - edge0), 0, 1);
+  return t * t * (3 - 2 * t);
+}
+`;
+
+const TYPES = new Set(['float', 'int', 'bool', 'vec2', 'vec3', 'vec4']);
+const TOKEN = /[ \t]+|\n|\/\/[^\n]*|(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([A-Za-z_]\w*)|(\+\+|[-+*/]=|[=!<>]=|&&|\|\||[-+*/<>=!?:;,()[\]{}])/gy;
+
+// Binary operators by precedence, loosest first; JS_OPERATOR has the ones JS spells differently
+const BINARY = [['||'], ['&&'], ['==', '!='], ['<', '>', '<=', '>='], ['+', '-'], ['*', '/']];
+const JS_OPERATOR = { '==': '===', '!=': '!==' };
+const ASSIGN = new Set(['=', '+=', '-=', '*=', '/=']);
+
+const INDENT = '  ';
+
+/**
+ * Split a body into tokens; comments are kept, and each token records whether it starts a line
+ * @returns {{kind: string, text: string, newline: boolean}[]}
+ */
+function tokenize(source, name) {
+  const tokens = [];
+  let newline = false;
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < source.length) {
+    const at = TOKEN.lastIndex;
+    const match = TOKEN.exec(source);
+    if (!match) throw new Error(`${name}: unexpected '${source.slice(at, at + 10)}'`);
+    const kind = match[1] ? 'number' : match[2] ? 'name' : match[3] ? 'punct' : match[0].startsWith('//') ? 'comment' : null;
+    if (kind) {
+      tokens.push({ kind, text: match[0], newline });
+      newline = false;
+    } else if (match[0] === '\n') {
+      newline = true;
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Translates one definition's body, checking it stays in the subset
+ */
+class BodyTranslator {
+  constructor(definition, functions) {
+    this.name = definition.name;
+    this.functions = functions;
+    this.tokens = tokenize(definition.body, definition.name);
+    this.pos = 0;
+    this.scope = new Map();
+    for (const [type, param] of definition.params) this.declare(param, type.replace(/\[\d+\]$/, '[]'), false);
+  }
+
+  fail(message) {
+    const token = this.next();
+    throw new Error(`${this.name}: ${message} at '${token ? token.text : 'end of body'}'`);
+  }
+
+  // Index of the next token that is not a comment (only statements() writes comments out)
+  nextIndex() {
+    let index = this.pos;
+    while (this.tokens[index] && this.tokens[index].kind === 'comment') index++;
+    return index;
+  }
+
+  next() {
+    return this.tokens[this.nextIndex()];
+  }
+
+  peek(text) {
+    const token = this.next();
+    return Boolean(token) && token.text === text;
+  }
+
+  // Consume the next token (and the comments before it) if it is `text`
+  accept(text) {
+    if (!this.peek(text)) return false;
+    this.pos = this.nextIndex() + 1;
+    return true;
+  }
+
+  expect(text) {
+    if (!this.accept(text)) this.fail(`expected '${text}'`);
+  }
+
+  identifier() {
+    const token = this.next();
+    if (!token || token.kind !== 'name') this.fail('expected a name');
+    this.pos = this.nextIndex() + 1;
+    return token.text;
+  }
+
+  declare(name, type, constant) {
+    this.scope.set(name, { type, constant });
+  }
+
+  lookup(name) {
+    const local = this.scope.get(name);
+    if (!local) this.fail(`'${name}' is not declared`);
+    return local;
+  }
+
+  /** @returns {string[]} The body as JS lines, indented one level */
+  translate() {
+    return this.statements(INDENT, () => this.pos >= this.tokens.length);
+  }
+
+  // Statements until done(), with the comments between them: own-line comments above the
+  // statement they precede, the others at the end of the line before
+  statements(indent, done) {
+    const lines = [];
+    for (;;) {
+      const token = this.tokens[this.pos];
+      if (token && token.kind === 'comment') {
+        this.pos++;
+        if (token.newline || lines.length === 0) lines.push(indent + token.text);
+        else lines[lines.length - 1] += ` ${token.text}`;
+        continue;
+      }
+      if (done()) return lines;
+      lines.push(...this.statement(indent));
+    }
+  }
+
+  // A block's statements after its '{', in a scope of their own
+  block(indent) {
+    const outer = this.scope;
+    this.scope = new Map(outer);
+    const lines = this.statements(indent + INDENT, () => this.accept('}'));
+    this.scope = outer;
+    return lines;
+  }
+
+  /** @returns {string[]} */
+  statement(indent) {
+    if (this.accept('{')) return [`${indent}{`, ...this.block(indent), `${indent}}`];
+    if (this.accept('return')) {
+      const value = this.returnValue(indent);
+      this.expect(';');
+      return [`${indent}return ${value};`];
+    }
+    if (this.accept('if')) return this.ifStatement(indent, indent);
+    if (this.accept('for')) return this.forLoop(indent);
+    const token = this.next();
+    const line = token && (token.text === 'const' || TYPES.has(token.text)) ? this.declaration(indent) : this.assignment(indent);
+    this.expect(';');
+    return [`${indent}${line};`];
+  }
+
+  // A returned vector is copied, as GLSL passes by value
+  returnValue(indent) {
+    const token = this.next();
+    const value = this.expression(indent);
+    const local = token.kind === 'name' && value === token.text ? this.scope.get(token.text) : null;
+    return local && (local.type.startsWith('vec') || local.type.endsWith('[]')) ? `${value}.slice()` : value;
+  }
+
+  // if, with its else branches
+  ifStatement(indent, prefix) {
+    this.expect('(');
+    const condition = this.expression(indent);
+    this.expect(')');
+    this.expect('{');
+    const lines = [`${prefix}if (${condition}) {`, ...this.block(indent)];
+    if (!this.accept('else')) return [...lines, `${indent}}`];
+    if (this.accept('if')) return [...lines, ...this.ifStatement(indent, `${indent}} else `)];
+    this.expect('{');
+    return [...lines, `${indent}} else {`, ...this.block(indent), `${indent}}`];
+  }
+
+  declaration(indent) {
+    const constant = this.accept('const');
+    const type = this.identifier();
+    if (!TYPES.has(type)) this.fail(`unknown type '${type}'`);
+    const name = this.identifier();
+    this.expect('=');
+    const value = this.expression(indent);
+    this.declare(name, type, constant);
+    return `${constant ? 'const' : 'let'} ${name} = ${value}`;
+  }
+
+  assignment(indent) {
+    const name = this.identifier();
+    const local = this.lookup(name);
+    if (local.constant || local.type.endsWith('[]')) this.fail(`'${name}' cannot be assigned to`);
+    const token = this.next();
+    if (!token || !ASSIGN.has(token.text)) this.fail('expected an assignment');
+    this.pos = this.nextIndex() + 1;
+    return `${name} ${token.text} ${this.expression(indent)}`;
+  }
+
+  forLoop(indent) {
+    this.expect('(');
+    const outer = this.scope;
+    this.scope = new Map(outer);
+    const init = this.declaration(indent);
+    this.expect(';');
+    const condition = this.expression(indent);
+    this.expect(';');
+    const counter = this.identifier();
+    this.lookup(counter);
+    this.expect('++');
+    this.expect(')');
+    this.expect('{');
+    const body = this.block(indent);
+    this.scope = outer;
+    return [`${indent}for (${init}; ${condition}; ${counter}++) {`, ...body, `${indent}}`];
+  }
+
+  // Where the source breaks the line before the next token, so does the JS
+  separator(indent) {
+    const token = this.next();
+    return token && token.newline ? `\n${indent}${INDENT}` : ' ';
+  }
+
+  expression(indent) {
+    const condition = this.binary(indent, 0);
+    const beforeThen = this.separator(indent);
+    if (!this.accept('?')) return condition;
+    const then = this.expression(indent);
+    const beforeElse = this.separator(indent);
+    this.expect(':');
+    return `${condition}${beforeThen}? ${then}${beforeElse}: ${this.expression(indent)}`;
+  }
+
+  binary(indent, level) {
+    if (level === BINARY.length) return this.unary(indent);
+    let left = this.binary(indent, level + 1);
+    for (;;) {
+      const token = this.next();
+      if (!token || token.kind !== 'punct' || !BINARY[level].includes(token.text)) return left;
+      this.pos = this.nextIndex() + 1;
+      left = `${left} ${JS_OPERATOR[token.text] || token.text} ${this.binary(indent, level + 1)}`;
+    }
+  }
+
+  unary(indent) {
+    if (this.accept('-')) return `-${this.unary(indent)}`;
+    if (this.accept('!')) return `!${this.unary(indent)}`;
+    return this.postfix(indent);
+  }
+
+  postfix(indent) {
+    let value = this.primary(indent);
+    while (this.accept('[')) {
+      value += `[${this.expression(indent)}]`;
+      this.expect(']');
+    }
+    return value;
+  }
+
+  primary(indent) {
+    const token = this.next();
+    if (!token) this.fail('expected an expression');
+    if (token.kind === 'number') {
+      this.pos = this.nextIndex() + 1;
+      return token.text;
+    }
+    if (this.accept('(')) {
+      const value = this.expression(indent);
+      this.expect(')');
+      return `(${value})`;
+    }
+    const name = this.identifier();
+    if (name === 'true' || name === 'false') return name;
+    if (this.peek('(')) return this.call(indent, name);
+    this.lookup(name);
+    return name;
+  }
+
+  // A call, or a vector constructor (an array literal in JS)
+  call(indent, name) {
+    const vector = /^vec([234])$/.exec(name);
+    const fn = BUILTINS[name] || (this.functions.has(name) ? name : null);
+    if (!vector && !fn) this.fail(`'${name}' is neither a built-in nor defined before`);
+    this.expect('(');
+    const args = [];
+    let broken = false; // Whether the source puts the arguments on lines of their own
+    while (!this.accept(')')) {
+      if (args.length) this.expect(',');
+      broken = broken || this.separator(indent) !== ' ';
+      args.push(this.expression(indent + INDENT));
+    }
+    if (vector && args.length !== Number(vector[1])) this.fail(`${name} needs ${vector[1]} components`);
+    const list = broken ? `\n${indent}${INDENT}${args.join(`,\n${indent}${INDENT}`)}\n${indent}` : args.join(', ');
+    return vector ? `[${list}]` : `${fn}(${list})`;
+  }
+}
+
+/**
+ * Translate definitions to the source of a JS module exporting each as a function
+ * @param {GlslDefinition[]} definitions - Each may call the ones before it
+ * @param {string} header - Comment lines for the top of the module
+ * @returns {string}
+ * @throws {Error} If a body is outside the subset
+ */
+export function glslToJsModule(definitions, header) {
+  const functions = new Set();
+  const parts = [header, BUILTIN_HELPERS];
+  for (const definition of definitions) {
+    const lines = new BodyTranslator(definition, functions).translate();
+    const params = definition.params.map(([, param]) => param).join(', ');
+    parts.push(`/** ${definition.doc} */\nexport function ${definition.name}(${params}) {\n${lines.join('\n')}\n}\n`);
+    functions.add(definition.name);
+  }
+  return parts.join('\n');
+}
@@ -0,0 +1,554 @@
+// icc.js
+// Minimal ICC profile reader for CMYK output profiles (FOGRA39, SWOP, ...).
+// Parses the header, tag table and the AToB/BToA lookup tables (lut8, lut16,
+// lutAtoB and lutBtoA tag types) and bakes an sRGB -> CMYK lookup table that
+// the fragment shader samples instead of the naive formula.
+
+/**
+ * @typedef {Object} IccProfile
+ * @property {Object} header - Parsed header fields (deviceClass, colorSpace, pcs, version, renderingIntent)
+ * @property {string} description - Human readable profile description ('desc' tag)
+ * @property {number[]} mediaWhite - Media white point XYZ ('wtpt' tag), D50 if missing
+ * @property {Array<IccLut|undefined>} aToB - Device -> PCS tables indexed by rendering intent (A2B0..A2B2)
+ * @property {Array<IccLut|undefined>} bToA - PCS -> device tables indexed by rendering intent (B2A0..B2A2)
+ */
+
+/**
+ * @typedef {Object} IccLut
+ * @property {string} type - Tag type signature ('mft1', 'mft2', 'mAB ', 'mBA ')
+ * @property {number} inputChannels
+ * @property {number} outputChannels
+ * @property {Array<Object>} stages - Processing stages, applied in order (curves, matrix, clut)
+ */
+
+/**
+ * @typedef {Object} SeparationLut
+ * @property {number} size - Grid points per RGB axis
+ * @property {number} width - Texture width (size * size, one blue slice after another)
+ * @property {number} height - Texture height (size, one row per green step)
+ * @property {Uint8Array} data - RGBA texels holding C, M, Y, K
+ */
+
+// Rendering intents as numbered in the ICC header and B2An tag names.
+// Absolute colorimetric has no table of its own; it reuses the relative one.
+export const RenderingIntent = {
+  PERCEPTUAL: 0,
+  RELATIVE_COLORIMETRIC: 1,
+  SATURATION: 2,
+  ABSOLUTE_COLORIMETRIC: 3
+};
+
+export const DEFAULT_LUT_SIZE = 33;
+
+// PCS illuminant
+const D50 = [0.9642, 1.0, 0.8249];
+
+// sRGB (linear) -> XYZ, Bradford-adapted to D50
+const SRGB_TO_XYZ_D50 = [
+  0.4360747, 0.3850649, 0.1430804,
+  0.2225045, 0.7168786, 0.0606169,
+  0.0139322, 0.0971045, 0.7141733
+];
+
+// Its inverse: XYZ (D50) -> linear sRGB
+const XYZ_D50_TO_SRGB = [
+  3.1338561, -1.6168667, -0.4906146,
+  -0.9787684, 1.9161415, 0.0334540,
+  0.0719453, -0.2289914, 1.4052427
+];
+
+// Number of parameters for each 'para' curve function type
+const PARAMETRIC_PARAM_COUNTS = [1, 3, 4, 5, 7];
+
+/**
+ * Parse an ICC profile
+ * @param {ArrayBuffer} buffer - Raw .icc/.icm file contents
+ * @returns {IccProfile}
+ */
+export function parseIccProfile(buffer) {
+  if (buffer.byteLength < 132) {
+    throw new Error('File is too small to be an ICC profile.');
+  }
+  const view = new DataView(buffer);
+  if (readSignature(view, 36) !== 'acsp') {
+    throw new Error('Not an ICC profile (missing acsp signature).');
+  }
+
+  const header = {
+    size: view.getUint32(0),
+    version: `${view.getUint8(8)}.${view.getUint8(9) >> 4}`,
+    deviceClass: readSignature(view, 12),
+    colorSpace: readSignature(view, 16).trim(),
+    pcs: readSignature(view, 20).trim(),
+    renderingIntent: view.getUint32(64) & 0xffff
+  };
+  if (header.colorSpace !== 'CMYK') {
+    throw new Error(`Expected a CMYK output profile, got colour space "${header.colorSpace}".`);
+  }
+  if (header.pcs !== 'Lab' && header.pcs !== 'XYZ') {
+    throw new Error(`Unsupported profile connection space "${header.pcs}".`);
+  }
+
+  // --- Tag table ---
+  const tagCount = view.getUint32(128);
+  const tags = new Map();
+  for (let i = 0; i < tagCount; i++) {
+    const entry = 132 + i * 12;
+    if (entry + 12 > buffer.byteLength) break;
+    tags.set(readSignature(view, entry), {
+      offset: view.getUint32(entry + 4),
+      size: view.getUint32(entry + 8)
+    });
+  }
+
+  const profile = {
+    header,
+    description: tags.has('desc') ? readDescription(view, tags.get('desc').offset) : '',
+    mediaWhite: tags.has('wtpt') ? readXyz(view, tags.get('wtpt').offset) : D50.slice(),
+    aToB: [],
+    bToA: []
+  };
+
+  for (let intent = 0; intent < 3; intent++) {
+    const aToBTag = tags.get(`A2B${intent}`);
+    const bToATag = tags.get(`B2A${intent}`);
+    if (aToBTag) profile.aToB[intent] = parseLut(view, aToBTag.offset, header.pcs, 'AToB');
+    if (bToATag) profile.bToA[intent] = parseLut(view, bToATag.offset, header.pcs, 'BToA');
+  }
+
+  if (!profile.bToA.some(Boolean)) {
+    throw new Error('Profile has no B2A tables, so it cannot separate RGB into CMYK.');
+  }
+  return profile;
+}
+
+/**
+ * Bake an sRGB -> CMYK lookup table through the profile's B2A table.
+ * Blue slices are laid out side by side so the table fits a WebGL1 2D texture.
+ * @param {IccProfile} profile - Parsed profile
+ * @param {number} intent - One of RenderingIntent
+ * @param {number} [size] - Grid points per axis
+ * @returns {SeparationLut}
+ */
+export function bakeSeparationLut(profile, intent, size = DEFAULT_LUT_SIZE) {
+  const absolute = intent === RenderingIntent.ABSOLUTE_COLORIMETRIC;
+  const table = selectBToA(profile, absolute ? RenderingIntent.RELATIVE_COLORIMETRIC : intent);
+  const width = size * size;
+  const data = new Uint8Array(width * size * 4);
+
+  // Absolute colorimetric: undo the media white scaling the relative table assumes
+  const whiteScale = absolute
+    ? D50.map((d, i) => d / profile.mediaWhite[i])
+    : [1, 1, 1];
+
+  const rgb = [0, 0, 0];
+  for (let g = 0; g < size; g++) {
+    for (let b = 0; b < size; b++) {
+      for (let r = 0; r < size; r++) {
+        rgb[0] = r / (size - 1);
+        rgb[1] = g / (size - 1);
+        rgb[2] = b / (size - 1);
+        const xyz = srgbToXyzD50(rgb);
+        for (let i = 0; i < 3; i++) xyz[i] *= whiteScale[i];
+
+        const cmyk = evaluateLut(table, encodePcs(xyz, profile.header.pcs, table.type));
+
+        const texel = (g * width + b * size + r) * 4;
+        for (let i = 0; i < 4; i++) {
+          data[texel + i] = Math.round(clamp01(cmyk[i]) * 255);
+        }
+      }
+    }
+  }
+
+  return { size, width, height: size, data };
+}
+
+/**
+ * Pick the B2A table for an intent, falling back to B2A0 (as the ICC spec requires)
+ * and then to whichever table the profile does have.
+ * @param {IccProfile} profile
+ * @param {number} intent
+ * @returns {IccLut}
+ */
+function selectBToA(profile, intent) {
+  return profile.bToA[intent] || profile.bToA[0] || profile.bToA.find(Boolean);
+}
+
+/**
+ * Run values through a parsed lookup table
+ * @param {IccLut} lut - Parsed table
+ * @param {number[]} input - Normalized (0..1) input values
+ * @returns {number[]} - Normalized output values
+ */
+export function evaluateLut(lut, input) {
+  let values = input;
+  for (const stage of lut.stages) {
+    switch (stage.kind) {
+      case 'curves':
+        values = values.map((v, i) => stage.curves[i](clamp01(v)));
+        break;
+      case 'matrix':
+        values = applyMatrix(stage.matrix, stage.offset, values);
+        break;
+      case 'clut':
+        values = interpolateClut(stage, values);
+        break;
+    }
+  }
+  return values;
+}
+
+// --- Colour conversions ---
+
+function srgbToXyzD50(rgb) {
+  const linear = rgb.map(v => (v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4)));
+  return applyMatrix(SRGB_TO_XYZ_D50, null, linear);
+}
+
+function xyzToLab(xyz) {
+  const f = t => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+  const fx = f(xyz[0] / D50[0]);
+  const fy = f(xyz[1] / D50[1]);
+  const fz = f(xyz[2] / D50[2]);
+  return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+}
+
+function labToXyz([l, a, b]) {
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const finv = f => (f ** 3 > 216 / 24389 ? f ** 3 : (116 * f - 16) * 27 / 24389);
+  return [finv(fx) * D50[0], finv(fy) * D50[1], finv(fz) * D50[2]];
+}
+
+/**
+ * CIELAB (D50, the PCS illuminant) of an sRGB colour
+ * @param {number[]} rgb - sRGB 0-1
+ * @returns {number[]} - L*, a*, b*
+ */
+export function srgbToLab(rgb) {
+  return xyzToLab(srgbToXyzD50(rgb));
+}
+
+/**
+ * sRGB colour of a CIELAB (D50) value, clipped to the sRGB gamut
+ * @param {number[]} lab - L*, a*, b*
+ * @returns {number[]} - sRGB 0-1
+ */
+export function labToSrgb(lab) {
+  const linear = applyMatrix(XYZ_D50_TO_SRGB, null, labToXyz(lab));
+  return linear.map(v => clamp01(v <= 0.0031308 ? v * 12.92 : 1.055 * Math.pow(v, 1 / 2.4) - 0.055));
+}
+
+/**
+ * Encode a D50 XYZ value as normalized LUT input for the profile's PCS
+ * @param {number[]} xyz
+ * @param {string} pcs - 'Lab' or 'XYZ'
+ * @param {string} lutType - Tag type; lut16 uses the legacy 0xFF00 Lab encoding
+ * @returns {number[]}
+ */
+function encodePcs(xyz, pcs, lutType) {
+  if (pcs === 'XYZ') {
+    // u1Fixed15: 1.0 + 32767/32768 is the top of the range
+    return xyz.map(v => clamp01(v / (1 + 32767 / 32768)));
+  }
+  const lab = xyzToLab(xyz);
+  const encoded = [lab[0] / 100, (lab[1] + 128) / 255, (lab[2] + 128) / 255];
+  const scale = lutType === 'mft2' ? 0xff00 / 0xffff : 1;
+  return encoded.map(v => clamp01(v * scale));
+}
+
+// --- Tag parsing ---
+
+/**
+ * Parse a lut8/lut16/lutAtoB/lutBtoA tag into a list of processing stages
+ * @param {DataView} view
+ * @param {number} offset - Tag data offset
+ * @param {string} pcs - Profile connection space
+ * @param {string} direction - 'AToB' or 'BToA'
+ * @returns {IccLut}
+ */
+function parseLut(view, offset, pcs, direction) {
+  const type = readSignature(view, offset);
+  switch (type) {
+    case 'mft1':
+    case 'mft2':
+      return parseLegacyLut(view, offset, type, pcs, direction);
+    case 'mAB ':
+    case 'mBA ':
+      return parseMultiProcessLut(view, offset, type);
+    default:
+      throw new Error(`Unsupported lookup table type "${type}".`);
+  }
+}
+
+function parseLegacyLut(view, offset, type, pcs, direction) {
+  const is16Bit = type === 'mft2';
+  const inputChannels = view.getUint8(offset + 8);
+  const outputChannels = view.getUint8(offset + 9);
+  const gridPoints = view.getUint8(offset + 10);
+  const matrix = [];
+  for (let i = 0; i < 9; i++) matrix.push(readS15Fixed16(view, offset + 12 + i * 4));
+
+  let inputEntries = 256;
+  let outputEntries = 256;
+  let cursor = offset + 48;
+  if (is16Bit) {
+    inputEntries = view.getUint16(offset + 48);
+    outputEntries = view.getUint16(offset + 50);
+    cursor = offset + 52;
+  }
+  const readValue = is16Bit
+    ? (pos) => view.getUint16(pos) / 65535
+    : (pos) => view.getUint8(pos) / 255;
+  const valueSize = is16Bit ? 2 : 1;
+
+  const readTables = (count, entries) => {
+    const curves = [];
+    for (let c = 0; c < count; c++) {
+      const table = new Float32Array(entries);
+      for (let i = 0; i < entries; i++) {
+        table[i] = readValue(cursor);
+        cursor += valueSize;
+      }
+      curves.push(tableCurve(table));
+    }
+    return curves;
+  };
+
+  const stages = [];
+  // The matrix only applies to XYZ input
+  const isIdentity = matrix.every((v, i) => v === (i % 4 === 0 ? 1 : 0));
+  if (direction === 'BToA' && pcs === 'XYZ' && inputChannels === 3 && !isIdentity) {
+    stages.push({ kind: 'matrix', matrix, offset: null });
+  }
+  stages.push({ kind: 'curves', curves: readTables(inputChannels, inputEntries) });
+
+  const grid = new Array(inputChannels).fill(gridPoints);
+  const clutSize = Math.pow(gridPoints, inputChannels) * outputChannels;
+  const clutData = new Float32Array(clutSize);
+  for (let i = 0; i < clutSize; i++) {
+    clutData[i] = readValue(cursor);
+    cursor += valueSize;
+  }
+  stages.push({ kind: 'clut', grid, outputChannels, data: clutData });
+  stages.push({ kind: 'curves', curves: readTables(outputChannels, outputEntries) });
+
+  return { type, inputChannels, outputChannels, stages };
+}
+
+function parseMultiProcessLut(view, offset, type) {
+  const inputChannels = view.getUint8(offset + 8);
+  const outputChannels = view.getUint8(offset + 9);
+  const bOffset = view.getUint32(offset + 12);
+  const matrixOffset = view.getUint32(offset + 16);
+  const mOffset = view.getUint32(offset + 20);
+  const clutOffset = view.getUint32(offset + 24);
+  const aOffset = view.getUint32(offset + 28);
+
+  // Curves sit on the PCS side ("B") and device side ("A") of the table
+  const pcsChannels = type === 'mAB ' ? outputChannels : inputChannels;
+  const deviceChannels = type === 'mAB ' ? inputChannels : outputChannels;
+
+  const bCurves = bOffset ? { kind: 'curves', curves: readCurveSequence(view, offset + bOffset, pcsChannels) } : null;
+  const mCurves = mOffset ? { kind: 'curves', curves: readCurveSequence(view, offset + mOffset, pcsChannels) } : null;
+  const aCurves = aOffset ? { kind: 'curves', curves: readCurveSequence(view, offset + aOffset, deviceChannels) } : null;
+  const matrix = matrixOffset ? readMatrixElement(view, offset + matrixOffset) : null;
+  const clut = clutOffset ? readClutElement(view, offset + clutOffset, inputChannels, outputChannels) : null;
+
+  const order = type === 'mAB '
+    ? [aCurves, clut, mCurves, matrix, bCurves] // A2B: device -> PCS
+    : [bCurves, matrix, mCurves, clut, aCurves]; // B2A: PCS -> device
+
+  return { type, inputChannels, outputChannels, stages: order.filter(Boolean) };
+}
+
+function readCurveSequence(view, offset, count) {
+  const curves = [];
+  let cursor = offset;
+  for (let i = 0; i < count; i++) {
+    const { curve, byteLength } = readCurve(view, cursor);
+    curves.push(curve);
+    cursor += Math.ceil(byteLength / 4) * 4; // Elements are 4-byte aligned
+  }
+  return curves;
+}
+
+/**
+ * Read a 'curv' or 'para' element
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {{curve: function(number): number, byteLength: number}}
+ */
+function readCurve(view, offset) {
+  const type = readSignature(view, offset);
+  if (type === 'curv') {
+    const count = view.getUint32(offset + 8);
+    const byteLength = 12 + count * 2;
+    if (count === 0) return { curve: v => v, byteLength };
+    if (count === 1) {
+      const gamma = view.getUint16(offset + 12) / 256;
+      return { curve: v => Math.pow(v, gamma), byteLength };
+    }
+    const table = new Float32Array(count);
+    for (let i = 0; i < count; i++) table[i] = view.getUint16(offset + 12 + i * 2) / 65535;
+    return { curve: tableCurve(table), byteLength };
+  }
+  if (type === 'para') {
+    const functionType = view.getUint16(offset + 8);
+    const paramCount = PARAMETRIC_PARAM_COUNTS[functionType];
+    if (paramCount === undefined) throw new Error(`Unsupported parametric curve type ${functionType}.`);
+    const p = [];
+    for (let i = 0; i < paramCount; i++) p.push(readS15Fixed16(view, offset + 12 + i * 4));
+    return { curve: parametricCurve(functionType, p), byteLength: 12 + paramCount * 4 };
+  }
+  throw new Error(`Unsupported curve type "${type}".`);
+}
+
+function parametricCurve(functionType, p) {
+  const [g, a, b, c, d, e, f] = p;
+  switch (functionType) {
+    case 0: return x => Math.pow(x, g);
+    case 1: return x => (x >= -b / a ? Math.pow(a * x + b, g) : 0);
+    case 2: return x => (x >= -b / a ? Math.pow(a * x + b, g) + c : c);
+    case 3: return x => (x >= d ? Math.pow(a * x + b, g) : c * x);
+    default: return x => (x >= d ? Math.pow(a * x + b, g) + e : c * x + f);
+  }
+}
+
+function tableCurve(table) {
+  const last = table.length - 1;
+  return (v) => {
+    const pos = clamp01(v) * last;
+    const i = Math.min(Math.floor(pos), last - 1);
+    const t = pos - i;
+    return table[i] + (table[i + 1] - table[i]) * t;
+  };
+}
+
+function readMatrixElement(view, offset) {
+  const values = [];
+  for (let i = 0; i < 12; i++) values.push(readS15Fixed16(view, offset + i * 4));
+  return { kind: 'matrix', matrix: values.slice(0, 9), offset: values.slice(9) };
+}
+
+function readClutElement(view, offset, inputChannels, outputChannels) {
+  const grid = [];
+  for (let i = 0; i < inputChannels; i++) grid.push(view.getUint8(offset + i));
+  const precision = view.getUint8(offset + 16);
+  const size = grid.reduce((n, g) => n * g, 1) * outputChannels;
+  const data = new Float32Array(size);
+  const start = offset + 20;
+  for (let i = 0; i < size; i++) {
+    data[i] = precision === 1
+      ? view.getUint8(start + i) / 255
+      : view.getUint16(start + i * 2) / 65535;
+  }
+  return { kind: 'clut', grid, outputChannels, data };
+}
+
+function readDescription(view, offset) {
+  try {
+    const type = readSignature(view, offset);
+    if (type === 'desc') {
+      const length = view.getUint32(offset + 8);
+      let text = '';
+      for (let i = 0; i < length; i++) {
+        const code = view.getUint8(offset + 12 + i);
+        if (code === 0) break;
+        text += String.fromCharCode(code);
+      }
+      return text;
+    }
+    if (type === 'mluc') {
+      // Use the first record; strings are UTF-16BE
+      const length = view.getUint32(offset + 20);
+      const stringOffset = view.getUint32(offset + 24);
+      let text = '';
+      for (let i = 0; i < length; i += 2) {
+        text += String.fromCharCode(view.getUint16(offset + stringOffset + i));
+      }
+      return text;
+    }
+  } catch (e) {
+    console.warn(`ICC: Could not read profile description: ${e.message}`);
+  }
+  return '';
+}
+
+function readXyz(view, offset) {
+  return [0, 1, 2].map(i => readS15Fixed16(view, offset + 8 + i * 4));
+}
+
+// --- Math helpers ---
+
+/**
+ * Multilinear interpolation in an n-dimensional colour lookup table
+ * @param {{grid: number[], outputChannels: number, data: Float32Array}} clut
+ * @param {number[]} input - Normalized input values
+ * @returns {number[]}
+ */
+function interpolateClut(clut, input) {
+  const dims = clut.grid.length;
+  const out = new Array(clut.outputChannels).fill(0);
+
+  // Strides: the first input channel varies slowest
+  const strides = new Array(dims);
+  let stride = clut.outputChannels;
+  for (let d = dims - 1; d >= 0; d--) {
+    strides[d] = stride;
+    stride *= clut.grid[d];
+  }
+
+  const base = new Array(dims);
+  const frac = new Array(dims);
+  for (let d = 0; d < dims; d++) {
+    const pos = clamp01(input[d]) * (clut.grid[d] - 1);
+    base[d] = Math.max(0, Math.min(Math.floor(pos), clut.grid[d] - 2));
+    frac[d] = pos - base[d];
+  }
+
+  // Visit the 2^n corners of the enclosing cell
+  for (let corner = 0; corner < (1 << dims); corner++) {
+    let weight = 1;
+    let index = 0;
+    for (let d = 0; d < dims; d++) {
+      const bit = (corner >> d) & 1;
+      weight *= bit ? frac[d] : 1 - frac[d];
+      index += (base[d] + bit) * strides[d];
+    }
+    if (weight === 0) continue;
+    for (let o = 0; o < clut.outputChannels; o++) {
+      out[o] += clut.data[index + o] * weight;
+    }
+  }
+  return out;
+}
+
+function applyMatrix(m, offset, v) {
+  const out = [
+    m[0] * v[0] + m[1] * v[1] + m[2] * v[2],
+    m[3] * v[0] + m[4] * v[1] + m[5] * v[2],
+    m[6] * v[0] + m[7] * v[1] + m[8] * v[2]
+  ];
+  if (offset) {
+    for (let i = 0; i < 3; i++) out[i] += offset[i];
+  }
+  return out;
+}
+
+function readSignature(view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset), view.getUint8(offset + 1),
+    view.getUint8(offset + 2), view.getUint8(offset + 3)
+  );
+}
+
+function readS15Fixed16(view, offset) {
+  return view.getInt32(offset) / 65536;
+}
+
+function clamp01(v) {
+  return Math.min(Math.max(v, 0), 1);
+}
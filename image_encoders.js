@@ -0,0 +1,170 @@
+// image_encoders.js
+// Encoders for exported separations: grayscale PNG (one per plate),
+// 4-channel CMYK TIFF (PhotometricInterpretation = Separated) and binary PGM for the CLI.
+
+import { crc32, compress } from './zip.js';
+
+const PNG_SIGNATURE = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/**
+ * Encode a single plate as a grayscale PNG
+ * @param {Uint8Array|Uint16Array} samples - width * height samples, top row first
+ * @param {number} width
+ * @param {number} height
+ * @param {number} bitDepth - 8 or 16
+ * @returns {Promise<Uint8Array>}
+ */
+export async function encodeGrayscalePng(samples, width, height, bitDepth) {
+  const bytesPerSample = bitDepth === 16 ? 2 : 1;
+  const rowLength = width * bytesPerSample;
+
+  // Raw scanlines, each prefixed with filter type 0 (None); 16-bit samples are big-endian
+  const raw = new Uint8Array((rowLength + 1) * height);
+  for (let y = 0; y < height; y++) {
+    let pos = y * (rowLength + 1) + 1;
+    const rowStart = y * width;
+    if (bytesPerSample === 1) {
+      raw.set(samples.subarray(rowStart, rowStart + width), pos);
+    } else {
+      for (let x = 0; x < width; x++) {
+        const v = samples[rowStart + x];
+        raw[pos++] = v >> 8;
+        raw[pos++] = v & 0xff;
+      }
+    }
+  }
+
+  const ihdr = new Uint8Array(13);
+  const ihdrView = new DataView(ihdr.buffer);
+  ihdrView.setUint32(0, width);
+  ihdrView.setUint32(4, height);
+  ihdr[8] = bitDepth;
+  ihdr[9] = 0; // Colour type: grayscale
+  ihdr[10] = 0; // Compression: deflate
+  ihdr[11] = 0; // Filter method
+  ihdr[12] = 0; // No interlace
+
+  const idat = await compress(raw, 'deflate'); // zlib stream, as PNG expects
+
+  return concatBytes([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', idat),
+    pngChunk('IEND', new Uint8Array(0))
+  ]);
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+/**
+ * Encode interleaved CMYK samples as an uncompressed, single-strip, little-endian TIFF
+ * @param {Uint8Array|Uint16Array} samples - width * height * 4 samples (C, M, Y, K), top row first
+ * @param {number} width
+ * @param {number} height
+ * @param {number} bitDepth - 8 or 16
+ * @param {number} [dpi] - Resolution written to the file
+ * @returns {Uint8Array}
+ */
+export function encodeCmykTiff(samples, width, height, bitDepth, dpi = 72) {
+  const bytesPerSample = bitDepth === 16 ? 2 : 1;
+  const imageBytes = width * height * 4 * bytesPerSample;
+
+  // Tags must be written in ascending order
+  const entryCount = 14;
+  const ifdOffset = 8;
+  const ifdSize = 2 + entryCount * 12 + 4;
+  const bitsOffset = ifdOffset + ifdSize; // 4 SHORTs
+  const xResOffset = bitsOffset + 8; // RATIONAL
+  const yResOffset = xResOffset + 8; // RATIONAL
+  const imageOffset = yResOffset + 8;
+
+  const out = new Uint8Array(imageOffset + imageBytes);
+  const view = new DataView(out.buffer);
+  view.setUint16(0, 0x4949, true); // 'II' little-endian
+  view.setUint16(2, 42, true);
+  view.setUint32(4, ifdOffset, true);
+
+  const SHORT = 3;
+  const LONG = 4;
+  const RATIONAL = 5;
+  let entry = ifdOffset + 2;
+  const writeEntry = (tag, type, count, value) => {
+    view.setUint16(entry, tag, true);
+    view.setUint16(entry + 2, type, true);
+    view.setUint32(entry + 4, count, true);
+    if (type === SHORT && count === 1) {
+      view.setUint16(entry + 8, value, true);
+    } else {
+      view.setUint32(entry + 8, value, true);
+    }
+    entry += 12;
+  };
+
+  view.setUint16(ifdOffset, entryCount, true);
+  writeEntry(256, LONG, 1, width); // ImageWidth
+  writeEntry(257, LONG, 1, height); // ImageLength
+  writeEntry(258, SHORT, 4, bitsOffset); // BitsPerSample
+  writeEntry(259, SHORT, 1, 1); // Compression: none
+  writeEntry(262, SHORT, 1, 5); // PhotometricInterpretation: Separated
+  writeEntry(273, LONG, 1, imageOffset); // StripOffsets
+  writeEntry(277, SHORT, 1, 4); // SamplesPerPixel
+  writeEntry(278, LONG, 1, height); // RowsPerStrip
+  writeEntry(279, LONG, 1, imageBytes); // StripByteCounts
+  writeEntry(282, RATIONAL, 1, xResOffset); // XResolution
+  writeEntry(283, RATIONAL, 1, yResOffset); // YResolution
+  writeEntry(284, SHORT, 1, 1); // PlanarConfiguration: chunky
+  writeEntry(296, SHORT, 1, 2); // ResolutionUnit: inch
+  writeEntry(332, SHORT, 1, 1); // InkSet: CMYK
+  view.setUint32(entry, 0, true); // No next IFD
+
+  for (let i = 0; i < 4; i++) view.setUint16(bitsOffset + i * 2, bitDepth, true);
+  view.setUint32(xResOffset, dpi, true);
+  view.setUint32(xResOffset + 4, 1, true);
+  view.setUint32(yResOffset, dpi, true);
+  view.setUint32(yResOffset + 4, 1, true);
+
+  if (bytesPerSample === 1) {
+    out.set(samples, imageOffset);
+  } else {
+    for (let i = 0; i < samples.length; i++) {
+      view.setUint16(imageOffset + i * 2, samples[i], true);
+    }
+  }
+  return out;
+}
+
+/**
+ * Encode a single plate as a binary PGM (P5); 16-bit samples are big-endian, as netpbm requires
+ * @param {Uint8Array|Uint16Array} samples - width * height samples, top row first
+ * @param {number} width
+ * @param {number} height
+ * @param {number} bitDepth - 8 or 16
+ * @returns {Uint8Array}
+ */
+export function encodePgm(samples, width, height, bitDepth) {
+  const header = new TextEncoder().encode(`P5\n${width} ${height}\n${bitDepth === 16 ? 65535 : 255}\n`);
+  if (bitDepth !== 16) return concatBytes([header, samples]);
+  const data = new Uint8Array(samples.length * 2);
+  const view = new DataView(data.buffer);
+  for (let i = 0; i < samples.length; i++) view.setUint16(i * 2, samples[i]);
+  return concatBytes([header, data]);
+}
+
+function concatBytes(arrays) {
+  const total = arrays.reduce((n, a) => n + a.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const a of arrays) {
+    out.set(a, offset);
+    offset += a.length;
+  }
+  return out;
+}
@@ -0,0 +1,91 @@
+// inks.js
+// Ink and paper colours for the tinted plates and the soft proof. Colours are sRGB (0-1) as the
+// ink prints on white stock; the shaders treat them as filters over the paper in linear light.
+// Spot inks are extracted by how close each pixel's colour is to the ink's CIELAB value.
+
+import { srgbToLab, labToSrgb } from './icc.js';
+import { spotMatch as labMatch } from './color_math.js';
+
+/**
+ * @typedef {Object} Ink
+ * @property {string} name
+ * @property {number[]} colour - Solid ink on white paper, sRGB 0-1
+ */
+
+// Process inks, in plate order (roughly the FOGRA39 solids in sRGB)
+export const PROCESS_INKS = [
+  { name: 'Cyan', colour: [0, 0.627, 0.878] },
+  { name: 'Magenta', colour: [0.886, 0, 0.478] },
+  { name: 'Yellow', colour: [1, 0.929, 0] },
+  { name: 'Black', colour: [0.137, 0.122, 0.125] }
+];
+
+// Spot plates the shaders have room for
+export const MAX_SPOT_INKS = 4;
+
+// Colour difference (CIE76 delta E) at which a pixel stops matching a new spot ink
+export const DEFAULT_SPOT_TOLERANCE = 20;
+
+// Screen angle for new spot inks, in degrees (between the process angles)
+export const DEFAULT_SPOT_ANGLE = 30;
+
+/**
+ * @typedef {Object} SpotInk
+ * @property {string} name
+ * @property {number[]} lab - CIELAB (D50) the plate matches against
+ * @property {number[]} colour - sRGB 0-1 the plate is tinted and proofed with
+ * @property {number} tolerance - Delta E at which the match (and the plate) falls to zero
+ * @property {number} angle - Screen angle in radians
+ */
+
+/**
+ * A spot ink from a CIELAB value (Pantone and the like publish Lab D50)
+ * @param {string} name
+ * @param {number[]} lab
+ * @param {number} [tolerance]
+ * @param {number} [angle] - Degrees
+ * @returns {SpotInk}
+ */
+export function spotInkFromLab(name, lab, tolerance = DEFAULT_SPOT_TOLERANCE, angle = DEFAULT_SPOT_ANGLE) {
+  return { name, lab: lab.slice(), colour: labToSrgb(lab), tolerance: Math.max(tolerance, 0.1), angle: angle * Math.PI / 180 };
+}
+
+/**
+ * A spot ink from an sRGB value
+ * @param {string} name
+ * @param {number[]} rgb - sRGB 0-1
+ * @param {number} [tolerance]
+ * @param {number} [angle] - Degrees
+ * @returns {SpotInk}
+ */
+export function spotInkFromRgb(name, rgb, tolerance = DEFAULT_SPOT_TOLERANCE, angle = DEFAULT_SPOT_ANGLE) {
+  return { name, lab: srgbToLab(rgb), colour: rgb.slice(), tolerance: Math.max(tolerance, 0.1), angle: angle * Math.PI / 180 };
+}
+
+/**
+ * How strongly a colour matches a spot ink: 1 at the ink's Lab value, falling linearly to 0 at
+ * the tolerance
+ * @param {number[]} lab - The pixel's CIELAB (D50)
+ * @param {SpotInk} ink
+ * @returns {number} - Plate coverage 0-1
+ */
+export function spotMatch(lab, ink) {
+  return labMatch(lab, ink.lab, ink.tolerance);
+}
+
+/**
+ * @param {string} hex - '#rrggbb', as from an <input type="color">
+ * @returns {number[]} - sRGB 0-1
+ */
+export function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map(channel => channel / 255);
+}
+
+/**
+ * @param {number[]} rgb - sRGB 0-1
+ * @returns {string} - '#rrggbb'
+ */
+export function rgbToHex(rgb) {
+  return '#' + rgb.map(channel => Math.round(channel * 255).toString(16).padStart(2, '0')).join('');
+}
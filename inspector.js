@@ -0,0 +1,120 @@
+// inspector.js
+// Pixel inspector helpers: where a pointer lands on the frame, how a sample reads, and the
+// loupe and pin markers drawn over the processed canvas. Points are kept in frame coordinates
+// (0..1 across the oriented output, top-left origin) so pins stay put across frames and resizes.
+
+const PIN_COLOUR = '#ff2d55';
+
+/**
+ * @typedef {Object} InspectorSample
+ * @property {number[]} rgb - Working RGB fed to the separation, 0-1
+ * @property {number[]} cmyk - C, M, Y, K, 0-1
+ * @property {number[]} spots - Spot plates, 0-1
+ */
+
+/**
+ * Frame point under a pointer on an element showing the whole frame (the video, or the
+ * processed canvas). In the grid view each quadrant shows the whole frame.
+ * @param {DOMRect} rect - The element's bounding rect
+ * @param {number} clientX
+ * @param {number} clientY
+ * @param {boolean} grid - The element shows the 2x2 plate grid
+ * @returns {{u: number, v: number}|null} - null outside the element
+ */
+export function framePointAt(rect, clientX, clientY, grid) {
+  let u = (clientX - rect.left) / rect.width;
+  let v = (clientY - rect.top) / rect.height;
+  if (!(u >= 0 && u < 1 && v >= 0 && v < 1)) return null;
+  if (grid) {
+    u = u * 2 - Math.floor(u * 2);
+    v = v * 2 - Math.floor(v * 2);
+  }
+  return { u, v };
+}
+
+/**
+ * Output pixel of a frame point
+ * @param {{u: number, v: number}} point
+ * @param {number} width - Output (canvas) size
+ * @param {number} height
+ * @returns {{x: number, y: number}}
+ */
+export function pixelAt(point, width, height) {
+  return {
+    x: Math.min(Math.floor(point.u * width), width - 1),
+    y: Math.min(Math.floor(point.v * height), height - 1)
+  };
+}
+
+/**
+ * One-line readout: RGB as 8-bit and normalised values, the plates and TAC in percent, then any spot plates
+ * @param {InspectorSample} sample
+ * @param {string[]} [spotNames] - Names of the spot inks, in plate order
+ * @returns {string}
+ */
+export function formatSample(sample, spotNames = []) {
+  const rgb8 = sample.rgb.map(value => Math.round(value * 255)).join(', ');
+  const rgbNormalised = sample.rgb.map(value => value.toFixed(3)).join(', ');
+  const plates = ['C', 'M', 'Y', 'K'].map((name, i) => `${name} ${(sample.cmyk[i] * 100).toFixed(1)}%`).join(' ');
+  const tac = sample.cmyk.reduce((sum, value) => sum + value, 0) * 100;
+  const spots = spotNames.map((name, i) => ` | ${name} ${(sample.spots[i] * 100).toFixed(1)}%`).join('');
+  return `RGB ${rgb8} (${rgbNormalised}) | ${plates} | TAC ${tac.toFixed(1)}%${spots}`;
+}
+
+/**
+ * Magnified view around a point of an image source, with the sampled pixel outlined
+ * @param {HTMLCanvasElement} loupe
+ * @param {CanvasImageSource} source - The processed canvas or the video
+ * @param {number} sourceWidth - Pixel size of the source (canvas size or videoWidth/Height)
+ * @param {number} sourceHeight
+ * @param {{x: number, y: number}} centre - Pixel in source coordinates
+ * @param {number} zoom - Loupe pixels per source pixel
+ */
+export function drawLoupe(loupe, source, sourceWidth, sourceHeight, centre, zoom) {
+  const context = loupe.getContext('2d');
+  const span = loupe.width / zoom; // Source pixels across the loupe
+  const left = centre.x + 0.5 - span / 2;
+  const top = centre.y + 0.5 - span / 2;
+  context.imageSmoothingEnabled = false;
+  context.fillStyle = '#000';
+  context.fillRect(0, 0, loupe.width, loupe.height);
+  try {
+    context.drawImage(source, left, top, span, span, 0, 0, loupe.width, loupe.height);
+  } catch (e) {
+    // Nothing to copy yet (e.g. the video has no frame)
+  }
+  context.strokeStyle = PIN_COLOUR;
+  context.lineWidth = 1;
+  context.strokeRect((centre.x - left) * zoom + 0.5, (centre.y - top) * zoom + 0.5, zoom - 1, zoom - 1);
+}
+
+/**
+ * Numbered markers for the pinned points, over the processed canvas
+ * @param {HTMLCanvasElement} overlay - Sized to the canvas' CSS box
+ * @param {Array<{u: number, v: number}>} pins
+ * @param {boolean} grid - Mark the point in every quadrant
+ */
+export function drawPinMarkers(overlay, pins, grid) {
+  const context = overlay.getContext('2d');
+  context.clearRect(0, 0, overlay.width, overlay.height);
+  const cells = grid ? [[0, 0], [0.5, 0], [0, 0.5], [0.5, 0.5]] : [[0, 0]];
+  const scale = grid ? 0.5 : 1;
+  context.font = 'bold 11px sans-serif';
+  context.lineWidth = 1.5;
+  pins.forEach((pin, i) => {
+    for (const [left, top] of cells) {
+      const x = (left + pin.u * scale) * overlay.width;
+      const y = (top + pin.v * scale) * overlay.height;
+      context.strokeStyle = PIN_COLOUR;
+      context.beginPath();
+      context.arc(x, y, 5, 0, Math.PI * 2);
+      context.moveTo(x - 9, y);
+      context.lineTo(x + 9, y);
+      context.moveTo(x, y - 9);
+      context.lineTo(x, y + 9);
+      context.stroke();
+      context.fillStyle = PIN_COLOUR;
+      context.fillText(String(i + 1), x + 7, y - 7);
+    }
+  });
+}
@@ -0,0 +1,114 @@
+// plate_stats.js
+// Coverage statistics of the separated plates: a histogram per plate with its mean, median and
+// 95th percentile, and the per-frame series behind the timeline and the CSV/JSON export.
+// Coverages are in percent (0-100), like the TAC readout.
+
+export const HISTOGRAM_BINS = 256;
+
+const PLATES = ['C', 'M', 'Y', 'K'];
+
+/**
+ * @typedef {Object} PlateStats
+ * @property {Uint32Array} histogram - HISTOGRAM_BINS pixel counts; bin i holds coverage around i / (HISTOGRAM_BINS - 1)
+ * @property {number} mean - Percent
+ * @property {number} median - Percent, to the histogram's resolution
+ * @property {number} p95 - 95th percentile in percent, to the histogram's resolution
+ */
+
+/**
+ * @typedef {Object} FrameStats
+ * @property {number} timestamp - Presentation time in microseconds
+ * @property {PlateStats[]} plates - C, M, Y, K
+ */
+
+/**
+ * Statistics of one frame's plates
+ * @param {Uint8Array|Uint16Array|Float32Array} cmyk - Interleaved C, M, Y, K: 0-255, 0-65535 or 0-1
+ * @param {number} timestamp - Microseconds
+ * @returns {FrameStats}
+ */
+export function computeFrameStats(cmyk, timestamp) {
+  const full = cmyk instanceof Float32Array ? 1 : cmyk instanceof Uint16Array ? 65535 : 255;
+  const toBin = (HISTOGRAM_BINS - 1) / full;
+  const histograms = PLATES.map(() => new Uint32Array(HISTOGRAM_BINS));
+  const sums = [0, 0, 0, 0];
+  for (let i = 0; i < cmyk.length; i += 4) {
+    for (let plate = 0; plate < 4; plate++) {
+      const value = Math.min(Math.max(cmyk[i + plate], 0), full);
+      sums[plate] += value;
+      histograms[plate][Math.round(value * toBin)]++;
+    }
+  }
+  const count = cmyk.length / 4;
+  return {
+    timestamp,
+    plates: histograms.map((histogram, plate) => ({
+      histogram,
+      mean: count ? sums[plate] / count / full * 100 : 0,
+      median: percentile(histogram, count, 0.5),
+      p95: percentile(histogram, count, 0.95)
+    }))
+  };
+}
+
+/**
+ * Frames of a series in presentation order
+ * @param {Map<number, FrameStats>} series - Keyed by timestamp
+ * @returns {FrameStats[]}
+ */
+export function sortedFrames(series) {
+  return [...series.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * One row per frame: time and mean/median/p95 per plate
+ * @param {FrameStats[]} frames
+ * @returns {string}
+ */
+export function statsToCsv(frames) {
+  const header = ['time_s', ...PLATES.flatMap(plate => [`${plate}_mean`, `${plate}_median`, `${plate}_p95`])];
+  const rows = frames.map(frame => [
+    (frame.timestamp / 1_000_000).toFixed(6),
+    ...frame.plates.flatMap(stats => [stats.mean.toFixed(3), stats.median.toFixed(3), stats.p95.toFixed(3)])
+  ]);
+  return [header, ...rows].map(row => row.join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * The whole series with histograms, for QC tooling
+ * @param {FrameStats[]} frames
+ * @param {Object} info - Describes the source and settings (file name, separation, ...)
+ * @returns {string}
+ */
+export function statsToJson(frames, info) {
+  return JSON.stringify({
+    ...info,
+    units: 'percent coverage',
+    histogramBins: HISTOGRAM_BINS,
+    frames: frames.map(frame => ({
+      time: frame.timestamp / 1_000_000,
+      plates: Object.fromEntries(frame.plates.map((stats, plate) => [PLATES[plate], {
+        mean: round3(stats.mean),
+        median: round3(stats.median),
+        p95: round3(stats.p95),
+        histogram: Array.from(stats.histogram)
+      }]))
+    }))
+  }, null, 1);
+}
+
+// Lowest bin value (in percent) at or below which the given fraction of the pixels fall
+function percentile(histogram, count, fraction) {
+  if (!count) return 0;
+  const target = fraction * count;
+  let cumulative = 0;
+  for (let bin = 0; bin < histogram.length; bin++) {
+    cumulative += histogram[bin];
+    if (cumulative >= target) return bin / (histogram.length - 1) * 100;
+  }
+  return 100;
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
@@ -0,0 +1,112 @@
+// renderer.js
+// The renderers that turn decoded frames into plates. All of them take the same settings and
+// produce the same plates; they differ in where the work happens:
+//   webgl2 - the shaders in shaders.js on a WebGL2 context, plates read back from half-float targets
+//   webgl  - the same shaders on a WebGL1 context
+//   cpu    - a port of the shaders to plain JS, drawn with Canvas 2D (for machines without WebGL)
+
+import { WebGLRenderer } from './webgl_renderer.js';
+import { CpuRenderer } from './cpu_renderer.js';
+
+export const RENDERER_AUTO = 'auto';
+export const RENDERER_WEBGL2 = 'webgl2';
+export const RENDERER_WEBGL = 'webgl';
+export const RENDERER_CPU = 'cpu';
+
+// Tried in this order when the choice is automatic, or when the chosen renderer cannot start
+const FALLBACK_ORDER = [RENDERER_WEBGL2, RENDERER_WEBGL, RENDERER_CPU];
+
+/**
+ * @typedef {Object} RenderSettings
+ * @property {number} channel - Displayed channel, a u_channel value (0-3 plate, GRID_CHANNEL, TAC_CHANNEL, SOFT_PROOF_CHANNEL or SPOT_CHANNEL + spot)
+ * @property {number} separation - SEPARATION_NAIVE or SEPARATION_ICC (naive while no table is set)
+ * @property {import('./black_generation.js').BlackGenerationSettings} blackGeneration
+ * @property {number} tacLimit - Total ink limit as a fraction (3 = 300%)
+ * @property {number} halftone - HALFTONE_OFF, HALFTONE_PLATE or HALFTONE_COMPOSITE
+ * @property {number} dotShape - DOT_ROUND, DOT_ELLIPTICAL or DOT_SQUARE
+ * @property {number} cellSize - Halftone cell size in device pixels
+ * @property {number[]} screenAngles - Screen angle per C, M, Y, K in radians
+ * @property {boolean} inkTint - Show plates in their ink colour on the paper rather than grayscale
+ * @property {number[]} paperWhite - Paper colour for tinted plates and the soft proof, sRGB 0-1
+ * @property {number[][]} inkColours - C, M, Y, K solid ink colours, sRGB 0-1 (see inks.js)
+ * @property {import('./inks.js').SpotInk[]} spotInks - Extra plates, up to MAX_SPOT_INKS
+ * @property {import('./dot_gain.js').DotGainSettings} dotGain - Tone value increase of the process plates
+ * @property {number} maxDensity - Solid ink density of the stock (see dot_gain.js)
+ * @property {number} toneMap - TONE_MAP_* value for HDR sources
+ * @property {Object} orientation - Playback orientation (see frame_geometry.js); offscreen passes use the track's
+ */
+
+/**
+ * @typedef {Object} SourceTrack
+ * @property {Object} orientation - From orientationFromTrackInfo()
+ * @property {Object|null} colorSpace - Container colour description from 'trackInfo'
+ */
+
+/**
+ * Every renderer implements:
+ *   kind: string, description: string
+ *   setIccLut(lut|null) - Table from bakeSeparationLut()
+ *   uploadFrame(frame, trackColorSpace) -> Promise<{colorSpace, yuv}> - Keep the playback frame's pixels (the caller closes it)
+ *   draw(settings) - Draw the kept frame onto the canvas
+ *   measureTac(settings, maxSize) -> {maxTac, overPercent} - TAC of the kept frame, measured at most maxSize pixels long
+ *   measurePlates(settings, maxSize) -> {width, height, cmyk} - Its plates at that size (0-255 or 0-1)
+ *   inspect(settings, points) -> [{rgb, cmyk, spots}] - Working RGB and plates (0-1) at canvas pixels {x, y}
+ *   resize(width, height), clear()
+ *   readPlates(frame, track, settings, bitDepth, [size]) -> Promise<{width, height, cmyk}> - Interleaved plates, top row first
+ *   renderDisplayed(frame, track, settings, size) -> Promise<Uint8Array> - RGBA as draw() would show it, top row first
+ *   destroy()
+ * @typedef {WebGLRenderer|CpuRenderer} Renderer
+ */
+
+/**
+ * Start the preferred renderer, falling back along FALLBACK_ORDER. A canvas keeps the first
+ * context type it hands out, so every attempt gets a fresh one from newCanvas().
+ * @param {string} preferred - RENDERER_AUTO or one of the renderer kinds
+ * @param {function(): HTMLCanvasElement} newCanvas - Puts a context-free canvas in place of the current one
+ * @returns {{renderer: Renderer, failures: string[]}} - failures lists the renderers tried before it
+ */
+export function createRenderer(preferred, newCanvas) {
+  const order = preferred === RENDERER_AUTO
+    ? FALLBACK_ORDER
+    : [preferred, ...FALLBACK_ORDER.filter(kind => kind !== preferred)];
+  const failures = [];
+  for (const kind of order) {
+    try {
+      return { renderer: instantiate(kind, newCanvas()), failures };
+    } catch (e) {
+      console.warn(`Renderer ${kind} unavailable: ${e.message}`);
+      failures.push(`${kind}: ${e.message}`);
+    }
+  }
+  throw new Error(`No renderer could start (${failures.join('; ')})`);
+}
+
+/**
+ * Which renderers this browser can start, checked on a throwaway canvas
+ * @returns {Set<string>}
+ */
+export function availableRenderers() {
+  const available = new Set([RENDERER_CPU]);
+  for (const kind of [RENDERER_WEBGL2, RENDERER_WEBGL]) {
+    const gl = document.createElement('canvas').getContext(kind);
+    if (!gl) continue;
+    available.add(kind);
+    // Browsers cap the number of live contexts; give this one back straight away
+    const lose = gl.getExtension('WEBGL_lose_context');
+    if (lose) lose.loseContext();
+  }
+  return available;
+}
+
+function instantiate(kind, canvas) {
+  switch (kind) {
+    case RENDERER_WEBGL2:
+      return new WebGLRenderer(canvas, 2);
+    case RENDERER_WEBGL:
+      return new WebGLRenderer(canvas, 1);
+    case RENDERER_CPU:
+      return new CpuRenderer(canvas);
+    default:
+      throw new Error(`Unknown renderer: ${kind}`);
+  }
+}
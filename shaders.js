@@ -1,54 +1,412 @@
 // shaders.js
+// The separation math itself (curves, black generation, channel selection) comes from
+// color_math.js, whose GLSL definitions the CPU renderer's JS is generated from.
+
+import { COLOR_MATH_GLSL } from './color_math.js';
 
 export const vertexShaderSource = `
     attribute vec2 a_position;
     attribute vec2 a_texCoord;
+    uniform float u_flipY; // -1.0 when drawing into a framebuffer that is read back top row first
     varying vec2 v_texCoord;
 
     void main() {
         // Simple pass-through, mapping quad vertices to clip space
-        gl_Position = vec4(a_position, 0.0, 1.0);
+        gl_Position = vec4(a_position.x, a_position.y * u_flipY, 0.0, 1.0);
         // Pass texture coordinates to the fragment shader
         v_texCoord = a_texCoord;
     }
 `;
 
+// Value of u_channel that draws all four plates as a 2x2 grid (C M / Y K)
+export const GRID_CHANNEL = 4;
+
+// Value of u_channel that draws total area coverage (C+M+Y+K) as a false-colour heatmap
+export const TAC_CHANNEL = 5;
+// Value of u_channel that recombines the four plates in their ink colours on the paper (soft proof)
+export const SOFT_PROOF_CHANNEL = 11;
+// Values of u_channel that draw spot ink plates: SPOT_CHANNEL + index into the spot inks (see inks.js)
+export const SPOT_CHANNEL = 12;
+// Internal value of u_channel for the TAC statistics pass: R = TAC / 4, G = 1 where over the limit
+export const TAC_STATS_CHANNEL = 6;
+
+// Internal values of u_channel for exporting plates (read back from a framebuffer):
+export const EXPORT_CMYK_CHANNEL = 7; // RGBA = C, M, Y, K at 8 bits
+export const EXPORT_CM16_CHANNEL = 8; // RG = C, BA = M as 16-bit high/low byte pairs
+export const EXPORT_YK16_CHANNEL = 9; // RG = Y, BA = K as 16-bit high/low byte pairs
+
+// Internal value of u_channel for the pixel inspector: RGB = the working RGB fed to the separation
+export const INSPECT_RGB_CHANNEL = 10;
+// Internal value of u_channel for reading back the spot plates: RGBA = spot plates 0-3
+export const EXPORT_SPOT_CHANNEL = 16;
+
+// Values of u_halftone
+export const HALFTONE_OFF = 0;
+export const HALFTONE_PLATE = 1; // Screen the displayed plate(s)
+export const HALFTONE_COMPOSITE = 2; // All four screened plates overlaid in ink colours
+
+// Values of u_dotShape
+export const DOT_ROUND = 0;
+export const DOT_ELLIPTICAL = 1;
+export const DOT_SQUARE = 2;
+
+// Values of u_transfer and u_toneMap are in color_space.js
+
+// Values of u_separation
+export const SEPARATION_NAIVE = 0; // Device naive formula (rgbToCmyk)
+export const SEPARATION_ICC = 1; // Baked ICC profile lookup table
+
 export const fragmentShaderSource = `
+    // The ICC lookup texture is ~1000 texels wide; mediump is not enough to address it
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+    #else
     precision mediump float;
-    varying vec2 v_texCoord;
+    #endif
+    varying vec2 v_texCoord; // Position on the output, 0..1 with y up
     uniform sampler2D u_texture;
-    uniform int u_channel; // 0=C, 1=M, 2=Y
+    uniform mat3 u_orientation; // Output position -> texture coordinate (rotation/mirror, first row = top of the frame)
+
+    // Source frame: RGB converted by the browser (u_texture), or Y'CbCr planes converted here (see color_space.js)
+    uniform int u_inputYuv; // 1 = sample u_planeY/U/V instead of u_texture
+    uniform sampler2D u_planeY;
+    uniform sampler2D u_planeU; // Cb, or interleaved CbCr (L = Cb, A = Cr) when u_chromaInterleaved is 1
+    uniform sampler2D u_planeV; // Cr
+    uniform int u_chromaInterleaved;
+    uniform float u_sampleBits; // 8, or 10/12 with each 16-bit sample split over L (low byte) and A (high byte)
+    uniform mat3 u_yuvMatrix; // Normalised Y'CbCr samples -> source R'G'B' (matrix and range)
+    uniform vec3 u_yuvOffset;
+    uniform int u_convertColour; // 1 = linearise, convert the primaries and tone map (anything but SDR BT.709)
+    uniform int u_transfer; // 0=SDR, 1=PQ, 2=HLG, 3=linear
+    uniform mat3 u_primaries; // Linear source RGB -> linear working RGB (BT.709 primaries)
+    uniform int u_toneMap; // 0=clip, 1=Reinhard, 2=Hable filmic (PQ/HLG sources only)
+    uniform float u_hdrPeak; // Assumed peak of HDR sources relative to SDR white (HDR_PEAK_NITS / SDR_WHITE_NITS)
+    uniform int u_channel; // 0=C, 1=M, 2=Y, 3=K, 4=grid of all four, 5=TAC heatmap, 6=TAC stats, 7-9=export, 10=inspector RGB, 11=soft proof,
+                         // 12-15=spot plates, 16=spot export
+    uniform int u_separation; // 0=device naive, 1=ICC profile lookup
+    uniform sampler2D u_iccLut; // size*size x size texture, blue slices side by side, RGBA = CMYK
+    uniform float u_lutSize; // Grid points per axis of u_iccLut
+    uniform float u_tacLimit; // Total ink limit as a fraction (3.0 = 300%)
+
+    // AM halftone simulation
+    uniform int u_halftone; // 0=off, 1=screen the displayed plate(s), 2=overlaid screened composite
+    uniform vec4 u_screenAngles; // Screen angle per C, M, Y, K in radians
+    uniform float u_cellSize; // Halftone cell size in device pixels (output DPI / LPI)
+    uniform int u_dotShape; // 0=round, 1=elliptical, 2=square
+
+    // Ink colours (see inks.js)
+    uniform int u_inkTint; // 1 = show plates in their ink colour on the paper instead of grayscale
+    uniform vec3 u_paperWhite; // sRGB
+    uniform vec3 u_inkColours[4]; // C, M, Y, K solids on white paper, sRGB
+    uniform float u_inkDensity; // Exponent on each ink's linear filter colour: max density / reference density
+
+    // Dot gain (see dot_gain.js): a plate value a prints at 1 - (1 - a)^g
+    uniform vec4 u_gainExponents; // g per C, M, Y, K; 1.0 = no gain
+    uniform int u_compensateGain; // 1 = pre-compensate the plates with the inverse curve
+    uniform int u_showPrinted; // 1 = show single plates at their printed tone values
+
+    // Spot inks (see inks.js); unused slots have no coverage
+    uniform int u_spotCount;
+    uniform vec3 u_spotLab[4]; // CIELAB (D50) each plate matches against
+    uniform vec4 u_spotTolerance; // Delta E at which each match falls to zero
+    uniform vec3 u_spotColours[4]; // Solid ink colour, sRGB
+    uniform vec4 u_spotAngles; // Screen angle per spot ink in radians
+
+    // Black generation (see black_generation.js)
+    uniform float u_blackCurve[5]; // K at gray component steps 0, 25, 50, 75, 100% (after black start)
+    uniform float u_blackStart; // Gray component below which no black is generated
+    uniform float u_blackLimit; // Maximum K
+    uniform float u_neutralOnly; // 1.0 = UCR: only generate black in neutral colours
+
+    // --- Shared with the CPU renderer (color_math.js) ---
+${indent(COLOR_MATH_GLSL)}
+    // --- Shader only ---
+
+    // One sample of a plane, normalised to 0..1 of the code range
+    float planeSample(sampler2D plane, vec2 texCoord) {
+        vec4 texel = texture2D(plane, texCoord);
+        if (u_sampleBits > 8.0) {
+            return (texel.r + texel.a * 256.0) * 255.0 / (exp2(u_sampleBits) - 1.0);
+        }
+        return texel.r;
+    }
+
+    // Per-component forms of the shared curves
+    vec3 srgbToLinear(vec3 c) {
+        return vec3(srgbToLinear(c.r), srgbToLinear(c.g), srgbToLinear(c.b));
+    }
+
+    vec3 linearToSrgb(vec3 c) {
+        return vec3(linearToSrgb(c.r), linearToSrgb(c.g), linearToSrgb(c.b));
+    }
+
+    vec3 pqToLinear(vec3 e) {
+        return vec3(pqToLinear(e.r), pqToLinear(e.g), pqToLinear(e.b));
+    }
+
+    // The source pixel in the working RGB (sRGB encoded) the separation expects
+    vec3 sourceRgb(vec2 texCoord) {
+        if (u_inputYuv == 0) {
+            return texture2D(u_texture, texCoord).rgb;
+        }
+        vec3 yuv;
+        yuv.x = planeSample(u_planeY, texCoord);
+        if (u_chromaInterleaved == 1) {
+            vec4 chroma = texture2D(u_planeU, texCoord);
+            yuv.yz = vec2(chroma.r, chroma.a);
+        } else {
+            yuv.y = planeSample(u_planeU, texCoord);
+            yuv.z = planeSample(u_planeV, texCoord);
+        }
+        vec3 rgb = clamp(u_yuvMatrix * yuv + u_yuvOffset, 0.0, 1.0);
+        if (u_convertColour == 0) {
+            return rgb;
+        }
+
+        vec3 linearRgb;
+        if (u_transfer == 1) {
+            linearRgb = pqToLinear(rgb);
+        } else if (u_transfer == 2) {
+            linearRgb = hlgToLinear(rgb, u_hdrPeak);
+        } else if (u_transfer == 3) {
+            linearRgb = rgb;
+        } else {
+            linearRgb = srgbToLinear(rgb);
+        }
+        linearRgb = max(u_primaries * linearRgb, 0.0); // Out-of-gamut colours are clipped
+        if (u_transfer == 1 || u_transfer == 2) {
+            linearRgb = toneMap(linearRgb, u_toneMap, u_hdrPeak);
+        }
+        return linearToSrgb(clamp(linearRgb, 0.0, 1.0));
+    }
+
+    // Coverage of the four spot plates
+    vec4 spotCoverage(vec3 rgb) {
+        if (u_spotCount == 0) {
+            return vec4(0.0);
+        }
+        vec3 lab = srgbToLab(rgb);
+        vec4 coverage = vec4(
+            spotMatch(lab, u_spotLab[0], u_spotTolerance.x),
+            spotMatch(lab, u_spotLab[1], u_spotTolerance.y),
+            spotMatch(lab, u_spotLab[2], u_spotTolerance.z),
+            spotMatch(lab, u_spotLab[3], u_spotTolerance.w));
+        return coverage * vec4(greaterThan(vec4(float(u_spotCount)), vec4(0.0, 1.0, 2.0, 3.0)));
+    }
+
+    // Look up CMYK in the baked ICC table, interpolating between the two nearest blue slices
+    // (red/green are interpolated by the texture's LINEAR filtering within a slice)
+    vec4 iccLookup(vec3 rgb) {
+        vec3 scaled = clamp(rgb, 0.0, 1.0) * (u_lutSize - 1.0);
+        float blueLow = floor(scaled.b);
+        float blueHigh = min(blueLow + 1.0, u_lutSize - 1.0);
+        float u = (scaled.r + 0.5) / (u_lutSize * u_lutSize);
+        float v = (scaled.g + 0.5) / u_lutSize;
+        vec4 low = texture2D(u_iccLut, vec2(u + blueLow / u_lutSize, v));
+        vec4 high = texture2D(u_iccLut, vec2(u + blueHigh / u_lutSize, v));
+        return mix(low, high, scaled.b - blueLow);
+    }
 
-    // Function to convert RGB to CMYK (approximation)
-    vec4 rgbToCmyk(vec3 rgb) {
-        float k = 1.0 - max(max(rgb.r, rgb.g), rgb.b);
-        // Avoid division by zero if K is 1 (pure black)
-        float invK = 1.0 / max(1.0 - k, 0.00001);
-        float c = (1.0 - rgb.r - k) * invK;
-        float m = (1.0 - rgb.g - k) * invK;
-        float y = (1.0 - rgb.b - k) * invK;
-        return vec4(c, m, y, k);
+    vec4 separate(vec3 rgb) {
+        if (u_separation == 1) {
+            return iccLookup(rgb);
+        }
+        return rgbToCmyk(rgb, u_blackCurve, u_blackStart, u_blackLimit, u_neutralOnly > 0.5);
+    }
+
+    // Area-preserving round (aspect 1.0) or elliptical (aspect < 1.0) dot.
+    // Up to 50% a dot grows around the cell centre, beyond that a hole shrinks around the corners.
+    // f is the position within the cell (-0.5..0.5); returns 1.0 where ink is laid down
+    float ellipticalDot(vec2 f, float coverage, float aspect) {
+        vec2 scale = vec2(1.0, 1.0 / aspect);
+        if (coverage <= 0.5) {
+            float radius = sqrt(coverage / (3.14159265 * aspect));
+            return length(f * scale) < radius ? 1.0 : 0.0;
+        }
+        vec2 corner = 0.5 - abs(f);
+        float holeRadius = sqrt((1.0 - coverage) / (3.14159265 * aspect));
+        return length(corner * scale) < holeRadius ? 0.0 : 1.0;
+    }
+
+    // Screen one plate: each canvas pixel is one device pixel of the output
+    float screenPlate(float coverage, float angle) {
+        if (coverage <= 0.0) return 0.0;
+        if (coverage >= 1.0) return 1.0;
+        float s = sin(angle);
+        float c = cos(angle);
+        vec2 pos = gl_FragCoord.xy / u_cellSize;
+        vec2 cellPos = vec2(c * pos.x + s * pos.y, -s * pos.x + c * pos.y);
+        vec2 f = fract(cellPos) - 0.5;
+        if (u_dotShape == 2) { // Square
+            return max(abs(f.x), abs(f.y)) < sqrt(coverage) * 0.5 ? 1.0 : 0.0;
+        }
+        return ellipticalDot(f, coverage, u_dotShape == 1 ? 0.7 : 1.0);
+    }
+
+    // Light a solid ink lets through, at the stock's max density
+    vec3 inkFilter(vec3 colour) {
+        return pow(srgbToLinear(colour), vec3(u_inkDensity));
+    }
+
+    // Inks printed on the paper, spot inks last: each one filters the light by its coverage (in linear light)
+    vec3 inkOnPaper(vec4 coverage, vec4 spots) {
+        vec3 light = srgbToLinear(u_paperWhite);
+        light *= mix(vec3(1.0), inkFilter(u_inkColours[0]), coverage.x);
+        light *= mix(vec3(1.0), inkFilter(u_inkColours[1]), coverage.y);
+        light *= mix(vec3(1.0), inkFilter(u_inkColours[2]), coverage.z);
+        light *= mix(vec3(1.0), inkFilter(u_inkColours[3]), coverage.w);
+        light *= mix(vec3(1.0), inkFilter(u_spotColours[0]), spots.x);
+        light *= mix(vec3(1.0), inkFilter(u_spotColours[1]), spots.y);
+        light *= mix(vec3(1.0), inkFilter(u_spotColours[2]), spots.z);
+        light *= mix(vec3(1.0), inkFilter(u_spotColours[3]), spots.w);
+        return linearToSrgb(light);
+    }
+
+    // Tone values the process plates print at
+    vec4 printedTone(vec4 cmyk) {
+        return vec4(
+            printedTone(cmyk.x, u_gainExponents.x),
+            printedTone(cmyk.y, u_gainExponents.y),
+            printedTone(cmyk.z, u_gainExponents.z),
+            printedTone(cmyk.w, u_gainExponents.w));
+    }
+
+    // Plate values that print at the separated tone values
+    vec4 compensatedTone(vec4 cmyk) {
+        return vec4(
+            compensatedTone(cmyk.x, u_gainExponents.x),
+            compensatedTone(cmyk.y, u_gainExponents.y),
+            compensatedTone(cmyk.z, u_gainExponents.z),
+            compensatedTone(cmyk.w, u_gainExponents.w));
+    }
+
+    // Coverage vector with a single plate inked
+    vec4 plateOnly(int channel, float value) {
+        return vec4(channel == 0 ? value : 0.0, channel == 1 ? value : 0.0, channel == 2 ? value : 0.0, channel == 3 ? value : 0.0);
+    }
+
+    // Split a 0..1 value into 16-bit high/low bytes for an 8-bit framebuffer (needs highp)
+    vec2 pack16(float v) {
+        float value = floor(clamp(v, 0.0, 1.0) * 65535.0 + 0.5);
+        float high = floor(value / 256.0);
+        return vec2(high, value - high * 256.0) / 255.0;
+    }
+
+    // False-colour ramp for coverage: blue -> cyan -> green -> yellow -> red
+    vec3 heatmap(float t) {
+        return clamp(vec3(
+            1.5 - abs(4.0 * t - 3.0),
+            1.5 - abs(4.0 * t - 2.0),
+            1.5 - abs(4.0 * t - 1.0)
+        ), 0.0, 1.0);
     }
 
     void main() {
-        vec4 color = texture2D(u_texture, v_texCoord);
-        vec3 rgb = color.rgb;
+        vec2 outCoord = v_texCoord;
+        int channel = u_channel;
+
+        // Grid mode: split the quad into four quadrants, each showing the whole frame
+        // Top row is C | M, bottom row is Y | K (v_texCoord.y grows upwards on screen)
+        if (u_channel == 4) {
+            bool right = v_texCoord.x >= 0.5;
+            bool top = v_texCoord.y >= 0.5;
+            if (top) {
+                channel = right ? 1 : 0;
+            } else {
+                channel = right ? 3 : 2;
+            }
+            outCoord = fract(v_texCoord * 2.0);
+        }
+
+        vec2 texCoord = (u_orientation * vec3(outCoord, 1.0)).xy;
+        vec3 rgb = sourceRgb(texCoord);
+        if (u_channel == 10) {
+            gl_FragColor = vec4(rgb, 1.0);
+            return;
+        }
 
-        // Convert RGB to CMYK
-        vec4 cmyk = rgbToCmyk(rgb);
+        // Convert RGB to CMYK (naive formula or ICC profile)
+        vec4 cmyk = separate(rgb);
+        if (u_compensateGain == 1) {
+            cmyk = compensatedTone(cmyk);
+        }
 
-        // Select the channel based on the uniform
-        float channelValue;
-        if (u_channel == 0) { // Cyan
-            channelValue = cmyk.x; // Use .x for C
-        } else if (u_channel == 1) { // Magenta
-            channelValue = cmyk.y; // Use .y for M
-        } else { // Yellow (u_channel == 2)
-            channelValue = cmyk.z; // Use .z for Y
+        // Total area coverage, 0.0 - 4.0 (0 - 400%)
+        float tac = cmyk.x + cmyk.y + cmyk.z + cmyk.w;
+        if (u_channel == 5) {
+            vec3 heat = heatmap(tac / 4.0);
+            if (tac > u_tacLimit) {
+                // Magenta/white stripes over the limit, so they stand out from any heat colour
+                heat = mod(gl_FragCoord.x + gl_FragCoord.y, 8.0) < 4.0 ? vec3(1.0, 0.0, 1.0) : vec3(1.0);
+            }
+            gl_FragColor = vec4(heat, 1.0);
+            return;
+        }
+        if (u_channel == 6) {
+            gl_FragColor = vec4(tac / 4.0, tac > u_tacLimit ? 1.0 : 0.0, 0.0, 1.0);
+            return;
+        }
+
+        // Export passes: continuous-tone plates, no halftone or false colour
+        if (u_channel == 7) {
+            gl_FragColor = cmyk;
+            return;
+        }
+        if (u_channel == 8) {
+            gl_FragColor = vec4(pack16(cmyk.x), pack16(cmyk.y));
+            return;
+        }
+        if (u_channel == 9) {
+            gl_FragColor = vec4(pack16(cmyk.z), pack16(cmyk.w));
+            return;
+        }
+        vec4 spots = spotCoverage(rgb);
+        if (u_channel == 16) {
+            gl_FragColor = spots;
+            return;
+        }
+
+        if (u_halftone == 2 || u_channel == 11) {
+            // Recombined plates as printed: the soft proof, or the screened composite (the soft proof
+            // of the dots, spread by the dot gain)
+            vec4 coverage = printedTone(cmyk);
+            vec4 spotDots = spots;
+            if (u_halftone != 0) {
+                coverage = vec4(
+                    screenPlate(coverage.x, u_screenAngles.x),
+                    screenPlate(coverage.y, u_screenAngles.y),
+                    screenPlate(coverage.z, u_screenAngles.z),
+                    screenPlate(coverage.w, u_screenAngles.w));
+                spotDots = vec4(
+                    screenPlate(spots.x, u_spotAngles.x),
+                    screenPlate(spots.y, u_spotAngles.y),
+                    screenPlate(spots.z, u_spotAngles.z),
+                    screenPlate(spots.w, u_spotAngles.w));
+            }
+            gl_FragColor = vec4(inkOnPaper(coverage, spotDots), 1.0);
+            return;
+        }
+
+        // Select the channel based on the uniform (or the grid quadrant)
+        bool spot = channel >= 12;
+        int plate = spot ? channel - 12 : channel;
+        float channelValue = selectChannel(spot ? spots : (u_showPrinted == 1 ? printedTone(cmyk) : cmyk), plate);
+        if (u_halftone == 1) {
+            channelValue = screenPlate(channelValue, selectChannel(spot ? u_spotAngles : u_screenAngles, plate));
+        }
+
+        if (u_inkTint == 1) {
+            vec4 inked = plateOnly(plate, channelValue);
+            gl_FragColor = vec4(spot ? inkOnPaper(vec4(0.0), inked) : inkOnPaper(inked, vec4(0.0)), 1.0);
+            return;
         }
-        // Note: We are ignoring the K (black) channel (cmyk.w or cmyk.a) for this visualization.
 
         // Output the selected channel value as grayscale
         gl_FragColor = vec4(vec3(channelValue), 1.0);
     }
 `;
+
+// Indent shared GLSL to sit inside the shader source
+function indent(source) {
+  return source.replace(/^(?=.)/gm, '    ');
+}
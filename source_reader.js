@@ -0,0 +1,95 @@
+// source_reader.js
+// Bounded-memory access to the source File for the workers (loaded with importScripts).
+// mp4box.js only sees the box structure; sample payloads are read from the File on demand
+// using the offsets in the sample table, so memory use does not grow with the file size.
+
+const READ_CHUNK_SIZE = 4 * 1024 * 1024; // Bytes handed to the demuxer per read
+const MAX_COALESCED_GAP = 1024 * 1024; // Neighbouring samples closer than this are read in one range
+
+/**
+ * Feed a File to an mp4box ISOFile in READ_CHUNK_SIZE ranges, following the positions the
+ * parser asks for (e.g. a moov after the mdat). Sample data is discarded as it is parsed.
+ * @param {Object} isoFile - From MP4Box.createFile(), with its callbacks already set
+ * @param {File|Blob} file
+ * @param {Object} [options]
+ * @param {function(number, number):void} [options.onProgress] - Called with (bytesRead, totalBytes)
+ * @param {AbortSignal} [options.signal] - Stops reading between chunks
+ * @returns {Promise<boolean>} true once the whole file has been parsed, false if aborted
+ */
+async function streamIntoMp4Box(isoFile, file, { onProgress, signal } = {}) {
+  isoFile.discardMdatData = true;
+  let offset = 0;
+  let bytesRead = 0;
+  while (offset < file.size) {
+    if (signal && signal.aborted) return false;
+    const end = Math.min(offset + READ_CHUNK_SIZE, file.size);
+    const buffer = await file.slice(offset, end).arrayBuffer();
+    if (signal && signal.aborted) return false;
+    buffer.fileStart = offset; // Required property by mp4box.js
+    bytesRead += buffer.byteLength;
+    const next = isoFile.appendBuffer(buffer);
+    if (onProgress) onProgress(bytesRead, file.size);
+    // Never re-read the same range: a parser that does not move on is treated as done with it
+    offset = next > offset ? next : end;
+  }
+  isoFile.flush();
+  return true;
+}
+
+/**
+ * Read a byte range of the file
+ * @param {File|Blob} file
+ * @param {number} start
+ * @param {number} end - Exclusive
+ * @returns {Promise<Uint8Array>}
+ */
+async function readByteRange(file, start, end) {
+  return new Uint8Array(await file.slice(start, end).arrayBuffer());
+}
+
+/**
+ * Read the payloads of samples[startIndex..endIndex) from the file. Runs of samples that sit
+ * close together (the usual interleaving) are fetched with a single read of at most
+ * READ_CHUNK_SIZE; the payloads are views into that read.
+ * @param {File|Blob} file
+ * @param {Array<{offset: number, size: number}>} samples - Sample table entries
+ * @param {number} startIndex
+ * @param {number} endIndex - Exclusive
+ * @returns {Promise<Uint8Array[]>} One payload per sample, in order
+ */
+async function readSampleData(file, samples, startIndex, endIndex) {
+  const payloads = [];
+  let runStart = startIndex;
+  while (runStart < endIndex) {
+    const first = samples[runStart].offset;
+    let last = first + samples[runStart].size;
+    let runEnd = runStart + 1;
+    while (runEnd < endIndex) {
+      const sample = samples[runEnd];
+      if (sample.offset < last || sample.offset - last > MAX_COALESCED_GAP) break;
+      if (sample.offset + sample.size - first > READ_CHUNK_SIZE) break;
+      last = sample.offset + sample.size;
+      runEnd++;
+    }
+    const bytes = await readByteRange(file, first, last);
+    for (let i = runStart; i < runEnd; i++) {
+      const position = samples[i].offset - first;
+      payloads.push(bytes.subarray(position, position + samples[i].size));
+    }
+    runStart = runEnd;
+  }
+  return payloads;
+}
+
+/**
+ * Identify the container from the first bytes of the file (not its name or MIME type)
+ * @param {File|Blob} file
+ * @returns {Promise<'mp4'|'webm'>} 'mp4' for anything that is not EBML, so mp4box.js gets to report errors
+ */
+async function detectContainer(file) {
+  const head = await readByteRange(file, 0, Math.min(file.size, 12));
+  if (head.length >= 4 && head[0] === 0x1a && head[1] === 0x45 && head[2] === 0xdf && head[3] === 0xa3) {
+    return 'webm'; // EBML magic: Matroska or WebM
+  }
+  return 'mp4';
+}
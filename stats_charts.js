@@ -0,0 +1,92 @@
+// stats_charts.js
+// Canvas 2D charts for plate_stats.js: the live histogram of the displayed frame and the
+// mean coverage timeline across the clip.
+
+// Line colour per plate, C M Y K
+const PLATE_COLOURS = ['#00a0e0', '#e0007a', '#d8c000', '#202020'];
+const BACKGROUND = '#fafafa';
+const GRID = '#ddd';
+
+/**
+ * Histogram of each plate as an outline. Bin 0 (no ink) usually dwarfs the rest, so the
+ * vertical scale comes from bins 1 and up and bin 0 is clipped.
+ * @param {HTMLCanvasElement} canvas
+ * @param {import('./plate_stats.js').FrameStats|null} stats
+ */
+export function drawHistogram(canvas, stats) {
+  const context = canvas.getContext('2d');
+  const { width, height } = canvas;
+  context.fillStyle = BACKGROUND;
+  context.fillRect(0, 0, width, height);
+  drawGrid(context, width, height);
+  if (!stats) return;
+
+  let peak = 1;
+  for (const { histogram } of stats.plates) {
+    for (let bin = 1; bin < histogram.length; bin++) peak = Math.max(peak, histogram[bin]);
+  }
+  stats.plates.forEach(({ histogram }, plate) => {
+    context.strokeStyle = PLATE_COLOURS[plate];
+    context.lineWidth = 1.5;
+    context.beginPath();
+    for (let bin = 0; bin < histogram.length; bin++) {
+      const x = bin / (histogram.length - 1) * width;
+      const y = height - Math.min(histogram[bin] / peak, 1) * (height - 2);
+      if (bin === 0) context.moveTo(x, y);
+      else context.lineTo(x, y);
+    }
+    context.stroke();
+  });
+}
+
+/**
+ * Mean coverage per plate over time, with the playhead
+ * @param {HTMLCanvasElement} canvas
+ * @param {import('./plate_stats.js').FrameStats[]} frames - In presentation order
+ * @param {number} duration - Clip length in seconds (the x axis); the last frame's time if unknown
+ * @param {number} [currentTime] - Playhead in seconds
+ */
+export function drawTimeline(canvas, frames, duration, currentTime) {
+  const context = canvas.getContext('2d');
+  const { width, height } = canvas;
+  context.fillStyle = BACKGROUND;
+  context.fillRect(0, 0, width, height);
+  drawGrid(context, width, height);
+  const span = duration > 0 ? duration : (frames.length ? frames[frames.length - 1].timestamp / 1_000_000 : 0);
+  if (!span) return;
+
+  const xAt = (seconds) => seconds / span * width;
+  for (let plate = 0; plate < 4; plate++) {
+    context.strokeStyle = PLATE_COLOURS[plate];
+    context.lineWidth = 1;
+    context.beginPath();
+    frames.forEach((frame, i) => {
+      const x = xAt(frame.timestamp / 1_000_000);
+      const y = height - frame.plates[plate].mean / 100 * height;
+      if (i === 0) context.moveTo(x, y);
+      else context.lineTo(x, y);
+    });
+    context.stroke();
+  }
+  if (Number.isFinite(currentTime)) {
+    context.strokeStyle = '#f00';
+    context.beginPath();
+    context.moveTo(xAt(currentTime), 0);
+    context.lineTo(xAt(currentTime), height);
+    context.stroke();
+  }
+}
+
+// Lines at 25, 50 and 75% in both directions
+function drawGrid(context, width, height) {
+  context.strokeStyle = GRID;
+  context.lineWidth = 1;
+  context.beginPath();
+  for (const fraction of [0.25, 0.5, 0.75]) {
+    context.moveTo(Math.round(fraction * width) + 0.5, 0);
+    context.lineTo(Math.round(fraction * width) + 0.5, height);
+    context.moveTo(0, Math.round(fraction * height) + 0.5);
+    context.lineTo(width, Math.round(fraction * height) + 0.5);
+  }
+  context.stroke();
+}
@@ -0,0 +1,152 @@
+// color_math.test.js
+// The shared separation math against golden values. Run from the repository root with
+//   node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import {
+  srgbToLinear, linearToSrgb, pqToLinear, hlgToScene, hable, toneMap, blackCurve, rgbToCmyk,
+  selectChannel, printedTone, compensatedTone, srgbToLab, spotMatch, COLOR_MATH_GLSL, COLOR_MATH_FUNCTIONS
+} from '../color_math.js';
+import { BLACK_GENERATION_PRESETS } from '../black_generation.js';
+import { gainExponent } from '../dot_gain.js';
+import { HDR_PEAK_NITS, SDR_WHITE_NITS } from '../color_space.js';
+import { glslToJsModule } from '../glsl_subset.js';
+import { colorMathJs } from '../generate_color_math.js';
+
+const HDR_PEAK = HDR_PEAK_NITS / SDR_WHITE_NITS;
+
+function assertClose(actual, expected, tolerance = 1e-6, message = '') {
+  if (Array.isArray(expected)) {
+    assert.equal(actual.length, expected.length, message);
+    expected.forEach((value, i) => assertClose(actual[i], value, tolerance, `${message}[${i}]`));
+    return;
+  }
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+// RGB inputs and their CMYK per black generation preset
+const SEPARATION_INPUTS = [
+  [1, 0, 0],
+  [0.5, 0.5, 0.5],
+  [0.2, 0.4, 0.6],
+  [0.1, 0.1, 0.12],
+  [0, 0, 0],
+  [1, 1, 1],
+  [0.9, 0.6, 0.3]
+];
+const GOLDEN_CMYK = {
+  maximum: [[0, 1, 1, 0], [0, 0, 0, 0.5], [0.666667, 0.333333, 0, 0.4], [0.166667, 0.166667, 0, 0.88], [0, 0, 0, 1], [0, 0, 0, 0], [0, 0.333333, 0.666667, 0.1]],
+  medium: [[0, 1, 1, 0], [0.309816, 0.309816, 0.309816, 0.275556], [0.754098, 0.508197, 0.262295, 0.186667], [0.630542, 0.630542, 0.55665, 0.729333], [1, 1, 1, 0.9], [0, 0, 0, 0], [0.1, 0.4, 0.7, 0]],
+  light: [[0, 1, 1, 0], [0.448529, 0.448529, 0.448529, 0.093333], [0.791667, 0.583333, 0.375, 0.04], [0.774368, 0.774368, 0.729242, 0.5568], [1, 1, 1, 0.8], [0, 0, 0, 0], [0.1, 0.4, 0.7, 0]],
+  ucr: [[0, 1, 1, 0], [0.5, 0.5, 0.5, 0], [0.8, 0.6, 0.4, 0], [0.712981, 0.712981, 0.655577, 0.651591], [1, 1, 1, 0.9], [0, 0, 0, 0], [0.1, 0.4, 0.7, 0]],
+  none: [[0, 1, 1, 0], [0.5, 0.5, 0.5, 0], [0.8, 0.6, 0.4, 0], [0.9, 0.9, 0.88, 0], [1, 1, 1, 0], [0, 0, 0, 0], [0.1, 0.4, 0.7, 0]]
+};
+
+test('rgbToCmyk matches the golden CMYK for each black generation preset', () => {
+  for (const [name, expected] of Object.entries(GOLDEN_CMYK)) {
+    const { curve, blackStart, blackLimit, neutralOnly } = BLACK_GENERATION_PRESETS[name];
+    SEPARATION_INPUTS.forEach((rgb, i) => {
+      assertClose(rgbToCmyk(rgb, curve, blackStart, blackLimit, neutralOnly), expected[i], 1e-6, `${name} ${rgb}`);
+    });
+  }
+});
+
+test('maximum GCR reproduces the original formula (K = gray component)', () => {
+  const { curve, blackStart, blackLimit, neutralOnly } = BLACK_GENERATION_PRESETS.maximum;
+  for (const rgb of [[0.3, 0.7, 0.2], [0.05, 0.9, 0.6], [0.75, 0.75, 0.1]]) {
+    const k = 1 - Math.max(...rgb);
+    const expected = [...rgb.map(value => (1 - value - k) / (1 - k)), k];
+    assertClose(rgbToCmyk(rgb, curve, blackStart, blackLimit, neutralOnly), expected, 1e-9, `${rgb}`);
+  }
+});
+
+test('blackCurve interpolates between the control points', () => {
+  const curve = [0, 0.1, 0.3, 0.6, 1];
+  assertClose(blackCurve(0, curve), 0);
+  assertClose(blackCurve(0.125, curve), 0.05);
+  assertClose(blackCurve(0.5, curve), 0.3);
+  assertClose(blackCurve(0.875, curve), 0.8);
+  assertClose(blackCurve(1, curve), 1);
+});
+
+test('selectChannel picks C, M, Y and K', () => {
+  const cmyk = [0.1, 0.2, 0.3, 0.4];
+  assert.deepEqual([0, 1, 2, 3].map(channel => selectChannel(cmyk, channel)), cmyk);
+});
+
+test('transfer curves match reference values and invert each other', () => {
+  assertClose(srgbToLinear(0.5), 0.214041);
+  assertClose(srgbToLinear(0.04), 0.04 / 12.92);
+  assertClose(linearToSrgb(0.5), 0.735357);
+  for (let value = 0; value <= 1; value += 0.05) assertClose(linearToSrgb(srgbToLinear(value)), value, 1e-9);
+  // PQ: 0.58 is about 203 cd/m2, the nominal SDR white
+  assertClose(pqToLinear(0), 0);
+  assertClose(pqToLinear(0.5), 0.454412);
+  assertClose(pqToLinear(0.58), 0.993430);
+  assertClose(pqToLinear(1), 10000 / SDR_WHITE_NITS, 1e-6);
+  // HLG: square law below 0.5, 1/12 at 0.5, 1 at 1
+  assertClose(hlgToScene(0.25), 0.25 * 0.25 / 3);
+  assertClose(hlgToScene(0.5), 1 / 12);
+  assertClose(hlgToScene(0.75), 0.264963);
+  assertClose(hlgToScene(1), 1, 1e-6);
+});
+
+test('tone mapping keeps hue and brings the peak to 1', () => {
+  assertClose(hable(1), 0.357430);
+  assert.deepEqual(toneMap([2, 0.5, 1], 0, HDR_PEAK), [1, 0.5, 1]);
+  assertClose(toneMap([2, 1, 0.5], 1, HDR_PEAK), [0.963457, 0.481729, 0.240864]);
+  assertClose(toneMap([2, 1, 0.5], 2, HDR_PEAK), [0.951815, 0.475908, 0.237954]);
+  for (const mode of [1, 2]) {
+    assertClose(toneMap([HDR_PEAK, HDR_PEAK, HDR_PEAK], mode, HDR_PEAK), [1, 1, 1], 1e-9, `mode ${mode}`);
+  }
+});
+
+test('dot gain curves hit the TVI at 50% and compensate exactly', () => {
+  for (const tvi of [0, 0.13, 0.2, 0.26]) {
+    const exponent = gainExponent(tvi);
+    assertClose(printedTone(0.5, exponent), 0.5 + tvi, 1e-9, `TVI ${tvi}`);
+    assertClose(printedTone(0, exponent), 0);
+    assertClose(printedTone(1, exponent), 1);
+    for (let tone = 0; tone <= 1; tone += 0.1) {
+      assertClose(printedTone(compensatedTone(tone, exponent), exponent), tone, 1e-9, `TVI ${tvi} tone ${tone}`);
+    }
+  }
+});
+
+test('srgbToLab and spotMatch', () => {
+  assertClose(srgbToLab([1, 1, 1]), [100, 0, 0], 0.05); // The matrix is rounded to 7 places
+  assertClose(srgbToLab([0, 0, 0]), [0, 0, 0], 1e-9);
+  assertClose(srgbToLab([1, 0, 0]), [54.2917, 80.8151, 69.8786], 1e-3);
+  assert.equal(spotMatch([50, 20, -30], [50, 20, -30], 20), 1);
+  assertClose(spotMatch([50, 20, -30], [50, 20, -20], 20), 0.5);
+  assert.equal(spotMatch([50, 20, -30], [90, 20, -30], 20), 0);
+});
+
+test('the GLSL declares every shared function with float literals only', () => {
+  for (const name of COLOR_MATH_FUNCTIONS) {
+    assert.match(COLOR_MATH_GLSL, new RegExp(`^(float|vec[234]) ${name}\\(`, 'm'), name);
+  }
+  // A bare integer in float arithmetic does not compile in GLSL ES 1.00 (array indices and
+  // int comparisons aside)
+  const arithmetic = COLOR_MATH_GLSL.replace(/\/\/.*$/gm, '').replace(/\[[^\]]*\]|(?:==|<|>=) \d+\b|int i = 0|i\+\+/g, '');
+  assert.doesNotMatch(arithmetic, /(?<![\w.])\d+(?![\w.])/);
+});
+
+test('color_math_generated.js is up to date with the definitions (npm run generate)', async () => {
+  const generated = await readFile(new URL('../color_math_generated.js', import.meta.url), 'utf8');
+  assert.equal(generated, colorMathJs());
+});
+
+test('the GLSL to JS translation rejects what it cannot carry over', () => {
+  const translate = (body, params = [['float', 'x']]) => glslToJsModule([{ name: 'f', doc: 'f', returns: 'float', params, body }], '');
+  assert.match(translate('const float a = 2.0; return x == a ? -x : mix(x, a, 0.5);'), /return x === a \? -x : mix\(x, a, 0\.5\);/);
+  assert.throws(() => translate('return texture2D(x);'), /'texture2D' is neither a built-in nor defined before/);
+  assert.throws(() => translate('return y;'), /'y' is not declared/);
+  assert.throws(() => translate('const float a = 1.0; a = x; return a;'), /'a' cannot be assigned to/);
+  assert.throws(() => translate('return vec3(x, x);'), /vec3 needs 3 components/);
+  assert.throws(() => translate('v[0] = 1.0; return v[0];', [['vec3', 'v']]), /expected an assignment/);
+  assert.throws(() => translate('return v.r;', [['vec3', 'v']]), /unexpected '\.r/);
+});
@@ -0,0 +1,222 @@
+// color_math_glsl.test.js
+// The GLSL in color_math.js against its JS: the app's fragment shader and small probe shaders
+// are drawn into a one-row framebuffer and read back. That needs a WebGL context in Node, so the
+// GPU tests are opt-in: npm test skips them, and from the repository root
+//   npm run test:gpu
+// runs them under xvfb-run with GPU_TESTS set, where they fail if no context can be made.
+// Prerequisites: xvfb, and the headless-gl devDependency built by npm install, which needs a C++
+// toolchain, Python 3, pkg-config and the X11/Xi/GL headers (on Debian or Ubuntu:
+//   apt-get install build-essential python3 pkg-config libxi-dev libglu1-mesa-dev libglew-dev xvfb
+// before npm install).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { vertexShaderSource, fragmentShaderSource, EXPORT_CM16_CHANNEL, EXPORT_YK16_CHANNEL, SEPARATION_NAIVE } from '../shaders.js';
+import {
+  COLOR_MATH_GLSL, COLOR_MATH_FUNCTIONS, srgbToLinear, linearToSrgb, pqToLinear, hlgToScene, hlgToLinear, hable, toneMap,
+  blackCurve, rgbToCmyk, selectChannel, printedTone, compensatedTone, labCurve, srgbToLab, spotMatch
+} from '../color_math.js';
+import { BLACK_GENERATION_PRESETS } from '../black_generation.js';
+import { orientationMatrix, UPRIGHT } from '../frame_geometry.js';
+import { gainExponent } from '../dot_gain.js';
+
+let createContext = null;
+let loadError = null;
+try {
+  ({ default: createContext } = await import('gl'));
+} catch (e) {
+  loadError = e; // Not installed or not built
+}
+const skip = process.env.GPU_TESTS ? false : 'GPU test: run with npm run test:gpu';
+
+const WIDTH = 256; // Samples per draw, one per pixel of a one-row framebuffer
+const TOLERANCE = 0.002; // float32 on the GPU against float64 in JS, through 16-bit readback
+
+// Deterministic pseudo-random values, so failures reproduce
+function randomValues(count, seed) {
+  let state = seed;
+  return Array.from({ length: count }, () => (state = (state * 16807) % 2147483647) / 2147483647);
+}
+
+// Compile and link, failing the test with the info log
+function createProgram(gl, fragmentSource) {
+  const program = gl.createProgram();
+  for (const [type, source] of [[gl.VERTEX_SHADER, vertexShaderSource], [gl.FRAGMENT_SHADER, fragmentSource]]) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    assert.ok(gl.getShaderParameter(shader, gl.COMPILE_STATUS), gl.getShaderInfoLog(shader));
+    gl.attachShader(program, shader);
+  }
+  gl.linkProgram(program);
+  assert.ok(gl.getProgramParameter(program, gl.LINK_STATUS), gl.getProgramInfoLog(program));
+  gl.useProgram(program);
+  for (const [name, values] of [['a_position', [-1, -1, 1, -1, -1, 1, 1, 1]], ['a_texCoord', [0, 0, 1, 0, 0, 1, 1, 1]]]) {
+    const location = gl.getAttribLocation(program, name);
+    gl.bindBuffer(gl.ARRAY_BUFFER, gl.createBuffer());
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(values), gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(location);
+    gl.vertexAttribPointer(location, 2, gl.FLOAT, false, 0, 0);
+  }
+  gl.uniform1f(gl.getUniformLocation(program, 'u_flipY'), 1);
+  return program;
+}
+
+// Draw and read back the row as pairs of 16-bit values packed like pack16() (RG, BA)
+function drawPairs(gl) {
+  gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  const pixels = new Uint8Array(WIDTH * 4);
+  gl.readPixels(0, 0, WIDTH, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+  const values = [];
+  for (let i = 0; i < pixels.length; i += 4) {
+    values.push([(pixels[i] * 256 + pixels[i + 1]) / 65535, (pixels[i + 2] * 256 + pixels[i + 3]) / 65535]);
+  }
+  return values;
+}
+
+function withContext(run) {
+  assert.ok(createContext, `headless-gl did not load: ${loadError && loadError.message}`);
+  const gl = createContext(WIDTH, 1, { preserveDrawingBuffer: true });
+  assert.ok(gl, 'Could not create a WebGL context (no display? npm run test:gpu runs under xvfb-run)');
+  try {
+    run(gl);
+  } finally {
+    gl.getExtension('STACKGL_destroy_context')?.destroy();
+  }
+}
+
+test('the fragment shader separates like rgbToCmyk for each black generation preset', { skip }, () => {
+  withContext((gl) => {
+    const program = createProgram(gl, fragmentShaderSource);
+    const uniform = name => gl.getUniformLocation(program, name);
+
+    // Source texture: one 8-bit RGB sample per output pixel, read NEAREST
+    const [r, g, b] = [1, 2, 3].map(seed => randomValues(WIDTH, seed).map(value => Math.round(value * 255)));
+    const texels = new Uint8Array(WIDTH * 4);
+    for (let x = 0; x < WIDTH; x++) texels.set([r[x], g[x], b[x], 255], x * 4);
+    gl.bindTexture(gl.TEXTURE_2D, gl.createTexture());
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, WIDTH, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, texels);
+
+    gl.uniformMatrix3fv(uniform('u_orientation'), false, orientationMatrix(UPRIGHT));
+    gl.uniform1i(uniform('u_inputYuv'), 0);
+    gl.uniform1i(uniform('u_convertColour'), 0);
+    gl.uniform1i(uniform('u_separation'), SEPARATION_NAIVE);
+    gl.uniform1i(uniform('u_compensateGain'), 0);
+    gl.uniform4f(uniform('u_gainExponents'), 1, 1, 1, 1);
+
+    for (const [name, preset] of Object.entries(BLACK_GENERATION_PRESETS)) {
+      gl.uniform1fv(uniform('u_blackCurve'), preset.curve);
+      gl.uniform1f(uniform('u_blackStart'), preset.blackStart);
+      gl.uniform1f(uniform('u_blackLimit'), preset.blackLimit);
+      gl.uniform1f(uniform('u_neutralOnly'), preset.neutralOnly ? 1 : 0);
+      gl.uniform1i(uniform('u_channel'), EXPORT_CM16_CHANNEL);
+      const cm = drawPairs(gl);
+      gl.uniform1i(uniform('u_channel'), EXPORT_YK16_CHANNEL);
+      const yk = drawPairs(gl);
+      for (let x = 0; x < WIDTH; x++) {
+        const rgb = [r[x] / 255, g[x] / 255, b[x] / 255];
+        const expected = rgbToCmyk(rgb, preset.curve, preset.blackStart, preset.blackLimit, preset.neutralOnly);
+        const actual = [...cm[x], ...yk[x]];
+        for (let plate = 0; plate < 4; plate++) {
+          assert.ok(Math.abs(actual[plate] - expected[plate]) <= TOLERANCE,
+            `${name}, rgb ${rgb.map(value => value.toFixed(3))}: plate ${plate} is ${actual[plate]}, JS gives ${expected[plate]}`);
+        }
+      }
+    }
+  });
+});
+
+const EXPONENT = gainExponent(0.2); // u_exponent
+const CURVE = BLACK_GENERATION_PRESETS.medium.curve; // u_curve
+
+// Each probe maps x (0..1 across the row) to two values in 0..1, in GLSL and in JS. Every
+// function in COLOR_MATH_GLSL is called directly by at least one.
+const PROBES = [
+  { glsl: 'vec2(srgbToLinear(x), linearToSrgb(x))', js: x => [srgbToLinear(x), linearToSrgb(x)] },
+  { glsl: `vec2(pqToLinear(x) / pqToLinear(1.0), hlgToScene(x))`, js: x => [pqToLinear(x) / pqToLinear(1), hlgToScene(x)] },
+  {
+    glsl: 'vec2(hlgToLinear(vec3(x, 0.5, 1.0 - x), 1.0)[0], hlgToLinear(vec3(x, 0.5, 1.0 - x), 1.0)[1])',
+    js: x => hlgToLinear([x, 0.5, 1 - x], 1).slice(0, 2)
+  },
+  {
+    glsl: 'vec2(hlgToLinear(vec3(x, 0.5, 1.0 - x), 1.0)[2], hlgToLinear(vec3(x, x, x), 0.8)[0])',
+    js: x => [hlgToLinear([x, 0.5, 1 - x], 1)[2], hlgToLinear([x, x, x], 0.8)[0]]
+  },
+  { glsl: 'vec2(hable(x * 4.0) / hable(4.0), printedTone(x, u_exponent))', js: x => [hable(x * 4) / hable(4), printedTone(x, EXPONENT)] },
+  // Tone mapping in each mode, halved to keep the channels above the luminance in range
+  {
+    glsl: 'vec2(toneMap(vec3(x * 4.0, x * 3.0, x), 0, 4.0)[0], toneMap(vec3(x * 4.0, x * 3.0, x), 0, 4.0)[2])',
+    js: x => { const rgb = toneMap([x * 4, x * 3, x], 0, 4); return [rgb[0], rgb[2]]; }
+  },
+  {
+    glsl: 'vec2(toneMap(vec3(x * 4.0, x * 3.0, x), 1, 4.0)[0] / 2.0, toneMap(vec3(x * 4.0, x * 3.0, x), 1, 4.0)[2] / 2.0)',
+    js: x => { const rgb = toneMap([x * 4, x * 3, x], 1, 4); return [rgb[0] / 2, rgb[2] / 2]; }
+  },
+  {
+    glsl: 'vec2(toneMap(vec3(x * 4.0, x * 3.0, x), 2, 4.0)[0] / 2.0, toneMap(vec3(x * 4.0, x * 3.0, x), 2, 4.0)[1] / 2.0)',
+    js: x => { const rgb = toneMap([x * 4, x * 3, x], 2, 4); return [rgb[0] / 2, rgb[1] / 2]; }
+  },
+  { glsl: 'vec2(blackCurve(x, u_curve), labCurve(x))', js: x => [blackCurve(x, CURVE), labCurve(x)] },
+  {
+    glsl: 'vec2(rgbToCmyk(vec3(x, 0.5, 1.0 - x), u_curve, 0.2, 0.9, true)[0], rgbToCmyk(vec3(x, 0.5, 1.0 - x), u_curve, 0.2, 0.9, true)[3])',
+    js: x => { const cmyk = rgbToCmyk([x, 0.5, 1 - x], CURVE, 0.2, 0.9, true); return [cmyk[0], cmyk[3]]; }
+  },
+  {
+    glsl: 'vec2(selectChannel(vec4(x, 0.25, 0.5, 1.0 - x), 0), selectChannel(vec4(x, 0.25, 0.5, 1.0 - x), 1))',
+    js: x => [selectChannel([x, 0.25, 0.5, 1 - x], 0), selectChannel([x, 0.25, 0.5, 1 - x], 1)]
+  },
+  {
+    glsl: 'vec2(selectChannel(vec4(x, 0.25, 0.5, 1.0 - x), 2), selectChannel(vec4(x, 0.25, 0.5, 1.0 - x), 3))',
+    js: x => [selectChannel([x, 0.25, 0.5, 1 - x], 2), selectChannel([x, 0.25, 0.5, 1 - x], 3)]
+  },
+  { glsl: 'vec2(compensatedTone(x, u_exponent), srgbToLab(vec3(x, 0.5, 1.0 - x))[0] / 100.0)', js: x => [compensatedTone(x, EXPONENT), srgbToLab([x, 0.5, 1 - x])[0] / 100] },
+  {
+    glsl: 'vec2(spotMatch(srgbToLab(vec3(x, 0.2, 0.7)), vec3(40.0, 30.0, -50.0), 40.0), 0.0)',
+    js: x => [spotMatch(srgbToLab([x, 0.2, 0.7]), [40, 30, -50], 40), 0]
+  }
+];
+
+test('every function in COLOR_MATH_GLSL has a probe of its own', () => {
+  for (const name of COLOR_MATH_FUNCTIONS) {
+    assert.ok(PROBES.some(probe => new RegExp(`\\b${name}\\(`).test(probe.glsl)), `no probe calls ${name}`);
+  }
+});
+
+test('the GLSL curves match their JS', { skip }, () => {
+  withContext((gl) => {
+    for (const probe of PROBES) {
+      const program = createProgram(gl, `
+        precision highp float;
+        varying vec2 v_texCoord;
+        uniform float u_exponent;
+        uniform float u_curve[5];
+        ${COLOR_MATH_GLSL}
+        vec2 pack16(float v) {
+            float value = floor(clamp(v, 0.0, 1.0) * 65535.0 + 0.5);
+            float high = floor(value / 256.0);
+            return vec2(high, value - high * 256.0) / 255.0;
+        }
+        void main() {
+            float x = floor(gl_FragCoord.x) / ${WIDTH - 1}.0;
+            vec2 result = ${probe.glsl};
+            gl_FragColor = vec4(pack16(result.x), pack16(result.y));
+        }`);
+      gl.uniform1f(gl.getUniformLocation(program, 'u_exponent'), EXPONENT);
+      gl.uniform1fv(gl.getUniformLocation(program, 'u_curve'), CURVE);
+      const values = drawPairs(gl);
+      for (let i = 0; i < WIDTH; i++) {
+        const x = i / (WIDTH - 1);
+        const expected = probe.js(x);
+        for (let c = 0; c < 2; c++) {
+          assert.ok(Math.abs(values[i][c] - expected[c]) <= TOLERANCE,
+            `${probe.glsl} at x = ${x.toFixed(4)}: GLSL gives ${values[i][c]}, JS ${expected[c]}`);
+        }
+      }
+    }
+  });
+});
@@ -0,0 +1,613 @@
+// webgl_renderer.js
+// The shaders in shaders.js on a WebGL1 or WebGL2 context (see renderer.js for the interface).
+// WebGL2 runs the same GLSL ES 1.0 program; with EXT_color_buffer_float it also renders the
+// passes that are read back (statistics, 8-bit plates) into RGBA16F targets, so they are
+// not rounded to 8 bits on the GPU. 16-bit plates always use the exact pack16 passes.
+
+import { vertexShaderSource, fragmentShaderSource, TAC_STATS_CHANNEL, INSPECT_RGB_CHANNEL, EXPORT_CMYK_CHANNEL, EXPORT_SPOT_CHANNEL, EXPORT_CM16_CHANNEL, EXPORT_YK16_CHANNEL, SEPARATION_NAIVE } from './shaders.js';
+import { outputSize, orientationMatrix } from './frame_geometry.js';
+import { resolveColorSpace, transferCode, needsColorConversion, yuvToRgb, primariesToWorking, HDR_PEAK_NITS, SDR_WHITE_NITS } from './color_space.js';
+import { planeLayout } from './frame_planes.js';
+import { gainExponent, inkDensityScale } from './dot_gain.js';
+
+// Source frame uniforms, see bindFrameSource()
+const INPUT_UNIFORMS = ['inputYuv', 'planeY', 'planeU', 'planeV', 'chromaInterleaved', 'sampleBits', 'yuvMatrix',
+  'yuvOffset', 'convertColour', 'transfer', 'primaries', 'toneMap', 'hdrPeak'];
+
+// Everything else the program reads
+const UNIFORMS = ['texture', 'channel', 'separation', 'iccLut', 'lutSize', 'blackCurve', 'blackStart', 'blackLimit',
+  'neutralOnly', 'tacLimit', 'halftone', 'screenAngles', 'cellSize', 'dotShape', 'inkTint', 'paperWhite', 'inkColours', 'inkDensity',
+  'gainExponents', 'compensateGain', 'showPrinted',
+  'spotCount', 'spotLab', 'spotTolerance', 'spotColours', 'spotAngles', 'orientation', 'flipY', ...INPUT_UNIFORMS];
+
+export class WebGLRenderer {
+  /**
+   * @param {HTMLCanvasElement} canvas - A canvas without a context yet
+   * @param {1|2} version - WebGL version
+   * @throws {Error} If the context cannot be created or the program does not build
+   */
+  constructor(canvas, version) {
+    // The drawing buffer is kept so the inspector loupe can copy the plates from the canvas
+    const gl = canvas.getContext(version === 2 ? 'webgl2' : 'webgl', { preserveDrawingBuffer: true });
+    if (!gl) throw new Error(`${version === 2 ? 'WebGL2' : 'WebGL'} is not available`);
+    this.gl = gl;
+    this.canvas = canvas;
+    this.kind = version === 2 ? 'webgl2' : 'webgl';
+    // Half-float render targets for read-back passes (WebGL2 only)
+    this.floatTargets = version === 2 && Boolean(gl.getExtension('EXT_color_buffer_float'));
+    this.description = version === 2
+      ? `WebGL2${this.floatTargets ? ' (RGBA16F plate targets)' : ' (8-bit plate targets)'}`
+      : 'WebGL1';
+
+    this.program = createProgram(gl, vertexShaderSource, fragmentShaderSource);
+    gl.useProgram(this.program);
+    this.locations = {};
+    for (const name of UNIFORMS) {
+      this.locations[name] = gl.getUniformLocation(this.program, `u_${name}`);
+    }
+
+    // Full-screen quad: clip-space positions and texture coordinates (bottom left, bottom right, top left, top right)
+    bindAttribute(gl, gl.getAttribLocation(this.program, 'a_position'), [-1, -1, 1, -1, -1, 1, 1, 1]);
+    bindAttribute(gl, gl.getAttribLocation(this.program, 'a_texCoord'), [0, 0, 1, 0, 0, 1, 1, 1]);
+
+    const uniforms = this.locations;
+    gl.viewport(0, 0, canvas.width, canvas.height);
+    gl.clearColor(0.1, 0.1, 0.1, 1); // Dark background
+    gl.uniform1i(uniforms.texture, 0); // Browser-converted RGB on texture unit 0
+    gl.uniform1f(uniforms.flipY, 1); // The canvas is drawn y up; offscreen passes flip it, see renderOffscreen()
+    gl.uniform1i(uniforms.iccLut, 1); // ICC lookup table lives on texture unit 1
+    gl.uniform1i(uniforms.planeY, 2); // Y'CbCr planes on units 2-4, see bindFrameSource()
+    gl.uniform1i(uniforms.planeU, 3);
+    gl.uniform1i(uniforms.planeV, 4);
+    gl.uniform1f(uniforms.hdrPeak, HDR_PEAK_NITS / SDR_WHITE_NITS);
+
+    this.playbackSource = this.createFrameSource(); // The playback frame, kept for redraws
+    this.exportSource = null; // Frames passed to readPlates()/renderDisplayed(), leaving playbackSource alone
+    this.exportTarget = null; // Offscreen framebuffer for the export passes
+    this.exportFloatTarget = null; // Half-float variant for 8-bit plates
+    this.statsTarget = null; // Offscreen framebuffer for the statistics passes (TAC, plates)
+    this.inspectTarget = null; // Canvas-sized framebuffer the inspector reads single pixels from
+    this.iccLutTexture = null;
+    this.lutSize = 0; // Grid points of the uploaded ICC table, 0 = none
+  }
+
+  /**
+   * Upload a baked table to texture unit 1, where u_iccLut samples it
+   * @param {Object|null} lut - From bakeSeparationLut(), null to fall back to the naive separation
+   */
+  setIccLut(lut) {
+    const gl = this.gl;
+    this.lutSize = lut ? lut.size : 0;
+    if (!lut) return;
+    if (!this.iccLutTexture) this.iccLutTexture = gl.createTexture();
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D, this.iccLutTexture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, lut.width, lut.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, lut.data);
+    gl.activeTexture(gl.TEXTURE0);
+  }
+
+  /**
+   * Copy the playback frame to the GPU; it stays there for redraws after the frame is closed
+   * @param {VideoFrame} frame
+   * @param {Object|null} trackColorSpace
+   * @returns {Promise<{colorSpace: Object, yuv: boolean}>}
+   */
+  async uploadFrame(frame, trackColorSpace) {
+    await this.uploadFrameSource(this.playbackSource, frame, trackColorSpace);
+    return { colorSpace: this.playbackSource.colorSpace, yuv: this.playbackSource.yuv };
+  }
+
+  // Match the canvas to the oriented frame size (a no-op when it already matches)
+  resize(width, height) {
+    if (this.canvas.width === width && this.canvas.height === height) return;
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.gl.viewport(0, 0, width, height);
+  }
+
+  clear() {
+    this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+  }
+
+  /**
+   * Draw the playback frame onto the canvas
+   * @param {RenderSettings} settings
+   */
+  draw(settings) {
+    const gl = this.gl;
+    this.bindFrameSource(this.playbackSource, settings);
+    gl.uniformMatrix3fv(this.locations.orientation, false, orientationMatrix(settings.orientation));
+    this.setSeparationUniforms(settings);
+    gl.uniform1i(this.locations.channel, settings.channel);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  }
+
+  /**
+   * Render the TAC statistics pass of the playback frame offscreen and summarise it
+   * @param {RenderSettings} settings
+   * @param {number} maxSize - Long side of the measured copy in pixels
+   * @returns {{maxTac: number, overPercent: number}} - Max TAC in percent (0-400) and share of pixels over the limit
+   */
+  measureTac(settings, maxSize) {
+    return computeTacStats(this.renderStatsPass(settings, maxSize, TAC_STATS_CHANNEL).pixels);
+  }
+
+  /**
+   * Plates of the playback frame on a downscaled copy, for statistics
+   * @param {RenderSettings} settings
+   * @param {number} maxSize - Long side of the measured copy in pixels
+   * @returns {{width: number, height: number, cmyk: Uint8Array|Float32Array}} - Interleaved C, M, Y, K
+   *   (0-255, or 0-1 from half-float targets); overwritten by the next statistics pass
+   */
+  measurePlates(settings, maxSize) {
+    const { width, height, pixels } = this.renderStatsPass(settings, maxSize, EXPORT_CMYK_CHANNEL);
+    return { width, height, cmyk: pixels };
+  }
+
+  /**
+   * Working RGB and plates of the playback frame at single canvas pixels. Only those pixels are
+   * shaded (scissor test), into a canvas-sized offscreen target.
+   * @param {RenderSettings} settings
+   * @param {Array<{x: number, y: number}>} points - Canvas pixels, top row first
+   * @returns {Array<{rgb: number[], cmyk: number[], spots: number[]}>} - 0-1 values per point
+   */
+  inspect(settings, points) {
+    const gl = this.gl;
+    const { width, height } = this.canvas;
+    const target = this.inspectTarget = this.ensureTarget(this.inspectTarget, width, height, this.floatTargets);
+    const pixel = target.float ? new Float32Array(4) : new Uint8Array(4);
+    const full = target.float ? 1 : 255;
+    const read = (x, y, channel) => {
+      gl.uniform1i(this.locations.channel, channel);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      gl.readPixels(x, y, 1, 1, gl.RGBA, target.float ? gl.FLOAT : gl.UNSIGNED_BYTE, pixel);
+      return Array.from(pixel, value => value / full);
+    };
+
+    this.bindFrameSource(this.playbackSource, settings);
+    gl.uniformMatrix3fv(this.locations.orientation, false, orientationMatrix(settings.orientation));
+    this.setSeparationUniforms(settings);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+    gl.viewport(0, 0, width, height);
+    gl.uniform1f(this.locations.flipY, -1); // Rows top first, like the other offscreen passes
+    gl.enable(gl.SCISSOR_TEST);
+    try {
+      return points.map(({ x, y }) => {
+        gl.scissor(x, y, 1, 1);
+        return {
+          rgb: read(x, y, INSPECT_RGB_CHANNEL).slice(0, 3),
+          cmyk: read(x, y, EXPORT_CMYK_CHANNEL),
+          spots: settings.spotInks.length ? read(x, y, EXPORT_SPOT_CHANNEL).slice(0, settings.spotInks.length) : []
+        };
+      });
+    } finally {
+      gl.disable(gl.SCISSOR_TEST);
+      gl.uniform1f(this.locations.flipY, 1);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      gl.viewport(0, 0, width, height);
+      gl.uniform1i(this.locations.channel, settings.channel);
+    }
+  }
+
+  /**
+   * Separate a frame and read the plates back
+   * @param {VideoFrame} frame
+   * @param {SourceTrack} track
+   * @param {RenderSettings} settings
+   * @param {number} bitDepth - 8 or 16
+   * @param {{width: number, height: number}} [size] - Output size; defaults to the oriented display size
+   * @returns {Promise<{width: number, height: number, cmyk: Uint8Array|Uint16Array}>} - Interleaved C, M, Y, K, top row first
+   */
+  readPlates(frame, track, settings, bitDepth, size) {
+    const gl = this.gl;
+    const float = bitDepth === 8 && this.floatTargets;
+    return this.renderOffscreen(frame, track, settings, float, (target) => {
+      const { width, height } = target;
+      const pixelCount = width * height;
+      if (bitDepth === 16) {
+        const cmyk = new Uint16Array(pixelCount * 4);
+        // Two passes, each carrying two plates as high/low byte pairs
+        for (const [channel, firstPlate] of [[EXPORT_CM16_CHANNEL, 0], [EXPORT_YK16_CHANNEL, 2]]) {
+          gl.uniform1i(this.locations.channel, channel);
+          gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+          const pixels = this.readTarget(target);
+          for (let i = 0; i < pixelCount; i++) {
+            cmyk[i * 4 + firstPlate] = (pixels[i * 4] << 8) | pixels[i * 4 + 1];
+            cmyk[i * 4 + firstPlate + 1] = (pixels[i * 4 + 2] << 8) | pixels[i * 4 + 3];
+          }
+        }
+        return { width, height, cmyk };
+      }
+      gl.uniform1i(this.locations.channel, EXPORT_CMYK_CHANNEL);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      const pixels = this.readTarget(target);
+      const cmyk = float ? Uint8Array.from(pixels, v => Math.round(Math.min(Math.max(v, 0), 1) * 255)) : pixels.slice();
+      return { width, height, cmyk };
+    }, size);
+  }
+
+  /**
+   * Render a frame exactly as draw() would show it (selected channel, grid, TAC, halftone)
+   * @param {VideoFrame} frame
+   * @param {SourceTrack} track
+   * @param {RenderSettings} settings
+   * @param {{width: number, height: number}} size - Output size
+   * @returns {Promise<Uint8Array>} - RGBA, top row first; overwritten by the next offscreen pass
+   */
+  renderDisplayed(frame, track, settings, size) {
+    const gl = this.gl;
+    return this.renderOffscreen(frame, track, settings, false, (target) => {
+      gl.uniform1i(this.locations.channel, settings.channel);
+      gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+      return this.readTarget(target);
+    }, size);
+  }
+
+  // Draw the playback frame into the statistics target (at most maxSize long) and read it back
+  renderStatsPass(settings, maxSize, channel) {
+    const gl = this.gl;
+    const scale = Math.min(1, maxSize / Math.max(this.canvas.width, this.canvas.height));
+    const width = Math.max(1, Math.round(this.canvas.width * scale));
+    const height = Math.max(1, Math.round(this.canvas.height * scale));
+    this.statsTarget = this.ensureTarget(this.statsTarget, width, height, this.floatTargets);
+
+    this.bindFrameSource(this.playbackSource, settings);
+    gl.uniformMatrix3fv(this.locations.orientation, false, orientationMatrix(settings.orientation));
+    this.setSeparationUniforms(settings);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.statsTarget.framebuffer);
+    gl.viewport(0, 0, width, height);
+    gl.uniform1i(this.locations.channel, channel);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    const pixels = this.readTarget(this.statsTarget);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    gl.uniform1i(this.locations.channel, settings.channel);
+    return { width, height, pixels };
+  }
+
+  destroy() {
+    const lose = this.gl.getExtension('WEBGL_lose_context');
+    if (lose) lose.loseContext();
+  }
+
+  /**
+   * Upload a frame to exportSource and run passes against an offscreen framebuffer.
+   * Framebuffer rows come back bottom-up, so the passes are drawn upside down (u_flipY) and
+   * read-back pixels are top row first.
+   * @param {VideoFrame} frame
+   * @param {SourceTrack} track
+   * @param {RenderSettings} settings
+   * @param {boolean} float - Use the half-float target
+   * @param {function(Object): *} renderPasses - Called with the bound render target
+   * @param {{width: number, height: number}} [size] - Output size; defaults to the oriented display size
+   * @returns {Promise<*>} - Whatever renderPasses returns
+   */
+  async renderOffscreen(frame, track, settings, float, renderPasses, size = outputSize(frame.displayWidth, frame.displayHeight, track.orientation)) {
+    const gl = this.gl;
+    if (!this.exportSource) this.exportSource = this.createFrameSource();
+    await this.uploadFrameSource(this.exportSource, frame, track.colorSpace);
+
+    // Nothing else touches the GL state from here on, so playback cannot interleave
+    const { width, height } = size;
+    let target;
+    if (float) {
+      target = this.exportFloatTarget = this.ensureTarget(this.exportFloatTarget, width, height, true);
+    } else {
+      target = this.exportTarget = this.ensureTarget(this.exportTarget, width, height, false);
+    }
+    this.bindFrameSource(this.exportSource, settings);
+    this.setSeparationUniforms(settings);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+    gl.viewport(0, 0, width, height);
+    gl.uniform1f(this.locations.flipY, -1);
+    gl.uniformMatrix3fv(this.locations.orientation, false, orientationMatrix(track.orientation));
+    try {
+      return renderPasses(target);
+    } finally {
+      // Back to the on-screen canvas (draw() binds the playback frame and orientation again)
+      gl.uniform1f(this.locations.flipY, 1);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    }
+  }
+
+  /**
+   * Textures for one decoded frame: RGB converted by the browser, or the Y'CbCr planes
+   * with what the shader needs to convert them itself (see color_space.js)
+   */
+  createFrameSource() {
+    const gl = this.gl;
+    const planes = [0, 1, 2].map(() => {
+      const texture = createTexture(gl);
+      // 10/12-bit samples are split over two bytes, which must not be filtered separately
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+      return texture;
+    });
+    return {
+      texture: createTexture(gl),
+      planes,
+      buffer: null, // Reused copyTo() destination
+      yuv: false,
+      bits: 8,
+      interleaved: false,
+      colorSpace: null, // SourceColorSpace of the last upload
+      convert: null // yuvToRgb() result and the colour conversion uniforms
+    };
+  }
+
+  /**
+   * Copy a frame into a frame source. Planar Y'CbCr frames are copied out with copyTo() so the
+   * matrix, range, transfer and primaries are applied in the shader; anything else (RGB frames, or
+   * frames whose pixels cannot be read back) is uploaded as RGB, converted by the browser.
+   * @param {Object} source - From createFrameSource()
+   * @param {VideoFrame} frame
+   * @param {Object|null} trackColorSpace - Container colour description from 'trackInfo'
+   */
+  async uploadFrameSource(source, frame, trackColorSpace) {
+    const gl = this.gl;
+    const rect = frame.visibleRect;
+    const layout = rect ? planeLayout(frame.format, rect.width, rect.height) : null;
+    source.colorSpace = resolveColorSpace(frame.colorSpace, trackColorSpace, frame.displayHeight);
+    source.yuv = false;
+    if (layout) {
+      try {
+        if (!source.buffer || source.buffer.byteLength < layout.byteLength) {
+          source.buffer = new Uint8Array(layout.byteLength);
+        }
+        await frame.copyTo(source.buffer, {
+          rect: { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+          layout: layout.planes.map(({ offset, stride }) => ({ offset, stride }))
+        });
+        this.uploadPlanes(source, layout);
+        source.yuv = true;
+      } catch (e) {
+        console.warn(`Renderer: Could not read ${frame.format} planes, letting the browser convert the frame: ${e.message}`);
+      }
+    }
+    if (!source.yuv) {
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, source.texture);
+      uploadVideoFrame(gl, frame);
+    }
+
+    const colorSpace = source.colorSpace;
+    source.bits = layout ? layout.bits : 8;
+    source.interleaved = layout ? layout.interleaved : false;
+    source.convert = {
+      ...yuvToRgb(colorSpace, source.bits),
+      colour: needsColorConversion(colorSpace) ? 1 : 0,
+      transfer: transferCode(colorSpace.transfer),
+      primaries: primariesToWorking(colorSpace.primaries)
+    };
+  }
+
+  // Upload the planes copied into source.buffer (Y, then Cb and Cr or interleaved CbCr)
+  uploadPlanes(source, layout) {
+    const gl = this.gl;
+    gl.activeTexture(gl.TEXTURE0);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1); // Rows are tightly packed
+    const planeCount = layout.interleaved ? 2 : 3;
+    for (let i = 0; i < planeCount; i++) {
+      const plane = layout.planes[i];
+      const format = plane.bytesPerTexel === 2 ? gl.LUMINANCE_ALPHA : gl.LUMINANCE;
+      gl.bindTexture(gl.TEXTURE_2D, source.planes[i]);
+      gl.texImage2D(gl.TEXTURE_2D, 0, format, plane.width, plane.height, 0, format, gl.UNSIGNED_BYTE,
+        source.buffer.subarray(plane.offset, plane.offset + plane.stride * plane.height));
+    }
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+  }
+
+  // Bind a frame source's textures (units 0 and 2-4) and set its conversion uniforms
+  bindFrameSource(source, settings) {
+    const gl = this.gl;
+    const uniforms = this.locations;
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, source.texture);
+    source.planes.forEach((texture, i) => {
+      gl.activeTexture(gl.TEXTURE2 + i);
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+    });
+    gl.activeTexture(gl.TEXTURE0);
+
+    gl.uniform1i(uniforms.inputYuv, source.yuv ? 1 : 0);
+    gl.uniform1i(uniforms.toneMap, settings.toneMap);
+    if (!source.yuv) return;
+    const convert = source.convert;
+    gl.uniform1i(uniforms.chromaInterleaved, source.interleaved ? 1 : 0);
+    gl.uniform1f(uniforms.sampleBits, source.bits);
+    gl.uniformMatrix3fv(uniforms.yuvMatrix, false, convert.matrix);
+    gl.uniform3fv(uniforms.yuvOffset, convert.offset);
+    gl.uniform1i(uniforms.convertColour, convert.colour);
+    gl.uniform1i(uniforms.transfer, convert.transfer);
+    gl.uniformMatrix3fv(uniforms.primaries, false, convert.primaries);
+  }
+
+  // Everything the shader needs apart from u_channel and the frame
+  setSeparationUniforms(settings) {
+    const gl = this.gl;
+    const uniforms = this.locations;
+    // Fall back to the naive formula until a profile has been uploaded
+    gl.uniform1i(uniforms.separation, this.lutSize ? settings.separation : SEPARATION_NAIVE);
+    gl.uniform1f(uniforms.lutSize, this.lutSize || 1);
+
+    const blackGeneration = settings.blackGeneration;
+    gl.uniform1fv(uniforms.blackCurve, blackGeneration.curve);
+    gl.uniform1f(uniforms.blackStart, blackGeneration.blackStart);
+    gl.uniform1f(uniforms.blackLimit, blackGeneration.blackLimit);
+    gl.uniform1f(uniforms.neutralOnly, blackGeneration.neutralOnly ? 1 : 0);
+    gl.uniform1f(uniforms.tacLimit, settings.tacLimit);
+
+    gl.uniform1i(uniforms.halftone, settings.halftone);
+    gl.uniform1i(uniforms.dotShape, settings.dotShape);
+    gl.uniform1f(uniforms.cellSize, settings.cellSize);
+    gl.uniform4fv(uniforms.screenAngles, settings.screenAngles);
+
+    gl.uniform1i(uniforms.inkTint, settings.inkTint ? 1 : 0);
+    gl.uniform3fv(uniforms.paperWhite, settings.paperWhite);
+    gl.uniform3fv(uniforms.inkColours, settings.inkColours.flat());
+    gl.uniform1f(uniforms.inkDensity, inkDensityScale(settings.maxDensity));
+    gl.uniform4fv(uniforms.gainExponents, settings.dotGain.tvi.map(gainExponent));
+    gl.uniform1i(uniforms.compensateGain, settings.dotGain.compensate ? 1 : 0);
+    gl.uniform1i(uniforms.showPrinted, settings.dotGain.showPrinted ? 1 : 0);
+
+    // Unused spot slots are masked off in the shader; they only need valid values
+    const spots = [0, 1, 2, 3].map(i => settings.spotInks[i] || { lab: [0, 0, 0], colour: [1, 1, 1], tolerance: 1, angle: 0 });
+    gl.uniform1i(uniforms.spotCount, Math.min(settings.spotInks.length, spots.length));
+    gl.uniform3fv(uniforms.spotLab, spots.flatMap(ink => ink.lab));
+    gl.uniform4fv(uniforms.spotTolerance, spots.map(ink => ink.tolerance));
+    gl.uniform3fv(uniforms.spotColours, spots.flatMap(ink => ink.colour));
+    gl.uniform4fv(uniforms.spotAngles, spots.map(ink => ink.angle));
+  }
+
+  // Reuse a render target of the right size and type, or replace it
+  ensureTarget(target, width, height, float) {
+    if (target && target.width === width && target.height === height && target.float === float) return target;
+    this.deleteRenderTarget(target);
+    if (float) {
+      const floatTarget = this.createRenderTarget(width, height, true);
+      if (floatTarget) return floatTarget;
+      console.warn('Renderer: RGBA16F targets are incomplete here, reading plates back at 8 bits');
+      this.floatTargets = false;
+      this.description = 'WebGL2 (8-bit plate targets)';
+    }
+    return this.createRenderTarget(width, height, false);
+  }
+
+  /**
+   * Create an offscreen framebuffer for passes that are read back with readPixels
+   * @param {number} width
+   * @param {number} height
+   * @param {boolean} float - RGBA16F (WebGL2 with EXT_color_buffer_float) instead of RGBA8
+   * @returns {{framebuffer: WebGLFramebuffer, texture: WebGLTexture, width: number, height: number, float: boolean, pixels: Uint8Array|Float32Array|null}|null} -
+   *   null if the float target is not framebuffer-complete
+   */
+  createRenderTarget(width, height, float) {
+    const gl = this.gl;
+    const texture = gl.createTexture();
+    gl.activeTexture(gl.TEXTURE5); // A unit the shader does not sample, so the frame's textures stay bound
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    if (float) {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16F, width, height, 0, gl.RGBA, gl.HALF_FLOAT, null);
+    } else {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    }
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    const complete = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    gl.activeTexture(gl.TEXTURE0);
+    if (float && !complete) {
+      gl.deleteFramebuffer(framebuffer);
+      gl.deleteTexture(texture);
+      return null;
+    }
+    return { framebuffer, texture, width, height, float, pixels: null }; // pixels: see readTarget()
+  }
+
+  deleteRenderTarget(target) {
+    if (!target) return;
+    this.gl.deleteFramebuffer(target.framebuffer);
+    this.gl.deleteTexture(target.texture);
+  }
+
+  // Read the bound render target into its pixel buffer (allocated on first read)
+  readTarget(target) {
+    const gl = this.gl;
+    if (!target.pixels) {
+      const length = target.width * target.height * 4;
+      target.pixels = target.float ? new Float32Array(length) : new Uint8Array(length);
+    }
+    gl.readPixels(0, 0, target.width, target.height, gl.RGBA, target.float ? gl.FLOAT : gl.UNSIGNED_BYTE, target.pixels);
+    return target.pixels;
+  }
+}
+
+/**
+ * Summarise the TAC statistics pass
+ * @param {Uint8Array|Float32Array} pixels - RGBA pixels, 0-255 or 0-1; R = TAC / 4, G = 1 where over the limit
+ * @returns {{maxTac: number, overPercent: number}} - Max TAC in percent (0-400) and share of pixels over the limit
+ */
+function computeTacStats(pixels) {
+  const full = pixels instanceof Float32Array ? 1 : 255;
+  let max = 0;
+  let over = 0;
+  const count = pixels.length / 4;
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (pixels[i] > max) max = pixels[i];
+    if (pixels[i + 1] > full / 2) over++;
+  }
+  return { maxTac: max / full * 400, overPercent: count ? over / count * 100 : 0 };
+}
+
+// Compile and link the program; throws with the info log so the next renderer can be tried
+function createProgram(gl, vertexSource, fragmentSource) {
+  const program = gl.createProgram();
+  gl.attachShader(program, createShader(gl, gl.VERTEX_SHADER, vertexSource));
+  gl.attachShader(program, createShader(gl, gl.FRAGMENT_SHADER, fragmentSource));
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    const errorLog = gl.getProgramInfoLog(program);
+    gl.deleteProgram(program);
+    throw new Error(`Program link error: ${errorLog}`);
+  }
+  return program;
+}
+
+function createShader(gl, type, source) {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    const errorLog = gl.getShaderInfoLog(shader);
+    gl.deleteShader(shader);
+    throw new Error(`${type === gl.VERTEX_SHADER ? 'Vertex' : 'Fragment'} shader compile error: ${errorLog}`);
+  }
+  return shader;
+}
+
+// Static vertex buffer feeding a vec2 attribute
+function bindAttribute(gl, location, values) {
+  const buffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(values), gl.STATIC_DRAW);
+  gl.enableVertexAttribArray(location);
+  gl.vertexAttribPointer(location, 2, gl.FLOAT, false, 0, 0);
+}
+
+function createTexture(gl) {
+  const texture = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, texture);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  // Placeholder pixel until the first frame arrives
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array([0, 0, 0, 255]));
+  return texture;
+}
+
+// Upload a VideoFrame into the texture bound to TEXTURE_2D on the active texture unit
+function uploadVideoFrame(gl, frame) {
+  try {
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, frame);
+  } catch (directError) {
+    // Some browsers cannot upload a VideoFrame directly; go through a 2D canvas.
+    // Only the visible rect is drawn, scaled to the display size (like the direct upload)
+    console.log('Renderer: Could not use VideoFrame directly with WebGL, trying canvas approach');
+    const tempCanvas = document.createElement('canvas');
+    tempCanvas.width = frame.displayWidth;
+    tempCanvas.height = frame.displayHeight;
+    tempCanvas.getContext('2d').drawImage(frame, 0, 0);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, tempCanvas);
+  }
+}
@@ -0,0 +1,539 @@
+// webm_demuxer.js
+// Streaming Matroska/WebM (EBML) demuxer for the workers (loaded with importScripts).
+// It walks the file with ranged reads, keeping only element headers in memory, and builds
+// a sample table in the same shape mp4box.js uses (offset, size, cts, dts, duration,
+// is_sync), so the decoder feeds both containers the same way. Frame payloads are read
+// later with readSampleData() from source_reader.js.
+
+// Element IDs (with their length marker bits, as they appear in the file)
+const EbmlId = {
+  EBML: 0x1a45dfa3,
+  DOC_TYPE: 0x4282,
+  SEGMENT: 0x18538067,
+  INFO: 0x1549a966,
+  TIMECODE_SCALE: 0x2ad7b1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654ae6b,
+  TRACK_ENTRY: 0xae,
+  TRACK_NUMBER: 0xd7,
+  TRACK_TYPE: 0x83,
+  CODEC_ID: 0x86,
+  CODEC_PRIVATE: 0x63a2,
+  DEFAULT_DURATION: 0x23e383,
+  CONTENT_ENCODINGS: 0x6d80,
+  VIDEO: 0xe0,
+  PIXEL_WIDTH: 0xb0,
+  PIXEL_HEIGHT: 0xba,
+  DISPLAY_WIDTH: 0x54b0,
+  DISPLAY_HEIGHT: 0x54ba,
+  COLOUR: 0x55b0,
+  MATRIX_COEFFICIENTS: 0x55b1,
+  RANGE: 0x55b9,
+  TRANSFER_CHARACTERISTICS: 0x55ba,
+  PRIMARIES: 0x55bb,
+  CLUSTER: 0x1f43b675,
+  TIMECODE: 0xe7,
+  SIMPLE_BLOCK: 0xa3,
+  BLOCK_GROUP: 0xa0,
+  BLOCK: 0xa1,
+  BLOCK_DURATION: 0x9b,
+  REFERENCE_BLOCK: 0xfb
+};
+
+const TRACK_TYPE_VIDEO = 1;
+const TRACK_TYPE_AUDIO = 2;
+const EBML_WINDOW_SIZE = 1024 * 1024; // Bytes of the file buffered for reading element headers
+
+/**
+ * Read an EBML variable-length integer
+ * @param {Uint8Array} bytes
+ * @param {number} pos
+ * @param {boolean} keepMarker - true for element IDs, false for sizes and track numbers
+ * @returns {{value: number, length: number, unknown: boolean}|null} null if the bytes run out
+ */
+function readVint(bytes, pos, keepMarker) {
+  if (pos >= bytes.length) return null;
+  const first = bytes[pos];
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || pos + length > bytes.length) return null;
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[pos + i];
+    if (bytes[pos + i] !== 0xff) allOnes = false;
+  }
+  return { value, length, unknown: !keepMarker && allOnes };
+}
+
+function readUint(bytes) {
+  let value = 0;
+  for (let i = 0; i < bytes.length; i++) value = value * 256 + bytes[i];
+  return value;
+}
+
+function readFloat(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return bytes.length === 4 ? view.getFloat32(0) : view.getFloat64(0);
+}
+
+function readString(bytes) {
+  return new TextDecoder().decode(bytes).replace(/\0+$/, '');
+}
+
+/**
+ * Call back for each child element of a master element held in memory
+ * @param {Uint8Array} bytes - The master element's payload
+ * @param {function(number, Uint8Array):void} callback - (id, payload)
+ */
+function forEachChild(bytes, callback) {
+  let pos = 0;
+  while (pos < bytes.length) {
+    const id = readVint(bytes, pos, true);
+    if (!id) return;
+    const size = readVint(bytes, pos + id.length, false);
+    if (!size || size.unknown) return;
+    const start = pos + id.length + size.length;
+    callback(id.value, bytes.subarray(start, start + size.value));
+    pos = start + size.value;
+  }
+}
+
+/**
+ * Sequential access to element headers, through a small window onto the file
+ */
+class EbmlReader {
+  constructor(file) {
+    this.file = file;
+    this.window = new Uint8Array(0);
+    this.windowStart = 0;
+    this.bytesRead = 0;
+  }
+
+  /**
+   * Bytes [pos, pos + length), refilling the window when needed
+   * @returns {Promise<Uint8Array>} May be shorter than length at the end of the file
+   */
+  async bytes(pos, length) {
+    const windowEnd = this.windowStart + this.window.length;
+    if (pos < this.windowStart || pos + length > windowEnd) {
+      const end = Math.min(this.file.size, pos + Math.max(length, EBML_WINDOW_SIZE));
+      this.window = await readByteRange(this.file, pos, end);
+      this.windowStart = pos;
+      this.bytesRead += this.window.length;
+    }
+    return this.window.subarray(pos - this.windowStart, pos - this.windowStart + length);
+  }
+
+  /**
+   * Read the element header at a position
+   * @returns {Promise<{id: number, dataStart: number, size: number, unknownSize: boolean}|null>}
+   */
+  async header(pos) {
+    const bytes = await this.bytes(pos, 12); // 4-byte ID + 8-byte size at most
+    const id = readVint(bytes, 0, true);
+    if (!id) return null;
+    const size = readVint(bytes, id.length, false);
+    if (!size) return null;
+    return { id: id.value, dataStart: pos + id.length + size.length, size: size.value, unknownSize: size.unknown };
+  }
+
+  async payload(element) {
+    return readByteRange(this.file, element.dataStart, element.dataStart + element.size);
+  }
+}
+
+/**
+ * WebCodecs codec string (and description, where the codec needs one) for a Matroska track
+ * @param {string} codecId - e.g. 'V_VP9'
+ * @param {Uint8Array|null} codecPrivate
+ * @returns {{codec: string, description: Uint8Array|undefined}|null} null if unsupported
+ */
+function webmCodec(codecId, codecPrivate) {
+  const hex = (v) => v.toString(16).padStart(2, '0').toUpperCase();
+  switch (codecId) {
+    case 'V_VP8':
+      return { codec: 'vp8', description: undefined };
+    case 'V_VP9': {
+      // CodecPrivate holds optional (id, length, value) features: 1 profile, 2 level, 3 bit depth
+      const features = { 1: 0, 2: 10, 3: 8 };
+      for (let pos = 0; codecPrivate && pos + 2 < codecPrivate.length; pos += 2 + codecPrivate[pos + 1]) {
+        features[codecPrivate[pos]] = codecPrivate[pos + 2];
+      }
+      const two = (v) => String(v).padStart(2, '0');
+      return { codec: `vp09.${two(features[1])}.${two(features[2])}.${two(features[3])}`, description: undefined };
+    }
+    case 'V_AV1': {
+      // av1C: seq_profile and seq_level_idx_0 in byte 1; tier and bit depth flags in byte 2
+      if (!codecPrivate || codecPrivate.length < 4) return { codec: 'av01.0.08M.08', description: undefined };
+      const profile = codecPrivate[1] >> 5;
+      const level = codecPrivate[1] & 0x1f;
+      const tier = codecPrivate[2] & 0x80 ? 'H' : 'M';
+      const bitDepth = codecPrivate[2] & 0x40 ? (profile === 2 && codecPrivate[2] & 0x20 ? 12 : 10) : 8;
+      return { codec: `av01.${profile}.${String(level).padStart(2, '0')}${tier}.${String(bitDepth).padStart(2, '0')}`, description: undefined };
+    }
+    case 'V_MPEG4/ISO/AVC':
+      // CodecPrivate is an avcC record: profile, compatibility and level in bytes 1-3
+      if (!codecPrivate || codecPrivate.length < 4) return null;
+      return { codec: `avc1.${hex(codecPrivate[1])}${hex(codecPrivate[2])}${hex(codecPrivate[3])}`, description: codecPrivate };
+    case 'V_MPEGH/ISO/HEVC': {
+      // CodecPrivate is an hvcC record
+      if (!codecPrivate || codecPrivate.length < 13) return null;
+      const space = ['', 'A', 'B', 'C'][codecPrivate[1] >> 6];
+      const tier = codecPrivate[1] & 0x20 ? 'H' : 'L';
+      const profile = codecPrivate[1] & 0x1f;
+      let compatibility = readUint(codecPrivate.subarray(2, 6));
+      let reversed = 0;
+      for (let i = 0; i < 32; i++) {
+        reversed = (reversed << 1) | (compatibility & 1);
+        compatibility >>>= 1;
+      }
+      const constraints = Array.from(codecPrivate.subarray(6, 12));
+      while (constraints.length && constraints[constraints.length - 1] === 0) constraints.pop();
+      const constraintString = constraints.map(b => `.${hex(b)}`).join('');
+      return { codec: `hvc1.${space}${profile}.${(reversed >>> 0).toString(16).toUpperCase()}.${tier}${codecPrivate[12]}${constraintString}`, description: codecPrivate };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse a Tracks element into track descriptions
+ * @param {Uint8Array} bytes - Tracks payload
+ * @param {number} timecodeScale - Nanoseconds per timecode tick
+ * @returns {Array<Object>}
+ */
+function parseTracks(bytes, timecodeScale) {
+  const tracks = [];
+  forEachChild(bytes, (id, entry) => {
+    if (id !== EbmlId.TRACK_ENTRY) return;
+    const track = {
+      id: 0,
+      type: 0,
+      codecId: '',
+      codecPrivate: null,
+      defaultDuration: 0,
+      encoded: false,
+      track_width: 0,
+      track_height: 0,
+      display_width: 0,
+      display_height: 0,
+      colour: null // ISO/IEC 23091-2 code points from the Colour element, plus Range
+    };
+    forEachChild(entry, (childId, value) => {
+      switch (childId) {
+        case EbmlId.TRACK_NUMBER: track.id = readUint(value); break;
+        case EbmlId.TRACK_TYPE: track.type = readUint(value); break;
+        case EbmlId.CODEC_ID: track.codecId = readString(value); break;
+        case EbmlId.CODEC_PRIVATE: track.codecPrivate = value.slice(); break;
+        case EbmlId.DEFAULT_DURATION: track.defaultDuration = readUint(value) / timecodeScale; break;
+        case EbmlId.CONTENT_ENCODINGS: track.encoded = true; break;
+        case EbmlId.VIDEO:
+          forEachChild(value, (videoId, videoValue) => {
+            if (videoId === EbmlId.PIXEL_WIDTH) track.track_width = readUint(videoValue);
+            else if (videoId === EbmlId.PIXEL_HEIGHT) track.track_height = readUint(videoValue);
+            else if (videoId === EbmlId.DISPLAY_WIDTH) track.display_width = readUint(videoValue);
+            else if (videoId === EbmlId.DISPLAY_HEIGHT) track.display_height = readUint(videoValue);
+            else if (videoId === EbmlId.COLOUR) track.colour = parseColour(videoValue);
+          });
+          break;
+      }
+    });
+    tracks.push(track);
+  });
+  return tracks;
+}
+
+/**
+ * Read the colour description of a Video element. Unspecified (2) is the default for the code points.
+ * @param {Uint8Array} bytes - Payload of the Colour element
+ * @returns {{matrix: number, transfer: number, primaries: number, range: number}} - range: 0 unspecified, 1 limited, 2 full
+ */
+function parseColour(bytes) {
+  const colour = { matrix: 2, transfer: 2, primaries: 2, range: 0 };
+  forEachChild(bytes, (id, value) => {
+    if (id === EbmlId.MATRIX_COEFFICIENTS) colour.matrix = readUint(value);
+    else if (id === EbmlId.TRANSFER_CHARACTERISTICS) colour.transfer = readUint(value);
+    else if (id === EbmlId.PRIMARIES) colour.primaries = readUint(value);
+    else if (id === EbmlId.RANGE) colour.range = readUint(value);
+  });
+  return colour;
+}
+
+/**
+ * Split the payload of a laced block into its frames
+ * @param {Uint8Array} block - The whole Block or SimpleBlock body
+ * @param {number} pos - Where the lacing header starts (the frame count byte, after the flags)
+ * @param {number} lacing - Lacing bits of the flags: 1 Xiph, 2 fixed-size, 3 EBML
+ * @returns {{offset: number, size: number}[]|null} Frames, offsets relative to the block; null if malformed
+ */
+function splitLaces(block, pos, lacing) {
+  if (pos >= block.length) return null;
+  const count = block[pos++] + 1;
+  const sizes = [];
+  if (lacing === 1) {
+    // Xiph: each size but the last as a run of 255s plus a final byte below 255
+    for (let i = 0; i < count - 1; i++) {
+      let size = 0;
+      let byte = 255;
+      while (byte === 255) {
+        if (pos >= block.length) return null;
+        byte = block[pos++];
+        size += byte;
+      }
+      sizes.push(size);
+    }
+  } else if (lacing === 3) {
+    // EBML: the first size as a vint, then signed vint differences from the previous size
+    const first = readVint(block, pos, false);
+    if (!first) return null;
+    pos += first.length;
+    sizes.push(first.value);
+    for (let i = 1; i < count - 1; i++) {
+      const delta = readVint(block, pos, false);
+      if (!delta) return null;
+      pos += delta.length;
+      sizes.push(sizes[i - 1] + delta.value - (2 ** (7 * delta.length - 1) - 1));
+    }
+  } else {
+    // Fixed-size: the rest of the block in equal parts
+    if ((block.length - pos) % count) return null;
+    for (let i = 0; i < count - 1; i++) sizes.push((block.length - pos) / count);
+  }
+  sizes.push(block.length - pos - sizes.reduce((sum, size) => sum + size, 0)); // The last frame takes the rest
+
+  const frames = [];
+  for (const size of sizes) {
+    if (size < 0) return null;
+    frames.push({ offset: pos, size });
+    pos += size;
+  }
+  return frames;
+}
+
+/**
+ * Move the blocks of a cluster into the track's sample table, filling in the durations the
+ * file does not give (no BlockDuration or DefaultDuration). Blocks are in decode order, so with
+ * B-frames their presentation times are not monotonic: each duration is the gap to the next
+ * presentation time, not to the next block. A laced block becomes one sample per frame,
+ * sharing out the block's duration.
+ * @param {Object} track - Track with a sample table
+ * @param {number|null} nextCts - Presentation time of the next cluster's first block, null at the end
+ */
+function appendCluster(track, nextCts) {
+  const blocks = track.clusterBlocks;
+  if (blocks.length === 0) return;
+  const byCts = blocks.slice().sort((a, b) => a.cts - b.cts);
+  for (let i = 0; i < byCts.length; i++) {
+    const block = byCts[i];
+    if (block.hasDuration) continue;
+    const next = i + 1 < byCts.length ? byCts[i + 1].cts : nextCts;
+    if (next !== null) {
+      block.duration = Math.max(0, next - block.cts);
+    } else {
+      // The last block of the file: assume it lasts as long as the one before it
+      block.duration = i > 0 ? byCts[i - 1].duration : track.lastBlockDuration;
+    }
+  }
+  for (const block of blocks) {
+    const count = block.frames.length;
+    block.frames.forEach((frame, i) => {
+      track.samples.push({
+        number: track.samples.length,
+        track_id: track.id,
+        timescale: track.timescale,
+        offset: frame.offset,
+        size: frame.size,
+        cts: block.cts + block.duration * i / count,
+        dts: block.cts + block.duration * i / count, // Matroska stores presentation times only; blocks are in decode order
+        duration: block.duration / count,
+        is_sync: block.is_sync
+      });
+    });
+  }
+  track.lastBlockDuration = byCts[byCts.length - 1].duration;
+  track.nb_samples = track.samples.length;
+  track.clusterBlocks = [];
+}
+
+/**
+ * Demux a WebM/Matroska file. Calls onReady once the tracks are known; the video tracks'
+ * `samples` arrays (and the audio tracks', with keepAudio) then keep growing as clusters are parsed.
+ * @param {File|Blob} file
+ * @param {Object} [options]
+ * @param {function({videoTracks: Object[], audioTracks: Object[]}):void} [options.onReady]
+ * @param {function(number, number):void} [options.onProgress] - Called with (bytesRead, totalBytes)
+ * @param {AbortSignal} [options.signal] - Stops parsing between elements
+ * @param {boolean} [options.keepAudio] - Also build sample tables for the audio tracks
+ * @returns {Promise<boolean>} true once the whole file has been parsed, false if aborted
+ */
+async function streamWebm(file, { onReady, onProgress, signal, keepAudio = false } = {}) {
+  const reader = new EbmlReader(file);
+
+  const ebml = await reader.header(0);
+  if (!ebml || ebml.id !== EbmlId.EBML) throw new Error('Not an EBML file');
+  let docType = 'matroska';
+  forEachChild(await reader.payload(ebml), (id, value) => {
+    if (id === EbmlId.DOC_TYPE) docType = readString(value);
+  });
+  if (docType !== 'webm' && docType !== 'matroska') throw new Error(`Unsupported EBML document type '${docType}'`);
+
+  const segment = await reader.header(ebml.dataStart + ebml.size);
+  if (!segment || segment.id !== EbmlId.SEGMENT) throw new Error('No Segment element found');
+  const segmentEnd = segment.unknownSize ? file.size : Math.min(file.size, segment.dataStart + segment.size);
+
+  let timecodeScale = 1_000_000; // Nanoseconds per tick (the Matroska default: milliseconds)
+  let durationTicks = 0;
+  let tracksByNumber = null;
+  let clusterTimecode = 0;
+  let clusterNumber = 0; // Counts Timecode elements, one per Cluster
+  let lastProgress = 0;
+
+  // A SimpleBlock flags its own key frames; a Block is one unless its BlockGroup references another
+  const addBlock = async (blockStart, blockSize, simple, referenced, blockDuration) => {
+    const header = await reader.bytes(blockStart, 12);
+    const trackNumber = readVint(header, 0, false);
+    if (!trackNumber || !tracksByNumber) return;
+    const track = tracksByNumber.get(trackNumber.value);
+    if (!track || !track.samples) return; // Only video (and kept audio) tracks have a sample table
+    const headerLength = trackNumber.length + 3; // Track number, int16 relative timecode, flags
+    const flags = header[trackNumber.length + 2];
+    let frames = [{ offset: blockStart + headerLength, size: blockSize - headerLength }];
+    const lacing = (flags & 0x06) >> 1;
+    if (lacing) {
+      // Common for audio (several Opus or Vorbis packets per block), rare for video
+      const laces = splitLaces(await reader.bytes(blockStart, blockSize), headerLength, lacing);
+      if (!laces) {
+        track.skippedBlocks++;
+        return;
+      }
+      frames = laces.map(lace => ({ offset: blockStart + lace.offset, size: lace.size }));
+    }
+    const keyFrame = simple ? Boolean(flags & 0x80) : !referenced;
+    const relative = (header[trackNumber.length] << 24 >> 16) | header[trackNumber.length + 1]; // Signed 16-bit
+    const cts = clusterTimecode + relative;
+    if (track.blockCluster !== clusterNumber) {
+      appendCluster(track, cts);
+      track.blockCluster = clusterNumber;
+    }
+    // BlockDuration covers the whole block; DefaultDuration is per frame
+    const duration = blockDuration || track.defaultDuration * frames.length;
+    track.clusterBlocks.push({ frames, cts, duration, hasDuration: Boolean(duration), is_sync: keyFrame });
+  };
+
+  let pos = segment.dataStart;
+  while (pos < segmentEnd) {
+    if (signal && signal.aborted) return false;
+    const element = await reader.header(pos);
+    if (!element) break; // Truncated file: keep what was parsed
+
+    switch (element.id) {
+      case EbmlId.SEGMENT:
+      case EbmlId.CLUSTER:
+        // Descend; Clusters may have an unknown size (live recordings), so their children
+        // are read at this level until the next top-level element
+        pos = element.dataStart;
+        continue;
+      case EbmlId.INFO:
+        forEachChild(await reader.payload(element), (id, value) => {
+          if (id === EbmlId.TIMECODE_SCALE) timecodeScale = readUint(value);
+          else if (id === EbmlId.DURATION) durationTicks = readFloat(value);
+        });
+        break;
+      case EbmlId.TRACKS: {
+        const tracks = parseTracks(await reader.payload(element), timecodeScale);
+        tracksByNumber = new Map();
+        const videoTracks = [];
+        const audioTracks = [];
+        for (const track of tracks) {
+          track.timescale = 1_000_000_000 / timecodeScale; // Ticks per second
+          track.duration = durationTicks;
+          track.nb_samples = 0;
+          tracksByNumber.set(track.id, track);
+          if (track.type === TRACK_TYPE_AUDIO) {
+            audioTracks.push(track);
+            if (keepAudio) {
+              track.samples = [];
+              track.skippedBlocks = 0;
+              track.clusterBlocks = [];
+              track.blockCluster = -1;
+              track.lastBlockDuration = 0;
+            }
+          }
+          if (track.type !== TRACK_TYPE_VIDEO) continue;
+          const codec = webmCodec(track.codecId, track.codecPrivate);
+          if (!codec || track.encoded) {
+            console.warn(`WebM: skipping video track ${track.id} (${track.codecId}${track.encoded ? ', content encoded' : ''})`);
+            continue;
+          }
+          track.codec = codec.codec;
+          track.description = codec.description;
+          track.samples = [];
+          track.skippedBlocks = 0; // Laced blocks whose lacing could not be read
+          track.clusterBlocks = []; // Blocks of the current cluster, not yet in the sample table
+          track.blockCluster = -1;
+          track.lastBlockDuration = 0; // For the file's last block, when nothing gives its duration
+          videoTracks.push(track);
+        }
+        if (onReady) onReady({ videoTracks, audioTracks });
+        break;
+      }
+      case EbmlId.TIMECODE:
+        clusterTimecode = readUint(await reader.bytes(element.dataStart, element.size));
+        clusterNumber++;
+        break;
+      case EbmlId.SIMPLE_BLOCK:
+        await addBlock(element.dataStart, element.size, true, false, 0);
+        break;
+      case EbmlId.BLOCK_GROUP: {
+        let block = null;
+        let duration = 0;
+        let referenced = false;
+        const groupEnd = element.dataStart + element.size;
+        for (let childPos = element.dataStart; childPos < groupEnd;) {
+          const child = await reader.header(childPos);
+          if (!child || child.unknownSize) break;
+          if (child.id === EbmlId.BLOCK) block = child;
+          else if (child.id === EbmlId.REFERENCE_BLOCK) referenced = true;
+          else if (child.id === EbmlId.BLOCK_DURATION) duration = readUint(await reader.bytes(child.dataStart, child.size));
+          childPos = child.dataStart + child.size;
+        }
+        if (block) await addBlock(block.dataStart, block.size, false, referenced, duration);
+        break;
+      }
+      default:
+        if (element.unknownSize) {
+          console.warn(`WebM: cannot skip element 0x${element.id.toString(16)} of unknown size; stopping`);
+          pos = segmentEnd;
+          continue;
+        }
+    }
+    pos = element.dataStart + element.size;
+
+    if (onProgress && reader.bytesRead - lastProgress >= EBML_WINDOW_SIZE) {
+      lastProgress = reader.bytesRead;
+      onProgress(Math.min(pos, file.size), file.size);
+    }
+  }
+
+  // Fill in what the header may not have said (live recordings have no Duration)
+  for (const track of tracksByNumber ? tracksByNumber.values() : []) {
+    if (!track.samples) continue;
+    appendCluster(track, null);
+    if (track.samples.length === 0) continue;
+    if (!track.duration) {
+      // One pass: long recordings have too many samples to spread into Math.min/max
+      let start = Infinity;
+      let end = -Infinity;
+      for (const sample of track.samples) {
+        start = Math.min(start, sample.cts);
+        end = Math.max(end, sample.cts + sample.duration);
+      }
+      track.duration = end - start;
+    }
+    if (track.skippedBlocks) console.warn(`WebM: skipped ${track.skippedBlocks} malformed laced blocks in track ${track.id}`);
+  }
+  if (onProgress) onProgress(file.size, file.size);
+  return true;
+}
@@ -0,0 +1,244 @@
+// y4m.js
+// YUV4MPEG2 streams for the command-line tool: reading Y'CbCr frames (the format ffmpeg pipes
+// with -f yuv4mpegpipe) and writing single-plate grayscale streams. Frame data is laid out
+// exactly as planeLayout() describes its formats, so frames go straight to sourceFromPlanes().
+
+import { planeLayout } from './frame_planes.js';
+
+const SIGNATURE = 'YUV4MPEG2';
+const MAX_HEADER_LENGTH = 4096;
+
+// Y4M colourspace tags (the C parameter) by the planeLayout() format they are stored as
+const CHROMA_FORMATS = {
+  '420jpeg': 'I420',
+  '420paldv': 'I420',
+  '420mpeg2': 'I420',
+  '420': 'I420',
+  '422': 'I422',
+  '444': 'I444',
+  '444alpha': 'I444A',
+  '420p10': 'I420P10',
+  '422p10': 'I422P10',
+  '444p10': 'I444P10',
+  '420p12': 'I420P12',
+  '422p12': 'I422P12',
+  '444p12': 'I444P12'
+};
+
+/**
+ * @typedef {Object} Y4mHeader
+ * @property {number} width
+ * @property {number} height
+ * @property {number[]} frameRate - Numerator and denominator
+ * @property {string} chroma - The C parameter, '420jpeg' if absent
+ * @property {string} format - planeLayout() format of each frame
+ * @property {boolean|null} fullRange - From XCOLORRANGE, null if not given
+ */
+
+/**
+ * Reads lines and fixed-size blocks from a stream of byte chunks
+ */
+export class ChunkReader {
+  /**
+   * @param {AsyncIterable<Uint8Array>} chunks - e.g. a Node readable stream
+   */
+  constructor(chunks) {
+    this.iterator = chunks[Symbol.asyncIterator]();
+    this.chunks = []; // Unread chunks, the first one possibly partly read
+    this.available = 0; // Bytes in this.chunks
+    this.done = false;
+  }
+
+  /**
+   * The next line, without its newline
+   * @param {number} maxLength
+   * @returns {Promise<string|null>} - null at the end of the stream
+   * @throws {Error} If the line is longer than maxLength or the stream ends inside it
+   */
+  async readLine(maxLength) {
+    for (;;) {
+      const end = this.indexOfNewline(maxLength + 1);
+      if (end !== -1) {
+        const line = this.take(end + 1).subarray(0, end);
+        return new TextDecoder('latin1').decode(line);
+      }
+      if (this.available > maxLength) throw new Error(`Line longer than ${maxLength} bytes`);
+      if (!(await this.pull())) {
+        if (this.available === 0) return null;
+        throw new Error('Stream ends inside a header line');
+      }
+    }
+  }
+
+  /**
+   * Exactly length bytes
+   * @param {number} length
+   * @returns {Promise<Uint8Array|null>} - null if the stream ended before the first byte
+   * @throws {Error} If the stream ends part way through
+   */
+  async readBytes(length) {
+    while (this.available < length) {
+      if (!(await this.pull())) {
+        if (this.available === 0) return null;
+        throw new Error(`Stream ends ${length - this.available} bytes short of a frame`);
+      }
+    }
+    return this.take(length);
+  }
+
+  // Queue the next chunk; false at the end of the stream
+  async pull() {
+    if (this.done) return false;
+    const { value, done } = await this.iterator.next();
+    if (done) {
+      this.done = true;
+      return false;
+    }
+    this.chunks.push(value);
+    this.available += value.length;
+    return true;
+  }
+
+  // Offset of the first newline within the first limit bytes, or -1
+  indexOfNewline(limit) {
+    let offset = 0;
+    for (const chunk of this.chunks) {
+      if (offset >= limit) break;
+      const at = chunk.subarray(0, limit - offset).indexOf(0x0a);
+      if (at !== -1) return offset + at;
+      offset += chunk.length;
+    }
+    return -1;
+  }
+
+  // Remove and return the first length queued bytes, copied once
+  take(length) {
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    while (offset < length) {
+      const chunk = this.chunks[0];
+      const count = Math.min(chunk.length, length - offset);
+      bytes.set(chunk.subarray(0, count), offset);
+      offset += count;
+      if (count === chunk.length) {
+        this.chunks.shift();
+      } else {
+        this.chunks[0] = chunk.subarray(count);
+      }
+    }
+    this.available -= length;
+    return bytes;
+  }
+}
+
+/**
+ * Parse the stream header line
+ * @param {string} line - Without the newline
+ * @returns {Y4mHeader}
+ * @throws {Error} If it is not a Y4M header, or the colourspace is not supported
+ */
+export function parseY4mHeader(line) {
+  const [signature, ...parameters] = line.split(' ').filter(Boolean);
+  if (signature !== SIGNATURE) throw new Error('Not a YUV4MPEG2 stream');
+  const header = { width: 0, height: 0, frameRate: [25, 1], chroma: '420jpeg', format: 'I420', fullRange: null };
+  for (const parameter of parameters) {
+    const value = parameter.slice(1);
+    switch (parameter[0]) {
+      case 'W':
+        header.width = parseInt(value, 10);
+        break;
+      case 'H':
+        header.height = parseInt(value, 10);
+        break;
+      case 'F': {
+        const [numerator, denominator] = value.split(':').map(Number);
+        if (numerator > 0 && denominator > 0) header.frameRate = [numerator, denominator];
+        break;
+      }
+      case 'C':
+        header.chroma = value;
+        break;
+      case 'X':
+        if (value.startsWith('COLORRANGE=')) header.fullRange = value.slice(11) === 'FULL';
+        break;
+      default:
+        // Interlacing, aspect ratio and comments do not change the samples
+        break;
+    }
+  }
+  if (!(header.width > 0 && header.height > 0)) throw new Error('Y4M header has no frame size');
+  header.format = CHROMA_FORMATS[header.chroma];
+  if (!header.format) throw new Error(`Y4M colourspace C${header.chroma} is not supported`);
+  return header;
+}
+
+/**
+ * Reads the frames of a Y4M stream
+ */
+export class Y4mReader {
+  /**
+   * @param {AsyncIterable<Uint8Array>} chunks
+   */
+  constructor(chunks) {
+    this.reader = new ChunkReader(chunks);
+    this.header = null;
+    this.layout = null;
+  }
+
+  /**
+   * Read the stream header; call before readFrame()
+   * @returns {Promise<Y4mHeader>}
+   */
+  async open() {
+    const line = await this.reader.readLine(MAX_HEADER_LENGTH);
+    if (line === null) throw new Error('Empty input');
+    this.header = parseY4mHeader(line);
+    this.layout = planeLayout(this.header.format, this.header.width, this.header.height);
+    return this.header;
+  }
+
+  /**
+   * The next frame's samples, laid out as this.layout describes
+   * @returns {Promise<Uint8Array|null>} - null at the end of the stream
+   */
+  async readFrame() {
+    const line = await this.reader.readLine(MAX_HEADER_LENGTH);
+    if (line === null) return null;
+    if (!line.startsWith('FRAME')) throw new Error('Expected a FRAME header');
+    const samples = await this.reader.readBytes(this.layout.byteLength);
+    if (!samples) throw new Error('Stream ends after a FRAME header');
+    return samples;
+  }
+}
+
+/**
+ * Stream header for a single-plate grayscale output (full range, like the PNG plates)
+ * @param {number} width
+ * @param {number} height
+ * @param {number[]} frameRate - Numerator and denominator
+ * @param {number} bitDepth - 8 or 16 (C mono16, little-endian)
+ * @returns {Uint8Array}
+ */
+export function monoY4mHeader(width, height, frameRate, bitDepth) {
+  const chroma = bitDepth === 16 ? 'mono16' : 'mono';
+  return new TextEncoder().encode(`${SIGNATURE} W${width} H${height} F${frameRate[0]}:${frameRate[1]} Ip A1:1 C${chroma} XCOLORRANGE=FULL\n`);
+}
+
+/**
+ * One frame of a single-plate stream
+ * @param {Uint8Array|Uint16Array} samples - width * height samples, top row first
+ * @returns {Uint8Array}
+ */
+export function monoY4mFrame(samples) {
+  const header = new TextEncoder().encode('FRAME\n');
+  const bytesPerSample = samples instanceof Uint16Array ? 2 : 1;
+  const frame = new Uint8Array(header.length + samples.length * bytesPerSample);
+  frame.set(header);
+  if (bytesPerSample === 1) {
+    frame.set(samples, header.length);
+  } else {
+    const view = new DataView(frame.buffer, header.length);
+    for (let i = 0; i < samples.length; i++) view.setUint16(i * 2, samples[i], true);
+  }
+  return frame;
+}
@@ -0,0 +1,150 @@
+// zip.js
+// In-browser ZIP writer. Each entry becomes a Blob as soon as it is added, so the
+// archive is assembled without one giant ArrayBuffer and the browser may page
+// large Blobs to disk.
+// Entries are deflated with CompressionStream('deflate-raw') where available,
+// otherwise stored. No ZIP64: at most 65535 entries and 4 GB in total.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 as used by ZIP and PNG
+ * @param {Uint8Array} data
+ * @param {number} [crc] - Running CRC to continue from
+ * @returns {number}
+ */
+export function crc32(data, crc = 0) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    c = CRC_TABLE[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Compress bytes with a CompressionStream format ('deflate' = zlib, 'deflate-raw' = bare deflate)
+ * @param {Uint8Array} data
+ * @param {string} format
+ * @returns {Promise<Uint8Array>}
+ */
+export async function compress(data, format) {
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream(format));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function supportsDeflateRaw() {
+  try {
+    new CompressionStream('deflate-raw');
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+export class ZipWriter {
+  constructor() {
+    this.parts = []; // One Blob per entry (local header and file data), in archive order
+    this.entries = []; // Central directory records
+    this.offset = 0; // Bytes written so far
+    this.deflate = typeof CompressionStream === 'function' && supportsDeflateRaw();
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} name - Path inside the archive ('/' separated)
+   * @param {Uint8Array} data - File contents
+   * @param {boolean} [alreadyCompressed] - Store as-is (e.g. PNG), deflating would only cost time
+   */
+  async addFile(name, data, alreadyCompressed = false) {
+    const nameBytes = new TextEncoder().encode(name);
+    const crc = crc32(data);
+    let method = 0;
+    let payload = data;
+    if (this.deflate && !alreadyCompressed) {
+      const deflated = await compress(data, 'deflate-raw');
+      if (deflated.length < data.length) {
+        method = 8;
+        payload = deflated;
+      }
+    }
+    if (this.entries.length >= 0xffff) {
+      throw new Error('ZIP archive is limited to 65535 files; export a shorter range.');
+    }
+    if (this.offset + payload.length > 0xffffffff) {
+      throw new Error('ZIP archive would exceed 4 GB; export a shorter range.');
+    }
+
+    const { time, date } = dosDateTime(new Date());
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true); // Local file header signature
+    header.setUint16(4, 20, true); // Version needed to extract
+    header.setUint16(6, 0x0800, true); // Flags: UTF-8 names
+    header.setUint16(8, method, true);
+    header.setUint16(10, time, true);
+    header.setUint16(12, date, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, payload.length, true);
+    header.setUint32(22, data.length, true);
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true); // Extra field length
+
+    this.entries.push({ nameBytes, crc, method, time, date, compressedSize: payload.length, size: data.length, offset: this.offset });
+    // Hand the bytes to a Blob now rather than holding them until finish()
+    this.parts.push(new Blob([header, nameBytes, payload]));
+    this.offset += 30 + nameBytes.length + payload.length;
+  }
+
+  /**
+   * Write the central directory and return the finished archive
+   * @returns {Blob}
+   */
+  finish() {
+    const centralStart = this.offset;
+    let centralSize = 0;
+    for (const entry of this.entries) {
+      const record = new DataView(new ArrayBuffer(46));
+      record.setUint32(0, 0x02014b50, true); // Central directory signature
+      record.setUint16(4, 20, true); // Version made by
+      record.setUint16(6, 20, true); // Version needed to extract
+      record.setUint16(8, 0x0800, true);
+      record.setUint16(10, entry.method, true);
+      record.setUint16(12, entry.time, true);
+      record.setUint16(14, entry.date, true);
+      record.setUint32(16, entry.crc, true);
+      record.setUint32(20, entry.compressedSize, true);
+      record.setUint32(24, entry.size, true);
+      record.setUint16(28, entry.nameBytes.length, true);
+      // Extra length, comment length, disk number, internal/external attributes stay 0
+      record.setUint32(42, entry.offset, true);
+      this.parts.push(record, entry.nameBytes);
+      centralSize += 46 + entry.nameBytes.length;
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, this.entries.length, true);
+    end.setUint16(10, this.entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, centralStart, true);
+    this.parts.push(end);
+
+    return new Blob(this.parts, { type: 'application/zip' });
+  }
+}
+
+function dosDateTime(d) {
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+    date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}